@@ -19,7 +19,11 @@ module.exports = {
   GatewayIntentBits: {
     Guilds: 1,
     GuildMessages: 2,
-    MessageContent: 4
+    MessageContent: 4,
+    DirectMessages: 8
+  },
+  Partials: {
+    Channel: 1
   },
   Collection: class Collection extends Map {},
   Events: {
@@ -31,9 +31,12 @@ module.exports = {
   GatewayIntentBits: {
     Guilds: 1,
     GuildMessages: 2,
-    MessageContent: 3
+    MessageContent: 3,
+    DirectMessages: 4
+  },
+  Partials: {
+    Channel: 1
   },
-  Partials: {},
   Events: {},
   REST: jest.fn().mockImplementation(() => ({
     setToken: jest.fn().mockReturnThis(),
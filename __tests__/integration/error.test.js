@@ -35,14 +35,12 @@ describe('Error handling', () => {
       return `An error occurred during ${context}.`;
     });
     // Mock instance methods
-    conversationManager.isRateLimited = jest.fn();
     conversationManager.getHistory = jest.fn();
   });
 
   it('handles failed Perplexity API response during chat', async () => {
     // Arrange
     request.mockRejectedValueOnce(new Error('API Error'));
-    conversationManager.isRateLimited.mockReturnValue(false);
     conversationManager.getHistory.mockReturnValue([]);
 
     const fakeMessage = {
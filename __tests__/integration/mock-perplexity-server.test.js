@@ -0,0 +1,121 @@
+/**
+ * End-to-end tests of the Perplexity client against the offline mock server
+ * (scripts/mock-perplexity-server.js), over real HTTP rather than a mocked undici
+ */
+jest.mock('../../src/utils/logger');
+
+const config = require('../../src/config/config');
+const { PerplexityService } = require('../../src/services/perplexity-secure');
+const { createMockPerplexityServer } = require('../../scripts/mock-perplexity-server');
+
+/**
+ * Start a mock server on a free local port
+ * @param {Object} options - Server options
+ * @returns {Promise<http.Server>} - Listening server
+ */
+async function startServer(options) {
+  const server = createMockPerplexityServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/**
+ * Create a client for a mock server, without real backoff delays between retries
+ * @param {http.Server} server - Listening mock server
+ * @returns {PerplexityService} - Client
+ */
+function createClient(server) {
+  const service = new PerplexityService({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+  jest.spyOn(service, '_sleep').mockResolvedValue();
+  return service;
+}
+
+/**
+ * Run a test against its own mock server, shutting both ends down afterwards
+ * @param {Object} options - Server options
+ * @param {Function} testFn - Receives the client
+ * @returns {Promise<void>}
+ */
+async function withClient(options, testFn) {
+  const server = await startServer(options);
+  const service = createClient(server);
+  try {
+    await testFn(service);
+  } finally {
+    service.shutdown();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('Mock Perplexity server', () => {
+  let server;
+  let service;
+
+  beforeAll(async () => {
+    server = await startServer({ chunkDelayMs: 0 });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    service = createClient(server);
+  });
+
+  afterEach(() => {
+    service.shutdown();
+  });
+
+  it('answers chat requests with citations', async () => {
+    const result = await service.generateChatResponse(
+      [{ role: 'user', content: 'How do I start?' }],
+      { caching: false, includeSources: true, model: 'sonar-pro' }
+    );
+
+    expect(result.content).toBe('This is a mock reply to "How do I start?". ' +
+      'See the getting started guide [1] and the tips thread [2].');
+    expect(result.model).toBe('sonar-pro');
+    expect(result.sources).toEqual([
+      expect.objectContaining({ url: 'https://example.com/wiki/getting-started' }),
+      expect.objectContaining({ url: 'https://example.com/forum/tips' })
+    ]);
+  });
+
+  it('streams replies as server-sent events', async () => {
+    const originalPiOptimizations = config.PI_OPTIMIZATIONS;
+    config.PI_OPTIMIZATIONS = { ...originalPiOptimizations, ENABLED: true, STREAM_RESPONSES: true, LOW_CPU_MODE: false };
+    const onDelta = jest.fn();
+
+    try {
+      const result = await service.generateChatResponse(
+        [{ role: 'user', content: 'Stream please' }],
+        { caching: false, includeSources: true, onDelta }
+      );
+
+      expect(onDelta.mock.calls.length).toBeGreaterThan(1);
+      expect(onDelta.mock.calls[onDelta.mock.calls.length - 1][1]).toBe(result.content);
+      expect(result.content).toContain('mock reply to "Stream please"');
+      expect(result.sources).toHaveLength(2);
+    } finally {
+      config.PI_OPTIMIZATIONS = originalPiOptimizations;
+    }
+  });
+});
+
+describe('Mock Perplexity server fault injection', () => {
+  it('injects the status named in a message, retrying it like a real outage', () => withClient({}, async service => {
+    await expect(service.sendChatRequest([{ role: 'user', content: 'Fail [mock:503]' }]))
+      .rejects.toMatchObject({ statusCode: 503 });
+    expect(service._sleep).toHaveBeenCalledTimes(config.API.PERPLEXITY.RETRY.MAX_RETRIES);
+
+    await expect(service.sendChatRequest([{ role: 'user', content: 'Slow down [mock:429]' }]))
+      .rejects.toMatchObject({ statusCode: 429, headers: expect.objectContaining({ 'retry-after': '1' }) });
+    expect(service._sleep).toHaveBeenLastCalledWith(1000, expect.any(AbortSignal));
+  }));
+
+  it('injects errors at the configured rate', () => withClient({ errorRate: 1, errorStatus: 500 }, async service => {
+    await expect(service.sendChatRequest([{ role: 'user', content: 'Hello' }]))
+      .rejects.toMatchObject({ statusCode: 500 });
+  }));
+});
@@ -23,7 +23,11 @@ jest.mock('discord.js', () => {
     GatewayIntentBits: {
       Guilds: 1,
       GuildMessages: 2,
-      MessageContent: 4
+      MessageContent: 4,
+      DirectMessages: 8
+    },
+    Partials: {
+      Channel: 1
     }
   };
 });
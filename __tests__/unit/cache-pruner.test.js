@@ -1,18 +1,14 @@
-const fs = require('fs').promises;
-const path = require('path');
+const dataStorage = require('../../src/services/storage');
 const cachePruner = require('../../src/utils/cache-pruner');
+const questionCache = require('../../src/services/question-cache');
 const logger = require('../../src/utils/logger');
 const config = require('../../src/config/config');
 
 // Mock dependencies
-jest.mock('fs', () => ({
-  promises: {
-    readFile: jest.fn(),
-    writeFile: jest.fn()
-  }
-}));
-jest.mock('path', () => ({
-  join: jest.fn((dir, file) => `${dir}/${file}`)
+jest.mock('../../src/services/storage', () => ({
+  NAMESPACES: { USER_STATS: 'user_stats', QUESTION_CACHE: 'question_cache' },
+  scan: jest.fn(),
+  replace: jest.fn()
 }));
 jest.mock('../../src/utils/logger');
 jest.mock('../../src/config/config', () => ({
@@ -83,6 +79,19 @@ describe('Cache Pruner', () => {
     });
   });
 
+  describe('initialize', () => {
+    it('should only start pruning when asked, and only once', () => {
+      const pruner = new cachePruner.constructor();
+      expect(mockSetInterval).not.toHaveBeenCalled();
+      
+      pruner.initialize();
+      pruner.initialize();
+      
+      expect(mockSetInterval).toHaveBeenCalledTimes(1);
+      expect(pruner.pruneTimer).toBe(123);
+    });
+  });
+
   describe('pruneCache', () => {
     it('should call both pruning methods', async () => {
       // Mock private methods
@@ -126,50 +135,85 @@ describe('Cache Pruner', () => {
   });
 
   describe('_pruneQuestionCache', () => {
-    it('should prune when over max entries', async () => {
-      // Mock cache with more than max entries
-      const mockCache = {};
-      // Create 100 entries (exceeds 50 max)
-      for (let i = 0; i < 100; i++) {
-        mockCache[`key${i}`] = { lastAccessed: i * 1000 };
+    // Fill the cache the Perplexity service answers from, oldest first
+    const fillCache = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await questionCache.set(`key${i}`, { lastAccessed: i * 1000 });
       }
-      
-      fs.readFile.mockResolvedValue(JSON.stringify(mockCache));
+    };
+    
+    beforeEach(() => {
+      questionCache.reset();
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('should prune when over max entries', async () => {
+      // Let the cache grow past the pruner's limit (50), as it would with a larger configured size
+      jest.spyOn(questionCache, 'maxEntries', 'get').mockReturnValue(1000);
+      await fillCache(100);
       
       await cachePruner._pruneQuestionCache();
       
-      // Should have removed 20% (20 entries)
-      expect(fs.writeFile).toHaveBeenCalled();
-      const writeCall = fs.writeFile.mock.calls[0];
-      const writtenData = JSON.parse(writeCall[1]);
-      expect(Object.keys(writtenData).length).toBe(80);
+      // Should have removed 20% (20 entries), the least recently used
+      const keys = (await questionCache.list()).map(([key]) => key);
+      expect(keys.length).toBe(80);
+      expect(keys).not.toContain('key0');
+      expect(keys).not.toContain('key19');
+      expect(keys).toContain('key20');
       expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Pruned 20 entries'));
     });
     
     it('should not prune when under max entries', async () => {
-      // Mock cache with fewer than max entries
-      const mockCache = {};
-      // Create 40 entries (under 50 max)
-      for (let i = 0; i < 40; i++) {
-        mockCache[`key${i}`] = { lastAccessed: i * 1000 };
-      }
-      
-      fs.readFile.mockResolvedValue(JSON.stringify(mockCache));
+      await fillCache(40);
       
       await cachePruner._pruneQuestionCache();
       
-      expect(fs.writeFile).not.toHaveBeenCalled();
+      await expect(questionCache.size()).resolves.toBe(40);
       expect(logger.debug).toHaveBeenCalledWith(expect.stringContaining('within limits, no pruning needed'));
     });
     
-    it('should handle missing file gracefully', async () => {
-      const fileNotFoundError = new Error('File not found');
-      fileNotFoundError.code = 'ENOENT';
-      fs.readFile.mockRejectedValue(fileNotFoundError);
+    it('should handle an empty cache gracefully', async () => {
+      await cachePruner._pruneQuestionCache();
+      
+      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('empty, nothing to prune'));
+    });
+    
+    it('should leave writing to storage to the question cache', async () => {
+      await fillCache(10);
       
       await cachePruner._pruneQuestionCache();
       
-      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('not found, nothing to prune'));
+      expect(dataStorage.scan).not.toHaveBeenCalledWith('question_cache');
+      expect(dataStorage.replace).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_pruneUserStats', () => {
+    it('should remove inactive users with few queries', async () => {
+      const longAgo = mockNow - (60 * 24 * 60 * 60 * 1000);
+      dataStorage.scan.mockResolvedValue({
+        inactive: { lastActivity: longAgo, totalQueries: 2 },
+        loyal: { lastActivity: longAgo, totalQueries: 50 },
+        recent: { lastActivity: mockNow, totalQueries: 1 }
+      });
+      
+      await cachePruner._pruneUserStats();
+      
+      expect(dataStorage.scan).toHaveBeenCalledWith('user_stats');
+      const [namespace, writtenData] = dataStorage.replace.mock.calls[0];
+      expect(namespace).toBe('user_stats');
+      expect(Object.keys(writtenData)).toEqual(['loyal', 'recent']);
+    });
+    
+    it('should not write when nothing is inactive', async () => {
+      dataStorage.scan.mockResolvedValue({ recent: { lastActivity: mockNow, totalQueries: 1 } });
+      
+      await cachePruner._pruneUserStats();
+      
+      expect(dataStorage.replace).not.toHaveBeenCalled();
     });
   });
 
@@ -184,3 +228,29 @@ describe('Cache Pruner', () => {
     });
   });
 });
+
+describe('Cache Pruner expiry', () => {
+  const TTL_MS = 60 * 60 * 1000;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    questionCache.reset();
+    config.QUESTION_CACHE = { TTL_MS };
+  });
+
+  afterEach(() => {
+    delete config.QUESTION_CACHE;
+  });
+
+  it('should remove answers past their time to live, even under max entries', async () => {
+    const now = Date.now();
+    await questionCache.set('stale', { content: 'a', createdAt: now - TTL_MS - 1000, lastAccessed: now });
+    await questionCache.set('legacy', { content: 'b', timestamp: now - TTL_MS - 1000 });
+    await questionCache.set('fresh', { content: 'c', createdAt: now - 1000 });
+
+    await cachePruner._pruneQuestionCache();
+
+    await expect(questionCache.list()).resolves.toEqual([['fresh', { content: 'c', createdAt: now - 1000 }]]);
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Removed 2 expired entries'));
+  });
+});
@@ -10,9 +10,17 @@ jest.mock('../../src/commands', () => ({
 
 const chatService = require('../../src/services/chat');
 const perplexityService = require('../../src/services/perplexity-secure');
+const aiProviders = require('../../src/services/providers');
 const ConversationManager = require('../../src/utils/conversation');
 const emojiManager = require('../../src/utils/emoji');
 const commandHandler = require('../../src/commands');
+const config = require('../../src/config/config');
+const responseModeManager = require('../../src/services/response-mode');
+const guildSettings = require('../../src/services/guild-settings');
+const personaManager = require('../../src/services/personas');
+const modelPreferences = require('../../src/services/model-preferences');
+const usageTracker = require('../../src/services/usage-tracker');
+const rateLimiter = require('../../src/services/rate-limiter');
 
 // Mock dependencies
 jest.mock('../../src/services/perplexity-secure', () => ({
@@ -21,11 +29,38 @@ jest.mock('../../src/services/perplexity-secure', () => ({
 jest.mock('../../src/utils/conversation');
 jest.mock('../../src/utils/emoji');
 jest.mock('../../src/commands');
+jest.mock('../../src/services/response-mode');
+jest.mock('../../src/services/guild-settings');
+jest.mock('../../src/services/personas');
+jest.mock('../../src/services/model-preferences');
+
+/**
+ * Turn on streamed replies for the tests in the enclosing describe
+ */
+function useStreaming() {
+  let originalPiOptimizations;
+
+  beforeEach(() => {
+    originalPiOptimizations = config.PI_OPTIMIZATIONS;
+    config.PI_OPTIMIZATIONS = {
+      ...originalPiOptimizations,
+      ENABLED: true,
+      STREAM_RESPONSES: true,
+      LOW_CPU_MODE: false
+    };
+  });
+
+  afterEach(() => {
+    config.PI_OPTIMIZATIONS = originalPiOptimizations;
+  });
+}
 
 describe('Chat Service', () => {
   // Create a mock message
   const createMessage = (content = 'hello') => ({
     content,
+    guildId: 'guild-1',
+    channelId: 'channel-1',
     author: { bot: false, id: '123' },
     reply: jest.fn().mockResolvedValue({}),
     react: jest.fn().mockResolvedValue({}),
@@ -33,15 +68,36 @@ describe('Chat Service', () => {
   });
   
   let conversationManager;
+  let guildSettingValues;
   beforeEach(() => {
+    const unlimited = { dailyTokens: 0, dailyRequests: 0, monthlyTokens: 0, monthlyRequests: 0 };
+    guildSettingValues = {
+      rateLimitWindow: 5000,
+      rateLimitBurst: 3,
+      rateLimitMode: 'reply',
+      maxHistory: 20,
+      reactions: { hello: '👋' },
+      userQuota: unlimited,
+      userQuotaOverrides: {},
+      guildQuota: unlimited,
+      quotaExemptRoles: []
+    };
     jest.clearAllMocks();
     conversationManager = new ConversationManager();
-    jest.spyOn(conversationManager, 'isRateLimited').mockReturnValue(false);
+    rateLimiter.reset();
     jest.spyOn(conversationManager, 'getHistory').mockReturnValue([{ role: 'user', content: 'hello' }]);
     jest.spyOn(conversationManager, 'addMessage').mockImplementation(() => {});
-    perplexityService.generateChatResponse.mockResolvedValue('AI response');
+    perplexityService.generateChatResponse.mockResolvedValue({ content: 'AI response', sources: [] });
     emojiManager.addEmojisToResponse.mockReturnValue('AI response 😊');
     commandHandler.handleTextCommand.mockResolvedValue();
+    responseModeManager.shouldRespond.mockResolvedValue(true);
+    responseModeManager.stripBotMention.mockImplementation(content => content);
+    guildSettings.load.mockResolvedValue();
+    personaManager.getSystemMessage.mockResolvedValue('You are a speedrun router.');
+    modelPreferences.resolveModel.mockResolvedValue('sonar-pro');
+    guildSettings.get.mockImplementation((guildId, key) => guildSettingValues[key]);
+    // The service holds its own manager instance, so stub the shared prototype too
+    ConversationManager.prototype.getHistory.mockReturnValue([{ role: 'user', content: 'hello' }]);
     // Patch the service to use our mock instance if possible
     chatService.__setConversationManager && chatService.__setConversationManager(conversationManager);
   });
@@ -79,16 +135,185 @@ describe('Chat Service', () => {
     expect(conversationManager.addMessage).not.toHaveBeenCalled();
   });
   
-  it('applies rate limiting', async () => {
+  it('applies rate limiting, telling the user once per wait', async () => {
+    guildSettingValues.rateLimitBurst = 1;
+    
+    await chatService(createMessage());
+    const limited = createMessage();
+    await chatService(limited);
+    const limitedAgain = createMessage();
+    await chatService(limitedAgain);
+    
+    expect(perplexityService.generateChatResponse).toHaveBeenCalledTimes(1);
+    expect(limited.reply).toHaveBeenCalledWith('You\'re sending messages too quickly. Please wait 5 seconds before sending another message.');
+    expect(limitedAgain.reply).not.toHaveBeenCalled();
+    expect(rateLimiter.getMetrics().user).toMatchObject({ checked: 3, limited: 2 });
+  });
+  
+  it('reacts to rate-limited messages instead of replying in react mode', async () => {
+    guildSettingValues.rateLimitBurst = 1;
+    guildSettingValues.rateLimitMode = 'react';
+    
+    await chatService(createMessage());
+    const limited = createMessage();
+    await chatService(limited);
+    
+    expect(limited.react).toHaveBeenCalledWith('⏳');
+    expect(limited.reply).not.toHaveBeenCalled();
+  });
+  
+  it('does not hold commands to the chat rate limits', async () => {
+    guildSettingValues.rateLimitBurst = 1;
+    
+    await chatService(createMessage('!help'));
+    await chatService(createMessage('!stats'));
+    
+    expect(commandHandler.handleTextCommand).toHaveBeenCalledTimes(2);
+    expect(rateLimiter.getMetrics().user.checked).toBe(0);
+  });
+  
+  it('refuses messages once the user has used up their allowance', async () => {
     const message = createMessage();
-    conversationManager.isRateLimited.mockReturnValue(true);
+    guildSettingValues.userQuota = { ...guildSettingValues.userQuota, dailyRequests: 20 };
+    jest.spyOn(usageTracker, 'getUsage').mockResolvedValue({
+      today: { requests: 20, promptTokens: 0, completionTokens: 0, cost: 0 },
+      month: { requests: 20, promptTokens: 0, completionTokens: 0, cost: 0 }
+    });
     
     await chatService(message);
     
-    expect(message.reply).toHaveBeenCalled();
+    expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('You\'ve used your daily AI allowance in this server (20 requests)'));
+    expect(perplexityService.generateChatResponse).not.toHaveBeenCalled();
     expect(conversationManager.addMessage).not.toHaveBeenCalled();
   });
   
+  it('gives back the rate limit token when the quota refuses a message', async () => {
+    guildSettingValues.rateLimitBurst = 1;
+    guildSettingValues.userQuota = { ...guildSettingValues.userQuota, dailyRequests: 20 };
+    jest.spyOn(usageTracker, 'getUsage').mockResolvedValue({
+      today: { requests: 20, promptTokens: 0, completionTokens: 0, cost: 0 },
+      month: { requests: 20, promptTokens: 0, completionTokens: 0, cost: 0 }
+    });
+    
+    await chatService(createMessage());
+    const refused = createMessage();
+    await chatService(refused);
+    
+    expect(refused.reply).not.toHaveBeenCalledWith(expect.stringContaining('too quickly'));
+    expect(rateLimiter.getMetrics().user).toMatchObject({ checked: 2, limited: 0 });
+  });
+  
+  it('stays quiet when the guild response mode does not allow a reply', async () => {
+    const message = createMessage('hello');
+    responseModeManager.shouldRespond.mockResolvedValue(false);
+    
+    await chatService(message);
+    
+    expect(perplexityService.generateChatResponse).not.toHaveBeenCalled();
+    expect(message.reply).not.toHaveBeenCalled();
+    expect(rateLimiter.getMetrics().user.checked).toBe(0);
+  });
+  
+  it('still runs commands when the response mode would ignore chat', async () => {
+    const message = createMessage('!help');
+    responseModeManager.shouldRespond.mockResolvedValue(false);
+    
+    await chatService(message);
+    
+    expect(commandHandler.handleTextCommand).toHaveBeenCalledWith(message);
+  });
+  
+  it('sends direct message replies to the channel, fetching partial DM channels first', async () => {
+    const message = createMessage('hello');
+    message.guildId = null;
+    message.channel = {
+      partial: true,
+      fetch: jest.fn().mockResolvedValue({}),
+      send: jest.fn().mockResolvedValue({}),
+      sendTyping: jest.fn()
+    };
+    
+    await chatService(message);
+    
+    expect(message.channel.fetch).toHaveBeenCalled();
+    expect(message.channel.send).toHaveBeenCalledWith(expect.objectContaining({ embeds: expect.any(Array) }));
+    expect(message.reply).not.toHaveBeenCalled();
+  });
+  
+  it('applies the guild\'s settings to the request', async () => {
+    const message = createMessage('hello');
+    guildSettingValues.maxHistory = 1;
+    guildSettingValues.reactions = { thanks: '🙏' };
+    ConversationManager.prototype.getHistory.mockReturnValue([
+      { role: 'user', content: 'first' },
+      { role: 'assistant', content: 'reply' },
+      { role: 'user', content: 'second' }
+    ]);
+    
+    await chatService(message);
+    
+    expect(guildSettings.get).toHaveBeenCalledWith('guild-1', 'rateLimitWindow');
+    const [history, options] = perplexityService.generateChatResponse.mock.calls[0];
+    expect(history).toEqual([{ role: 'user', content: 'second' }]);
+    // The messages that didn't fit are folded into the conversation's summary
+    expect(ConversationManager.prototype.summariseOmitted).toHaveBeenCalledWith(message.author.id, 2, 'guild-1');
+    expect(options).toEqual(expect.objectContaining({
+      guildId: 'guild-1',
+      systemMessage: 'You are a speedrun router.',
+      model: 'sonar-pro'
+    }));
+    expect(modelPreferences.resolveModel).toHaveBeenCalledWith('guild-1', message.author.id);
+    expect(personaManager.getSystemMessage).toHaveBeenCalledWith(message);
+    expect(emojiManager.addEmojisToResponse).toHaveBeenCalledWith('AI response', expect.objectContaining({
+      reactions: { thanks: '🙏' }
+    }));
+  });
+  
+  it('pins the summary of trimmed messages to the system prompt', async () => {
+    ConversationManager.prototype.getSummary.mockReturnValueOnce('They asked about fleet doctrine.');
+    
+    await chatService(createMessage('hello'));
+    
+    const [, options] = perplexityService.generateChatResponse.mock.calls[0];
+    expect(options.systemMessage).toBe(
+      'You are a speedrun router.\n\nSummary of the earlier conversation:\nThey asked about fleet doctrine.'
+    );
+    // Cached answers are shared under the persona alone, whatever the conversation so far
+    expect(options).toEqual(expect.objectContaining({ question: 'hello', cacheScope: 'You are a speedrun router.' }));
+  });
+  
+  it('notes in the footer when a fallback model answered', async () => {
+    jest.spyOn(aiProviders, 'generateChatResponse').mockResolvedValueOnce({
+      content: 'AI response', sources: [], model: 'llama3.1', provider: 'OpenAI-compatible API', fallback: true
+    });
+    const message = createMessage('hello');
+    
+    await chatService(message);
+    
+    expect(aiProviders.generateChatResponse).toHaveBeenCalledWith('guild-1', expect.any(Array), expect.any(Object));
+    expect(message.reply.mock.calls[0][0].embeds[0].footer.text)
+      .toBe('Aszai Bot • Answered by llama3.1 (OpenAI-compatible API fallback)');
+    aiProviders.generateChatResponse.mockRestore();
+  });
+  
+  it('shows cited sources under the reply and keeps them in history', async () => {
+    const message = createMessage('hello');
+    const sources = [{ title: 'Starsector Wiki', url: 'https://starsector.fandom.com/wiki/Onslaught' }];
+    perplexityService.generateChatResponse.mockResolvedValue({ content: 'AI response [1]', sources });
+    
+    await chatService(message);
+    
+    expect(perplexityService.generateChatResponse.mock.calls[0][1]).toEqual(expect.objectContaining({ includeSources: true }));
+    const embed = message.reply.mock.calls[0][0].embeds[0];
+    expect(embed.fields).toEqual([{
+      name: 'Sources',
+      value: '**[1]** [Starsector Wiki](https://starsector.fandom.com/wiki/Onslaught)'
+    }]);
+    expect(ConversationManager.prototype.addMessage).toHaveBeenCalledWith(
+      expect.any(String), 'assistant', 'AI response 😊', message.author.id, { sources, guildId: 'guild-1' }
+    );
+  });
+  
   it('handles API errors gracefully', async () => {
     const message = createMessage();
     perplexityService.generateChatResponse.mockRejectedValue(new Error('API error'));
@@ -98,6 +323,25 @@ describe('Chat Service', () => {
     expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('error'));
   });
   
+  it('tells the user their place in the queue while the bot is busy, then tidies up', async () => {
+    const notice = { edit: jest.fn().mockResolvedValue({}), delete: jest.fn().mockResolvedValue() };
+    const message = createMessage('hello');
+    message.reply.mockResolvedValueOnce(notice);
+    perplexityService.generateChatResponse.mockImplementation(async (history, opts) => {
+      opts.onQueuePosition(2);
+      opts.onQueuePosition(1);
+      opts.onQueuePosition(0);
+      return { content: 'AI response', sources: [] };
+    });
+    
+    await chatService(message);
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(message.reply).toHaveBeenCalledWith('⏳ The bot is busy right now. Your message is number 2 in line.');
+    expect(notice.edit).toHaveBeenCalledWith('⏳ The bot is busy right now. Your message is next in line.');
+    expect(notice.delete).toHaveBeenCalled();
+  });
+  
   it('adds the bot response to conversation history', async () => {
     const message = createMessage('hello');
     
@@ -107,4 +351,79 @@ describe('Chat Service', () => {
     // expect(conversationManager.addMessage).toHaveBeenCalled(); // Remove strict check
     // expect(conversationManager.addMessage).toHaveBeenCalledWith('123', 'assistant', expect.any(String)); // Remove strict check
   });
+
+  describe('streaming replies', () => {
+    useStreaming();
+
+    it('edits a placeholder reply with the streamed response', async () => {
+      const placeholder = { edit: jest.fn().mockResolvedValue({}), delete: jest.fn() };
+      const message = createMessage('hello');
+      message.reply.mockResolvedValue(placeholder);
+      perplexityService.generateChatResponse.mockImplementation(async (history, opts) => {
+        opts.onDelta('AI', 'AI');
+        return { content: 'AI response', sources: [] };
+      });
+
+      await chatService(message);
+
+      const [, options] = perplexityService.generateChatResponse.mock.calls[0];
+      expect(options).toEqual(expect.objectContaining({ onDelta: expect.any(Function) }));
+      expect(message.reply).toHaveBeenCalledTimes(1);
+      const lastEdit = placeholder.edit.mock.calls[placeholder.edit.mock.calls.length - 1][0];
+      expect(lastEdit.embeds[0].description).toBe('AI response 😊');
+    });
+
+    it('tells the user when a retry or fallback starts the streamed answer over', async () => {
+      const placeholder = { edit: jest.fn().mockResolvedValue({}), delete: jest.fn() };
+      const message = createMessage('hello');
+      message.reply.mockResolvedValue(placeholder);
+      perplexityService.generateChatResponse.mockImplementation(async (history, opts) => {
+        opts.onDelta('Half an', 'Half an');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await opts.onRestart();
+        return { content: 'AI response', sources: [] };
+      });
+
+      await chatService(message);
+
+      const descriptions = placeholder.edit.mock.calls.map(([edit]) => edit.embeds[0].description);
+      expect(descriptions).toContain('🔄 The answer was interrupted, so it\'s starting again...');
+      expect(descriptions[descriptions.length - 1]).toBe('AI response 😊');
+    });
+
+    it('replaces the placeholder with the error message when generation fails', async () => {
+      const placeholder = { edit: jest.fn().mockResolvedValue({}), delete: jest.fn() };
+      const message = createMessage('hello');
+      message.reply.mockResolvedValue(placeholder);
+      perplexityService.generateChatResponse.mockRejectedValue(new Error('API error'));
+
+      await chatService(message);
+
+      expect(placeholder.edit).toHaveBeenCalledWith({
+        content: expect.stringContaining('error'),
+        embeds: []
+      });
+    });
+  });
+
+  describe('streaming replies while queued', () => {
+    useStreaming();
+
+    it('shows the reply\'s place in the queue in the placeholder', async () => {
+      const placeholder = { edit: jest.fn().mockResolvedValue({}), delete: jest.fn() };
+      const message = createMessage('hello');
+      message.reply.mockResolvedValue(placeholder);
+      perplexityService.generateChatResponse.mockImplementation(async (history, opts) => {
+        opts.onQueuePosition(3);
+        await new Promise(resolve => setImmediate(resolve));
+        return { content: 'AI response', sources: [] };
+      });
+
+      await chatService(message);
+
+      expect(message.reply).toHaveBeenCalledTimes(1);
+      expect(placeholder.edit.mock.calls[0][0].embeds[0].description)
+        .toBe('⏳ The bot is busy right now. Your message is number 3 in line.');
+    });
+  });
 });
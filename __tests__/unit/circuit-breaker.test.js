@@ -0,0 +1,92 @@
+jest.mock('../../src/utils/logger');
+
+const CircuitBreaker = require('../../src/utils/circuit-breaker');
+const logger = require('../../src/utils/logger');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let now;
+  const outage = new Error('API request failed with status 503');
+  const badRequest = new Error('API request failed with status 400');
+  const fail = () => breaker.execute(() => Promise.reject(outage)).catch(error => error);
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({
+      name: 'Test API',
+      failureThreshold: 3,
+      cooldownMs: 10000,
+      isFailure: error => error !== badRequest
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should open after consecutive failures and fail fast', async () => {
+    await fail();
+    await fail();
+    expect(breaker.getStatus().state).toBe('closed');
+    await fail();
+
+    const operation = jest.fn();
+    const error = await breaker.execute(operation).catch(e => e);
+
+    expect(operation).not.toHaveBeenCalled();
+    expect(CircuitBreaker.isOpenError(error)).toBe(true);
+    expect(error.message).toBe('Test API is unavailable after repeated failures');
+    expect(breaker.getStatus()).toEqual({
+      state: 'open',
+      failures: 3,
+      lastFailure: { message: outage.message, at: now },
+      retryAt: now + 10000
+    });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('circuit opened after 3 consecutive failure(s)'));
+  });
+
+  it('should reset the count after a success', async () => {
+    await fail();
+    await fail();
+    await breaker.execute(async () => 'ok');
+    await fail();
+
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'closed', failures: 1 }));
+  });
+
+  it('should not count errors that say nothing about the service', async () => {
+    for (let i = 0; i < 5; i++) {
+      await breaker.execute(() => Promise.reject(badRequest)).catch(() => {});
+    }
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  it('should let one probe through after the cooldown and close if it succeeds', async () => {
+    await fail();
+    await fail();
+    await fail();
+    now += 10000;
+
+    let finishProbe;
+    const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+    expect(breaker.getStatus().state).toBe('half-open');
+    // Other calls keep failing fast while the probe is out
+    await expect(breaker.execute(async () => 'too soon')).rejects.toThrow('unavailable');
+
+    finishProbe('recovered');
+    await expect(probe).resolves.toBe('recovered');
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+
+  it('should reopen if the probe fails', async () => {
+    await fail();
+    await fail();
+    await fail();
+    now += 10000;
+
+    await fail();
+
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'open', retryAt: now + 10000 }));
+  });
+});
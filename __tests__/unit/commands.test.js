@@ -5,15 +5,39 @@ jest.useFakeTimers();
 jest.mock('../../src/utils/logger');
 jest.mock('../../src/utils/conversation');
 jest.mock('../../src/services/perplexity-secure');
+jest.mock('../../src/services/response-mode');
+jest.mock('../../src/services/dm-preferences');
+jest.mock('../../src/services/guild-settings');
+jest.mock('../../src/services/personas');
+jest.mock('../../src/services/model-preferences');
+jest.mock('../../src/services/request-gate');
+// Loaded lazily, after modules are reset, so every load gets this one
+const mockCachePruner = { getStatus: jest.fn() };
+jest.mock('../../src/utils/cache-pruner', () => mockCachePruner);
+jest.mock('undici', () => ({ ...jest.requireActual('undici'), request: jest.fn() }));
 
 const { handleTextCommand, handleSlashCommand, getSlashCommandsData } = require('../../src/commands');
 const ConversationManager = require('../../src/utils/conversation');
 const perplexityService = require('../../src/services/perplexity-secure');
 const { createMockMessage, createMockInteraction, resetMocks } = require('../../src/utils/testUtils');
 const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+const responseModeManager = require('../../src/services/response-mode');
+const dmPreferences = require('../../src/services/dm-preferences');
+const guildSettings = require('../../src/services/guild-settings');
+const personaManager = require('../../src/services/personas');
+const modelPreferences = require('../../src/services/model-preferences');
+const usageTracker = require('../../src/services/usage-tracker');
+const rateLimiter = require('../../src/services/rate-limiter');
+const requestGate = require('../../src/services/request-gate');
+const { request } = require('undici');
 
 let conversationManager;
 
+beforeEach(() => {
+  requestGate.admit.mockResolvedValue({ allowed: true, limit: { allowed: true }, notice: null });
+});
+
 describe('Command Handlers', () => {
   beforeEach(() => {
     logger.handleError.mockReturnValue('There was an error executing this command.');
@@ -64,6 +88,22 @@ describe('Command Handlers', () => {
       expect(message.reply).toHaveBeenCalled();
     });
 
+    it('should send the summary alternating turns that end with the user', async () => {
+      const message = createMockMessage({ content: '!summary' });
+      ConversationManager.prototype.getHistory.mockReturnValueOnce([
+        { role: 'user', content: 'Alice: hi' },
+        { role: 'user', content: 'Bob: hello' },
+        { role: 'assistant', content: 'Hi both' }
+      ]);
+      perplexityService.generateSummary.mockResolvedValue('This is a summary.');
+      await handleTextCommand(message);
+      expect(perplexityService.generateSummary).toHaveBeenCalledWith([
+        { role: 'user', content: 'Alice: hi\n\nBob: hello' }
+      ], false, { userId: '12345', guildId: null });
+      // The context is sized for the model of the provider that summarises
+      expect(perplexityService.getSummaryModel).toHaveBeenCalled();
+    });
+
     it('should handle !summary command with no history', async () => {
       const message = createMockMessage({ content: '!summary' });
       conversationManager.getHistory.mockReturnValue([]);
@@ -126,6 +166,21 @@ describe('Command Handlers', () => {
       expect(interaction.reply).toHaveBeenCalledWith('Your conversation history has been cleared.');
     });
 
+    it('should clear the shared history in a channel-scoped guild', async () => {
+      guildSettings.get.mockImplementation((guildId, key) => (key === 'conversationScope' ? 'channel' : undefined));
+      try {
+        const interaction = createMockInteraction({
+          commandName: 'clearhistory',
+          guildId: 'guild-1',
+          channelId: 'channel-1'
+        });
+        await handleSlashCommand(interaction);
+        expect(interaction.reply).toHaveBeenCalledWith('The shared conversation history for this channel has been cleared.');
+      } finally {
+        guildSettings.get.mockReset();
+      }
+    });
+
     it('should handle /summary command with history', async () => {
       const interaction = createMockInteraction({ commandName: 'summary' });
       conversationManager.getHistory.mockReturnValue([
@@ -139,6 +194,36 @@ describe('Command Handlers', () => {
       ).toBe(true);
     });
 
+    it('should hold /summary and !summarise to the chat rate limits and allowances', async () => {
+      ConversationManager.prototype.getHistory.mockReturnValueOnce([{ role: 'user', content: 'Hello' }]);
+      requestGate.admit
+        .mockResolvedValueOnce({ allowed: false, limit: { allowed: true }, notice: 'You\'ve used your daily AI allowance.' })
+        .mockResolvedValueOnce({ allowed: false, limit: { allowed: false, scope: 'user', retryAfterMs: 3000 }, notice: null });
+      requestGate.describeRateLimit.mockReturnValue('You\'re sending messages too quickly.');
+
+      const interaction = createMockInteraction({ commandName: 'summary' });
+      await handleSlashCommand(interaction);
+      const message = createMockMessage({ content: '!summarise some long text' });
+      await handleTextCommand(message);
+
+      expect(requestGate.admit).toHaveBeenCalledWith(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith('You\'ve used your daily AI allowance.');
+      expect(message.reply).toHaveBeenCalledWith('You\'re sending messages too quickly.');
+      expect(perplexityService.generateSummary).not.toHaveBeenCalled();
+      expect(perplexityService.generateTextSummary).not.toHaveBeenCalled();
+    });
+
+    it('should show an allowance warning alongside the summary', async () => {
+      ConversationManager.prototype.getHistory.mockReturnValueOnce([{ role: 'user', content: 'Hello' }]);
+      perplexityService.generateSummary.mockResolvedValue('This is a summary.');
+      requestGate.admit.mockResolvedValueOnce({ allowed: true, limit: { allowed: true }, notice: 'Heads up' });
+
+      const interaction = createMockInteraction({ commandName: 'summary' });
+      await handleSlashCommand(interaction);
+
+      expect(interaction.editReply).toHaveBeenCalledWith(expect.objectContaining({ content: 'Heads up' }));
+    });
+
     it('should handle /summary command API error', async () => {
       const interaction = createMockInteraction({ commandName: 'summary' });
       conversationManager.getHistory.mockReturnValue([
@@ -221,4 +306,519 @@ describe('Command Handlers', () => {
       });
     });
   });
+
+  describe('/responsemode', () => {
+    const createResponseModeInteraction = (subcommand, { isAdmin = true, mode, channelId } = {}) =>
+      createMockInteraction({
+        commandName: 'responsemode',
+        guildId: 'guild-1',
+        memberPermissions: { has: jest.fn().mockReturnValue(isAdmin) },
+        options: { getSubcommand: () => subcommand, getString: () => mode, getChannel: () => ({ id: channelId }) }
+      });
+
+    it('should require the Manage Server permission', async () => {
+      const interaction = createResponseModeInteraction('set', { isAdmin: false, mode: 'mention' });
+      await handleSlashCommand(interaction);
+      expect(responseModeManager.setMode).not.toHaveBeenCalled();
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('Manage Server'),
+        ephemeral: true
+      });
+    });
+
+    it('should set the guild response mode', async () => {
+      responseModeManager.setMode.mockResolvedValue({ mode: 'mention', channels: [] });
+      const interaction = createResponseModeInteraction('set', { mode: 'mention' });
+      await handleSlashCommand(interaction);
+      expect(responseModeManager.setMode).toHaveBeenCalledWith('guild-1', 'mention');
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('Response mode: **mention**'),
+        ephemeral: true
+      });
+    });
+
+    it('should add and list allowed channels', async () => {
+      responseModeManager.addChannel.mockResolvedValue({ mode: 'channels', channels: ['channel-9'] });
+      const interaction = createResponseModeInteraction('addchannel', { channelId: 'channel-9' });
+      await handleSlashCommand(interaction);
+      expect(responseModeManager.addChannel).toHaveBeenCalledWith('guild-1', 'channel-9');
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('<#channel-9>'),
+        ephemeral: true
+      });
+    });
+
+    it('should refuse to run outside a server', async () => {
+      const interaction = createResponseModeInteraction('show');
+      interaction.guildId = null;
+      await handleSlashCommand(interaction);
+      expect(responseModeManager.getSettings).not.toHaveBeenCalled();
+    });
+
+    it('should only be available to server managers when registered', () => {
+      const data = getSlashCommandsData().find(command => command.name === 'responsemode');
+      expect(data.default_member_permissions).toBe('32');
+      expect(data.dm_permission).toBe(false);
+    });
+  });
+
+  describe('/config', () => {
+    const createConfigInteraction = (subcommand, { isAdmin = true, key = 'maxHistory', value } = {}) =>
+      createMockInteraction({
+        commandName: 'config',
+        guildId: 'guild-1',
+        memberPermissions: { has: jest.fn().mockReturnValue(isAdmin) },
+        options: { getSubcommand: () => subcommand, getString: name => (name === 'key' ? key : value) }
+      });
+
+    beforeEach(() => {
+      guildSettings.load.mockResolvedValue();
+      guildSettings.getOverrides.mockReturnValue({ maxHistory: 5 });
+      guildSettings.get.mockReturnValue(5);
+      guildSettings.formatValue.mockImplementation((key, value) => String(value));
+    });
+
+    it('should require the Manage Server permission', async () => {
+      const interaction = createConfigInteraction('set', { isAdmin: false, value: '5' });
+      await handleSlashCommand(interaction);
+      expect(guildSettings.set).not.toHaveBeenCalled();
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('Manage Server'),
+        ephemeral: true
+      });
+    });
+
+    it('should override a setting and show the new value', async () => {
+      const interaction = createConfigInteraction('set', { value: '5' });
+      await handleSlashCommand(interaction);
+      expect(guildSettings.set).toHaveBeenCalledWith('guild-1', 'maxHistory', '5');
+      expect(interaction.reply).toHaveBeenCalledWith({ content: '**maxHistory** (server): 5', ephemeral: true });
+    });
+
+    it('should explain why a value was rejected', async () => {
+      guildSettings.set.mockRejectedValue(new Error('Value must be a whole number between 1 and 100.'));
+      const interaction = createConfigInteraction('set', { value: 'lots' });
+      await handleSlashCommand(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: 'Value must be a whole number between 1 and 100.',
+        ephemeral: true
+      });
+    });
+
+    it('should reset every setting when no key is given', async () => {
+      guildSettings.getOverrides.mockReturnValue({});
+      const interaction = createConfigInteraction('reset', { key: null });
+      await handleSlashCommand(interaction);
+      expect(guildSettings.reset).toHaveBeenCalledWith('guild-1', undefined);
+    });
+
+    it('should mark settings that use the default', async () => {
+      guildSettings.getOverrides.mockReturnValue({});
+      const interaction = createConfigInteraction('get');
+      await handleSlashCommand(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith({ content: '**maxHistory** (default): 5', ephemeral: true });
+    });
+  });
+
+  describe('/persona', () => {
+    const createPersonaInteraction = (subcommand, { isAdmin = true, name, prompt, channelId } = {}) =>
+      createMockInteraction({
+        commandName: 'persona',
+        guildId: 'guild-1',
+        memberPermissions: { has: jest.fn().mockReturnValue(isAdmin) },
+        options: {
+          getSubcommand: () => subcommand,
+          getString: option => (option === 'name' ? name : prompt),
+          getChannel: () => (channelId ? { id: channelId } : null)
+        }
+      });
+
+    it('should require the Manage Server permission', async () => {
+      const interaction = createPersonaInteraction('create', { isAdmin: false, name: 'lore', prompt: 'Be wise.' });
+      await handleSlashCommand(interaction);
+      expect(personaManager.savePersona).not.toHaveBeenCalled();
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('Manage Server'),
+        ephemeral: true
+      });
+    });
+
+    it('should create a persona', async () => {
+      personaManager.savePersona.mockResolvedValue(true);
+      const interaction = createPersonaInteraction('create', { name: 'Lore', prompt: 'Be wise.' });
+      await handleSlashCommand(interaction);
+      expect(personaManager.savePersona).toHaveBeenCalledWith('guild-1', 'Lore', 'Be wise.');
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('Persona **lore** created'),
+        ephemeral: true
+      });
+    });
+
+    it('should attach a persona to a channel', async () => {
+      const interaction = createPersonaInteraction('attach', { name: 'lore', channelId: 'channel-9' });
+      await handleSlashCommand(interaction);
+      expect(personaManager.attach).toHaveBeenCalledWith('guild-1', 'lore', 'channel-9');
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: 'Persona **lore** is now used in <#channel-9>.',
+        ephemeral: true
+      });
+    });
+
+    it('should explain why a persona could not be attached', async () => {
+      personaManager.attach.mockRejectedValue(new Error('There is no persona called "nope".'));
+      const interaction = createPersonaInteraction('attach', { name: 'nope' });
+      await handleSlashCommand(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith({ content: 'There is no persona called "nope".', ephemeral: true });
+    });
+
+    it('should list personas and where they are used', async () => {
+      personaManager.listPersonas.mockResolvedValue({
+        personas: { lore: 'Be wise.', routes: 'Be fast.' },
+        guildPersona: 'lore',
+        channels: { 'channel-9': 'routes' }
+      });
+      const interaction = createPersonaInteraction('list');
+      await handleSlashCommand(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: '**lore** (whole server): Be wise.\n**routes** (<#channel-9>): Be fast.',
+        ephemeral: true
+      });
+    });
+  });
+
+  describe('/model', () => {
+    beforeEach(() => {
+      modelPreferences.resolveModel.mockResolvedValue('sonar-pro');
+      modelPreferences.getAllowedModels.mockResolvedValue(['sonar', 'sonar-pro']);
+    });
+
+    it('should pick a model with the slash command', async () => {
+      const interaction = createMockInteraction({
+        commandName: 'model',
+        guildId: 'guild-1',
+        options: { getString: () => 'sonar-pro' }
+      });
+      await handleSlashCommand(interaction);
+      expect(modelPreferences.setPreference).toHaveBeenCalledWith('12345', 'sonar-pro', 'guild-1');
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: expect.stringContaining('`sonar-pro` - Sonar Pro ($3/$15 per 1M tokens in/out) ← current'),
+        ephemeral: true
+      });
+    });
+
+    it('should go back to the server default with the text command', async () => {
+      const message = createMockMessage({ content: '!model default' });
+      await handleTextCommand(message);
+      expect(modelPreferences.clearPreference).toHaveBeenCalledWith('12345');
+      expect(modelPreferences.setPreference).not.toHaveBeenCalled();
+    });
+
+    it('should explain when a model is not allowed', async () => {
+      modelPreferences.setPreference.mockRejectedValue(new Error('The model "sonar-pro" isn\'t available here.'));
+      const interaction = createMockInteraction({ commandName: 'model', options: { getString: () => 'sonar-pro' } });
+      await handleSlashCommand(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: 'The model "sonar-pro" isn\'t available here.',
+        ephemeral: true
+      });
+    });
+  });
+
+  describe('/dms', () => {
+    it('should opt the user out with the text command', async () => {
+      const message = createMockMessage({ content: '!dms off' });
+      await handleTextCommand(message);
+      expect(dmPreferences.optOut).toHaveBeenCalledWith('12345');
+      expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('won\'t reply to your direct messages'));
+    });
+
+    it('should opt the user back in with the slash command', async () => {
+      const interaction = createMockInteraction({
+        commandName: 'dms',
+        options: { getString: () => 'on' }
+      });
+      await handleSlashCommand(interaction);
+      expect(dmPreferences.optIn).toHaveBeenCalledWith('12345');
+    });
+
+    it('should show the current setting when none is given', async () => {
+      dmPreferences.isOptedOut.mockResolvedValue(true);
+      const message = createMockMessage({ content: '!dms' });
+      await handleTextCommand(message);
+      expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('currently **off**'));
+    });
+  });
+
+  describe('/status', () => {
+    const createStatusInteraction = (isAdmin = true) => createMockInteraction({
+      commandName: 'status',
+      guildId: 'guild-1',
+      memberPermissions: { has: jest.fn().mockReturnValue(isAdmin) }
+    });
+
+    it('should show when the AI service is failing fast and when it is next checked', async () => {
+      rateLimiter.reset();
+      perplexityService.getCircuitStatus.mockReturnValue({
+        state: 'open',
+        failures: 5,
+        lastFailure: { message: 'API request failed with status 503', at: 1700000000000 },
+        retryAt: 1700000030000
+      });
+      const interaction = createStatusInteraction();
+      await handleSlashCommand(interaction);
+      expect(interaction.reply).toHaveBeenCalledWith({
+        content: '**Perplexity API:** 🔴 Unavailable: requests fail fast until the next check\n' +
+          'Consecutive failures: 5\n' +
+          'Last failure: API request failed with status 503 (<t:1700000000:R>)\n' +
+          'Next check: <t:1700000030:R>\n\n' +
+          '**Rate limits** (since the bot started)\n' +
+          'User: 0 of 0 messages held back\n' +
+          'Channel: 0 of 0 messages held back\n' +
+          'Guild: 0 of 0 messages held back\n' +
+          'Global: 0 of 0 messages held back',
+        ephemeral: true
+      });
+    });
+
+    it('should show how often each kind of rate limit has held messages back', async () => {
+      rateLimiter.reset();
+      perplexityService.getCircuitStatus.mockReturnValue({ state: 'closed', failures: 0, lastFailure: null, retryAt: null });
+      const now = 1700000000000;
+      rateLimiter.take({ userId: 'user-1' }, { burst: 1, refillMs: 5000 }, now);
+      rateLimiter.take({ userId: 'user-1' }, { burst: 1, refillMs: 5000 }, now);
+
+      const interaction = createStatusInteraction();
+      await handleSlashCommand(interaction);
+      expect(interaction.reply.mock.calls[0][0].content).toContain('User: 1 of 2 messages held back, last <t:1700000000:R>');
+    });
+
+    it('should require the Manage Server permission', async () => {
+      const interaction = createStatusInteraction(false);
+      await handleSlashCommand(interaction);
+      expect(perplexityService.getCircuitStatus).not.toHaveBeenCalled();
+      expect(interaction.reply).toHaveBeenCalledWith({ content: expect.stringContaining('Manage Server'), ephemeral: true });
+    });
+  });
+
+  describe('/usage', () => {
+    const createUsageInteraction = (isAdmin = true) => createMockInteraction({
+      commandName: 'usage',
+      guildId: 'guild-1',
+      memberPermissions: { has: jest.fn().mockReturnValue(isAdmin) }
+    });
+    const totals = (requests, tokens, cost) => ({ requests, promptTokens: tokens, completionTokens: 0, cost });
+
+    it('should show daily and monthly usage with the costliest models and users', async () => {
+      jest.spyOn(usageTracker, 'getGuildReport').mockResolvedValue({
+        daily: [{ period: '2025-08-15', totals: totals(1, 1500, 0.0045) }],
+        monthly: [{ period: '2025-08', totals: totals(12, 15230, 0.0213) }],
+        models: [{ model: 'sonar-pro', totals: totals(12, 15230, 0.0213) }],
+        users: [{ userId: 'user-1', totals: totals(12, 15230, 0.0213) }]
+      });
+      const interaction = createUsageInteraction();
+      await handleSlashCommand(interaction);
+
+      expect(usageTracker.getGuildReport).toHaveBeenCalledWith('guild-1');
+      const { content, ephemeral } = interaction.reply.mock.calls[0][0];
+      expect(ephemeral).toBe(true);
+      expect(content).toContain('2025-08-15: 1 request, 1,500 tokens (~$0.0045)');
+      expect(content).toContain('2025-08: 12 requests, 15,230 tokens (~$0.0213)');
+      expect(content).toContain('Sonar Pro: 12 requests');
+      expect(content).toContain('<@user-1>: 12 requests');
+    });
+
+    it('should require the Manage Server permission', async () => {
+      jest.spyOn(usageTracker, 'getGuildReport');
+      const interaction = createUsageInteraction(false);
+      await handleSlashCommand(interaction);
+      expect(usageTracker.getGuildReport).not.toHaveBeenCalled();
+      expect(interaction.reply).toHaveBeenCalledWith({ content: expect.stringContaining('Manage Server'), ephemeral: true });
+    });
+  });
+});
+
+/**
+ * Run each test as a bot admin
+ */
+function useBotAdmin() {
+  beforeEach(() => {
+    config.BOT_ADMIN_IDS = ['admin-1'];
+  });
+
+  afterEach(() => {
+    config.BOT_ADMIN_IDS = [];
+    resetMocks();
+    jest.clearAllMocks();
+  });
+}
+
+const createCacheInteraction = (subcommand, { userId = 'admin-1', text, attachment } = {}) => createMockInteraction({
+  commandName: 'cache',
+  guildId: 'guild-1',
+  channelId: 'channel-1',
+  userId,
+  memberPermissions: { has: jest.fn().mockReturnValue(true) },
+  options: {
+    getSubcommand: () => subcommand,
+    getString: () => text,
+    getAttachment: () => attachment
+  }
+});
+
+describe('/cache', () => {
+  useBotAdmin();
+
+  it('should only let bot admins manage the cache, even with Manage Server', async () => {
+    const interaction = createCacheInteraction('clear', { userId: 'user-2' });
+    await handleSlashCommand(interaction);
+    expect(perplexityService.clearCache).not.toHaveBeenCalled();
+    expect(interaction.reply).toHaveBeenCalledWith({ content: expect.stringContaining('Only bot admins'), ephemeral: true });
+  });
+
+  it('should show the cache\'s size, hit rate and pruning schedule', async () => {
+    perplexityService.getCacheStats.mockResolvedValue({
+      entries: 42, maxEntries: 100, sizeBytes: 20480, hits: 3, misses: 1, hitRate: 0.75, storedHits: 17
+    });
+    mockCachePruner.getStatus.mockReturnValue({ lastPruneTime: 1700000000000, nextPruneTime: 1700001800000 });
+    const interaction = createCacheInteraction('stats');
+    await handleSlashCommand(interaction);
+
+    expect(interaction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+    expect(interaction.editReply).toHaveBeenCalledWith('**Question cache**\n' +
+      'Entries: 42 of 100\n' +
+      'Size: 20.0 KB\n' +
+      'Hit rate since the bot started: 75.0% of 4 questions answered from the cache\n' +
+      'Times cached answers have been used: 17\n' +
+      'Last pruned: <t:1700000000:R>, next <t:1700001800:R>');
+  });
+
+  it('should list matching answers with their keys', async () => {
+    perplexityService.searchCache.mockResolvedValue({
+      total: 12,
+      matches: [{ key: 'abc123', question: 'best ship', model: 'sonar', hits: 1, createdAt: 1700000000000 }]
+    });
+    const interaction = createCacheInteraction('search', { text: 'ship' });
+    await handleSlashCommand(interaction);
+
+    expect(perplexityService.searchCache).toHaveBeenCalledWith('ship', 10);
+    expect(interaction.editReply).toHaveBeenCalledWith('**12 cached answers match** (showing the 1 most recently used)\n' +
+      '`abc123` "best ship" - sonar, 1 hit, cached <t:1700000000:R>');
+  });
+});
+
+describe('/cache invalidate and clear', () => {
+  useBotAdmin();
+
+  it('should invalidate answers by key or pattern and clear the cache', async () => {
+    perplexityService.invalidateCache.mockResolvedValueOnce(2).mockResolvedValueOnce(0);
+    perplexityService.clearCache.mockResolvedValue(5);
+
+    const invalidate = createCacheInteraction('invalidate', { text: 'best *' });
+    await handleSlashCommand(invalidate);
+    expect(perplexityService.invalidateCache).toHaveBeenCalledWith('best *');
+    expect(invalidate.editReply).toHaveBeenCalledWith('Removed 2 cached answers.');
+
+    const missing = createCacheInteraction('invalidate', { text: 'nope' });
+    await handleSlashCommand(missing);
+    expect(missing.editReply).toHaveBeenCalledWith('No cached answers match "nope".');
+
+    const clear = createCacheInteraction('clear');
+    await handleSlashCommand(clear);
+    expect(clear.editReply).toHaveBeenCalledWith('Cleared the question cache (5 answers removed).');
+  });
+
+  it('should explain why a pattern was refused', async () => {
+    perplexityService.invalidateCache.mockRejectedValueOnce(new Error('A pattern needs at least one word besides `*`.'));
+
+    const interaction = createCacheInteraction('invalidate', { text: '*' });
+    await handleSlashCommand(interaction);
+
+    expect(interaction.editReply).toHaveBeenCalledWith('A pattern needs at least one word besides `*`.');
+  });
+});
+
+describe('/cache warm', () => {
+  const attachment = { url: 'https://cdn.example.com/faq.json', size: 100 };
+  const createWarmInteraction = (file = attachment) => createCacheInteraction('warm', { attachment: file });
+  const respondWith = (text, statusCode = 200) => request.mockResolvedValue({
+    statusCode,
+    body: { text: jest.fn().mockResolvedValue(text), dump: jest.fn().mockResolvedValue() }
+  });
+
+  useBotAdmin();
+
+  beforeEach(() => {
+    personaManager.getActivePersona.mockResolvedValue({ name: 'lore', prompt: 'Be wise.' });
+    personaManager.getSystemMessage.mockResolvedValue('Be wise.');
+  });
+
+  it('should cache the file\'s answers for the channel\'s persona', async () => {
+    const items = [{ question: 'Best ship?', answer: 'Onslaught' }, { question: 'No answer' }];
+    respondWith(JSON.stringify(items));
+    perplexityService.warmCache.mockResolvedValue({ added: 1, skipped: 1, unavailableModels: [] });
+    const interaction = createWarmInteraction();
+    await handleSlashCommand(interaction);
+
+    expect(request).toHaveBeenCalledWith(attachment.url);
+    expect(perplexityService.warmCache).toHaveBeenCalledWith(items, { guildId: 'guild-1', systemMessage: 'Be wise.' });
+    expect(interaction.editReply).toHaveBeenCalledWith(
+      'Cached 1 answer for the **lore** persona. Skipped 1 entry without a question and answer.'
+    );
+  });
+
+  it('should say which entries named a model that isn\'t available here', async () => {
+    respondWith('[]');
+    perplexityService.warmCache.mockResolvedValue({ added: 0, skipped: 0, unavailableModels: ['gpt-9', 'gpt-9', 'sonar-pro'] });
+    guildSettings.get.mockImplementation((guildId, key) => (key === 'allowedModels' ? ['sonar'] : undefined));
+    try {
+      const interaction = createWarmInteraction();
+      await handleSlashCommand(interaction);
+
+      expect(interaction.editReply).toHaveBeenCalledWith('Cached 0 answers for the **lore** persona. Skipped 3 entries ' +
+        'naming a model that isn\'t available here (gpt-9, sonar-pro). Choose one of: sonar.');
+    } finally {
+      guildSettings.get.mockReset();
+    }
+  });
+
+  it('should explain why a file can\'t be used', async () => {
+    const tooBig = createWarmInteraction({ ...attachment, size: 1024 * 1024 });
+    await handleSlashCommand(tooBig);
+    expect(request).not.toHaveBeenCalled();
+    expect(tooBig.editReply).toHaveBeenCalledWith(expect.stringContaining('too big'));
+
+    respondWith('{"question": "not a list"}');
+    const notAList = createWarmInteraction();
+    await handleSlashCommand(notAList);
+    expect(notAList.editReply).toHaveBeenCalledWith(expect.stringContaining('JSON list'));
+
+    respondWith('', 404);
+    const missing = createWarmInteraction();
+    await handleSlashCommand(missing);
+    expect(missing.editReply).toHaveBeenCalledWith('Couldn\'t download that file. Please try again.');
+    expect(perplexityService.warmCache).not.toHaveBeenCalled();
+  });
+});
+
+describe('guild settings after a restart', () => {
+  afterEach(() => {
+    jest.doMock('../../src/services/guild-settings');
+  });
+
+  it('should load saved settings before running a slash command', async () => {
+    let commands;
+    let dataStorage;
+    jest.isolateModules(() => {
+      jest.doMock('../../src/services/guild-settings', () => jest.requireActual('../../src/services/guild-settings'));
+      dataStorage = require('../../src/services/storage');
+      commands = require('../../src/commands');
+    });
+    jest.spyOn(dataStorage, 'scan').mockResolvedValue({ 'guild-1': { conversationScope: 'channel' } });
+
+    const interaction = createMockInteraction({ commandName: 'clearhistory', guildId: 'guild-1', channelId: 'channel-1' });
+    await commands.handleSlashCommand(interaction);
+
+    expect(dataStorage.scan).toHaveBeenCalledWith('guild_settings');
+    expect(interaction.reply).toHaveBeenCalledWith('The shared conversation history for this channel has been cleared.');
+  });
 });
@@ -75,6 +75,27 @@ describe('Config', () => {
     expect(config.API.PERPLEXITY.BASE_URL).toBeDefined();
   });
   
+  it('should parse the AI fallback chain, keeping colons in model tags', () => {
+    process.env.AI_FALLBACKS = 'perplexity:sonar, openai-compatible:llama3.1:8b,openai-compatible';
+    const config = require('../../src/config/config');
+    expect(config.AI_FALLBACKS).toEqual([
+      { provider: 'perplexity', model: 'sonar' },
+      { provider: 'openai-compatible', model: 'llama3.1:8b' },
+      { provider: 'openai-compatible', model: null }
+    ]);
+  });
+  
+  it('should parse question cache aliases and the cache time to live', () => {
+    process.env.QUESTION_CACHE_ALIASES = 'ss=starsector, eve = eve online,broken';
+    process.env.QUESTION_CACHE_TTL_HOURS = '2';
+    const config = require('../../src/config/config');
+    expect(config.QUESTION_CACHE).toEqual({
+      TTL_MS: 2 * 60 * 60 * 1000,
+      ALIASES: { ss: 'starsector', eve: 'eve online' },
+      FLUSH_DELAY_MS: 30000
+    });
+  });
+  
   it('should have system messages defined', () => {
     const config = require('../../src/config/config');
     expect(config.SYSTEM_MESSAGES).toBeDefined();
@@ -11,13 +11,49 @@ jest.mock('../../src/config/config', () => ({
   }
 }));
 
+/**
+ * Queue a request behind a busy throttler, noting when it starts
+ * @param {Array<string>} started - Names of requests in the order they start (modified)
+ * @param {string} name - Request name
+ * @param {Object} options - executeRequest options
+ * @returns {Promise} - Result of the request
+ */
+function queueRequest(started, name, options = {}) {
+  return connectionThrottler.executeRequest(async () => {
+    started.push(name);
+    return name;
+  }, 'TEST', options);
+}
+
+/**
+ * Queue a request that the test leaves waiting until the queue is cleared, which rejects it
+ * @param {string} name - Request name
+ * @param {Object} options - executeRequest options
+ */
+function leaveQueued(name, options = {}) {
+  queueRequest([], name, options).catch(() => {});
+}
+
+/**
+ * Free the throttler's only connection and let every queued request run
+ * @param {Array<Promise>} requests - Queued requests
+ * @returns {Promise<Array>} - Their results
+ */
+function drainQueue(requests) {
+  connectionThrottler.activeConnections = 0;
+  connectionThrottler._processQueue();
+  return Promise.all(requests);
+}
+
 describe('Connection Throttler', () => {
   // Reset mocks between tests
   beforeEach(() => {
     jest.clearAllMocks();
     connectionThrottler.activeConnections = 0;
-    connectionThrottler.connectionQueue = [];
+    connectionThrottler.clearQueue();
     connectionThrottler.maxConnections = 2;
+    connectionThrottler.maxQueueLength = 20;
+    connectionThrottler.maxQueuedPerKey = 3;
   });
 
   describe('executeRequest', () => {
@@ -93,19 +129,162 @@ describe('Connection Throttler', () => {
     });
   });
 
+  describe('cancellation', () => {
+    it('should drop a queued request when it is aborted', async () => {
+      connectionThrottler.activeConnections = 2;
+      const controller = new AbortController();
+      const mockRequest = jest.fn().mockResolvedValue('never sent');
+      
+      const requestPromise = connectionThrottler.executeRequest(mockRequest, 'SLOW', { signal: controller.signal });
+      const reason = new Error('Timed out');
+      controller.abort(reason);
+      
+      await expect(requestPromise).rejects.toBe(reason);
+      expect(connectionThrottler.queueLength).toBe(0);
+      
+      connectionThrottler.activeConnections = 1;
+      connectionThrottler._processQueue();
+      expect(mockRequest).not.toHaveBeenCalled();
+    });
+    
+    it('should not start a request that was already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Cancelled'));
+      const mockRequest = jest.fn();
+      
+      await expect(connectionThrottler.executeRequest(mockRequest, 'TEST', { signal: controller.signal }))
+        .rejects.toThrow('Cancelled');
+      expect(mockRequest).not.toHaveBeenCalled();
+      expect(connectionThrottler.activeConnections).toBe(0);
+    });
+  });
+
   describe('clearQueue', () => {
-    it('should clear all queued requests', () => {
-      // Add some mock tasks to the queue
-      connectionThrottler.connectionQueue = [
-        jest.fn(),
-        jest.fn(),
-        jest.fn()
-      ];
+    it('should clear all queued requests', async () => {
+      // Queue some requests behind a busy throttler
+      connectionThrottler.activeConnections = 2;
+      const pending = ['user-1', 'user-2', 'user-3'].map(queueKey =>
+        connectionThrottler.executeRequest(jest.fn(), 'TEST', { queueKey }).catch(error => error));
+      jest.clearAllMocks();
       
       connectionThrottler.clearQueue();
       
-      expect(connectionThrottler.connectionQueue).toHaveLength(0);
+      expect(connectionThrottler.queueLength).toBe(0);
+      expect(connectionThrottler.getQueueStatus().byPriority).toEqual({ command: 0, chat: 0, background: 0 });
       expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Cleared 3 pending requests'));
+      await Promise.all(pending);
     });
+    
+    it('should reject the requests it clears so their callers stop waiting', async () => {
+      connectionThrottler.activeConnections = 2;
+      const mockRequest = jest.fn();
+      const controller = new AbortController();
+      const pending = connectionThrottler.executeRequest(mockRequest, 'TEST', { signal: controller.signal });
+      
+      connectionThrottler.clearQueue();
+      
+      await expect(pending).rejects.toMatchObject({ name: 'QueueFullError', code: connectionThrottler.QUEUE_FULL_CODE });
+      // A later abort or free connection no longer touches the cleared request
+      controller.abort();
+      connectionThrottler.activeConnections = 0;
+      connectionThrottler._processQueue();
+      expect(mockRequest).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Connection Throttler queue order', () => {
+  let started;
+  
+  beforeEach(() => {
+    started = [];
+    connectionThrottler.clearQueue();
+    connectionThrottler.maxConnections = 1;
+    connectionThrottler.activeConnections = 1;
+    connectionThrottler.maxQueueLength = 20;
+    connectionThrottler.maxQueuedPerKey = 3;
+  });
+  
+  it('should let each user take a turn rather than serving one user\'s requests back to back', async () => {
+    const requests = [
+      queueRequest(started, 'a1', { queueKey: 'user-a' }),
+      queueRequest(started, 'a2', { queueKey: 'user-a' }),
+      queueRequest(started, 'a3', { queueKey: 'user-a' }),
+      queueRequest(started, 'b1', { queueKey: 'user-b' }),
+      queueRequest(started, 'c1', { queueKey: 'user-c' })
+    ];
+    
+    await drainQueue(requests);
+    
+    expect(started).toEqual(['a1', 'b1', 'c1', 'a2', 'a3']);
+  });
+  
+  it('should serve commands before chat and chat before background work', async () => {
+    const requests = [
+      queueRequest(started, 'summary', { queueKey: 'guild-1', priority: 'background' }),
+      queueRequest(started, 'chat', { queueKey: 'user-a' }),
+      queueRequest(started, 'command', { queueKey: 'user-b', priority: 'command' })
+    ];
+    
+    await drainQueue(requests);
+    
+    expect(started).toEqual(['command', 'chat', 'summary']);
+  });
+  
+  it('should tell waiting requests their place in the queue as it changes', async () => {
+    const positions = { a1: jest.fn(), a2: jest.fn(), b1: jest.fn() };
+    const requests = ['a1', 'a2', 'b1'].map(name => queueRequest(started, name, {
+      queueKey: `user-${name[0]}`,
+      onQueuePosition: positions[name]
+    }));
+    
+    // b1 overtakes a2 as soon as it is queued
+    expect(positions.a2.mock.calls).toEqual([[2], [3]]);
+    expect(connectionThrottler.getQueueStatus()).toMatchObject({ queued: 3, byPriority: { chat: 3 } });
+    
+    await drainQueue(requests);
+    
+    expect(positions.a1.mock.calls).toEqual([[1], [0]]);
+    expect(positions.b1.mock.calls).toEqual([[2], [1], [0]]);
+    expect(positions.a2.mock.calls).toEqual([[2], [3], [2], [1], [0]]);
+  });
+});
+
+describe('Connection Throttler queue limits', () => {
+  beforeEach(() => {
+    connectionThrottler.clearQueue();
+    connectionThrottler.maxConnections = 1;
+    connectionThrottler.activeConnections = 1;
+    connectionThrottler.maxQueueLength = 2;
+    connectionThrottler.maxQueuedPerKey = 2;
+  });
+  
+  afterEach(() => {
+    connectionThrottler.clearQueue();
+  });
+  
+  it('should turn requests away once the queue is full', async () => {
+    leaveQueued('a1', { queueKey: 'user-a' });
+    leaveQueued('b1', { queueKey: 'user-b' });
+    const mockRequest = jest.fn();
+    
+    await expect(connectionThrottler.executeRequest(mockRequest, 'TEST', { queueKey: 'user-c' }))
+      .rejects.toMatchObject({ name: 'QueueFullError', code: connectionThrottler.QUEUE_FULL_CODE });
+    expect(mockRequest).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('queue is full'));
+  });
+  
+  it('should stop one user filling the queue on their own', async () => {
+    connectionThrottler.maxQueueLength = 10;
+    leaveQueued('a1', { queueKey: 'user-a' });
+    leaveQueued('a2', { queueKey: 'user-a', priority: 'command' });
+    
+    await expect(queueRequest([], 'a3', { queueKey: 'user-a' })).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    leaveQueued('b1', { queueKey: 'user-b' });
+    leaveQueued('shared1');
+    leaveQueued('shared2');
+    leaveQueued('shared3');
+    
+    expect(connectionThrottler.queueLength).toBe(6);
   });
 });
@@ -0,0 +1,138 @@
+const config = require('../../src/config/config');
+const {
+  estimateTokens,
+  getHistoryBudget,
+  normaliseTurns,
+  selectContext,
+  buildContext,
+  withSummary
+} = require('../../src/utils/context-builder');
+
+describe('context-builder', () => {
+  describe('estimateTokens', () => {
+    it('should estimate about four characters per token', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens('abcd')).toBe(1);
+      expect(estimateTokens('a'.repeat(401))).toBe(101);
+    });
+  });
+
+  describe('getHistoryBudget', () => {
+    it('should leave room for the reply inside the model\'s context window', () => {
+      const window = config.API.PERPLEXITY.MODELS['sonar-pro'].CONTEXT_WINDOW;
+      expect(getHistoryBudget('sonar-pro', 1024)).toBe(window - 1024);
+      expect(getHistoryBudget('gpt-nope', 1024)).toBe(Infinity);
+    });
+  });
+
+  describe('normaliseTurns', () => {
+    it('should merge consecutive turns from the same role', () => {
+      expect(normaliseTurns([
+        { role: 'user', content: 'Alice: hi' },
+        { role: 'user', content: 'Bob: hello' },
+        { role: 'assistant', content: 'Hi both' },
+        { role: 'user', content: 'Alice: question' }
+      ])).toEqual([
+        { role: 'user', content: 'Alice: hi\n\nBob: hello' },
+        { role: 'assistant', content: 'Hi both' },
+        { role: 'user', content: 'Alice: question' }
+      ]);
+    });
+
+    it('should start and end with the user', () => {
+      expect(normaliseTurns([
+        { role: 'assistant', content: 'Welcome' },
+        { role: 'user', content: 'Question' },
+        { role: 'assistant', content: 'Answer', sources: [] }
+      ])).toEqual([{ role: 'user', content: 'Question' }]);
+      expect(normaliseTurns([{ role: 'assistant', content: 'Only me' }])).toEqual([]);
+    });
+  });
+
+  describe('buildContext', () => {
+    const history = [
+      { role: 'user', content: 'a'.repeat(400) },
+      { role: 'assistant', content: 'b'.repeat(400) },
+      { role: 'user', content: 'c'.repeat(400) },
+      { role: 'assistant', content: 'd'.repeat(400) },
+      { role: 'user', content: 'latest question' }
+    ];
+    const originalModels = config.API.PERPLEXITY.MODELS;
+
+    afterEach(() => {
+      config.API.PERPLEXITY.MODELS = originalModels;
+    });
+
+    const useContextWindow = contextWindow => {
+      config.API.PERPLEXITY.MODELS = { tiny: { CONTEXT_WINDOW: contextWindow } };
+    };
+
+    it('should keep everything that fits', () => {
+      expect(buildContext(history, { model: 'sonar' })).toHaveLength(5);
+    });
+
+    it('should drop the oldest turns once the budget runs out', () => {
+      // 300 tokens for history: the latest three messages (216 tokens) fit, a fourth would not
+      useContextWindow(400);
+      const context = buildContext(history, { model: 'tiny', reservedTokens: 100 });
+
+      expect(context.map(message => message.content[0])).toEqual(['c', 'd', 'l']);
+    });
+
+    it('should count the system message against the budget', () => {
+      useContextWindow(400);
+      const context = buildContext(history, { model: 'tiny', reservedTokens: 100, systemMessage: 'x'.repeat(400) });
+
+      expect(context).toEqual([{ role: 'user', content: 'latest question' }]);
+    });
+
+    it('should truncate a latest message that is too long on its own', () => {
+      useContextWindow(200);
+      const wallOfText = [{ role: 'user', content: `${'x'.repeat(2000)} what does this mean?` }];
+      const [message] = buildContext(wallOfText, { model: 'tiny', reservedTokens: 100 });
+
+      expect(message.content.length).toBeLessThanOrEqual(400);
+      expect(message.content).toMatch(/^\.\.\.x+ what does this mean\?$/);
+    });
+
+    it('should respect a maximum message count', () => {
+      const context = buildContext(history, { model: 'sonar', maxMessages: 2 });
+      expect(context).toEqual([{ role: 'user', content: 'latest question' }]);
+    });
+  });
+
+  describe('selectContext', () => {
+    const history = [
+      { role: 'user', content: 'first' },
+      { role: 'assistant', content: 'reply' },
+      { role: 'user', content: 'second' },
+      { role: 'user', content: 'third' },
+      { role: 'assistant', content: 'another reply' },
+      { role: 'user', content: 'latest question' }
+    ];
+
+    it('should count the stored messages left out, however turns were merged', () => {
+      const { messages, omitted } = selectContext(history, { model: 'sonar', maxMessages: 3 });
+
+      expect(messages[0]).toEqual({ role: 'user', content: 'second\n\nthird' });
+      expect(omitted).toBe(2);
+    });
+
+    it('should leave nothing out when everything fits', () => {
+      expect(selectContext(history, { model: 'sonar' })).toEqual({
+        messages: normaliseTurns(history),
+        omitted: 0
+      });
+    });
+  });
+
+  describe('withSummary', () => {
+    it('should append the summary of earlier messages to the system prompt', () => {
+      expect(withSummary('Be brief.', 'They asked about Pi setup.'))
+        .toBe('Be brief.\n\nSummary of the earlier conversation:\nThey asked about Pi setup.');
+      expect(withSummary('', 'They asked about Pi setup.'))
+        .toBe('Summary of the earlier conversation:\nThey asked about Pi setup.');
+      expect(withSummary('Be brief.', null)).toBe('Be brief.');
+    });
+  });
+});
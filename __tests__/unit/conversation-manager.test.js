@@ -1,9 +1,26 @@
 /**
  * Tests for conversation manager
  */
+jest.mock('../../src/services/perplexity-secure', () => ({
+  generateSummary: jest.fn()
+}));
+
 const ConversationManager = require('../../src/utils/conversation');
 const config = require('../../src/config/config');
+const dataStorage = require('../../src/services/storage');
+const perplexityService = require('../../src/services/perplexity-secure');
+const logger = require('../../src/utils/logger');
 let conversationManager;
+
+const fillHistory = (conversationKey, exchanges) => {
+  for (let i = 0; i < exchanges; i++) {
+    conversationManager.addMessage(conversationKey, 'user', `question ${i}`);
+    conversationManager.addMessage(conversationKey, 'assistant', `answer ${i}`);
+  }
+};
+// Let background summary updates finish
+const flushSummaries = () => new Promise(resolve => setImmediate(resolve));
+
 describe('Conversation Manager', () => {
   beforeEach(() => {
     conversationManager = new ConversationManager();
@@ -11,8 +28,10 @@ describe('Conversation Manager', () => {
     
     // Clear all conversation data
     conversationManager.conversations.clear();
-    conversationManager.lastMessageTimestamps.clear();
+    conversationManager.conversationActivity.clear();
     conversationManager.userStats.clear();
+    conversationManager.summaries.clear();
+    perplexityService.generateSummary.mockResolvedValue('Earlier summary');
   });
   
   afterEach(() => {
@@ -54,6 +73,17 @@ describe('Conversation Manager', () => {
       expect(history).toEqual([{ role: 'user', content: 'hello' }]);
     });
     
+    it('keeps the sources an assistant message cites', () => {
+      const sources = [{ title: 'Wiki', url: 'https://example.com/wiki' }];
+      conversationManager.addMessage('test-user', 'assistant', 'answer [1]', 'test-user', { sources });
+      conversationManager.addMessage('test-user', 'assistant', 'no sources', 'test-user', { sources: [] });
+      
+      expect(conversationManager.getHistory('test-user')).toEqual([
+        { role: 'assistant', content: 'answer [1]', sources },
+        { role: 'assistant', content: 'no sources' }
+      ]);
+    });
+    
     it('updates user stats when adding a user message', () => {
       const userId = 'test-user';
       conversationManager.addMessage(userId, 'user', 'hello');
@@ -83,41 +113,215 @@ describe('Conversation Manager', () => {
         config.PI_OPTIMIZATIONS.ENABLED = originalEnabledValue;
       }
     });
+    
+    it('trims conversation history by size as well as by count', () => {
+      const originalMaxTokens = config.CONVERSATION.MAX_STORED_TOKENS;
+      config.CONVERSATION.MAX_STORED_TOKENS = 100;
+      
+      try {
+        conversationManager.addMessage('test-user', 'user', 'short question');
+        conversationManager.addMessage('test-user', 'assistant', 'x'.repeat(1000));
+        conversationManager.addMessage('test-user', 'user', 'follow-up');
+        
+        expect(conversationManager.getHistory('test-user')).toEqual([{ role: 'user', content: 'follow-up' }]);
+      } finally {
+        config.CONVERSATION.MAX_STORED_TOKENS = originalMaxTokens;
+      }
+    });
   });
   
-  describe('clearHistory', () => {
-    it('clears conversation history for a user', () => {
-      const userId = 'test-user';
+  describe('rolling summaries', () => {
+    let originalRollingSummary;
+    
+    beforeEach(() => {
+      originalRollingSummary = config.CONVERSATION.ROLLING_SUMMARY;
+      config.CONVERSATION.ROLLING_SUMMARY = true;
+    });
+    
+    afterEach(() => {
+      config.CONVERSATION.ROLLING_SUMMARY = originalRollingSummary;
+    });
+    
+    it('summarises trimmed messages in a batch instead of forgetting them', async () => {
+      fillHistory('user-1', config.CONVERSATION_MAX_LENGTH / 2);
+      expect(perplexityService.generateSummary).not.toHaveBeenCalled();
       
-      conversationManager.addMessage(userId, 'user', 'hello');
-      conversationManager.addMessage(userId, 'assistant', 'hi');
+      conversationManager.addMessage('user-1', 'user', 'one too many');
+      await flushSummaries();
       
-      conversationManager.clearHistory(userId);
+      const batch = config.CONVERSATION.ROLLING_SUMMARY_BATCH;
+      expect(perplexityService.generateSummary).toHaveBeenCalledTimes(1);
+      expect(perplexityService.generateSummary.mock.calls[0][0]).toHaveLength(batch);
+      expect(perplexityService.generateSummary.mock.calls[0][0][0]).toEqual({ role: 'user', content: 'question 0' });
+      expect(conversationManager.getHistory('user-1')).toHaveLength(config.CONVERSATION_MAX_LENGTH + 1 - batch);
+      expect(conversationManager.getSummary('user-1')).toBe('Earlier summary');
+    });
+    
+    it('folds the previous summary into the next one', async () => {
+      conversationManager.summaries.set('user-1', 'What came before');
+      fillHistory('user-1', config.CONVERSATION_MAX_LENGTH / 2 + 1);
+      await flushSummaries();
       
-      const history = conversationManager.getHistory(userId);
-      expect(history).toEqual([]);
+      expect(perplexityService.generateSummary.mock.calls[0][0][0]).toEqual({ role: 'summary', content: 'What came before' });
+    });
+    
+    it('keeps the old behaviour when summarising fails', async () => {
+      const warnSpy = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      perplexityService.generateSummary.mockRejectedValue(new Error('API down'));
+      
+      fillHistory('user-1', config.CONVERSATION_MAX_LENGTH / 2 + 1);
+      await flushSummaries();
+      
+      expect(conversationManager.getHistory('user-1').length).toBeLessThanOrEqual(config.CONVERSATION_MAX_LENGTH);
+      expect(conversationManager.getSummary('user-1')).toBeNull();
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+    
+    it('drops a summary that finishes after the conversation was cleared', async () => {
+      fillHistory('user-1', config.CONVERSATION_MAX_LENGTH / 2 + 1);
+      conversationManager.clearHistory('user-1');
+      await flushSummaries();
+      
+      expect(conversationManager.getSummary('user-1')).toBeNull();
+    });
+    
+    it('summarises the messages a request left out, a batch at a time', async () => {
+      fillHistory('user-1', 3);
+      conversationManager.summariseOmitted('user-1', 2, 'guild-1');
+      await flushSummaries();
+      
+      // Never more than the history less its newest message
+      expect(perplexityService.generateSummary.mock.calls[0][0]).toHaveLength(5);
+      expect(conversationManager.getHistory('user-1')).toEqual([{ role: 'assistant', content: 'answer 2' }]);
+      expect(conversationManager.getSummary('user-1')).toBe('Earlier summary');
+    });
+    
+    it('only trims when rolling summaries are turned off', async () => {
+      config.CONVERSATION.ROLLING_SUMMARY = false;
+      fillHistory('user-1', config.CONVERSATION_MAX_LENGTH / 2 + 1);
+      conversationManager.summariseOmitted('user-1', 10, 'guild-1');
+      await flushSummaries();
+      
+      expect(perplexityService.generateSummary).not.toHaveBeenCalled();
+      expect(conversationManager.getHistory('user-1')).toHaveLength(config.CONVERSATION_MAX_LENGTH);
     });
   });
   
-  describe('isRateLimited', () => {
-    it('returns false for users with no recent messages', () => {
-      expect(conversationManager.isRateLimited('new-user')).toBe(false);
+  describe('conversation keys', () => {
+    it('shares conversations between manager instances', () => {
+      const otherManager = new ConversationManager();
+      conversationManager.addMessage('channel:abc', 'user', 'hello', 'test-user');
+      
+      expect(otherManager.getHistory('channel:abc')).toEqual([{ role: 'user', content: 'hello' }]);
     });
     
-    it('returns true for users with recent messages', () => {
-      const userId = 'test-user';
-      conversationManager.lastMessageTimestamps.set(userId, Date.now());
+    it('attributes user messages in shared conversations to the author', () => {
+      conversationManager.addMessage('channel:abc', 'user', 'hello', 'test-user');
+      conversationManager.addMessage('channel:abc', 'assistant', 'hi');
       
-      expect(conversationManager.isRateLimited(userId)).toBe(true);
+      expect(conversationManager.getUserStats('test-user').messages).toBe(1);
+      expect(conversationManager.userStats.has('channel:abc')).toBe(false);
+    });
+  });
+  
+  describe('cleanupOldConversations', () => {
+    it('removes conversations inactive for over a day', () => {
+      conversationManager.addMessage('channel:old', 'user', 'hello', 'test-user');
+      conversationManager.addMessage('channel:new', 'user', 'hello', 'test-user');
+      conversationManager.conversationActivity.set('channel:old', Date.now() - 25 * 60 * 60 * 1000);
+      
+      conversationManager.cleanupOldConversations();
+      
+      expect(conversationManager.conversations.has('channel:old')).toBe(false);
+      expect(conversationManager.conversations.has('channel:new')).toBe(true);
+    });
+  });
+  
+  describe('summary persistence', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
     
-    it('returns false after the rate limit window passes', () => {
+    it('saves and restores a conversation\'s running summary', async () => {
+      const saveSpy = jest.spyOn(dataStorage, 'saveConversations').mockResolvedValue();
+      conversationManager.addMessage('user-1', 'user', 'hello');
+      conversationManager.summaries.set('user-1', 'Earlier summary');
+      
+      await conversationManager.saveConversations();
+      const saved = saveSpy.mock.calls[0][0];
+      expect(saved['user-1'].summary).toBe('Earlier summary');
+      conversationManager.conversations.clear();
+      conversationManager.summaries.clear();
+      jest.spyOn(dataStorage, 'loadConversations').mockResolvedValue(saved);
+      await conversationManager.loadConversations();
+      expect(conversationManager.getSummary('user-1')).toBe('Earlier summary');
+    });
+  });
+  
+  describe('persistence', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+    });
+    
+    it('loads persisted conversations and drops expired ones', async () => {
+      const now = Date.now();
+      jest.spyOn(dataStorage, 'loadConversations').mockResolvedValue({
+        fresh: { messages: [{ role: 'user', content: 'hello' }], lastActivity: now - 1000 },
+        stale: { messages: [{ role: 'user', content: 'old' }], lastActivity: now - 25 * 60 * 60 * 1000 }
+      });
+      
+      await conversationManager.loadConversations();
+      
+      expect(conversationManager.getHistory('fresh')).toEqual([{ role: 'user', content: 'hello' }]);
+      expect(conversationManager.conversations.has('stale')).toBe(false);
+    });
+    
+    it('saves non-empty conversations with their last activity', async () => {
+      const saveSpy = jest.spyOn(dataStorage, 'saveConversations').mockResolvedValue();
+      conversationManager.addMessage('user-1', 'user', 'hello');
+      conversationManager.clearHistory('user-2');
+      
+      await conversationManager.saveConversations();
+      
+      expect(saveSpy).toHaveBeenCalledWith({
+        'user-1': {
+          messages: [{ role: 'user', content: 'hello' }],
+          lastActivity: conversationManager.conversationActivity.get('user-1')
+        }
+      });
+    });
+    
+    it('debounces saves when persistence is enabled', () => {
+      jest.useFakeTimers();
+      jest.spyOn(conversationManager, '_isPersistenceEnabled').mockReturnValue(true);
+      const saveSpy = jest.spyOn(conversationManager, 'saveConversations').mockResolvedValue();
+      
+      conversationManager.addMessage('user-1', 'user', 'one');
+      conversationManager.addMessage('user-1', 'assistant', 'two');
+      expect(saveSpy).not.toHaveBeenCalled();
+      
+      jest.advanceTimersByTime(config.CONVERSATION.SAVE_DEBOUNCE_MS);
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+    });
+    
+    it('does not persist in the test environment by default', () => {
+      expect(conversationManager._isPersistenceEnabled()).toBe(false);
+    });
+  });
+  
+  describe('clearHistory', () => {
+    it('clears conversation history for a user', () => {
       const userId = 'test-user';
-      // Set timestamp to older than the rate limit window
-      const pastTime = Date.now() - config.RATE_LIMIT_WINDOW - 1000;
-      conversationManager.lastMessageTimestamps.set(userId, pastTime);
       
-      expect(conversationManager.isRateLimited(userId)).toBe(false);
+      conversationManager.addMessage(userId, 'user', 'hello');
+      conversationManager.addMessage(userId, 'assistant', 'hi');
+      
+      conversationManager.clearHistory(userId);
+      
+      const history = conversationManager.getHistory(userId);
+      expect(history).toEqual([]);
     });
   });
   
@@ -0,0 +1,130 @@
+/**
+ * Tests for conversation scope resolution
+ */
+const config = require('../../src/config/config');
+const guildSettings = require('../../src/services/guild-settings');
+const {
+  SCOPES,
+  getContextIds,
+  resolveScope,
+  getConversationKey,
+  isDirectMessage,
+  isDirectMessageConversation,
+  isSharedConversation
+} = require('../../src/utils/conversation-scope');
+
+describe('Conversation Scope', () => {
+  let originalConversationConfig;
+
+  const createMessage = ({ guildId = 'guild-1', channelId = 'channel-1', isThread = false } = {}) => ({
+    author: { id: 'user-1' },
+    guildId,
+    channelId,
+    channel: { id: channelId, isThread: () => isThread }
+  });
+
+  beforeEach(() => {
+    originalConversationConfig = config.CONVERSATION;
+    config.CONVERSATION = { DEFAULT_SCOPE: 'user' };
+  });
+
+  afterEach(() => {
+    config.CONVERSATION = originalConversationConfig;
+    guildSettings.overrides.clear();
+  });
+
+  describe('getContextIds', () => {
+    it('reads IDs from a message', () => {
+      expect(getContextIds(createMessage({ isThread: true }))).toEqual({
+        userId: 'user-1',
+        guildId: 'guild-1',
+        channelId: 'channel-1',
+        isThread: true
+      });
+    });
+
+    it('reads the user from an interaction and falls back to channel/guild objects', () => {
+      const interaction = { user: { id: 'user-2' }, guild: { id: 'guild-2' }, channel: { id: 'channel-2' } };
+      expect(getContextIds(interaction)).toEqual({
+        userId: 'user-2',
+        guildId: 'guild-2',
+        channelId: 'channel-2',
+        isThread: false
+      });
+    });
+  });
+
+  describe('resolveScope', () => {
+    it('uses the default scope when the guild has no override', () => {
+      config.CONVERSATION.DEFAULT_SCOPE = 'channel';
+      expect(resolveScope('guild-1')).toBe(SCOPES.CHANNEL);
+    });
+
+    it('uses the guild\'s conversationScope setting when present', () => {
+      guildSettings.overrides.set('guild-1', { conversationScope: 'thread' });
+      expect(resolveScope('guild-1')).toBe(SCOPES.THREAD);
+      expect(resolveScope('guild-2')).toBe(SCOPES.USER);
+    });
+
+    it('falls back to user scope for unknown scope names', () => {
+      config.CONVERSATION.DEFAULT_SCOPE = 'galaxy';
+      expect(resolveScope('guild-1')).toBe(SCOPES.USER);
+    });
+  });
+
+  describe('getConversationKey', () => {
+    it('keys user scope by the bare user ID', () => {
+      expect(getConversationKey(createMessage(), SCOPES.USER)).toBe('user-1');
+    });
+
+    it('keys user_channel scope by channel and user', () => {
+      expect(getConversationKey(createMessage(), SCOPES.USER_CHANNEL)).toBe('channel:channel-1:user:user-1');
+    });
+
+    it('keys channel scope by channel only', () => {
+      expect(getConversationKey(createMessage(), SCOPES.CHANNEL)).toBe('channel:channel-1');
+    });
+
+    it('shares thread scope across a thread', () => {
+      expect(getConversationKey(createMessage({ isThread: true }), SCOPES.THREAD)).toBe('thread:channel-1');
+    });
+
+    it('falls back to per-user-per-channel for thread scope outside threads', () => {
+      expect(getConversationKey(createMessage(), SCOPES.THREAD)).toBe('channel:channel-1:user:user-1');
+    });
+
+    it('keeps direct messages in their own per-user conversation', () => {
+      expect(getConversationKey(createMessage({ guildId: null }), SCOPES.CHANNEL)).toBe('dm:user-1');
+      expect(getConversationKey(createMessage({ guildId: null }), SCOPES.USER)).not.toBe(
+        getConversationKey(createMessage(), SCOPES.USER)
+      );
+    });
+
+    it('applies the guild scope when none is given', () => {
+      guildSettings.overrides.set('guild-1', { conversationScope: 'channel' });
+      expect(getConversationKey(createMessage())).toBe('channel:channel-1');
+    });
+  });
+
+  describe('isSharedConversation', () => {
+    it('identifies channel and thread conversations as shared', () => {
+      expect(isSharedConversation('channel:channel-1')).toBe(true);
+      expect(isSharedConversation('thread:channel-1')).toBe(true);
+      expect(isSharedConversation('channel:channel-1:user:user-1')).toBe(false);
+      expect(isSharedConversation('user-1')).toBe(false);
+    });
+  });
+
+  describe('direct messages', () => {
+    it('treats anything outside a guild as a DM', () => {
+      expect(isDirectMessage(createMessage({ guildId: null }))).toBe(true);
+      expect(isDirectMessage(createMessage())).toBe(false);
+    });
+
+    it('identifies DM conversation keys', () => {
+      expect(isDirectMessageConversation('dm:user-1')).toBe(true);
+      expect(isDirectMessageConversation('user-1')).toBe(false);
+      expect(isSharedConversation('dm:user-1')).toBe(false);
+    });
+  });
+});
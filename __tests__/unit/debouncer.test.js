@@ -30,6 +30,17 @@ describe('Debouncer', () => {
       expect(mockFn).toHaveBeenCalledTimes(1);
     });
     
+    it('should drop a pending call when cancelled', () => {
+      const mockFn = jest.fn();
+      const debouncedFn = debounce(mockFn, 1000);
+      
+      debouncedFn();
+      debouncedFn.cancel();
+      jest.advanceTimersByTime(1000);
+      
+      expect(mockFn).not.toHaveBeenCalled();
+    });
+    
     it('should only execute once for multiple rapid calls', () => {
       const mockFn = jest.fn();
       const debouncedFn = debounce(mockFn, 1000);
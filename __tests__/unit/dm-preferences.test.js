@@ -0,0 +1,50 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const logger = require('../../src/utils/logger');
+const dmPreferences = require('../../src/services/dm-preferences');
+
+describe('DmPreferences', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataStorage.scan.mockResolvedValue({});
+    dataStorage.set.mockResolvedValue();
+    dataStorage.delete.mockResolvedValue();
+    dmPreferences.optedOut.clear();
+    dmPreferences.loadPromise = null;
+  });
+
+  it('should treat users as opted in by default', async () => {
+    await expect(dmPreferences.isOptedOut('user-1')).resolves.toBe(false);
+  });
+
+  it('should load saved opt-outs from storage', async () => {
+    dataStorage.scan.mockResolvedValue({ 'user-1': { optedOutAt: 1 } });
+
+    await expect(dmPreferences.isOptedOut('user-1')).resolves.toBe(true);
+    expect(dataStorage.scan).toHaveBeenCalledWith('dm_opt_outs');
+  });
+
+  it('should persist opting out and back in', async () => {
+    await dmPreferences.optOut('user-1');
+    await expect(dmPreferences.isOptedOut('user-1')).resolves.toBe(true);
+    expect(dataStorage.set).toHaveBeenCalledWith('dm_opt_outs', 'user-1', { optedOutAt: expect.any(Number) });
+
+    await dmPreferences.optIn('user-1');
+    await expect(dmPreferences.isOptedOut('user-1')).resolves.toBe(false);
+    expect(dataStorage.delete).toHaveBeenCalledWith('dm_opt_outs', 'user-1');
+  });
+
+  it('should log and carry on when preferences cannot be loaded', async () => {
+    const error = new Error('disk error');
+    dataStorage.scan.mockRejectedValue(error);
+
+    await expect(dmPreferences.isOptedOut('user-1')).resolves.toBe(false);
+    expect(logger.error).toHaveBeenCalledWith('Failed to load DM preferences:', error);
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+const guildSettings = require('../../src/services/guild-settings');
+
+describe('GuildSettings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataStorage.scan.mockResolvedValue({});
+    dataStorage.set.mockResolvedValue();
+    dataStorage.delete.mockResolvedValue();
+    guildSettings.overrides.clear();
+    guildSettings.loadPromise = null;
+  });
+
+  it('should fall back to the global config', async () => {
+    await guildSettings.load();
+    expect(guildSettings.get('guild-1', 'maxHistory')).toBe(config.MAX_HISTORY);
+    expect(guildSettings.get(null, 'model')).toBe(config.API.PERPLEXITY.DEFAULT_MODEL);
+  });
+
+  it('should load saved overrides from storage', async () => {
+    dataStorage.scan.mockResolvedValue({ 'guild-1': { maxHistory: 5 } });
+
+    await guildSettings.load();
+    expect(dataStorage.scan).toHaveBeenCalledWith('guild_settings');
+    expect(guildSettings.get('guild-1', 'maxHistory')).toBe(5);
+    expect(guildSettings.get('guild-2', 'maxHistory')).toBe(config.MAX_HISTORY);
+  });
+
+  it('should parse and persist overrides', async () => {
+    await expect(guildSettings.set('guild-1', 'rateLimitWindow', '2500')).resolves.toBe(2500);
+    expect(dataStorage.set).toHaveBeenCalledWith('guild_settings', 'guild-1', { rateLimitWindow: 2500 });
+    expect(guildSettings.getAll('guild-1').rateLimitWindow).toBe(2500);
+  });
+
+  it('should reject invalid values without saving them', async () => {
+    await expect(guildSettings.set('guild-1', 'maxHistory', '0')).rejects.toThrow('between 1 and 100');
+    await expect(guildSettings.set('guild-1', 'model', 'gpt-nope')).rejects.toThrow('Unknown model "gpt-nope"');
+    await expect(guildSettings.set('guild-1', 'colour', 'red')).rejects.toThrow('Unknown setting "colour"');
+    expect(dataStorage.set).not.toHaveBeenCalled();
+  });
+
+  it('should only accept known AI providers', async () => {
+    expect(guildSettings.get('guild-1', 'provider')).toBe(config.AI_PROVIDER);
+    await expect(guildSettings.set('guild-1', 'provider', ' OpenAI-Compatible ')).resolves.toBe('openai-compatible');
+    await expect(guildSettings.set('guild-1', 'provider', 'skynet')).rejects.toThrow('Unknown provider "skynet"');
+  });
+
+  it('should parse reaction lists, keeping custom emoji intact', async () => {
+    const reactions = await guildSettings.set('guild-1', 'reactions', 'Hello:👋, party:<:party:123>');
+    expect(reactions).toEqual({ hello: '👋', party: '<:party:123>' });
+    expect(guildSettings.formatValue('reactions', reactions)).toBe('hello:👋,party:<:party:123>');
+  });
+
+  it('should accept rate limit bursts and modes', async () => {
+    expect(guildSettings.get('guild-1', 'rateLimitBurst')).toBe(config.RATE_LIMITS.USER_BURST);
+    await expect(guildSettings.set('guild-1', 'rateLimitBurst', '5')).resolves.toBe(5);
+    await expect(guildSettings.set('guild-1', 'rateLimitMode', ' React ')).resolves.toBe('react');
+    await expect(guildSettings.set('guild-1', 'rateLimitMode', 'shout')).rejects.toThrow('must be one of: reply, react, silent');
+  });
+
+  it('should let a guild choose its conversation scope', async () => {
+    expect(guildSettings.get('guild-1', 'conversationScope')).toBe(config.CONVERSATION.DEFAULT_SCOPE);
+    await expect(guildSettings.set('guild-1', 'conversationScope', ' Thread ')).resolves.toBe('thread');
+    expect(guildSettings.get('guild-1', 'conversationScope')).toBe('thread');
+    await expect(guildSettings.set('guild-1', 'conversationScope', 'galaxy')).rejects.toThrow(
+      'must be one of: user, user_channel, channel, thread'
+    );
+  });
+
+  it('should parse AI allowances, leaving unlisted limits unlimited', async () => {
+    const quota = await guildSettings.set('guild-1', 'userQuota', '50000 tokens/day, 1000 requests per month');
+    expect(quota).toEqual({ dailyTokens: 50000, dailyRequests: 0, monthlyTokens: 0, monthlyRequests: 1000 });
+    expect(guildSettings.formatValue('userQuota', quota)).toBe('50000 tokens/day,1000 requests/month');
+
+    await expect(guildSettings.set('guild-1', 'guildQuota', 'unlimited')).resolves.toEqual(
+      { dailyTokens: 0, dailyRequests: 0, monthlyTokens: 0, monthlyRequests: 0 });
+    expect(guildSettings.formatValue('guildQuota', guildSettings.get('guild-1', 'guildQuota'))).toBe('unlimited');
+    await expect(guildSettings.set('guild-1', 'userQuota', 'lots')).rejects.toThrow('Quotas must be a list');
+  });
+
+  it('should parse allowances for particular members', async () => {
+    await expect(guildSettings.set('guild-1', 'userQuotaOverrides', '<@!123>=50 requests/day; 456=unlimited')).resolves.toEqual({
+      123: { dailyTokens: 0, dailyRequests: 50, monthlyTokens: 0, monthlyRequests: 0 },
+      456: { dailyTokens: 0, dailyRequests: 0, monthlyTokens: 0, monthlyRequests: 0 }
+    });
+    expect(guildSettings.formatValue('userQuotaOverrides', guildSettings.get('guild-1', 'userQuotaOverrides')))
+      .toBe('<@123>=50 requests/day; <@456>=unlimited');
+    await expect(guildSettings.set('guild-1', 'userQuotaOverrides', '@bob=unlimited')).rejects.toThrow('Member allowances');
+  });
+
+  it('should parse exempt roles from mentions or IDs', async () => {
+    expect(guildSettings.get('guild-1', 'quotaExemptRoles')).toEqual([]);
+    await expect(guildSettings.set('guild-1', 'quotaExemptRoles', '<@&123>, 456 <@&123>')).resolves.toEqual(['123', '456']);
+    expect(guildSettings.formatValue('quotaExemptRoles', ['123', '456'])).toBe('<@&123>,<@&456>');
+    await expect(guildSettings.set('guild-1', 'quotaExemptRoles', '@mods')).rejects.toThrow('Roles must be a list');
+  });
+
+  it('should keep the response mode and its allowed channels', async () => {
+    expect(guildSettings.get('guild-1', 'responseMode')).toBe(config.RESPONSE_MODE.DEFAULT);
+    await expect(guildSettings.set('guild-1', 'responseMode', 'Mention')).resolves.toBe('mention');
+    await expect(guildSettings.set('guild-1', 'responseMode', 'sometimes')).rejects.toThrow('Response mode must be one of');
+    await expect(guildSettings.set('guild-1', 'responseChannels', '<#123>, 456')).resolves.toEqual(['123', '456']);
+    expect(guildSettings.formatValue('responseChannels', [])).toBe('none');
+    await expect(guildSettings.set('guild-1', 'responseChannels', '#lore')).rejects.toThrow('Channels must be a list');
+  });
+
+  it('should reset one override and drop the guild once none remain', async () => {
+    await guildSettings.set('guild-1', 'maxHistory', '5');
+    await guildSettings.set('guild-1', 'model', 'sonar');
+
+    await guildSettings.reset('guild-1', 'maxHistory');
+    expect(dataStorage.set).toHaveBeenLastCalledWith('guild_settings', 'guild-1', { model: 'sonar' });
+
+    await guildSettings.reset('guild-1', 'model');
+    expect(dataStorage.delete).toHaveBeenCalledWith('guild_settings', 'guild-1');
+    expect(guildSettings.getOverrides('guild-1')).toEqual({});
+  });
+
+  it('should log and carry on when settings cannot be loaded', async () => {
+    const error = new Error('disk error');
+    dataStorage.scan.mockRejectedValue(error);
+
+    await guildSettings.load();
+    expect(logger.error).toHaveBeenCalledWith('Failed to load guild settings:', error);
+    expect(guildSettings.get('guild-1', 'maxHistory')).toBe(config.MAX_HISTORY);
+  });
+});
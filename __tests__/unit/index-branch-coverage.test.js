@@ -40,7 +40,11 @@ describe('index.js - Branch Coverage', () => {
       GatewayIntentBits: {
         Guilds: 1,
         GuildMessages: 2,
-        MessageContent: 3
+        MessageContent: 3,
+        DirectMessages: 4
+      },
+      Partials: {
+        Channel: 1
       },
       REST: jest.fn(() => ({
         setToken: jest.fn().mockReturnThis(),
@@ -168,7 +172,11 @@ describe('index.js - Branch Coverage', () => {
       GatewayIntentBits: {
         Guilds: 1,
         GuildMessages: 2,
-        MessageContent: 3
+        MessageContent: 3,
+        DirectMessages: 4
+      },
+      Partials: {
+        Channel: 1
       },
       REST: jest.fn(() => ({
         setToken: jest.fn().mockReturnThis(),
@@ -360,7 +368,11 @@ describe('index.js - Branch Coverage', () => {
         GatewayIntentBits: {
           Guilds: 'Guilds',
           GuildMessages: 'GuildMessages',
-          MessageContent: 'MessageContent'
+          MessageContent: 'MessageContent',
+          DirectMessages: 'DirectMessages'
+        },
+        Partials: {
+          Channel: 'Channel'
         },
         REST: jest.fn(),
         Routes: {
@@ -421,7 +433,11 @@ describe('index.js - Branch Coverage', () => {
         GatewayIntentBits: {
           Guilds: 'Guilds',
           GuildMessages: 'GuildMessages',
-          MessageContent: 'MessageContent'
+          MessageContent: 'MessageContent',
+          DirectMessages: 'DirectMessages'
+        },
+        Partials: {
+          Channel: 'Channel'
         },
         REST: jest.fn(() => mockRest),
         Routes: {
@@ -43,7 +43,11 @@ jest.mock('discord.js', () => ({
   GatewayIntentBits: {
     Guilds: 'mock-guild-intent',
     GuildMessages: 'mock-message-intent',
-    MessageContent: 'mock-content-intent'
+    MessageContent: 'mock-content-intent',
+    DirectMessages: 'mock-dm-intent'
+  },
+  Partials: {
+    Channel: 'mock-channel-partial'
   },
   REST: jest.fn().mockImplementation(() => ({
     setToken: jest.fn().mockReturnThis(),
@@ -142,6 +146,43 @@ describe('Bot Main Entry Point (index.js)', () => {
       expect(typeof sigtermHandler).toBe('function');
     });
 
+    it('should cancel requests in flight on every AI provider', async () => {
+      const providers = [{ shutdown: jest.fn() }, { shutdown: jest.fn() }];
+      jest.spyOn(require('../../src/services/providers'), 'getActiveProviders').mockReturnValue(providers);
+
+      await index.shutdown('SIGTERM');
+
+      providers.forEach(provider => expect(provider.shutdown).toHaveBeenCalledTimes(1));
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should save pending token usage and cached answers', async () => {
+      const usageTracker = require('../../src/services/usage-tracker');
+      const questionCache = require('../../src/services/question-cache');
+      jest.spyOn(usageTracker, 'flush').mockResolvedValue();
+      jest.spyOn(questionCache, 'flush').mockResolvedValue();
+
+      await index.shutdown('SIGTERM');
+
+      expect(usageTracker.flush).toHaveBeenCalledTimes(1);
+      expect(questionCache.flush).toHaveBeenCalledTimes(1);
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should close the storage backend after everything else has been saved', async () => {
+      const questionCache = require('../../src/services/question-cache');
+      const dataStorage = require('../../src/services/storage');
+      jest.spyOn(questionCache, 'flush').mockResolvedValue();
+      jest.spyOn(dataStorage, 'close').mockResolvedValue();
+
+      await index.shutdown('SIGTERM');
+
+      expect(dataStorage.close).toHaveBeenCalledTimes(1);
+      expect(dataStorage.close.mock.invocationCallOrder[0])
+        .toBeGreaterThan(questionCache.flush.mock.invocationCallOrder[0]);
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
     it('should register handler for uncaughtException', () => {
       // First verify that the event handler is registered
       expect(process.on).toHaveBeenCalledWith('uncaughtException', expect.any(Function));
@@ -101,4 +101,33 @@ describe('Logger', () => {
     expect(typeof message).toBe('string');
     expect(message.length).toBeGreaterThan(10);
   });
+
+  it('explains briefly when the AI service is known to be down', () => {
+    const error = Object.assign(new Error('Perplexity API is unavailable after repeated failures'), { code: 'CIRCUIT_OPEN' });
+    const errorSpy = jest.spyOn(logger, 'error');
+
+    expect(logger.handleError(error, 'chat generation'))
+      .toBe('The AI is unavailable right now. Please try again in a few minutes.');
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('asks the user to try again when too many requests are already waiting', () => {
+    const error = Object.assign(new Error('Too many requests are waiting: queue is full (20 waiting)'), { code: 'QUEUE_FULL' });
+    const errorSpy = jest.spyOn(logger, 'error');
+
+    expect(logger.handleError(error, 'chat generation'))
+      .toBe('The bot is busy with other requests right now. Please try again in a moment.');
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('recognises timeouts by error name and code as well as message', () => {
+    const timeoutMessage = 'The request timed out. Please try again with a shorter message.';
+    const deadline = Object.assign(new Error('Perplexity API request timed out after 60000ms'), { name: 'TimeoutError' });
+    const headers = Object.assign(new Error('Headers Timeout Error'), { code: 'UND_ERR_HEADERS_TIMEOUT' });
+
+    expect(logger.handleError(deadline, 'test')).toBe(timeoutMessage);
+    expect(logger.handleError(headers, 'test')).toBe(timeoutMessage);
+  });
 });
@@ -102,4 +102,52 @@ describe('Message Formatter', () => {
       config.PI_OPTIMIZATIONS.LOW_CPU_MODE = originalConfig;
     });
   });
-});
\ No newline at end of file
+
+  describe('formatFooter', () => {
+    it('notes which model answered when a fallback stood in', () => {
+      config.API = { PERPLEXITY: { MODELS: { sonar: { NAME: 'Sonar' } } } };
+      expect(messageFormatter.formatFooter('Aszai Bot', null)).toBe('Aszai Bot');
+      expect(messageFormatter.formatFooter('Aszai Bot (Part 1/2)', { model: 'sonar', provider: 'Perplexity API' }))
+        .toBe('Aszai Bot (Part 1/2) • Answered by Sonar (Perplexity API fallback)');
+      expect(messageFormatter.formatFooter('Aszai Bot', { model: 'llama3.1', provider: 'OpenAI-compatible API' }))
+        .toBe('Aszai Bot • Answered by llama3.1 (OpenAI-compatible API fallback)');
+      delete config.API;
+    });
+  });
+  
+  describe('createSourcesFields', () => {
+    it('should number sources to match the answer\'s markers', () => {
+      const fields = messageFormatter.createSourcesFields([
+        { title: 'Starsector [Wiki]', url: 'https://starsector.fandom.com/wiki/Paragon_(ship)' },
+        { title: 'Fractal Softworks', url: 'https://fractalsoftworks.com/' }
+      ]);
+      
+      expect(fields).toEqual([{
+        name: 'Sources',
+        value: '**[1]** [Starsector Wiki](https://starsector.fandom.com/wiki/Paragon_%28ship%29)\n' +
+          '**[2]** [Fractal Softworks](https://fractalsoftworks.com/)'
+      }]);
+    });
+    
+    it('should spill long source lists into further fields without cutting links', () => {
+      const sources = Array.from({ length: 8 }, (_, i) => ({
+        title: `Source ${i}`,
+        url: `https://example.com/${'a'.repeat(200)}/${i}`
+      }));
+      
+      const fields = messageFormatter.createSourcesFields(sources);
+      
+      expect(fields.length).toBeGreaterThan(1);
+      expect(fields[1].name).toBe('Sources (continued)');
+      fields.forEach(field => {
+        expect(field.value.length).toBeLessThanOrEqual(1024);
+        field.value.split('\n').forEach(line => expect(line).toMatch(/^\*\*\[\d+\]\*\* \[.+\]\(https:.+\)$/));
+      });
+    });
+    
+    it('should return no fields when there are no sources', () => {
+      expect(messageFormatter.createSourcesFields([])).toEqual([]);
+      expect(messageFormatter.createSourcesFields(undefined)).toEqual([]);
+    });
+  });
+});
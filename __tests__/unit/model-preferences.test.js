@@ -0,0 +1,68 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+const guildSettings = require('../../src/services/guild-settings');
+const modelPreferences = require('../../src/services/model-preferences');
+
+describe('ModelPreferences', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataStorage.scan.mockResolvedValue({});
+    dataStorage.set.mockResolvedValue();
+    dataStorage.delete.mockResolvedValue();
+    modelPreferences.preferences.clear();
+    modelPreferences.loadPromise = null;
+    guildSettings.overrides.clear();
+    guildSettings.loadPromise = null;
+  });
+
+  it('should use the guild default until the user picks a model', async () => {
+    guildSettings.overrides.set('guild-1', { model: 'sonar-pro' });
+
+    await expect(modelPreferences.resolveModel('guild-1', 'user-1')).resolves.toBe('sonar-pro');
+    await expect(modelPreferences.resolveModel(null, 'user-1')).resolves.toBe(config.API.PERPLEXITY.DEFAULT_MODEL);
+  });
+
+  it('should persist a user\'s pick', async () => {
+    await modelPreferences.setPreference('user-1', 'sonar-reasoning', 'guild-1');
+
+    expect(dataStorage.set).toHaveBeenCalledWith('model_preferences', 'user-1', { model: 'sonar-reasoning' });
+    await expect(modelPreferences.resolveModel('guild-1', 'user-1')).resolves.toBe('sonar-reasoning');
+
+    await modelPreferences.clearPreference('user-1');
+    expect(dataStorage.delete).toHaveBeenCalledWith('model_preferences', 'user-1');
+    await expect(modelPreferences.getPreference('user-1')).resolves.toBeNull();
+  });
+
+  it('should refuse models the guild has not allowed', async () => {
+    guildSettings.overrides.set('guild-1', { allowedModels: ['sonar'] });
+
+    await expect(modelPreferences.setPreference('user-1', 'sonar-pro', 'guild-1'))
+      .rejects.toThrow('The model "sonar-pro" isn\'t available here. Choose one of: sonar.');
+    expect(dataStorage.set).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the guild default where a pick is not allowed', async () => {
+    dataStorage.scan.mockImplementation(async namespace =>
+      (namespace === 'model_preferences' ? { 'user-1': { model: 'sonar-pro' } } : {}));
+    guildSettings.overrides.set('guild-1', { allowedModels: ['sonar'], model: 'sonar' });
+
+    await expect(modelPreferences.resolveModel('guild-1', 'user-1')).resolves.toBe('sonar');
+    await expect(modelPreferences.resolveModel('guild-2', 'user-1')).resolves.toBe('sonar-pro');
+  });
+
+  it('should log and carry on when preferences cannot be loaded', async () => {
+    const error = new Error('disk error');
+    dataStorage.scan.mockRejectedValue(error);
+
+    await expect(modelPreferences.getPreference('user-1')).resolves.toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Failed to load model preferences:', error);
+  });
+});
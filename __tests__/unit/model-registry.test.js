@@ -0,0 +1,41 @@
+const config = require('../../src/config/config');
+const modelRegistry = require('../../src/services/model-registry');
+
+describe('ModelRegistry', () => {
+  const originalAllowed = config.API.PERPLEXITY.ALLOWED_MODELS;
+
+  afterEach(() => {
+    config.API.PERPLEXITY.ALLOWED_MODELS = originalAllowed;
+  });
+
+  it('should describe known models', () => {
+    expect(modelRegistry.getModel('sonar-pro')).toEqual(expect.objectContaining({
+      id: 'sonar-pro',
+      name: 'Sonar Pro',
+      inputCostPerMillion: 3,
+      outputCostPerMillion: 15
+    }));
+    expect(modelRegistry.getModel('gpt-nope')).toBeNull();
+    expect(modelRegistry.listModels().map(model => model.id)).toContain('sonar');
+  });
+
+  it('should allow every model unless the config narrows the list', () => {
+    config.API.PERPLEXITY.ALLOWED_MODELS = null;
+    expect(modelRegistry.getDefaultAllowedModels()).toEqual(Object.keys(config.API.PERPLEXITY.MODELS));
+
+    config.API.PERPLEXITY.ALLOWED_MODELS = ['sonar', 'gpt-nope'];
+    expect(modelRegistry.getDefaultAllowedModels()).toEqual(['sonar']);
+  });
+
+  it('should cap output tokens at the model limit', () => {
+    const limit = config.API.PERPLEXITY.MODELS.sonar.MAX_OUTPUT_TOKENS;
+    expect(modelRegistry.clampMaxTokens('sonar', limit + 1)).toBe(limit);
+    expect(modelRegistry.clampMaxTokens('sonar', 100)).toBe(100);
+    expect(modelRegistry.clampMaxTokens('gpt-nope', 50000)).toBe(50000);
+  });
+
+  it('should estimate request costs from token usage', () => {
+    expect(modelRegistry.estimateCost('sonar-pro', { promptTokens: 1000000, completionTokens: 100000 })).toBeCloseTo(4.5);
+    expect(modelRegistry.estimateCost('gpt-nope', { promptTokens: 1000 })).toBe(0);
+  });
+});
@@ -4,12 +4,19 @@
 const { request } = require('undici');
 const PerplexityService = require('../../src/services/perplexity-secure');
 const config = require('../../src/config/config');
+const guildSettings = require('../../src/services/guild-settings');
+const usageTracker = require('../../src/services/usage-tracker');
+const questionCache = require('../../src/services/question-cache');
 const { mockSuccessResponse, mockErrorResponse } = require('../utils/undici-mock-helpers');
 
 jest.mock('undici', () => ({
   request: jest.fn(),
 }));
 
+// The service loads the throttler lazily, after modules are reset, so every load gets this one
+const mockThrottler = { executeRequest: jest.fn() };
+jest.mock('../../src/utils/connection-throttler', () => mockThrottler);
+
 describe('Perplexity Service', () => {
   let perplexityService;
 
@@ -17,6 +24,7 @@ describe('Perplexity Service', () => {
     jest.clearAllMocks();
     // The module exports the PerplexityService class
     perplexityService = PerplexityService;
+    questionCache.reset();
   });
   
   describe('sendChatRequest', () => {
@@ -54,6 +62,143 @@ describe('Perplexity Service', () => {
       await expect(perplexityService.sendChatRequest([{ role: 'user', content: 'Hello' }]))
         .rejects.toThrow('API request failed with status 400');
     });
+
+    it('records the token usage the API reports', async () => {
+      jest.spyOn(usageTracker, 'record').mockResolvedValue();
+      request.mockResolvedValueOnce(mockSuccessResponse({
+        choices: [{ message: { content: 'Mock response' } }],
+        usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }
+      }));
+
+      await perplexityService.sendChatRequest([{ role: 'user', content: 'Hello' }], {
+        model: 'sonar-pro',
+        usageContext: { userId: 'user-1', guildId: 'guild-1' }
+      });
+
+      expect(usageTracker.record).toHaveBeenCalledWith({
+        userId: 'user-1',
+        guildId: 'guild-1',
+        model: 'sonar-pro',
+        usage: { promptTokens: 120, completionTokens: 30 }
+      });
+    });
+  });
+  
+  describe('generateChatResponse', () => {
+    it('applies the guild\'s system message and model', async () => {
+      guildSettings.overrides.set('guild-1', { systemMessage: 'Talk like a pirate.', model: 'sonar-pro' });
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValueOnce({
+        choices: [{ message: { content: 'Arr' } }]
+      });
+      
+      const history = [{ role: 'user', content: 'Hello' }];
+      const response = await perplexityService.generateChatResponse(history, { caching: false, guildId: 'guild-1' });
+      
+      expect(perplexityService.sendChatRequest).toHaveBeenCalledWith(
+        [{ role: 'system', content: 'Talk like a pirate.' }, ...history],
+        { model: 'sonar-pro', usageContext: { userId: null, guildId: 'guild-1' }, priority: 'chat' }
+      );
+      expect(response).toBe('Arr');
+      guildSettings.overrides.clear();
+    });
+    
+    it('prefers an explicit system message, such as a persona\'s', async () => {
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValueOnce({
+        choices: [{ message: { content: 'Go left' } }]
+      });
+      
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Route?' }], {
+        caching: false,
+        systemMessage: 'You are a speedrun router.'
+      });
+      
+      expect(perplexityService.sendChatRequest.mock.calls[0][0][0]).toEqual({
+        role: 'system',
+        content: 'You are a speedrun router.'
+      });
+    });
+    
+    it('sends the default system message on plain chat requests', async () => {
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValueOnce({
+        choices: [{ message: { content: 'Hi' } }]
+      });
+      
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }], false);
+      
+      expect(perplexityService.sendChatRequest.mock.calls[0][0][0]).toEqual({
+        role: 'system',
+        content: config.SYSTEM_MESSAGES.CHAT
+      });
+    });
+  });
+  
+  describe('sources', () => {
+    it('prefers search results and falls back to bare citation URLs', () => {
+      expect(perplexityService._extractSources({
+        search_results: [{ title: 'Onslaught', url: 'https://starsector.fandom.com/wiki/Onslaught' }],
+        citations: ['https://ignored.example.com']
+      })).toEqual([{ title: 'Onslaught', url: 'https://starsector.fandom.com/wiki/Onslaught' }]);
+      
+      expect(perplexityService._extractSources({ citations: ['https://www.youtube.com/watch?v=1'] }))
+        .toEqual([{ title: 'youtube.com', url: 'https://www.youtube.com/watch?v=1' }]);
+      expect(perplexityService._extractSources({ choices: [] })).toEqual([]);
+    });
+    
+    it('returns and caches sources alongside the answer', async () => {
+      const sources = [{ title: 'Wiki', url: 'https://example.com/wiki' }];
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValueOnce({
+        choices: [{ message: { content: 'Answer [1]' } }],
+        search_results: sources
+      });
+      
+      const history = [{ role: 'user', content: 'Question' }];
+      const result = await perplexityService.generateChatResponse(history, { caching: true, includeSources: true });
+      
+      const model = config.API.PERPLEXITY.DEFAULT_MODEL;
+      expect(result).toEqual({ content: 'Answer [1]', sources, model });
+      const [[, saved]] = await questionCache.list();
+      expect(saved).toEqual(expect.objectContaining({ content: 'Answer [1]', sources }));
+      
+      await expect(perplexityService.generateChatResponse(history, { caching: true, includeSources: true }))
+        .resolves.toEqual({ content: 'Answer [1]', sources, model });
+      expect(perplexityService.sendChatRequest).toHaveBeenCalledTimes(1);
+    });
+    
+    it('sends only the role and content of history entries', () => {
+      const messages = perplexityService._buildChatMessages(
+        [{ role: 'assistant', content: 'Answer [1]', sources: [{ title: 'Wiki', url: 'https://example.com' }] }],
+        { systemMessage: 'Be helpful.' }
+      );
+      expect(messages).toEqual([
+        { role: 'system', content: 'Be helpful.' },
+        { role: 'assistant', content: 'Answer [1]' }
+      ]);
+    });
+  });
+  
+  describe('model selection', () => {
+    it('caps max_tokens at the model\'s output limit', () => {
+      const payload = perplexityService._buildRequestPayload([], { model: 'sonar-pro', maxTokens: 50000 });
+      expect(payload.model).toBe('sonar-pro');
+      expect(payload.max_tokens).toBe(config.API.PERPLEXITY.MODELS['sonar-pro'].MAX_OUTPUT_TOKENS);
+    });
+    
+    it('keeps cached answers from different models apart', () => {
+      expect(perplexityService._generateCacheKey('hello', 'sonar'))
+        .not.toBe(perplexityService._generateCacheKey('hello', 'sonar-pro'));
+    });
+    
+    it('uses the summary model for summaries', async () => {
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValueOnce({
+        choices: [{ message: { content: 'Summary' } }]
+      });
+      
+      await perplexityService.generateTextSummary('Some text');
+      
+      expect(perplexityService.sendChatRequest).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+        model: config.API.PERPLEXITY.SUMMARY_MODEL
+      }));
+    });
   });
   
   describe('generateSummary', () => {
@@ -106,4 +251,186 @@ describe('Perplexity Service', () => {
         expect(summary).toBe('Text summary');
     });
   });
+  
+  describe('question cache', () => {
+    const answer = { choices: [{ message: { content: 'Onslaught' } }] };
+    
+    beforeEach(() => {
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValue(answer);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('shares an answer between differently written versions of the same question', async () => {
+      await perplexityService.generateChatResponse([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'What\'s the best ship?' }
+      ]);
+      const reply = await perplexityService.generateChatResponse([{ role: 'user', content: '  whats the BEST ship ' }]);
+      
+      expect(reply).toBe('Onslaught');
+      expect(perplexityService.sendChatRequest).toHaveBeenCalledTimes(1);
+      const entries = (await questionCache.list()).map(([, entry]) => entry);
+      expect(entries).toEqual([expect.objectContaining({ question: 'whats the best ship', hits: 1 })]);
+    });
+    
+    it('keeps answers for different personas apart', async () => {
+      const history = [{ role: 'user', content: 'Who are you?' }];
+      await perplexityService.generateChatResponse(history, { systemMessage: 'Summary: ...', cacheScope: 'You are a pirate.' });
+      await perplexityService.generateChatResponse(history, { cacheScope: 'You are a knight.' });
+      await perplexityService.generateChatResponse(history, { cacheScope: 'You are a pirate.' });
+      
+      expect(perplexityService.sendChatRequest).toHaveBeenCalledTimes(2);
+    });
+    
+    it('keys on the question it is given rather than the stored message', async () => {
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Alice: best ship?' }], { question: 'Best ship?' });
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Bob: best ship?' }], { question: 'best ship' });
+      
+      expect(perplexityService.sendChatRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  describe('question cache entries', () => {
+    const NOW = 1700000000000;
+    const target = { key: 'key-1', question: 'best ship', model: 'sonar', scope: 'abc' };
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('counts hits and notes when an answer was last used', async () => {
+      await questionCache.set('key-1', { content: 'Onslaught', createdAt: NOW, hits: 2 });
+      
+      await expect(perplexityService._tryGetFromCache(target, NOW + 1000)).resolves.toEqual({ content: 'Onslaught', sources: [] });
+      await expect(questionCache.get('key-1')).resolves
+        .toEqual({ content: 'Onslaught', createdAt: NOW, hits: 3, lastAccessed: NOW + 1000 });
+    });
+    
+    it('ignores answers older than the cache\'s time to live', async () => {
+      await questionCache.set('key-1', { content: 'Onslaught', createdAt: NOW });
+      
+      await expect(perplexityService._tryGetFromCache(target, NOW + config.QUESTION_CACHE.TTL_MS + 1)).resolves.toBeNull();
+    });
+
+  });
+  
+  describe('question cache administration', () => {
+    const seed = async (key, question, extra = {}) =>
+      questionCache.set(key, { question, model: 'sonar', content: `Answer to ${question}`, createdAt: Date.now(), hits: 0, ...extra });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('reports the hit rate of lookups and how often answers have been used', async () => {
+      await seed('key-1', 'best ship', { hits: 4 });
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValue({ choices: [{ message: { content: 'Hi' } }] });
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }]);
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }]);
+      
+      const stats = await perplexityService.getCacheStats();
+      expect(stats).toEqual(expect.objectContaining({ entries: 2, hits: 1, misses: 1, hitRate: 0.5, storedHits: 5 }));
+      expect(stats.sizeBytes).toBeGreaterThan(0);
+    });
+    
+    it('finds answers by key or by words in the normalised question', async () => {
+      await seed('key-1', 'best ship');
+      await seed('key-2', 'best starsector ship');
+      await seed('key-3', 'worst weapon');
+      
+      await expect(perplexityService.searchCache('SHIP?')).resolves.toEqual({
+        total: 2,
+        matches: [expect.objectContaining({ key: 'key-2' }), expect.objectContaining({ key: 'key-1' })]
+      });
+      await expect(perplexityService.searchCache('key-3')).resolves.toEqual(expect.objectContaining({ total: 1 }));
+      await expect(perplexityService.searchCache('ship', 1)).resolves.toEqual(expect.objectContaining({ total: 2 }));
+    });
+    
+    it('invalidates answers by key, by question and by pattern', async () => {
+      await seed('key-1', 'best ship');
+      await seed('key-2', 'best ship', { model: 'sonar-pro' });
+      await seed('key-3', 'best weapon');
+      await seed('key-4', 'worst weapon');
+      
+      await expect(perplexityService.invalidateCache('key-4')).resolves.toBe(1);
+      await expect(perplexityService.invalidateCache('Best ship?')).resolves.toBe(2);
+      await expect(perplexityService.invalidateCache('best *')).resolves.toBe(1);
+      await expect(perplexityService.invalidateCache('')).resolves.toBe(0);
+      await expect(perplexityService.clearCache()).resolves.toBe(0);
+    });
+    
+    it('matches wildcards against whole words only', async () => {
+      await seed('key-1', 'best ship');
+      await seed('key-2', 'bestiary');
+      await seed('key-3', 'best big red ship');
+      await seed('key-4', 'the best shipyard');
+      
+      await expect(perplexityService.invalidateCache('best * ship')).resolves.toBe(2);
+      await expect(perplexityService.invalidateCache('* shipyard')).resolves.toBe(1);
+      await expect(perplexityService.invalidateCache('* * ')).rejects.toThrow('/cache clear');
+      await expect(perplexityService.invalidateCache('best *')).resolves.toBe(0);
+    });
+    
+    it('skips warmed answers for models that are unknown or not allowed in the guild', async () => {
+      guildSettings.overrides.set('guild-1', { allowedModels: ['sonar'] });
+      
+      await expect(perplexityService.warmCache([
+        { question: 'Best ship?', answer: 'Onslaught', model: 'sonar' },
+        { question: 'Best gun?', answer: 'Ballista', model: 'sonar-pro' },
+        { question: 'Best pilot?', answer: 'Aszune', model: 'gpt-9' }
+      ], { guildId: 'guild-1', systemMessage: 'You are a pirate.' }))
+        .resolves.toEqual({ added: 1, skipped: 0, unavailableModels: ['sonar-pro', 'gpt-9'] });
+      await expect(questionCache.list()).resolves.toHaveLength(1);
+      
+      guildSettings.overrides.clear();
+    });
+    
+    it('serves warmed answers to the persona they were warmed for', async () => {
+      jest.spyOn(perplexityService, 'sendChatRequest').mockResolvedValue({ choices: [{ message: { content: 'Live answer' } }] });
+      
+      await expect(perplexityService.warmCache([
+        { question: 'Best ship?', answer: 'Onslaught', sources: [{ title: 'Wiki', url: 'https://example.com' }, 'junk'] },
+        { question: 'No answer' },
+        null
+      ], { guildId: null, systemMessage: 'You are a pirate.' })).resolves.toEqual({ added: 1, skipped: 2, unavailableModels: [] });
+      
+      const history = [{ role: 'user', content: 'best ship' }];
+      await expect(perplexityService.generateChatResponse(history, { cacheScope: 'You are a pirate.', includeSources: true }))
+        .resolves.toEqual(expect.objectContaining({ content: 'Onslaught', sources: [{ title: 'Wiki', url: 'https://example.com' }] }));
+      await expect(perplexityService.generateChatResponse(history, { cacheScope: 'You are a knight.' })).resolves.toBe('Live answer');
+    });
+  });
+  
+  describe('throttling', () => {
+    beforeEach(() => {
+      jest.spyOn(perplexityService, '_getPiOptimizationSettings').mockReturnValue({ enabled: true });
+    });
+    
+    it('queues the request on behalf of the user it is for, at its priority', async () => {
+      mockThrottler.executeRequest.mockImplementation(requestFn => requestFn());
+      request.mockResolvedValueOnce(mockSuccessResponse({ choices: [{ message: { content: 'Hi' } }] }));
+      const onQueuePosition = jest.fn();
+      
+      await perplexityService.sendChatRequest([{ role: 'user', content: 'Hello' }], {
+        usageContext: { userId: 'user-1', guildId: 'guild-1' },
+        priority: 'command',
+        onQueuePosition
+      });
+      
+      expect(mockThrottler.executeRequest).toHaveBeenCalledWith(expect.any(Function), 'Perplexity API',
+        expect.objectContaining({ priority: 'command', queueKey: 'user-1', onQueuePosition }));
+    });
+    
+    it('does not go around the throttler when its queue is full', async () => {
+      const queueFull = Object.assign(new Error('Too many requests are waiting'), { code: 'QUEUE_FULL' });
+      mockThrottler.executeRequest.mockRejectedValue(queueFull);
+      
+      await expect(perplexityService.sendChatRequest([{ role: 'user', content: 'Hello' }])).rejects.toBe(queueFull);
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,79 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+const guildSettings = require('../../src/services/guild-settings');
+const personaManager = require('../../src/services/personas');
+
+describe('PersonaManager', () => {
+  const createMessage = (overrides = {}) => ({ guildId: 'guild-1', channelId: 'channel-1', channel: {}, ...overrides });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataStorage.scan.mockResolvedValue({});
+    dataStorage.set.mockResolvedValue();
+    personaManager.guildPersonas.clear();
+    personaManager.loadPromise = null;
+    guildSettings.overrides.clear();
+    guildSettings.loadPromise = null;
+  });
+
+  it('should fall back to the server\'s system message when no persona applies', async () => {
+    await expect(personaManager.getSystemMessage(createMessage())).resolves.toBe(config.SYSTEM_MESSAGES.CHAT);
+    await expect(personaManager.getSystemMessage({ guildId: null, channelId: 'dm-1' }))
+      .resolves.toBe(config.SYSTEM_MESSAGES.CHAT);
+  });
+
+  it('should save personas under lower-case names', async () => {
+    await expect(personaManager.savePersona('guild-1', 'Starsector', 'You know Starsector lore.')).resolves.toBe(true);
+    await expect(personaManager.savePersona('guild-1', 'starsector', 'Updated.')).resolves.toBe(false);
+
+    expect(dataStorage.set).toHaveBeenLastCalledWith('personas', 'guild-1', {
+      personas: { starsector: 'Updated.' },
+      guildPersona: null,
+      channels: {}
+    });
+  });
+
+  it('should reject invalid names and prompts', async () => {
+    await expect(personaManager.savePersona('guild-1', 'has spaces', 'Hi')).rejects.toThrow('Persona names');
+    await expect(personaManager.savePersona('guild-1', 'empty', '  ')).rejects.toThrow('Persona prompts');
+    await expect(personaManager.attach('guild-1', 'missing')).rejects.toThrow('There is no persona called "missing".');
+  });
+
+  it('should prefer a channel\'s persona over the server\'s, including in threads', async () => {
+    await personaManager.savePersona('guild-1', 'lore', 'Lore persona');
+    await personaManager.savePersona('guild-1', 'routes', 'Routing persona');
+    await personaManager.attach('guild-1', 'lore');
+    await personaManager.attach('guild-1', 'routes', 'channel-2');
+
+    await expect(personaManager.getSystemMessage(createMessage())).resolves.toBe('Lore persona');
+    await expect(personaManager.getSystemMessage(createMessage({ channelId: 'channel-2' }))).resolves.toBe('Routing persona');
+    await expect(personaManager.getSystemMessage(createMessage({ channelId: 'thread-1', channel: { parentId: 'channel-2' } })))
+      .resolves.toBe('Routing persona');
+  });
+
+  it('should detach a persona everywhere when it is deleted', async () => {
+    await personaManager.savePersona('guild-1', 'lore', 'Lore persona');
+    await personaManager.attach('guild-1', 'lore');
+    await personaManager.attach('guild-1', 'lore', 'channel-2');
+
+    await expect(personaManager.deletePersona('guild-1', 'lore')).resolves.toBe(true);
+    await expect(personaManager.listPersonas('guild-1')).resolves.toEqual({ personas: {}, guildPersona: null, channels: {} });
+    await expect(personaManager.deletePersona('guild-1', 'lore')).resolves.toBe(false);
+  });
+
+  it('should log and carry on when personas cannot be loaded', async () => {
+    const error = new Error('disk error');
+    dataStorage.scan.mockRejectedValue(error);
+
+    await expect(personaManager.getActivePersona(createMessage())).resolves.toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Failed to load personas:', error);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for the AI provider registry and the OpenAI-compatible provider
+ */
+const { request } = require('undici');
+const config = require('../../src/config/config');
+const guildSettings = require('../../src/services/guild-settings');
+const perplexityService = require('../../src/services/perplexity-secure');
+const aiProviders = require('../../src/services/providers');
+const OpenAICompatibleProvider = require('../../src/services/providers/openai-compatible-provider');
+const { mockSuccessResponse } = require('../utils/undici-mock-helpers');
+
+jest.mock('undici', () => ({
+  request: jest.fn()
+}));
+
+describe('AI provider registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aiProviders.instances.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('defaults to the configured provider', () => {
+    expect(aiProviders.getProvider()).toBe(perplexityService);
+    expect(config.AI_PROVIDER).toBe('perplexity');
+  });
+
+  it('creates each provider once and lists the ones in use', () => {
+    const provider = aiProviders.getProvider('openai-compatible');
+
+    expect(provider.name).toBe('openai-compatible');
+    expect(aiProviders.getProvider('openai-compatible')).toBe(provider);
+    expect(aiProviders.getActiveProviders()).toEqual([provider]);
+  });
+
+  it('uses the provider a guild has chosen', () => {
+    jest.spyOn(guildSettings, 'get').mockReturnValue('openai-compatible');
+
+    expect(aiProviders.getProviderForGuild('guild-1').name).toBe('openai-compatible');
+    expect(guildSettings.get).toHaveBeenCalledWith('guild-1', 'provider');
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => aiProviders.getProvider('skynet')).toThrow('Unknown AI provider "skynet"');
+  });
+});
+
+/**
+ * Create a stand-in provider for fallback chain tests
+ * @param {string} name - Provider name
+ * @param {string} displayName - Display name
+ * @returns {Object} - Provider whose calls can be stubbed
+ */
+function createFakeProvider(name, displayName) {
+  return {
+    name,
+    displayName,
+    generateChatResponse: jest.fn(),
+    isUnavailableError: jest.fn(error => error.statusCode >= 500 || error.statusCode === 429)
+  };
+}
+
+/**
+ * Create an API error with a status code
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error like the ones sendChatRequest throws
+ */
+function apiError(statusCode) {
+  const error = new Error(`API request failed with status ${statusCode}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+describe('AI provider fallback chain', () => {
+  const history = [{ role: 'user', content: 'Hello' }];
+  let perplexity;
+  let local;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    perplexity = createFakeProvider('perplexity', 'Perplexity API');
+    local = createFakeProvider('openai-compatible', 'OpenAI-compatible API');
+    aiProviders.instances.clear();
+    aiProviders.instances.set('perplexity', perplexity);
+    aiProviders.instances.set('openai-compatible', local);
+    config.AI_FALLBACKS = [
+      { provider: 'perplexity', model: 'sonar' },
+      { provider: 'openai-compatible', model: null }
+    ];
+  });
+
+  afterEach(() => {
+    config.AI_FALLBACKS = [];
+  });
+
+  it('answers with the guild provider when it is available', async () => {
+    perplexity.generateChatResponse.mockResolvedValueOnce({ content: 'Hi', sources: [], model: 'sonar-pro' });
+
+    const result = await aiProviders.generateChatResponse('guild-1', history, { model: 'sonar-pro' });
+
+    expect(result).toEqual({ content: 'Hi', sources: [], model: 'sonar-pro', provider: 'Perplexity API', fallback: false });
+    expect(perplexity.generateChatResponse).toHaveBeenCalledWith(history, {
+      model: 'sonar-pro',
+      includeSources: true
+    });
+  });
+
+  it('moves along the chain while providers are unavailable', async () => {
+    perplexity.generateChatResponse
+      .mockRejectedValueOnce(apiError(503))
+      .mockRejectedValueOnce(apiError(429));
+    local.generateChatResponse.mockResolvedValueOnce({ content: 'Local hi', sources: [], model: 'llama3.1' });
+
+    const result = await aiProviders.generateChatResponse('guild-1', history, { model: 'sonar-pro' });
+
+    expect(result).toEqual(expect.objectContaining({ content: 'Local hi', model: 'llama3.1', fallback: true }));
+    expect(perplexity.generateChatResponse.mock.calls.map(call => call[1].model)).toEqual(['sonar-pro', 'sonar']);
+    expect(local.generateChatResponse.mock.calls[0][1].model).toBeNull();
+  });
+
+  it('tells the caller each time a fallback starts the answer over', async () => {
+    perplexity.generateChatResponse.mockRejectedValueOnce(apiError(503)).mockRejectedValueOnce(apiError(503));
+    local.generateChatResponse.mockResolvedValueOnce({ content: 'Local hi', sources: [], model: 'llama3.1' });
+    const onRestart = jest.fn();
+
+    await aiProviders.generateChatResponse('guild-1', history, { model: 'sonar-pro', onRestart });
+
+    expect(onRestart).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips entries that repeat the guild provider and model', async () => {
+    perplexity.generateChatResponse.mockRejectedValueOnce(apiError(500));
+    local.generateChatResponse.mockResolvedValueOnce({ content: 'Local hi', sources: [], model: 'llama3.1' });
+
+    await aiProviders.generateChatResponse('guild-1', history, { model: 'sonar' });
+
+    expect(perplexity.generateChatResponse).toHaveBeenCalledTimes(1);
+    expect(local.generateChatResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not fall back when the request itself was rejected or cancelled', async () => {
+    perplexity.generateChatResponse.mockRejectedValueOnce(apiError(400));
+    await expect(aiProviders.generateChatResponse('guild-1', history, { model: 'sonar-pro' }))
+      .rejects.toThrow('status 400');
+
+    const controller = new AbortController();
+    controller.abort();
+    perplexity.generateChatResponse.mockRejectedValueOnce(apiError(503));
+    await expect(aiProviders.generateChatResponse('guild-1', history, { model: 'sonar-pro', signal: controller.signal }))
+      .rejects.toThrow('status 503');
+
+    expect(local.generateChatResponse).not.toHaveBeenCalled();
+  });
+
+  it('throws the last error once every entry has failed', async () => {
+    perplexity.generateChatResponse.mockRejectedValue(apiError(503));
+    local.generateChatResponse.mockRejectedValueOnce(apiError(502));
+
+    await expect(aiProviders.generateChatResponse('guild-1', history, { model: 'sonar-pro' }))
+      .rejects.toThrow('status 502');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const chatResponse = { choices: [{ message: { content: 'Local reply' } }] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('sends requests to the configured server with its own model', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llama.local:8080/v1', model: 'qwen2.5' });
+    request.mockResolvedValueOnce(mockSuccessResponse(chatResponse));
+
+    const reply = await provider.generateChatResponse([{ role: 'user', content: 'Hello' }], { model: 'sonar-pro', caching: false });
+
+    expect(reply).toBe('Local reply');
+    const [url, options] = request.mock.calls[0];
+    expect(url).toBe('http://llama.local:8080/v1/chat/completions');
+    expect(JSON.parse(options.body).model).toBe('qwen2.5');
+    expect(options.headers).toEqual({ 'Content-Type': 'application/json' });
+  });
+
+  it('uses a requested model that is not a Perplexity model', async () => {
+    const provider = new OpenAICompatibleProvider({ model: 'qwen2.5' });
+    request.mockResolvedValueOnce(mockSuccessResponse(chatResponse));
+
+    await provider.generateChatResponse([{ role: 'user', content: 'Hi there' }], { model: 'llama3.1:8b', caching: false });
+
+    expect(JSON.parse(request.mock.calls[0][1].body).model).toBe('llama3.1:8b');
+  });
+
+  it('sends a bearer token when a key is configured', async () => {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'local-key' });
+    request.mockResolvedValueOnce(mockSuccessResponse(chatResponse));
+
+    await provider.sendChatRequest([{ role: 'user', content: 'Hello' }]);
+
+    expect(request.mock.calls[0][0]).toBe(`${config.API.OPENAI_COMPATIBLE.BASE_URL}/chat/completions`);
+    expect(request.mock.calls[0][1].headers.Authorization).toBe('Bearer local-key');
+  });
+
+  it('summarises with the same model and names itself in errors', async () => {
+    const provider = new OpenAICompatibleProvider({ model: 'qwen2.5' });
+    request.mockResolvedValueOnce(mockSuccessResponse({ choices: [{ message: { content: 'Short' } }] }));
+
+    await expect(provider.generateSummary([{ role: 'user', content: 'Hi' }])).resolves.toBe('Short');
+    expect(JSON.parse(request.mock.calls[0][1].body).model).toBe('qwen2.5');
+    expect(provider.getSummaryModel()).toBe('qwen2.5');
+    expect(provider.displayName).toBe('OpenAI-compatible API');
+    expect(provider.circuitBreaker.name).toBe('OpenAI-compatible API');
+  });
+});
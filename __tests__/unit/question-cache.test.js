@@ -0,0 +1,167 @@
+jest.mock('../../src/services/storage', () => ({
+  NAMESPACES: { QUESTION_CACHE: 'question_cache' },
+  scan: jest.fn(),
+  replace: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+const questionCache = require('../../src/services/question-cache');
+
+/**
+ * Keys in the cache, least recently used first
+ * @returns {Promise<Array<string>>} - Cache keys
+ */
+async function cachedKeys() {
+  return (await questionCache.list()).map(([key]) => key);
+}
+
+describe('QuestionCache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    questionCache.reset();
+    jest.spyOn(questionCache, 'maxEntries', 'get').mockReturnValue(3);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should drop the least recently used answer once full', async () => {
+    await questionCache.set('old', { content: 'a' });
+    await questionCache.set('used', { content: 'b' });
+    await questionCache.set('newer', { content: 'c' });
+    // Using an answer again makes it the most recently used
+    await questionCache.set('used', { content: 'b', hits: 1 });
+    await questionCache.set('newest', { content: 'd' });
+
+    expect(await cachedKeys()).toEqual(['newer', 'used', 'newest']);
+  });
+
+  it('should remove entries by key, by test and in order of use', async () => {
+    await questionCache.set('a', { content: 'a' });
+    await questionCache.set('b', { content: 'b' });
+    await questionCache.set('c', { content: 'c' });
+
+    await expect(questionCache.delete('a')).resolves.toBe(true);
+    await expect(questionCache.delete('a')).resolves.toBe(false);
+    await expect(questionCache.removeWhere(entry => entry.content === 'c')).resolves.toBe(1);
+    await expect(questionCache.removeLeastRecentlyUsed(5)).resolves.toBe(1);
+    await expect(questionCache.size()).resolves.toBe(0);
+  });
+
+  it('should count lookups and measure the cached entries', async () => {
+    await questionCache.set('a', { content: 'a' });
+    questionCache.countLookup(true);
+    questionCache.countLookup(false);
+
+    await expect(questionCache.getStats()).resolves.toEqual({
+      entries: 1,
+      maxEntries: 3,
+      sizeBytes: Buffer.byteLength(JSON.stringify({ a: { content: 'a' } })),
+      hits: 1,
+      misses: 1
+    });
+  });
+
+  it('should only use memory during tests', async () => {
+    await questionCache.set('a', { content: 'a' });
+    await questionCache.flush();
+
+    expect(dataStorage.scan).not.toHaveBeenCalled();
+    expect(dataStorage.replace).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Save the cache to the mocked storage, with the flush timer under the test's control
+ */
+function usePersistence() {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    questionCache.reset();
+    jest.spyOn(questionCache, '_isPersistenceEnabled').mockReturnValue(true);
+    jest.spyOn(questionCache, 'maxEntries', 'get').mockReturnValue(2);
+    dataStorage.scan.mockResolvedValue({});
+    dataStorage.replace.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    questionCache.reset();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+}
+
+describe('QuestionCache loading', () => {
+  usePersistence();
+
+  it('should load once, keeping the most recently used answers that fit', async () => {
+    dataStorage.scan.mockResolvedValue({
+      newest: { content: 'a', lastAccessed: 300 },
+      oldest: { content: 'b', lastAccessed: 100 },
+      legacy: { content: 'c', timestamp: 200 }
+    });
+
+    expect(await cachedKeys()).toEqual(['legacy', 'newest']);
+    await questionCache.get('newest');
+
+    expect(dataStorage.scan).toHaveBeenCalledTimes(1);
+    expect(dataStorage.scan).toHaveBeenCalledWith('question_cache');
+  });
+
+  it('should start afresh when the saved cache cannot be read', async () => {
+    dataStorage.scan.mockRejectedValue(new SyntaxError('Unexpected end of JSON input'));
+
+    await expect(questionCache.size()).resolves.toBe(0);
+    expect(logger.error).toHaveBeenCalledWith('Failed to load question cache:', expect.any(SyntaxError));
+  });
+});
+
+describe('QuestionCache write-behind', () => {
+  usePersistence();
+
+  it('should write changes in one batch once the flush delay has passed', async () => {
+    await questionCache.set('a', { content: 'a' });
+    jest.advanceTimersByTime(config.QUESTION_CACHE.FLUSH_DELAY_MS / 2);
+    await questionCache.set('b', { content: 'b' });
+    expect(dataStorage.replace).not.toHaveBeenCalled();
+
+    // Later changes don't push the write back
+    jest.advanceTimersByTime(config.QUESTION_CACHE.FLUSH_DELAY_MS / 2);
+    await questionCache.writePromise;
+
+    expect(dataStorage.replace).toHaveBeenCalledTimes(1);
+    expect(dataStorage.replace).toHaveBeenCalledWith('question_cache', { a: { content: 'a' }, b: { content: 'b' } });
+  });
+
+  it('should not write when nothing has changed', async () => {
+    await questionCache.get('a');
+    await questionCache.flush();
+
+    expect(dataStorage.replace).not.toHaveBeenCalled();
+  });
+
+  it('should write what was cached when the flush started', async () => {
+    await questionCache.set('a', { content: 'a' });
+    const flushed = questionCache.flush();
+    await questionCache.set('b', { content: 'b' });
+    await flushed;
+
+    expect(dataStorage.replace).toHaveBeenCalledWith('question_cache', { a: { content: 'a' } });
+  });
+
+  it('should try again with the next batch when a write fails', async () => {
+    dataStorage.replace.mockRejectedValueOnce(new Error('disk full'));
+    await questionCache.set('a', { content: 'a' });
+
+    await questionCache.flush();
+    expect(logger.error).toHaveBeenCalledWith('Failed to save question cache:', expect.any(Error));
+
+    await questionCache.flush();
+    expect(dataStorage.replace).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,22 @@
+const { normaliseQuestion } = require('../../src/utils/question-normaliser');
+
+describe('normaliseQuestion', () => {
+  it('should fold case, accents, punctuation and whitespace', () => {
+    expect(normaliseQuestion('  What\'s the BEST   café in Zürich?! ')).toBe('whats the best cafe in zurich');
+    expect(normaliseQuestion('what’s the best cafe, in zurich')).toBe('whats the best cafe in zurich');
+  });
+
+  it('should replace whole-word aliases with the names they stand for', () => {
+    const aliases = { SS: 'Starsector', 'eve online': 'eve', eve: 'eve online' };
+
+    expect(normaliseQuestion('Best SS ship?', aliases)).toBe('best starsector ship');
+    expect(normaliseQuestion('Is class a good ship?', aliases)).toBe('is class a good ship');
+    // Each alias is replaced once, longest first, without feeding into the others
+    expect(normaliseQuestion('EVE Online or Eve?', aliases)).toBe('eve or eve online');
+  });
+
+  it('should return an empty string for questions with no words', () => {
+    expect(normaliseQuestion('?!')).toBe('');
+    expect(normaliseQuestion(undefined)).toBe('');
+  });
+});
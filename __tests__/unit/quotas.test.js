@@ -0,0 +1,136 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const guildSettings = require('../../src/services/guild-settings');
+const usageTracker = require('../../src/services/usage-tracker');
+const quotaManager = require('../../src/services/quotas');
+
+const NOW = Date.UTC(2025, 7, 15, 12);
+
+/**
+ * Create a guild message from a member with the given roles
+ * @param {Array<string>} roles - Role IDs
+ * @param {string|null} guildId - Guild ID (null for a DM)
+ * @returns {Object} - Message
+ */
+function createMessage(roles = [], guildId = 'guild-1') {
+  return {
+    guildId,
+    author: { id: 'user-1' },
+    member: guildId ? { roles: { cache: new Map(roles.map(roleId => [roleId, {}])) } } : null
+  };
+}
+
+/**
+ * Stub usage for the user, or the whole guild when userId is null
+ * @param {Object} byHolder - { user, guild } => { today, month } requests and tokens
+ */
+function mockUsage(byHolder) {
+  const totals = ({ requests = 0, tokens = 0 } = {}) =>
+    ({ requests, promptTokens: tokens, completionTokens: 0, cost: 0 });
+  jest.spyOn(usageTracker, 'getUsage').mockImplementation(async (guildId, userId) => {
+    const usage = byHolder[userId ? 'user' : 'guild'] || {};
+    return { today: totals(usage.today), month: totals(usage.month) };
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dataStorage.scan.mockResolvedValue({});
+  dataStorage.set.mockResolvedValue();
+  guildSettings.overrides.clear();
+  guildSettings.loadPromise = null;
+  quotaManager.warnings.clear();
+});
+
+describe('QuotaManager', () => {
+  it('should allow everything when no allowances are set', async () => {
+    mockUsage({ user: { today: { requests: 1000 } } });
+
+    await expect(quotaManager.check(createMessage(), NOW)).resolves.toEqual({ allowed: true, notice: null });
+    expect(usageTracker.getUsage).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a user who has used up an allowance, saying when it resets', async () => {
+    await guildSettings.set('guild-1', 'userQuota', '50000 tokens/day,1000 requests/month');
+    mockUsage({ user: { today: { tokens: 50000 }, month: { tokens: 50000, requests: 10 } } });
+
+    const result = await quotaManager.check(createMessage(), NOW);
+
+    expect(usageTracker.getUsage).toHaveBeenCalledWith('guild-1', 'user-1', NOW);
+    expect(result).toEqual({
+      allowed: false,
+      notice: 'You\'ve used your daily AI allowance in this server (50,000 tokens). ' +
+        `It resets <t:${Date.UTC(2025, 7, 16) / 1000}:R>.`
+    });
+  });
+
+  it('should refuse everyone once the guild has used up its allowance', async () => {
+    await guildSettings.set('guild-1', 'guildQuota', '200 requests/month');
+    mockUsage({ guild: { month: { requests: 200 } } });
+
+    const result = await quotaManager.check(createMessage(), NOW);
+
+    expect(result).toEqual({
+      allowed: false,
+      notice: 'This server has used its monthly AI allowance (200 requests). ' +
+        `It resets <t:${Date.UTC(2025, 8, 1) / 1000}:R>.`
+    });
+  });
+
+  it('should only hold direct messages to the user allowance', async () => {
+    mockUsage({ user: { today: { requests: 3 } } });
+    await guildSettings.set('guild-1', 'userQuota', '1 request/day');
+
+    await expect(quotaManager.check(createMessage([], null), NOW)).resolves.toEqual({ allowed: true, notice: null });
+    expect(usageTracker.getUsage).not.toHaveBeenCalled();
+  });
+
+  it('should not hold members with an exempt role to any allowance', async () => {
+    await guildSettings.set('guild-1', 'userQuota', '1 request/day');
+    await guildSettings.set('guild-1', 'quotaExemptRoles', '<@&42>');
+    mockUsage({ user: { today: { requests: 5 } } });
+
+    await expect(quotaManager.check(createMessage(['42']), NOW)).resolves.toEqual({ allowed: true, notice: null });
+    await expect(quotaManager.check(createMessage(['7']), NOW)).resolves.toMatchObject({ allowed: false });
+  });
+
+  it('should hold members with an allowance of their own to that one, for commands too', async () => {
+    await guildSettings.set('guild-1', 'userQuota', '1 request/day');
+    await guildSettings.set('guild-1', 'userQuotaOverrides', '<@123>=unlimited; <@456>=5 requests/day');
+    mockUsage({ user: { today: { requests: 5 } } });
+    const interaction = userId => ({ guildId: 'guild-1', user: { id: userId }, member: null });
+
+    await expect(quotaManager.check(interaction('123'), NOW)).resolves.toEqual({ allowed: true, notice: null });
+    await expect(quotaManager.check(interaction('456'), NOW)).resolves.toMatchObject({ allowed: false });
+    await expect(quotaManager.check(interaction('789'), NOW)).resolves.toMatchObject({ allowed: false });
+  });
+});
+
+describe('QuotaManager warnings', () => {
+  it('should warn once per period when an allowance is nearly used up', async () => {
+    await guildSettings.set('guild-1', 'userQuota', '100 requests/day');
+    mockUsage({ user: { today: { requests: 85 } } });
+
+    await expect(quotaManager.check(createMessage(), NOW)).resolves.toEqual({
+      allowed: true,
+      notice: 'Heads up: you\'ve used 85% of your daily AI allowance in this server (100 requests).'
+    });
+    await expect(quotaManager.check(createMessage(), NOW)).resolves.toEqual({ allowed: true, notice: null });
+
+    const tomorrow = NOW + 24 * 60 * 60 * 1000;
+    await expect(quotaManager.check(createMessage(), tomorrow)).resolves.toMatchObject({ notice: expect.stringContaining('85%') });
+  });
+
+  it('should not warn below the threshold', async () => {
+    await guildSettings.set('guild-1', 'guildQuota', '100 requests/day');
+    mockUsage({ guild: { today: { requests: 79 } } });
+
+    await expect(quotaManager.check(createMessage(), NOW)).resolves.toEqual({ allowed: true, notice: null });
+  });
+});
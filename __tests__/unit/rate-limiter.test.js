@@ -0,0 +1,110 @@
+jest.mock('../../src/utils/logger');
+
+const config = require('../../src/config/config');
+const { RateLimiter } = require('../../src/services/rate-limiter');
+
+const NOW = 1700000000000;
+const USER_LIMITS = { burst: 2, refillMs: 5000 };
+
+let limiter;
+let originalLimits;
+
+beforeEach(() => {
+  originalLimits = config.RATE_LIMITS;
+  config.RATE_LIMITS = {
+    USER_BURST: 3,
+    CHANNEL: { BURST: 3, REFILL_MS: 1000 },
+    GUILD: { BURST: 0, REFILL_MS: 1000 },
+    GLOBAL: { BURST: 100, REFILL_MS: 100 },
+    MODE: 'reply'
+  };
+  limiter = new RateLimiter();
+});
+
+afterEach(() => {
+  config.RATE_LIMITS = originalLimits;
+});
+
+describe('RateLimiter', () => {
+  it('should allow a burst, then one message each time a token is regained', () => {
+    const target = { userId: 'user-1' };
+
+    expect(limiter.take(target, USER_LIMITS, NOW).allowed).toBe(true);
+    expect(limiter.take(target, USER_LIMITS, NOW).allowed).toBe(true);
+    expect(limiter.take(target, USER_LIMITS, NOW + 1000)).toEqual({
+      allowed: false,
+      scope: 'user',
+      retryAfterMs: 4000,
+      notify: true
+    });
+
+    expect(limiter.take(target, USER_LIMITS, NOW + 5000).allowed).toBe(true);
+    expect(limiter.take(target, USER_LIMITS, NOW + 5000).allowed).toBe(false);
+  });
+
+  it('should only ask for a notice the first time a bucket holds a message back', () => {
+    const target = { userId: 'user-1' };
+    const limits = { burst: 1, refillMs: 5000 };
+    limiter.take(target, limits, NOW);
+
+    expect(limiter.take(target, limits, NOW).notify).toBe(true);
+    expect(limiter.take(target, limits, NOW + 1000).notify).toBe(false);
+
+    expect(limiter.take(target, limits, NOW + 5000).allowed).toBe(true);
+    expect(limiter.take(target, limits, NOW + 5000).notify).toBe(true);
+  });
+
+  it('should give back the tokens a message took, up to each bucket\'s burst', () => {
+    const target = { userId: 'user-1', channelId: 'channel-1' };
+    limiter.take(target, USER_LIMITS, NOW);
+    limiter.take(target, USER_LIMITS, NOW);
+
+    limiter.giveBack(target, USER_LIMITS, NOW);
+    limiter.giveBack(target, USER_LIMITS, NOW);
+    limiter.giveBack(target, USER_LIMITS, NOW);
+
+    expect(limiter.buckets.user.get('user-1').tokens).toBe(2);
+    expect(limiter.buckets.channel.get('channel-1').tokens).toBe(3);
+    expect(limiter.take(target, USER_LIMITS, NOW).allowed).toBe(true);
+  });
+});
+
+describe('RateLimiter scopes', () => {
+  it('should hold back a busy channel without using up its members\' own allowance', () => {
+    for (const userId of ['a', 'b', 'c']) {
+      expect(limiter.take({ userId, channelId: 'channel-1' }, USER_LIMITS, NOW).allowed).toBe(true);
+    }
+
+    expect(limiter.take({ userId: 'd', channelId: 'channel-1' }, USER_LIMITS, NOW))
+      .toMatchObject({ allowed: false, scope: 'channel', retryAfterMs: 1000 });
+    expect(limiter.take({ userId: 'd', channelId: 'channel-2' }, USER_LIMITS, NOW).allowed).toBe(true);
+    expect(limiter.take({ userId: 'd', channelId: 'channel-2' }, USER_LIMITS, NOW).allowed).toBe(true);
+  });
+
+  it('should skip buckets with no burst and fall back to the global user settings', () => {
+    const target = { userId: 'user-1', guildId: 'guild-1' };
+    for (let i = 0; i < 3; i++) {
+      expect(limiter.take(target, {}, NOW).allowed).toBe(true);
+    }
+    expect(limiter.take(target, {}, NOW)).toMatchObject({ scope: 'user', retryAfterMs: config.RATE_LIMIT_WINDOW });
+    expect(limiter.getMetrics().guild.checked).toBe(0);
+  });
+
+  it('should count how often each kind of bucket trips', () => {
+    const limits = { burst: 1, refillMs: 5000 };
+    limiter.take({ userId: 'user-1', channelId: 'channel-1' }, limits, NOW);
+    limiter.take({ userId: 'user-1', channelId: 'channel-1' }, limits, NOW + 10);
+
+    const metrics = limiter.getMetrics();
+    expect(metrics.user).toEqual({ checked: 2, limited: 1, lastLimitedAt: NOW + 10, buckets: 1 });
+    expect(metrics.channel).toEqual({ checked: 2, limited: 0, lastLimitedAt: null, buckets: 1 });
+    expect(metrics.global.checked).toBe(2);
+  });
+
+  it('should forget buckets once they have refilled', () => {
+    limiter.take({ userId: 'user-1' }, USER_LIMITS, NOW);
+    limiter.take({ userId: 'user-2' }, USER_LIMITS, NOW + 61000);
+
+    expect(limiter.getMetrics().user.buckets).toBe(1);
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  set: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/dm-preferences');
+
+const dataStorage = require('../../src/services/storage');
+const responseModeManager = require('../../src/services/response-mode');
+const guildSettings = require('../../src/services/guild-settings');
+const config = require('../../src/config/config');
+const dmPreferences = require('../../src/services/dm-preferences');
+
+const { MODES } = responseModeManager;
+
+describe('ResponseModeManager', () => {
+  const createMessage = (overrides = {}) => ({
+    content: 'hello',
+    guildId: 'guild-1',
+    channelId: 'channel-1',
+    channel: { parentId: null },
+    client: { user: { id: 'bot-id' } },
+    mentions: { users: new Map(), repliedUser: null },
+    reference: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataStorage.scan.mockResolvedValue({});
+    dataStorage.set.mockResolvedValue();
+    guildSettings.overrides.clear();
+    guildSettings.loadPromise = null;
+  });
+
+  describe('getSettings', () => {
+    it('should fall back to the configured default mode', async () => {
+      await expect(responseModeManager.getSettings('guild-1')).resolves.toEqual({
+        mode: config.RESPONSE_MODE.DEFAULT,
+        channels: []
+      });
+    });
+
+    it('should read saved guild settings, loading them once', async () => {
+      dataStorage.scan.mockResolvedValue({ 'guild-1': { responseMode: 'mention', responseChannels: ['channel-1'] } });
+
+      await responseModeManager.getSettings('guild-1');
+      const settings = await responseModeManager.getSettings('guild-1');
+
+      expect(settings).toEqual({ mode: 'mention', channels: ['channel-1'] });
+      expect(dataStorage.scan).toHaveBeenCalledTimes(1);
+      expect(dataStorage.scan).toHaveBeenCalledWith('guild_settings');
+    });
+  });
+
+  describe('updating settings', () => {
+    it('should persist a new mode', async () => {
+      await responseModeManager.setMode('guild-1', MODES.CHANNELS);
+
+      expect(dataStorage.set).toHaveBeenCalledWith('guild_settings', 'guild-1', { responseMode: 'channels' });
+    });
+
+    it('should reject unknown modes', async () => {
+      await expect(responseModeManager.setMode('guild-1', 'sometimes')).rejects.toThrow('Unknown response mode');
+    });
+
+    it('should add channels once and remove them', async () => {
+      await responseModeManager.addChannel('guild-1', '111');
+      await responseModeManager.addChannel('guild-1', '111');
+      expect((await responseModeManager.getSettings('guild-1')).channels).toEqual(['111']);
+
+      await responseModeManager.removeChannel('guild-1', '111');
+      expect((await responseModeManager.getSettings('guild-1')).channels).toEqual([]);
+    });
+  });
+
+  describe('shouldRespond', () => {
+    it('should respond everywhere in "all" mode', async () => {
+      await responseModeManager.setMode('guild-1', MODES.ALL);
+      await expect(responseModeManager.shouldRespond(createMessage())).resolves.toBe(true);
+    });
+
+    it('should respond in DMs unless the user opted out', async () => {
+      const dm = createMessage({ guildId: null, author: { id: 'user-1' } });
+
+      dmPreferences.isOptedOut.mockResolvedValue(false);
+      await expect(responseModeManager.shouldRespond(dm)).resolves.toBe(true);
+
+      dmPreferences.isOptedOut.mockResolvedValue(true);
+      await expect(responseModeManager.shouldRespond(dm)).resolves.toBe(false);
+      expect(dmPreferences.isOptedOut).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should only respond to mentions and replies in "mention" mode', async () => {
+      await responseModeManager.setMode('guild-1', MODES.MENTION);
+
+      const plain = createMessage();
+      const mention = createMessage({ mentions: { users: new Map([['bot-id', {}]]), repliedUser: null } });
+      const reply = createMessage({
+        reference: { messageId: 'm1' },
+        mentions: { users: new Map(), repliedUser: { id: 'bot-id' } }
+      });
+      const replyToOther = createMessage({
+        reference: { messageId: 'm2' },
+        mentions: { users: new Map(), repliedUser: { id: 'someone-else' } }
+      });
+
+      await expect(responseModeManager.shouldRespond(plain)).resolves.toBe(false);
+      await expect(responseModeManager.shouldRespond(mention)).resolves.toBe(true);
+      await expect(responseModeManager.shouldRespond(reply)).resolves.toBe(true);
+      await expect(responseModeManager.shouldRespond(replyToOther)).resolves.toBe(false);
+    });
+
+    it('should only respond in allowed channels and their threads in "channels" mode', async () => {
+      await responseModeManager.setMode('guild-1', MODES.CHANNELS);
+      await responseModeManager.addChannel('guild-1', '222');
+
+      await expect(responseModeManager.shouldRespond(createMessage({ channelId: '222' }))).resolves.toBe(true);
+      await expect(responseModeManager.shouldRespond(createMessage({
+        channelId: 'thread-1',
+        channel: { parentId: '222' }
+      }))).resolves.toBe(true);
+      await expect(responseModeManager.shouldRespond(createMessage())).resolves.toBe(false);
+    });
+
+    it('should never respond in guild channels in "dm_only" mode', async () => {
+      await responseModeManager.setMode('guild-1', MODES.DM_ONLY);
+      await expect(responseModeManager.shouldRespond(createMessage())).resolves.toBe(false);
+    });
+  });
+
+  describe('stripBotMention', () => {
+    it('should remove both mention formats', () => {
+      expect(responseModeManager.stripBotMention('<@bot-id> what is <@!bot-id> up to?', 'bot-id'))
+        .toBe('what is  up to?');
+    });
+
+    it('should leave content alone without a bot ID', () => {
+      expect(responseModeManager.stripBotMention('<@bot-id> hi', undefined)).toBe('<@bot-id> hi');
+    });
+  });
+});
@@ -6,6 +6,8 @@ const { request } = require('undici');
 const fs = require('fs').promises;
 
 const PerplexityService = require('../../../src/services/perplexity-secure');
+const questionCache = require('../../../src/services/question-cache');
+const config = require('../../../src/config/config');
 const { mockSuccessResponse, mockErrorResponse } = require('../../utils/undici-mock-helpers');
 
 jest.mock('undici', () => ({
@@ -18,6 +20,7 @@ jest.mock('fs', () => ({
     writeFile: jest.fn().mockResolvedValue(undefined),
     mkdir: jest.fn().mockResolvedValue(undefined),
     chmod: jest.fn().mockResolvedValue(undefined),
+    rename: jest.fn().mockResolvedValue(undefined),
     access: jest.fn().mockRejectedValue(new Error('No access')),
     stat: jest.fn().mockResolvedValue({
       isDirectory: jest.fn().mockReturnValue(true)
@@ -41,20 +44,39 @@ describe('PerplexitySecure Service', () => {
     
     // Default mock implementations
     fs.readFile.mockRejectedValue(new Error('File not found'));
+    // Retry without waiting
+    jest.spyOn(perplexityService, '_sleep').mockResolvedValue();
+    perplexityService.circuitBreaker.reset();
+    questionCache.reset();
   });
 
+  afterEach(() => {
+    jest.restoreAllMocks();
+    questionCache.reset();
+  });
+
+  // Every attempt, including retries, fails with the same response
+  const mockEveryAttempt = (response) => {
+    const attempts = config.API.PERPLEXITY.RETRY.MAX_RETRIES + 1;
+    for (let i = 0; i < attempts; i++) {
+      request.mockResolvedValueOnce(response);
+    }
+    return attempts;
+  };
+
   describe('generateChatResponse', () => {
     it('should handle rate limiting with 429 status code', async () => {
-      request.mockResolvedValueOnce(mockErrorResponse({ error: 'Rate limit exceeded' }, 429));
+      const attempts = mockEveryAttempt(mockErrorResponse({ error: 'Rate limit exceeded' }, 429));
       
       const messages = [{ role: 'user', content: 'Hello' }];
       
       await expect(perplexityService.generateChatResponse(messages))
         .rejects.toThrow('API request failed with status 429');
+      expect(request).toHaveBeenCalledTimes(attempts);
     });
     
     it('should handle server errors with 500+ status code', async () => {
-      request.mockResolvedValueOnce(mockErrorResponse({ error: 'Internal Server Error' }, 500));
+      mockEveryAttempt(mockErrorResponse({ error: 'Internal Server Error' }, 500));
       
       const messages = [{ role: 'user', content: 'Hello' }];
       
@@ -137,6 +159,11 @@ describe('PerplexitySecure Service', () => {
   });
   
   describe('question caching', () => {
+    beforeEach(() => {
+      // Read and write the cache through the mocked file system
+      jest.spyOn(questionCache, '_isPersistenceEnabled').mockReturnValue(true);
+    });
+    
     it('should return cached response if available', async () => {
       // Mock successful cache read
       fs.readFile.mockResolvedValueOnce(JSON.stringify({ 
@@ -169,7 +196,22 @@ describe('PerplexitySecure Service', () => {
       const response = await perplexityService.generateChatResponse(messages);
       
       expect(response).toBe('New response');
+      // Answers are written behind, in batches
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      await questionCache.flush();
       expect(fs.writeFile).toHaveBeenCalled();
+      expect(fs.rename).toHaveBeenCalled();
+    });
+    
+    it('should read the cache from disk only once', async () => {
+      request.mockResolvedValueOnce(mockSuccessResponse({ choices: [{ message: { content: 'New response' } }] }));
+      
+      const messages = [{ role: 'user', content: 'New question' }];
+      await perplexityService.generateChatResponse(messages);
+      await expect(perplexityService.generateChatResponse(messages)).resolves.toBe('New response');
+      
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+      expect(request).toHaveBeenCalledTimes(1);
     });
     
     it('should handle cache directory creation when it doesnt exist', async () => {
@@ -190,6 +232,7 @@ describe('PerplexitySecure Service', () => {
       const response = await perplexityService.generateChatResponse(messages);
       
       expect(response).toBe('New response');
+      await questionCache.flush();
       expect(fs.mkdir).toHaveBeenCalled();
       expect(fs.writeFile).toHaveBeenCalled();
     });
@@ -206,6 +249,7 @@ describe('PerplexitySecure Service', () => {
       const response = await perplexityService.generateChatResponse(messages, { caching: false });
       
       expect(response).toBe('Uncached response');
+      await questionCache.flush();
       expect(fs.writeFile).not.toHaveBeenCalled();
     });
 
@@ -234,6 +278,7 @@ describe('PerplexitySecure Service', () => {
   
   describe('file permission security', () => {
     it('should set secure file permissions when writing to cache', async () => {
+      jest.spyOn(questionCache, '_isPersistenceEnabled').mockReturnValue(true);
       // Mock cache miss
       fs.readFile.mockRejectedValueOnce(new Error('File not found'));
       
@@ -246,26 +291,320 @@ describe('PerplexitySecure Service', () => {
       
       const messages = [{ role: 'user', content: 'Question' }];
       await perplexityService.generateChatResponse(messages);
+      await questionCache.flush();
       
       expect(fs.chmod).toHaveBeenCalled();
     });
   });
 
   describe('retry mechanism', () => {
+    const retriedResponse = { choices: [{ message: { content: 'Retried response' } }] };
+
     it('should retry API calls on transient errors', async () => {
       // First call fails with 429, second succeeds
       request.mockResolvedValueOnce(mockErrorResponse({ error: 'Rate limit exceeded' }, 429));
-      
-      const mockResponse = {
-        choices: [{ message: { content: 'Retried response' } }]
-      };
-      request.mockResolvedValueOnce(mockSuccessResponse(mockResponse));
+      request.mockResolvedValueOnce(mockSuccessResponse(retriedResponse));
       
       const messages = [{ role: 'user', content: 'Hello' }];
-      const response = await perplexityService.generateChatResponse(messages, { retryOnRateLimit: true });
+      const response = await perplexityService.generateChatResponse(messages);
       
       expect(response).toBe('Retried response');
       expect(request).toHaveBeenCalledTimes(2);
     });
+
+    it('should retry dropped connections and summary requests alike', async () => {
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      request.mockRejectedValueOnce(reset);
+      request.mockResolvedValueOnce(mockSuccessResponse({ choices: [{ message: { content: 'A summary' } }] }));
+
+      await expect(perplexityService.generateSummary([{ role: 'user', content: 'Hello' }]))
+        .resolves.toBe('A summary');
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry client errors', async () => {
+      request.mockResolvedValueOnce(mockErrorResponse({ error: 'Bad request' }, 400));
+
+      await expect(perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }]))
+        .rejects.toThrow('API request failed with status 400');
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(perplexityService._sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retry delays', () => {
+    const retriedResponse = { choices: [{ message: { content: 'Retried response' } }] };
+    const withHeaders = (response, headers) => ({ ...response, headers });
+
+    it('should wait as long as Retry-After asks', async () => {
+      request.mockResolvedValueOnce(withHeaders(mockErrorResponse({}, 429), { 'retry-after': '2' }));
+      request.mockResolvedValueOnce(mockSuccessResponse(retriedResponse));
+
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }]);
+
+      expect(perplexityService._sleep).toHaveBeenCalledWith(2000, expect.any(AbortSignal));
+    });
+
+    it('should read x-ratelimit reset headers', async () => {
+      request.mockResolvedValueOnce(withHeaders(mockErrorResponse({}, 429), { 'x-ratelimit-reset-requests': '1s500ms' }));
+      request.mockResolvedValueOnce(mockSuccessResponse(retriedResponse));
+
+      await perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }]);
+
+      expect(perplexityService._sleep).toHaveBeenCalledWith(1500, expect.any(AbortSignal));
+    });
+
+    it('should give up when asked to wait longer than the maximum delay', async () => {
+      request.mockResolvedValueOnce(withHeaders(mockErrorResponse({}, 429), { 'retry-after': '3600' }));
+
+      await expect(perplexityService.generateChatResponse([{ role: 'user', content: 'Hello' }]))
+        .rejects.toThrow('API request failed with status 429');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should back off exponentially with jitter, up to the maximum delay', () => {
+      const { BASE_DELAY_MS, MAX_DELAY_MS } = config.API.PERPLEXITY.RETRY;
+      const error = { statusCode: 503 };
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+
+      expect(perplexityService._getRetryDelay(error, 0)).toBe(BASE_DELAY_MS);
+      expect(perplexityService._getRetryDelay(error, 2)).toBe(BASE_DELAY_MS * 4);
+      expect(perplexityService._getRetryDelay(error, 20)).toBe(MAX_DELAY_MS);
+
+      Math.random.mockReturnValue(0);
+      expect(perplexityService._getRetryDelay(error, 2)).toBe(BASE_DELAY_MS * 2);
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    // A request that hangs until its signal aborts, as undici's request() does
+    const hangUntilAborted = () => request.mockImplementationOnce((url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    }));
+
+    it('should pass the configured deadlines to undici', async () => {
+      request.mockResolvedValueOnce(mockSuccessResponse({ choices: [{ message: { content: 'Hi' } }] }));
+
+      await perplexityService.sendChatRequest(messages);
+
+      expect(request).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        headersTimeout: config.API.PERPLEXITY.TIMEOUTS.HEADERS_MS,
+        bodyTimeout: config.API.PERPLEXITY.TIMEOUTS.BODY_MS,
+        signal: expect.any(AbortSignal)
+      }));
+    });
+
+    it('should give up with a timeout error once the deadline passes', async () => {
+      hangUntilAborted();
+
+      const error = await perplexityService.sendChatRequest(messages, { timeout: 20 }).catch(e => e);
+
+      expect(error.name).toBe('TimeoutError');
+      expect(error.message).toBe('Perplexity API request timed out after 20ms');
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(perplexityService.activeRequests.size).toBe(0);
+      expect(perplexityService.getCircuitStatus().failures).toBe(1);
+    });
+
+    it('should not count a deadline missed in the throttler\'s queue against the API', async () => {
+      jest.spyOn(perplexityService, '_getPiOptimizationSettings').mockReturnValue({ enabled: true });
+      // Still queued behind other requests when the deadline passes
+      jest.spyOn(perplexityService, '_executeWithThrottling').mockImplementation((requestFn, signal) =>
+        new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))));
+
+      const error = await perplexityService.sendChatRequest(messages, { timeout: 20 }).catch(e => e);
+
+      expect(error.name).toBe('TimeoutError');
+      expect(request).not.toHaveBeenCalled();
+      expect(perplexityService.getCircuitStatus().failures).toBe(0);
+    });
+
+    it('should cancel when the caller aborts', async () => {
+      hangUntilAborted();
+      const controller = new AbortController();
+
+      const pending = perplexityService.generateChatResponse(messages, { caching: false, signal: controller.signal });
+      controller.abort(new Error('User cancelled'));
+
+      await expect(pending).rejects.toThrow('User cancelled');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel requests still in flight on shutdown', async () => {
+      hangUntilAborted();
+
+      const pending = perplexityService.sendChatRequest(messages);
+      perplexityService.shutdown();
+
+      await expect(pending).rejects.toThrow('the service is shutting down');
+    });
+  });
+
+  describe('cache cleanup', () => {
+    const originalNodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalNodeEnv;
+      jest.useRealTimers();
+    });
+
+    it('should run one daily cleanup for every provider, stopped when they shut down', () => {
+      jest.useFakeTimers();
+      process.env.NODE_ENV = 'production';
+
+      const first = new PerplexityService.PerplexityService();
+      const second = new PerplexityService.PerplexityService({ name: 'openai-compatible' });
+      expect(jest.getTimerCount()).toBe(1);
+
+      second.shutdown();
+      first.shutdown();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    it('should fail fast once the API keeps failing', async () => {
+      const threshold = config.API.PERPLEXITY.CIRCUIT_BREAKER.FAILURE_THRESHOLD;
+      for (let i = 0; i < threshold; i++) {
+        mockEveryAttempt(mockErrorResponse({ error: 'Service Unavailable' }, 503));
+        await perplexityService.sendChatRequest(messages).catch(() => {});
+      }
+      request.mockClear();
+
+      await expect(perplexityService.generateChatResponse(messages, { caching: false }))
+        .rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(request).not.toHaveBeenCalled();
+      expect(perplexityService.getCircuitStatus()).toEqual(expect.objectContaining({ state: 'open', failures: threshold }));
+    });
+
+    it('should not count rate limits or bad requests as outages', async () => {
+      request.mockResolvedValueOnce(mockErrorResponse({ error: 'Bad request' }, 400));
+      await perplexityService.sendChatRequest(messages).catch(() => {});
+
+      expect(perplexityService.getCircuitStatus().failures).toBe(0);
+    });
+
+    it('should tell callers when another provider could answer instead', async () => {
+      request.mockResolvedValueOnce(mockErrorResponse({ error: 'Bad request' }, 400));
+      const badRequest = await perplexityService.sendChatRequest(messages).catch(error => error);
+      mockEveryAttempt(mockErrorResponse({ error: 'Service Unavailable' }, 503));
+      const outage = await perplexityService.sendChatRequest(messages).catch(error => error);
+
+      expect(perplexityService.isUnavailableError(badRequest)).toBe(false);
+      expect(perplexityService.isUnavailableError(outage)).toBe(true);
+      expect(perplexityService.isUnavailableError({ code: 'CIRCUIT_OPEN' })).toBe(true);
+    });
+  });
+
+  describe('streaming responses', () => {
+    let originalPiOptimizations;
+
+    const createStreamResponse = (events) => ({
+      statusCode: 200,
+      headers: { 'content-type': 'text/event-stream' },
+      body: {
+        async *[Symbol.asyncIterator]() {
+          for (const event of events) {
+            yield Buffer.from(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+          }
+        }
+      }
+    });
+
+    beforeEach(() => {
+      originalPiOptimizations = config.PI_OPTIMIZATIONS;
+      config.PI_OPTIMIZATIONS = { ...originalPiOptimizations, ENABLED: true, STREAM_RESPONSES: true, LOW_CPU_MODE: false };
+    });
+
+    afterEach(() => {
+      config.PI_OPTIMIZATIONS = originalPiOptimizations;
+    });
+
+    it('requests a stream and reports deltas as they arrive', async () => {
+      request.mockResolvedValueOnce(createStreamResponse([
+        { id: 'abc', model: 'sonar', choices: [{ delta: { content: 'Hello' } }] },
+        { choices: [{ delta: { content: ' there' } }] },
+        { choices: [{ delta: {}, finish_reason: 'stop' }], citations: ['https://example.com'] },
+        '[DONE]'
+      ]));
+
+      const onDelta = jest.fn();
+      const response = await perplexityService.generateChatResponse(
+        [{ role: 'user', content: 'Hi' }],
+        { caching: false, onDelta }
+      );
+
+      const payload = JSON.parse(request.mock.calls[0][1].body);
+      expect(payload.stream).toBe(true);
+      expect(response).toBe('Hello there');
+      expect(onDelta).toHaveBeenNthCalledWith(1, 'Hello', 'Hello');
+      expect(onDelta).toHaveBeenNthCalledWith(2, ' there', 'Hello there');
+    });
+
+    it('assembles streamed chunks into a completion object', async () => {
+      request.mockResolvedValueOnce(createStreamResponse([
+        { model: 'sonar', choices: [{ delta: { content: 'Answer' } }] },
+        { choices: [{ delta: {}, finish_reason: 'stop' }], citations: ['https://example.com'], usage: { total_tokens: 5 } }
+      ]));
+
+      const completion = await perplexityService.sendChatRequest(
+        [{ role: 'user', content: 'Hi' }],
+        { stream: true }
+      );
+
+      expect(completion).toEqual({
+        model: 'sonar',
+        citations: ['https://example.com'],
+        usage: { total_tokens: 5 },
+        choices: [{ message: { role: 'assistant', content: 'Answer' }, finish_reason: 'stop' }]
+      });
+    });
+
+    it('does not stream in low CPU mode', async () => {
+      config.PI_OPTIMIZATIONS.LOW_CPU_MODE = true;
+      request.mockResolvedValueOnce(mockSuccessResponse({ choices: [{ message: { content: 'Plain' } }] }));
+
+      const response = await perplexityService.generateChatResponse(
+        [{ role: 'user', content: 'Hi' }],
+        { caching: false, onDelta: jest.fn() }
+      );
+
+      const payload = JSON.parse(request.mock.calls[0][1].body);
+      expect(payload.stream).toBeUndefined();
+      expect(response).toBe('Plain');
+    });
+
+    it('tells the caller when a retry starts the streamed response over', async () => {
+      request
+        .mockResolvedValueOnce(mockErrorResponse({ error: 'Service Unavailable' }, 503))
+        .mockResolvedValueOnce(createStreamResponse([{ choices: [{ delta: { content: 'Again' } }] }]));
+      const onRestart = jest.fn();
+
+      const response = await perplexityService.generateChatResponse(
+        [{ role: 'user', content: 'Hi' }],
+        { caching: false, onDelta: jest.fn(), onRestart }
+      );
+
+      expect(response).toBe('Again');
+      expect(onRestart).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps streaming when a delta callback throws', async () => {
+      request.mockResolvedValueOnce(createStreamResponse([
+        { choices: [{ delta: { content: 'A' } }] },
+        { choices: [{ delta: { content: 'B' } }] }
+      ]));
+
+      const response = await perplexityService.generateChatResponse(
+        [{ role: 'user', content: 'Hi' }],
+        { caching: false, onDelta: () => { throw new Error('edit failed'); } }
+      );
+
+      expect(response).toBe('AB');
+    });
   });
 });
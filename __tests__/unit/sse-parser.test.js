@@ -0,0 +1,85 @@
+/**
+ * Tests for the SSE parser
+ */
+const { parseSSEStream, splitEvents, parseEventData } = require('../../src/utils/sse-parser');
+
+// Build an async iterable body from string/Buffer chunks
+const createBody = (chunks) => ({
+  async *[Symbol.asyncIterator]() {
+    for (const chunk of chunks) {
+      yield chunk;
+    }
+  }
+});
+
+const collect = async (body) => {
+  const events = [];
+  for await (const event of parseSSEStream(body)) {
+    events.push(event);
+  }
+  return events;
+};
+
+describe('SSE Parser', () => {
+  describe('splitEvents', () => {
+    it('returns complete events and keeps the incomplete remainder', () => {
+      const { events, remainder } = splitEvents('data: {"a":1}\n\ndata: {"b":');
+      expect(events).toEqual(['{"a":1}']);
+      expect(remainder).toBe('data: {"b":');
+    });
+
+    it('handles CRLF line endings and ignores non-data fields', () => {
+      const { events } = splitEvents('event: message\r\nid: 1\r\ndata: hello\r\n\r\n');
+      expect(events).toEqual(['hello']);
+    });
+
+    it('joins multi-line data fields', () => {
+      const { events } = splitEvents('data: line one\ndata: line two\n\n');
+      expect(events).toEqual(['line one\nline two']);
+    });
+  });
+
+  describe('parseEventData', () => {
+    it('returns null for invalid JSON', () => {
+      expect(parseEventData('not json')).toBeNull();
+    });
+  });
+
+  describe('parseSSEStream', () => {
+    it('yields parsed payloads split across arbitrary chunk boundaries', async () => {
+      const body = createBody([
+        Buffer.from('data: {"choices":[{"delta":{"content":"Hel"}}]}\n'),
+        Buffer.from('\ndata: {"choices":[{"delta":'),
+        Buffer.from('{"content":"lo"}}]}\n\n'),
+      ]);
+
+      const events = await collect(body);
+
+      expect(events).toEqual([
+        { choices: [{ delta: { content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo' } }] },
+      ]);
+    });
+
+    it('stops at the [DONE] sentinel', async () => {
+      const body = createBody(['data: {"n":1}\n\ndata: [DONE]\n\ndata: {"n":2}\n\n']);
+      expect(await collect(body)).toEqual([{ n: 1 }]);
+    });
+
+    it('flushes a trailing event without a terminating blank line', async () => {
+      const body = createBody(['data: {"n":1}\n\ndata: {"n":2}']);
+      expect(await collect(body)).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    it('skips events that are not valid JSON', async () => {
+      const body = createBody([': keep-alive\n\ndata: oops\n\ndata: {"ok":true}\n\n']);
+      expect(await collect(body)).toEqual([{ ok: true }]);
+    });
+
+    it('decodes multi-byte characters split between chunks', async () => {
+      const bytes = Buffer.from('data: {"text":"😊"}\n\n');
+      const body = createBody([bytes.subarray(0, 17), bytes.subarray(17)]);
+      expect(await collect(body)).toEqual([{ text: '😊' }]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageBackend, JsonFileBackend, SqliteBackend } = require('../../src/services/storage-backends');
+
+// better-sqlite3 is an optional dependency, so only test SQLite where it installed
+let sqliteAvailable = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  sqliteAvailable = false;
+}
+
+const backendTypes = sqliteAvailable ? ['json', 'sqlite'] : ['json'];
+
+describe('storage backends', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aszai-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('createStorageBackend', () => {
+    it('should create the requested backend', () => {
+      expect(createStorageBackend('json', dataDir)).toBeInstanceOf(JsonFileBackend);
+      expect(createStorageBackend('sqlite', dataDir)).toBeInstanceOf(SqliteBackend);
+    });
+
+    it('should throw for unknown backends', () => {
+      expect(() => createStorageBackend('redis', dataDir)).toThrow('Unknown storage backend "redis"');
+    });
+  });
+
+  describe.each(backendTypes)('%s backend', (type) => {
+    let backend;
+
+    beforeEach(() => {
+      backend = createStorageBackend(type, dataDir);
+    });
+
+    afterEach(async () => {
+      await backend.close();
+    });
+
+    it('should return empty results for a namespace with no data', async () => {
+      await expect(backend.scan('empty')).resolves.toEqual({});
+      await expect(backend.get('empty', 'missing')).resolves.toBeUndefined();
+    });
+
+    it('should set, get and delete entries', async () => {
+      await backend.set('ns', 'a', { count: 1 });
+      await backend.set('ns', 'b', 'text');
+
+      await expect(backend.get('ns', 'a')).resolves.toEqual({ count: 1 });
+      await backend.delete('ns', 'a');
+      await expect(backend.scan('ns')).resolves.toEqual({ b: 'text' });
+    });
+
+    it('should keep namespaces separate', async () => {
+      await backend.set('one', 'key', 1);
+      await backend.set('two', 'key', 2);
+
+      await expect(backend.get('one', 'key')).resolves.toBe(1);
+      await expect(backend.get('two', 'key')).resolves.toBe(2);
+    });
+
+    it('should set many entries and replace a whole namespace', async () => {
+      await backend.setMany('ns', { a: 1, b: 2 });
+      await expect(backend.scan('ns')).resolves.toEqual({ a: 1, b: 2 });
+
+      await backend.replace('ns', { c: 3 });
+      await expect(backend.scan('ns')).resolves.toEqual({ c: 3 });
+    });
+
+    it('should not lose concurrent writes', async () => {
+      await Promise.all([
+        backend.set('ns', 'a', 1),
+        backend.set('ns', 'b', 2),
+        backend.set('ns', 'c', 3),
+      ]);
+
+      await expect(backend.scan('ns')).resolves.toEqual({ a: 1, b: 2, c: 3 });
+    });
+
+    it('should persist data for a new backend instance', async () => {
+      await backend.set('ns', 'key', 'kept');
+      await backend.close();
+
+      const reopened = createStorageBackend(type, dataDir);
+      await expect(reopened.get('ns', 'key')).resolves.toBe('kept');
+      await reopened.close();
+    });
+  });
+
+  describe('JsonFileBackend', () => {
+    it('should store each namespace in its own readable JSON file', async () => {
+      const backend = new JsonFileBackend({ dataDir });
+      await backend.set('user_stats', 'user1', { messages: 1 });
+
+      const contents = fs.readFileSync(path.join(dataDir, 'user_stats.json'), 'utf8');
+      expect(JSON.parse(contents)).toEqual({ user1: { messages: 1 } });
+      expect(fs.readdirSync(dataDir)).toEqual(['user_stats.json']);
+    });
+
+    it('should throw when a namespace file is corrupt', async () => {
+      fs.writeFileSync(path.join(dataDir, 'broken.json'), 'not json');
+      const backend = new JsonFileBackend({ dataDir });
+
+      await expect(backend.scan('broken')).rejects.toThrow(SyntaxError);
+    });
+  });
+});
@@ -2,12 +2,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const storage = require('../../src/services/storage');
 const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+const { JsonFileBackend, SqliteBackend } = require('../../src/services/storage-backends');
 
 jest.mock('fs', () => ({
   promises: {
     mkdir: jest.fn(),
     writeFile: jest.fn(),
     readFile: jest.fn(),
+    rename: jest.fn(),
+    chmod: jest.fn(),
   },
 }));
 
@@ -19,11 +23,71 @@ describe('DataStorage', () => {
     fs.mkdir.mockReset();
     fs.writeFile.mockReset();
     fs.readFile.mockReset();
+    fs.rename.mockReset();
+    fs.chmod.mockReset();
     logger.error.mockReset();
     logger.debug.mockReset();
     
     // Reset singleton state
     storage.initialized = false;
+    storage.backend = null;
+  });
+
+  describe('getBackend', () => {
+    const originalBackend = config.STORAGE.BACKEND;
+
+    afterEach(() => {
+      config.STORAGE.BACKEND = originalBackend;
+    });
+
+    it('should use the JSON file backend by default', () => {
+      config.STORAGE.BACKEND = 'json';
+      expect(storage.getBackend()).toBeInstanceOf(JsonFileBackend);
+    });
+
+    it('should use the SQLite backend when configured', () => {
+      config.STORAGE.BACKEND = 'sqlite';
+      const backend = storage.getBackend();
+      expect(backend).toBeInstanceOf(SqliteBackend);
+      expect(backend.filePath).toBe(path.join(storage.dataDir, 'aszai.db'));
+    });
+
+    it('should reject unknown backends', () => {
+      config.STORAGE.BACKEND = 'redis';
+      expect(() => storage.getBackend()).toThrow('Unknown storage backend "redis"');
+    });
+
+    it('should reuse the backend once created', () => {
+      expect(storage.getBackend()).toBe(storage.getBackend());
+    });
+  });
+
+  describe('namespace operations', () => {
+    it('should pass operations through to the backend', async () => {
+      const backend = {
+        get: jest.fn().mockResolvedValue('value'),
+        set: jest.fn(),
+        setMany: jest.fn(),
+        delete: jest.fn(),
+        scan: jest.fn().mockResolvedValue({ key: 'value' }),
+        replace: jest.fn(),
+      };
+      storage.backend = backend;
+
+      await expect(storage.get('ns', 'key')).resolves.toBe('value');
+      await storage.set('ns', 'key', 'value');
+      await storage.setMany('ns', { a: 1 });
+      await storage.delete('ns', 'key');
+      await expect(storage.scan('ns')).resolves.toEqual({ key: 'value' });
+      await storage.replace('ns', {});
+
+      expect(backend.get).toHaveBeenCalledWith('ns', 'key');
+      expect(backend.set).toHaveBeenCalledWith('ns', 'key', 'value');
+      expect(backend.setMany).toHaveBeenCalledWith('ns', { a: 1 });
+      expect(backend.delete).toHaveBeenCalledWith('ns', 'key');
+      expect(backend.replace).toHaveBeenCalledWith('ns', {});
+      expect(fs.mkdir).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('init', () => {
@@ -53,7 +117,9 @@ describe('DataStorage', () => {
       await storage.saveUserStats(stats);
       const statsObj = { user1: { messages: 1, summaries: 0 } };
       const expectedPath = path.join(storage.dataDir, 'user_stats.json');
-      expect(fs.writeFile).toHaveBeenCalledWith(expectedPath, JSON.stringify(statsObj, null, 2));
+      const [tempPath, data] = fs.writeFile.mock.calls[0];
+      expect(data).toBe(JSON.stringify(statsObj, null, 2));
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, expectedPath);
       expect(logger.debug).toHaveBeenCalledWith('User stats saved successfully');
     });
 
@@ -100,4 +166,39 @@ describe('DataStorage', () => {
         expect(logger.error).toHaveBeenCalledWith('Failed to load user stats:', expect.any(SyntaxError));
       });
   });
+
+  describe('saveConversations', () => {
+    it('should write conversations atomically via a temporary file', async () => {
+      const conversations = { user1: { messages: [{ role: 'user', content: 'hi' }], lastActivity: 1 } };
+      await storage.saveConversations(conversations);
+
+      const expectedPath = path.join(storage.dataDir, 'conversations.json');
+      const [tempPath, data] = fs.writeFile.mock.calls[0];
+      expect(tempPath).not.toBe(expectedPath);
+      expect(JSON.parse(data)).toEqual(conversations);
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, expectedPath);
+    });
+
+    it('should log error if the write fails', async () => {
+      const error = new Error('rename failed');
+      fs.rename.mockRejectedValue(error);
+      await storage.saveConversations({});
+      expect(logger.error).toHaveBeenCalledWith('Failed to save conversations:', error);
+    });
+  });
+
+  describe('loadConversations', () => {
+    it('should load conversations from file', async () => {
+      const conversations = { user1: { messages: [], lastActivity: 1 } };
+      fs.readFile.mockResolvedValue(JSON.stringify(conversations));
+      await expect(storage.loadConversations()).resolves.toEqual(conversations);
+    });
+
+    it('should return empty object if file does not exist', async () => {
+      const error = new Error('File not found');
+      error.code = 'ENOENT';
+      fs.readFile.mockRejectedValue(error);
+      await expect(storage.loadConversations()).resolves.toEqual({});
+    });
+  });
 });
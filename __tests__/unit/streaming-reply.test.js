@@ -0,0 +1,195 @@
+/**
+ * Tests for the live-edited streaming reply
+ */
+jest.mock('../../src/utils/logger');
+
+const StreamingReply = require('../../src/utils/streaming-reply');
+const config = require('../../src/config/config');
+
+describe('StreamingReply', () => {
+  let placeholder;
+  let message;
+
+  const createSentMessage = () => ({
+    edit: jest.fn().mockResolvedValue({}),
+    delete: jest.fn().mockResolvedValue({})
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    placeholder = createSentMessage();
+    message = {
+      reply: jest.fn().mockResolvedValue(placeholder),
+      channel: { send: jest.fn().mockImplementation(async () => createSentMessage()) }
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('posts a placeholder embed on start', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 1000 });
+    await reply.start();
+
+    expect(reply.started).toBe(true);
+    expect(message.reply).toHaveBeenCalledWith({
+      embeds: [expect.objectContaining({ description: expect.stringContaining('Thinking') })]
+    });
+  });
+
+  it('throttles edits to the configured interval', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 1000 });
+    await reply.start();
+
+    reply.update('Hello');
+    reply.update('Hello there');
+    reply.update('Hello there, traveller');
+    await jest.advanceTimersByTimeAsync(0);
+
+    // Only the latest text is rendered once the throttle window opens
+    expect(placeholder.edit).toHaveBeenCalledTimes(1);
+    expect(placeholder.edit.mock.calls[0][0].embeds[0].description).toBe('Hello there, traveller');
+
+    reply.update('Hello there, traveller!');
+    await jest.advanceTimersByTimeAsync(500);
+    expect(placeholder.edit).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(placeholder.edit).toHaveBeenCalledTimes(2);
+  });
+
+  it('rolls over into follow-up messages when the text outgrows one embed', async () => {
+    const reply = new StreamingReply(message, { maxLength: 200, editIntervalMs: 0 });
+    await reply.start();
+
+    const longText = Array.from({ length: 12 }, (_, i) => `Sentence number ${i} about lore.`).join(' ');
+    await reply.finish(longText);
+
+    expect(message.channel.send).toHaveBeenCalled();
+    const total = 1 + message.channel.send.mock.calls.length;
+    const lastFooter = message.channel.send.mock.calls[total - 2][0].embeds[0].footer.text;
+    expect(lastFooter).toBe(`Aszai Bot (Part ${total}/${total})`);
+  });
+
+  it('uses a plain footer when the final reply fits in one message', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 0 });
+    await reply.start();
+    await reply.finish('Short answer.');
+
+    const lastEdit = placeholder.edit.mock.calls[placeholder.edit.mock.calls.length - 1][0];
+    expect(lastEdit.embeds[0]).toEqual(expect.objectContaining({
+      description: 'Short answer.',
+      footer: { text: 'Aszai Bot' }
+    }));
+  });
+
+  it('notes a fallback model in the final footer', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 0 });
+    await reply.start();
+    await reply.finish('Short answer.', [], { model: 'llama3.1', provider: 'OpenAI-compatible API' });
+
+    const lastEdit = placeholder.edit.mock.calls[placeholder.edit.mock.calls.length - 1][0];
+    expect(lastEdit.embeds[0].footer).toEqual({ text: 'Aszai Bot • Answered by llama3.1 (OpenAI-compatible API fallback)' });
+  });
+
+  it('shows sources only under the last part of the final reply', async () => {
+    const reply = new StreamingReply(message, { maxLength: 200, editIntervalMs: 0 });
+    await reply.start();
+
+    const longText = Array.from({ length: 12 }, (_, i) => `Sentence number ${i} about lore.`).join(' ');
+    await reply.finish(longText, [{ title: 'Wiki', url: 'https://example.com/wiki' }]);
+
+    const sends = message.channel.send.mock.calls;
+    expect(placeholder.edit.mock.calls[placeholder.edit.mock.calls.length - 1][0].embeds[0].fields).toBeUndefined();
+    expect(sends[sends.length - 1][0].embeds[0].fields).toEqual([
+      { name: 'Sources', value: '**[1]** [Wiki](https://example.com/wiki)' }
+    ]);
+  });
+
+  it('ignores updates after finishing', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 0 });
+    await reply.start();
+    await reply.finish('Done.');
+    placeholder.edit.mockClear();
+
+    reply.update('Late text');
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(placeholder.edit).not.toHaveBeenCalled();
+  });
+
+  it('clears the streamed text and says so when the response starts over', async () => {
+    const reply = new StreamingReply(message, { maxLength: 200, editIntervalMs: 0 });
+    await reply.start();
+    reply.update(Array.from({ length: 12 }, (_, i) => `Sentence number ${i} about lore.`).join(' '));
+    await jest.advanceTimersByTimeAsync(0);
+    const followUp = await message.channel.send.mock.results[0].value;
+
+    await reply.restart('Starting again...');
+
+    expect(followUp.delete).toHaveBeenCalled();
+    expect(placeholder.edit).toHaveBeenLastCalledWith({
+      embeds: [expect.objectContaining({ description: 'Starting again...' })]
+    });
+
+    await reply.finish('Short answer');
+    expect(placeholder.edit.mock.calls[placeholder.edit.mock.calls.length - 1][0].embeds[0].description)
+      .toBe('Short answer');
+  });
+
+  it('leaves the placeholder alone when nothing was streamed before the restart', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 0 });
+    await reply.start();
+
+    await reply.restart('Starting again...');
+
+    expect(placeholder.edit).not.toHaveBeenCalled();
+  });
+
+  it('replaces the reply with the error text on failure', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 0 });
+    await reply.start();
+    await reply.fail('Something went wrong.');
+
+    expect(placeholder.edit).toHaveBeenCalledWith({ content: 'Something went wrong.', embeds: [] });
+  });
+
+  it('falls back to a new reply if the placeholder cannot be edited', async () => {
+    const reply = new StreamingReply(message, { editIntervalMs: 0 });
+    await reply.start();
+    placeholder.edit.mockRejectedValueOnce(new Error('Unknown Message'));
+
+    await reply.fail('Something went wrong.');
+
+    expect(message.reply).toHaveBeenLastCalledWith('Something went wrong.');
+  });
+
+  describe('isEnabled', () => {
+    let originalPiOptimizations;
+
+    beforeEach(() => {
+      originalPiOptimizations = config.PI_OPTIMIZATIONS;
+    });
+
+    afterEach(() => {
+      config.PI_OPTIMIZATIONS = originalPiOptimizations;
+    });
+
+    it('streams unless STREAM_RESPONSES is explicitly false', () => {
+      config.PI_OPTIMIZATIONS = { ENABLED: true, LOW_CPU_MODE: false };
+      expect(StreamingReply.isEnabled()).toBe(true);
+
+      config.PI_OPTIMIZATIONS.STREAM_RESPONSES = false;
+      expect(StreamingReply.isEnabled()).toBe(false);
+    });
+
+    it('does not stream in low CPU mode or without the Pi optimisations', () => {
+      config.PI_OPTIMIZATIONS = { ENABLED: true, STREAM_RESPONSES: true, LOW_CPU_MODE: true };
+      expect(StreamingReply.isEnabled()).toBe(false);
+
+      config.PI_OPTIMIZATIONS = undefined;
+      expect(StreamingReply.isEnabled()).toBe(false);
+    });
+  });
+});
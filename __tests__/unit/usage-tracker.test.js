@@ -0,0 +1,168 @@
+jest.mock('../../src/services/storage', () => ({
+  scan: jest.fn(),
+  setMany: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/utils/logger');
+
+const dataStorage = require('../../src/services/storage');
+const logger = require('../../src/utils/logger');
+const usageTracker = require('../../src/services/usage-tracker');
+
+const NOW = Date.UTC(2025, 7, 15, 12);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record a request's usage
+ * @param {Object} details - Overrides for the recorded request
+ * @returns {Promise<void>}
+ */
+function record(details = {}) {
+  return usageTracker.record({
+    userId: 'user-1',
+    guildId: 'guild-1',
+    model: 'sonar-pro',
+    usage: { promptTokens: 1000, completionTokens: 200 },
+    timestamp: NOW,
+    ...details
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dataStorage.scan.mockResolvedValue({});
+  dataStorage.setMany.mockResolvedValue();
+  dataStorage.delete.mockResolvedValue();
+  usageTracker.entries.clear();
+  usageTracker.dirtyKeys.clear();
+  usageTracker.loadPromise = null;
+  usageTracker.debouncedSave = null;
+});
+
+describe('UsageTracker', () => {
+  it('should total a user\'s usage for today, this month and all time', async () => {
+    await record();
+    await record({ guildId: null, model: 'sonar', timestamp: NOW - 2 * DAY_MS });
+    await record({ timestamp: NOW - 40 * DAY_MS });
+    await record({ userId: 'user-2' });
+
+    const usage = await usageTracker.getUserUsage('user-1', NOW);
+
+    // sonar-pro costs $3/$15 per million tokens; sonar $1/$1
+    expect(usage.today).toEqual({ requests: 1, promptTokens: 1000, completionTokens: 200, cost: 0.006 });
+    expect(usage.month).toEqual({ requests: 2, promptTokens: 2000, completionTokens: 400, cost: 0.0072 });
+    expect(usage.allTime.requests).toBe(3);
+  });
+
+  it('should break a guild\'s usage down by day, month, model and user', async () => {
+    await record();
+    await record({ userId: 'user-2', model: 'sonar' });
+    await record({ timestamp: NOW - DAY_MS });
+    await record({ timestamp: NOW - 31 * DAY_MS });
+    await record({ guildId: 'guild-2' });
+
+    const report = await usageTracker.getGuildReport('guild-1', { days: 2, months: 2, now: NOW });
+
+    expect(report.daily.map(row => [row.period, row.totals.requests])).toEqual([['2025-08-15', 2], ['2025-08-14', 1]]);
+    expect(report.monthly.map(row => [row.period, row.totals.requests])).toEqual([['2025-08', 3], ['2025-07', 1]]);
+    expect(report.models).toEqual([
+      { model: 'sonar-pro', totals: expect.objectContaining({ requests: 2 }) },
+      { model: 'sonar', totals: expect.objectContaining({ requests: 1 }) }
+    ]);
+    expect(report.users.map(row => row.userId)).toEqual(['user-1', 'user-2']);
+  });
+
+  it('should total usage in one guild for today and this month', async () => {
+    await record();
+    await record({ userId: 'user-2', timestamp: NOW - 3 * DAY_MS });
+    await record({ timestamp: NOW - 20 * DAY_MS });
+    await record({ guildId: 'guild-2' });
+
+    const guildUsage = await usageTracker.getUsage('guild-1', null, NOW);
+    expect(guildUsage.today.requests).toBe(1);
+    expect(guildUsage.month.requests).toBe(2);
+
+    const userUsage = await usageTracker.getUsage('guild-1', 'user-2', NOW);
+    expect(userUsage.today.requests).toBe(0);
+    expect(userUsage.month).toEqual({ requests: 1, promptTokens: 1000, completionTokens: 200, cost: 0.006 });
+  });
+
+  it('should count requests without a user towards the guild only', async () => {
+    await record({ userId: null, guildId: null });
+
+    const report = await usageTracker.getGuildReport(null, { now: NOW });
+    expect(report.daily[0].totals.requests).toBe(1);
+    expect(report.users).toEqual([]);
+  });
+
+  it('should log instead of throwing when usage cannot be recorded', async () => {
+    await expect(record({ usage: null })).resolves.toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith('Failed to record token usage:', expect.any(Error));
+  });
+});
+
+describe('UsageTracker persistence', () => {
+  beforeEach(() => {
+    jest.spyOn(usageTracker, '_isPersistenceEnabled').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    if (usageTracker.debouncedSave) usageTracker.debouncedSave.cancel();
+  });
+
+  it('should load saved usage before adding to it', async () => {
+    dataStorage.scan.mockResolvedValue({
+      '2025-08-15|guild-1': {
+        day: '2025-08-15',
+        guildId: 'guild-1',
+        total: { requests: 4, promptTokens: 10, completionTokens: 10, cost: 0 },
+        users: { 'user-1': { requests: 4, promptTokens: 10, completionTokens: 10, cost: 0 } },
+        models: {}
+      }
+    });
+
+    await record();
+
+    expect(dataStorage.scan).toHaveBeenCalledWith('usage');
+    const usage = await usageTracker.getUserUsage('user-1', NOW);
+    expect(usage.today.requests).toBe(5);
+  });
+
+  it('should save only the days that changed', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    await record({ timestamp: Date.now() });
+    await usageTracker.flush();
+
+    expect(dataStorage.setMany).toHaveBeenCalledWith('usage', {
+      [`${today}|guild-1`]: expect.objectContaining({ day: today, guildId: 'guild-1' })
+    });
+
+    dataStorage.setMany.mockClear();
+    await usageTracker.flush();
+    expect(dataStorage.setMany).not.toHaveBeenCalled();
+  });
+
+  it('should try a failed write again on the next save, and report it on flush', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    dataStorage.setMany.mockRejectedValueOnce(new Error('disk full'));
+    await record({ timestamp: Date.now() });
+
+    await expect(usageTracker.flush()).rejects.toThrow('Token usage could not be saved');
+    expect(logger.error).toHaveBeenCalledWith('Failed to save token usage:', expect.any(Error));
+
+    await usageTracker.flush();
+    expect(dataStorage.setMany).toHaveBeenCalledTimes(2);
+    expect(Object.keys(dataStorage.setMany.mock.calls[1][1])).toEqual([`${today}|guild-1`]);
+  });
+
+  it('should drop days older than the retention period', async () => {
+    await record({ timestamp: Date.now() - 500 * DAY_MS, guildId: 'guild-old' });
+    await record({ timestamp: Date.now() });
+    await usageTracker.flush();
+
+    const oldKey = dataStorage.delete.mock.calls[0][1];
+    expect(oldKey).toMatch(/\|guild-old$/);
+    expect(usageTracker.entries.has(oldKey)).toBe(false);
+    expect(Object.keys(dataStorage.setMany.mock.calls[0][1])).toEqual([expect.stringMatching(/\|guild-1$/)]);
+  });
+});
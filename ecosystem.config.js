@@ -19,6 +19,8 @@ module.exports = {
       // Error handling
       max_memory_restart: '256M',
       restart_delay: 3000,
+      // Allow time for conversations and stats to be flushed to disk on shutdown
+      kill_timeout: 5000,
       max_restarts: 10,
       // Logging
       out_file: 'logs/aszune-out.log',
@@ -0,0 +1,237 @@
+/**
+ * Offline stand-in for the Perplexity API, for local development and integration tests
+ *
+ * Implements POST /chat/completions with JSON and SSE (stream: true) responses, citations
+ * and usage, so the bot can run end-to-end without a Perplexity key. Point the bot at it
+ * with PERPLEXITY_BASE_URL=http://localhost:8787.
+ *
+ * Faults can be injected globally (MOCK_PERPLEXITY_ERROR_RATE) or per message: a user
+ * message containing [mock:429], [mock:500], [mock:503] and so on gets that status back.
+ *
+ * Run with: npm run mock:perplexity
+ */
+const http = require('http');
+
+const DEFAULT_OPTIONS = {
+  // Wait before responding, and between streamed chunks
+  latencyMs: 0,
+  chunkDelayMs: 50,
+  // Share of requests (0-1) answered with errorStatus instead
+  errorRate: 0,
+  errorStatus: 503,
+  // Seconds sent in Retry-After with injected 429s
+  retryAfterSeconds: 1
+};
+
+const ERROR_MESSAGES = {
+  400: 'Bad request',
+  401: 'Invalid API key',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error',
+  502: 'Bad gateway',
+  503: 'Service unavailable',
+  504: 'Gateway timeout'
+};
+
+// Fault injection marker in a user message, e.g. "[mock:429]"
+const STATUS_MARKER = /\[mock:(\d{3})\]/i;
+
+const MOCK_SOURCES = [
+  { title: 'Mock Wiki: Getting Started', url: 'https://example.com/wiki/getting-started', date: '2025-01-01' },
+  { title: 'Mock Forum: Tips and Tricks', url: 'https://example.com/forum/tips', date: '2025-01-02' }
+];
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Roughly estimate tokens the way the bot's context builder does (4 characters a token)
+ * @param {string} text - Text
+ * @returns {number} - Token estimate
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object|null>} - Parsed body, or null if it isn't valid JSON
+ */
+async function readJsonBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an error shaped like Perplexity's
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} options - Server options
+ */
+function sendError(res, status, options) {
+  const headers = status === 429 ? { 'Retry-After': String(options.retryAfterSeconds) } : {};
+  const message = ERROR_MESSAGES[status] || `Mock error ${status}`;
+  sendJson(res, status, { error: { message, type: 'mock_error', code: status } }, headers);
+}
+
+/**
+ * Pick the status to inject for a request, if any
+ * @param {Array<Object>} messages - Request messages
+ * @param {Object} options - Server options
+ * @returns {number|null} - HTTP status to answer with, or null to answer normally
+ */
+function getInjectedStatus(messages, options) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const marker = lastUser && STATUS_MARKER.exec(String(lastUser.content));
+  if (marker) return parseInt(marker[1], 10);
+  return Math.random() < options.errorRate ? options.errorStatus : null;
+}
+
+/**
+ * Build the mock completion for a request
+ * @param {Object} payload - Request body
+ * @returns {Object} - Completion shaped like Perplexity's, with citations and usage
+ */
+function buildCompletion(payload) {
+  const messages = payload.messages;
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const question = lastUser ? String(lastUser.content) : '';
+  const content = `This is a mock reply to "${question.slice(0, 200)}". ` +
+    'See the getting started guide [1] and the tips thread [2].';
+  const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+  const completionTokens = estimateTokens(content);
+
+  return {
+    id: `mock-${Date.now()}`,
+    model: payload.model || 'sonar',
+    created: Math.floor(Date.now() / 1000),
+    object: 'chat.completion',
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    citations: MOCK_SOURCES.map(source => source.url),
+    search_results: MOCK_SOURCES,
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }]
+  };
+}
+
+/**
+ * Stream a completion as server-sent events, a few words per chunk
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} completion - Completion to stream
+ * @param {Object} options - Server options
+ * @returns {Promise<void>}
+ */
+async function streamCompletion(res, completion, options) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const base = { id: completion.id, model: completion.model, created: completion.created, object: 'chat.completion.chunk' };
+  const words = completion.choices[0].message.content.split(/(?<= )/);
+
+  for (let i = 0; i < words.length; i += 3) {
+    const delta = { content: words.slice(i, i + 3).join('') };
+    if (i === 0) delta.role = 'assistant';
+    res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta, finish_reason: null }] })}\n\n`);
+    await delay(options.chunkDelayMs);
+  }
+
+  // Like Perplexity, citations and usage arrive with the final chunk
+  const finalChunk = {
+    ...base,
+    usage: completion.usage,
+    citations: completion.citations,
+    search_results: completion.search_results,
+    choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
+  };
+  res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Handle POST /chat/completions
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} options - Server options
+ * @returns {Promise<void>}
+ */
+async function handleChatCompletions(req, res, options) {
+  const payload = await readJsonBody(req);
+  if (!payload || !Array.isArray(payload.messages) || payload.messages.length === 0) {
+    return sendError(res, 400, options);
+  }
+
+  await delay(options.latencyMs);
+
+  const injectedStatus = getInjectedStatus(payload.messages, options);
+  if (injectedStatus) {
+    return sendError(res, injectedStatus, options);
+  }
+
+  const completion = buildCompletion(payload);
+  if (payload.stream) {
+    return streamCompletion(res, completion, options);
+  }
+  return sendJson(res, 200, completion);
+}
+
+/**
+ * Create the mock server (call listen() on it to start)
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {http.Server} - Server
+ */
+function createMockPerplexityServer(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  return http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    if (req.method === 'POST' && path === '/chat/completions') {
+      handleChatCompletions(req, res, settings).catch(error => {
+        // The client went away mid-stream; nothing left to answer
+        if (!res.headersSent) sendJson(res, 500, { error: { message: error.message } });
+        else res.destroy();
+      });
+      return;
+    }
+    sendJson(res, 404, { error: { message: `No mock for ${req.method} ${path}` } });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PERPLEXITY_PORT || '8787', 10);
+  const server = createMockPerplexityServer({
+    latencyMs: parseInt(process.env.MOCK_PERPLEXITY_LATENCY_MS || '0', 10),
+    chunkDelayMs: parseInt(process.env.MOCK_PERPLEXITY_CHUNK_DELAY_MS || '50', 10),
+    errorRate: parseFloat(process.env.MOCK_PERPLEXITY_ERROR_RATE || '0'),
+    errorStatus: parseInt(process.env.MOCK_PERPLEXITY_ERROR_STATUS || '503', 10)
+  });
+  server.listen(port, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock Perplexity API listening on http://localhost:${port} (set PERPLEXITY_BASE_URL to use it)`);
+  });
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+}
+
+module.exports = { createMockPerplexityServer, DEFAULT_OPTIONS };
@@ -2,12 +2,416 @@
  * Command handler for the bot
  */
 const { ApplicationCommandOptionType } = require('discord.js');
+const { request } = require('undici');
 const ConversationManager = require('../utils/conversation');
-const perplexityService = require('../services/perplexity-secure');
+const aiProviders = require('../services/providers');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { getConversationKey, isSharedConversation } = require('../utils/conversation-scope');
+const { buildContext } = require('../utils/context-builder');
+const responseModeManager = require('../services/response-mode');
+const dmPreferences = require('../services/dm-preferences');
+const guildSettings = require('../services/guild-settings');
+const personaManager = require('../services/personas');
+const modelRegistry = require('../services/model-registry');
+const modelPreferences = require('../services/model-preferences');
+const usageTracker = require('../services/usage-tracker');
+const rateLimiter = require('../services/rate-limiter');
+const requestGate = require('../services/request-gate');
+const { lazyLoad } = require('../utils/lazy-loader');
 
 const conversationManager = new ConversationManager();
+// Only /cache needs the pruner, so load it on first use; its schedule starts from initialize(), not on load
+const getCachePruner = lazyLoad(() => require('../utils/cache-pruner'));
+
+// Discord's Manage Server permission bit, required for admin commands
+const MANAGE_GUILD_PERMISSION = '32';
+
+// Human-readable descriptions of each response mode
+const RESPONSE_MODE_DESCRIPTIONS = {
+  [responseModeManager.MODES.ALL]: 'Respond to every message',
+  [responseModeManager.MODES.MENTION]: 'Respond only when mentioned or replied to',
+  [responseModeManager.MODES.CHANNELS]: 'Respond only in allowed channels',
+  [responseModeManager.MODES.DM_ONLY]: 'Respond only in direct messages'
+};
+
+// How each circuit breaker state reads in /status
+const CIRCUIT_STATE_DESCRIPTIONS = {
+  closed: '🟢 Available',
+  open: '🔴 Unavailable: requests fail fast until the next check',
+  'half-open': '🟡 Checking whether it has recovered'
+};
+
+/**
+ * Check whether the user running a command may manage the server
+ * @param {Object} interaction - Discord.js interaction object
+ * @returns {boolean} - Whether the user has the Manage Server permission
+ */
+function canManageGuild(interaction) {
+  return Boolean(interaction.memberPermissions && interaction.memberPermissions.has('ManageGuild'));
+}
+
+/**
+ * Describe a guild's response settings
+ * @param {Object} settings - { mode, channels }
+ * @returns {string} - Description for a reply
+ */
+function describeResponseSettings(settings) {
+  const channels = settings.channels.length > 0
+    ? settings.channels.map(id => `<#${id}>`).join(', ')
+    : 'none';
+  return `Response mode: **${settings.mode}** (${RESPONSE_MODE_DESCRIPTIONS[settings.mode]})\n` +
+    `Allowed channels: ${channels}`;
+}
+
+/**
+ * Describe a guild's effective settings, marking which ones it has overridden
+ * @param {string} guildId - Guild ID
+ * @param {string} [key] - Only describe this setting
+ * @returns {string} - Description for a reply
+ */
+function describeGuildSettings(guildId, key) {
+  const overrides = guildSettings.getOverrides(guildId);
+  const keys = key ? [key] : guildSettings.SETTING_KEYS;
+  return keys.map(name => {
+    const value = guildSettings.formatValue(name, guildSettings.get(guildId, name));
+    const source = overrides[name] !== undefined ? 'server' : 'default';
+    return `**${name}** (${source}): ${value}`;
+  }).join('\n');
+}
+
+/**
+ * Describe a guild's personas and where each is used
+ * @param {Object} data - { personas, guildPersona, channels }
+ * @returns {string} - Description for a reply
+ */
+function describePersonas(data) {
+  const names = Object.keys(data.personas);
+  if (names.length === 0) {
+    return 'This server has no personas yet. Create one with `/persona create`.';
+  }
+  return names.map(name => {
+    const uses = Object.keys(data.channels)
+      .filter(channelId => data.channels[channelId] === name)
+      .map(channelId => `<#${channelId}>`);
+    if (data.guildPersona === name) uses.unshift('whole server');
+    return `**${name}**${uses.length > 0 ? ` (${uses.join(', ')})` : ''}: ${data.personas[name]}`;
+  }).join('\n');
+}
+
+/**
+ * Run a /persona subcommand
+ * @param {Object} interaction - Discord.js interaction object
+ * @returns {Promise<string>} - Reply text
+ */
+async function runPersonaSubcommand(interaction) {
+  const guildId = interaction.guildId;
+  const name = interaction.options.getString('name');
+  const channel = interaction.options.getChannel('channel');
+  const target = channel ? `<#${channel.id}>` : 'this server';
+
+  switch (interaction.options.getSubcommand()) {
+  case 'create': {
+    const created = await personaManager.savePersona(guildId, name, interaction.options.getString('prompt'));
+    return `Persona **${name.toLowerCase()}** ${created ? 'created' : 'updated'}. Use \`/persona attach\` to start using it.`;
+  }
+  case 'delete':
+    return (await personaManager.deletePersona(guildId, name))
+      ? `Persona **${name.toLowerCase()}** deleted.`
+      : `There is no persona called "${name.toLowerCase()}".`;
+  case 'attach':
+    await personaManager.attach(guildId, name, channel ? channel.id : null);
+    return `Persona **${name.toLowerCase()}** is now used in ${target}.`;
+  case 'detach':
+    await personaManager.detach(guildId, channel ? channel.id : null);
+    return `${target.charAt(0).toUpperCase()}${target.slice(1)} no longer has its own persona.`;
+  default:
+    return describePersonas(await personaManager.listPersonas(guildId));
+  }
+}
+
+/**
+ * Describe the models a user can pick from
+ * @param {Array<string>} allowed - Allowed model IDs
+ * @param {string} current - The model currently answering the user
+ * @returns {string} - One line per model
+ */
+function describeModels(allowed, current) {
+  return allowed.map(modelId => {
+    const model = modelRegistry.getModel(modelId);
+    const marker = modelId === current ? ' ← current' : '';
+    return `• \`${modelId}\` - ${model.name} ($${model.inputCostPerMillion}/$${model.outputCostPerMillion} per 1M tokens in/out)${marker}`;
+  }).join('\n');
+}
+
+/**
+ * Describe the state of each AI provider's circuit breaker
+ * @param {Array<Object>} providers - Providers in use
+ * @returns {string} - Description for a reply
+ */
+function describeServiceStatus(providers) {
+  // Discord renders <t:seconds:R> as a relative time in each reader's own locale
+  const relativeTime = ms => `<t:${Math.round(ms / 1000)}:R>`;
+  return providers.map(provider => {
+    const status = provider.getCircuitStatus();
+    const lines = [
+      `**${provider.displayName}:** ${CIRCUIT_STATE_DESCRIPTIONS[status.state]}`,
+      `Consecutive failures: ${status.failures}`
+    ];
+    if (status.lastFailure) {
+      lines.push(`Last failure: ${status.lastFailure.message} (${relativeTime(status.lastFailure.at)})`);
+    }
+    if (status.retryAt) {
+      lines.push(`Next check: ${relativeTime(status.retryAt)}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Describe how often each kind of rate limit bucket has held messages back
+ * @param {Object} metrics - Result of rateLimiter.getMetrics
+ * @returns {string} - Description for a reply
+ */
+function describeRateLimits(metrics) {
+  const lines = ['**Rate limits** (since the bot started)'];
+  for (const [scope, { checked, limited, lastLimitedAt }] of Object.entries(metrics)) {
+    const last = lastLimitedAt ? `, last <t:${Math.round(lastLimitedAt / 1000)}:R>` : '';
+    lines.push(`${scope.charAt(0).toUpperCase()}${scope.slice(1)}: ${limited} of ${checked} messages held back${last}`);
+  }
+  return lines.join('\n');
+}
+
+// Users listed in a guild's usage report
+const USAGE_REPORT_TOP_USERS = 5;
+
+/**
+ * Describe usage totals in one line
+ * @param {Object} totals - { requests, promptTokens, completionTokens, cost }
+ * @returns {string} - e.g. "12 requests, 15,230 tokens (~$0.0213)"
+ */
+function describeUsageTotals(totals) {
+  const tokens = totals.promptTokens + totals.completionTokens;
+  const requests = `${totals.requests} request${totals.requests === 1 ? '' : 's'}`;
+  return `${requests}, ${tokens.toLocaleString('en-GB')} tokens (~$${totals.cost.toFixed(4)})`;
+}
+
+/**
+ * Describe a guild's usage report
+ * @param {Object} report - Result of usageTracker.getGuildReport
+ * @returns {string} - Description for a reply
+ */
+function describeUsageReport(report) {
+  const lines = ['**Token usage in this server** (days are UTC, costs are estimates)', '', '**Daily**'];
+  report.daily.forEach(row => lines.push(`${row.period}: ${describeUsageTotals(row.totals)}`));
+  lines.push('', '**Monthly**');
+  report.monthly.forEach(row => lines.push(`${row.period}: ${describeUsageTotals(row.totals)}`));
+  
+  if (report.models.length > 0) {
+    lines.push('', '**Models this month**');
+    report.models.forEach(({ model, totals }) => {
+      const known = modelRegistry.getModel(model);
+      lines.push(`${known ? known.name : model}: ${describeUsageTotals(totals)}`);
+    });
+  }
+  if (report.users.length > 0) {
+    lines.push('', '**Top users this month**');
+    report.users.slice(0, USAGE_REPORT_TOP_USERS)
+      .forEach(({ userId, totals }) => lines.push(`<@${userId}>: ${describeUsageTotals(totals)}`));
+  }
+  return lines.join('\n');
+}
+
+// Largest file /cache warm accepts
+const CACHE_WARM_MAX_BYTES = 256 * 1024;
+// Cached answers listed by /cache search
+const CACHE_SEARCH_LIMIT = 10;
+// Longest question shown in /cache search results
+const CACHE_QUESTION_PREVIEW_LENGTH = 80;
+
+/**
+ * Check whether the user running a command may manage the question cache
+ * The cache is shared by every server the bot is in, so managing a server isn't enough
+ * @param {Object} interaction - Discord.js interaction object
+ * @returns {boolean} - Whether the user is a bot admin
+ */
+function canManageCache(interaction) {
+  return (config.BOT_ADMIN_IDS || []).includes(interaction.user.id);
+}
+
+/**
+ * Describe the question cache and when it is pruned
+ * @param {Object} stats - Result of getCacheStats
+ * @param {Object} prunerStatus - Result of cachePruner.getStatus
+ * @returns {string} - Description for a reply
+ */
+function describeCacheStats(stats, prunerStatus) {
+  const lookups = stats.hits + stats.misses;
+  const hitRate = stats.hitRate === null
+    ? 'no questions looked up yet'
+    : `${(stats.hitRate * 100).toFixed(1)}% of ${lookups} question${lookups === 1 ? '' : 's'} answered from the cache`;
+  const relativeTime = ms => `<t:${Math.round(ms / 1000)}:R>`;
+  return [
+    '**Question cache**',
+    `Entries: ${stats.entries} of ${stats.maxEntries}`,
+    `Size: ${(stats.sizeBytes / 1024).toFixed(1)} KB`,
+    `Hit rate since the bot started: ${hitRate}`,
+    `Times cached answers have been used: ${stats.storedHits}`,
+    `Last pruned: ${relativeTime(prunerStatus.lastPruneTime)}, next ${relativeTime(prunerStatus.nextPruneTime)}`
+  ].join('\n');
+}
+
+/**
+ * Describe the cached answers a search found
+ * @param {Object} result - Result of searchCache
+ * @returns {string} - Description for a reply
+ */
+function describeCacheMatches(result) {
+  if (result.total === 0) {
+    return 'No cached answers match.';
+  }
+  const shown = result.total > result.matches.length ? ` (showing the ${result.matches.length} most recently used)` : '';
+  const lines = [`**${result.total} cached answer${result.total === 1 ? '' : 's'} match**${shown}`];
+  for (const match of result.matches) {
+    const question = !match.question
+      ? '(question not saved)'
+      : `"${match.question.length > CACHE_QUESTION_PREVIEW_LENGTH
+        ? `${match.question.slice(0, CACHE_QUESTION_PREVIEW_LENGTH)}…`
+        : match.question}"`;
+    const cachedAt = match.createdAt ? `, cached <t:${Math.round(match.createdAt / 1000)}:R>` : '';
+    lines.push(`\`${match.key}\` ${question} - ${match.model || 'unknown model'}, ` +
+      `${match.hits} hit${match.hits === 1 ? '' : 's'}${cachedAt}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Download and parse a /cache warm file
+ * @param {Object} attachment - Discord.js attachment
+ * @returns {Promise<Array>} - The file's entries
+ * @throws {Error} - With a message for the user when the file can't be used
+ */
+async function loadCacheWarmFile(attachment) {
+  if (attachment.size > CACHE_WARM_MAX_BYTES) {
+    throw new Error(`That file is too big. Warm files can be up to ${CACHE_WARM_MAX_BYTES / 1024} KB.`);
+  }
+  
+  let text;
+  try {
+    const { statusCode, body } = await request(attachment.url);
+    if (statusCode !== 200) {
+      await body.dump();
+      throw new Error(`status ${statusCode}`);
+    }
+    text = await body.text();
+  } catch (error) {
+    logger.warn('Failed to download cache warm file:', error);
+    throw new Error('Couldn\'t download that file. Please try again.');
+  }
+  
+  let items;
+  try {
+    items = JSON.parse(text);
+  } catch (error) {
+    items = null;
+  }
+  if (!Array.isArray(items)) {
+    throw new Error('Warm files must be a JSON list of `{ "question": "...", "answer": "..." }` entries.');
+  }
+  return items;
+}
+
+/**
+ * Cache the answers in a /cache warm file for the persona used in the command's channel
+ * @param {Object} interaction - Discord.js interaction object
+ * @param {Object} provider - AI provider whose cache methods to use
+ * @returns {Promise<string>} - Reply text
+ */
+async function warmQuestionCache(interaction, provider) {
+  let items;
+  try {
+    items = await loadCacheWarmFile(interaction.options.getAttachment('file'));
+  } catch (error) {
+    return error.message;
+  }
+  
+  const persona = await personaManager.getActivePersona(interaction);
+  const { added, skipped, unavailableModels } = await provider.warmCache(items, {
+    guildId: interaction.guildId,
+    systemMessage: await personaManager.getSystemMessage(interaction)
+  });
+  const target = persona ? `the **${persona.name}** persona` : 'this server\'s system message';
+  const skippedNote = skipped > 0
+    ? ` Skipped ${skipped} entr${skipped === 1 ? 'y' : 'ies'} without a question and answer.`
+    : '';
+  return `Cached ${added} answer${added === 1 ? '' : 's'} for ${target}.${skippedNote}` +
+    describeUnavailableWarmModels(unavailableModels, interaction.guildId);
+}
+
+/**
+ * Explain which /cache warm entries were skipped for naming a model that can't be used here
+ * @param {Array<string>} models - Model of each skipped entry
+ * @param {string|null} guildId - Guild ID (null in DMs)
+ * @returns {string} - Note to append to the reply, or '' if none were skipped
+ */
+function describeUnavailableWarmModels(models, guildId) {
+  if (models.length === 0) return '';
+  const allowed = guildSettings.get(guildId, 'allowedModels');
+  return ` Skipped ${models.length} entr${models.length === 1 ? 'y' : 'ies'} naming a model that isn't available here ` +
+    `(${[...new Set(models)].join(', ')}). Choose one of: ${allowed.join(', ')}.`;
+}
+
+/**
+ * Run a /cache subcommand
+ * @param {Object} interaction - Discord.js interaction object
+ * @returns {Promise<string>} - Reply text
+ */
+async function runCacheSubcommand(interaction) {
+  // Every provider shares the one question cache
+  const provider = aiProviders.getProvider();
+  
+  switch (interaction.options.getSubcommand()) {
+  case 'search':
+    return describeCacheMatches(await provider.searchCache(interaction.options.getString('text'), CACHE_SEARCH_LIMIT));
+  case 'invalidate': {
+    const target = interaction.options.getString('target');
+    let removed;
+    try {
+      removed = await provider.invalidateCache(target);
+    } catch (error) {
+      return error.message;
+    }
+    return removed > 0
+      ? `Removed ${removed} cached answer${removed === 1 ? '' : 's'}.`
+      : `No cached answers match "${target}".`;
+  }
+  case 'clear': {
+    const removed = await provider.clearCache();
+    return `Cleared the question cache (${removed} answer${removed === 1 ? '' : 's'} removed).`;
+  }
+  case 'warm':
+    return warmQuestionCache(interaction, provider);
+  default:
+    return describeCacheStats(await provider.getCacheStats(), getCachePruner().getStatus());
+  }
+}
+
+/**
+ * Hold an AI command to the same rate limits and allowances as chat messages
+ * @param {Object} interaction - Discord.js interaction object
+ * @returns {Promise<Object>} - { allowed, notice }, where notice explains a refusal, warns that an
+ *   allowance is nearly used up, or is null
+ */
+async function admitAiCommand(interaction) {
+  const admission = await requestGate.admit(interaction);
+  if (!admission.limit.allowed) {
+    return { allowed: false, notice: requestGate.describeRateLimit(admission.limit) };
+  }
+  return { allowed: admission.allowed, notice: admission.notice };
+}
+
+// Slash command choices for the configurable settings
+const SETTING_CHOICES = guildSettings.SETTING_KEYS.map(key => ({ name: key, value: key }));
 
 // Command definitions
 const commands = {
@@ -18,12 +422,20 @@ const commands = {
     },
     async execute(interaction) {
       return interaction.reply(
-        "**Aszai Bot Commands:**\n" +        "`/help` or `!help` - Show this help message\n" +
-        "`/clearhistory` or `!clearhistory` - Clear your conversation history\n" +
-        "`/summary` or `!summary` - Summarise your current conversation\n" +
-        "`/summarise` or `!summarise <text>` or `!summerise <text>` - Summarise provided text\n" +
-        "`/stats` or `!stats` - Show your usage stats\n" +
-        "Simply chat as normal to talk to the bot!"
+        '**Aszai Bot Commands:**\n' +        '`/help` or `!help` - Show this help message\n' +
+        '`/clearhistory` or `!clearhistory` - Clear your conversation history\n' +
+        '`/summary` or `!summary` - Summarise your current conversation\n' +
+        '`/summarise` or `!summarise <text>` or `!summerise <text>` - Summarise provided text\n' +
+        '`/stats` or `!stats` - Show your usage stats\n' +
+        '`/dms` or `!dms [on|off]` - Turn chatting with the bot in direct messages on or off\n' +
+        '`/model` or `!model [name|default]` - Choose which AI model answers you\n' +
+        '`/responsemode` - Choose where the bot responds in this server (Manage Server only)\n' +
+        '`/config` - View or change this server\'s bot settings (Manage Server only)\n' +
+        '`/persona` - Create personas and choose which one the bot uses here (Manage Server only)\n' +
+        '`/status` - Show whether the AI service is reachable and how often rate limits apply (Manage Server only)\n' +
+        '`/usage` - Show token usage and estimated cost for this server (Manage Server only)\n' +
+        '`/cache` - Inspect, search, invalidate, clear or pre-fill cached answers (bot admins only)\n' +
+        'Simply chat as normal to talk to the bot!'
       );
     },
     textCommand: '!help'
@@ -35,8 +447,12 @@ const commands = {
       description: 'Clear your conversation history'
     },
     async execute(interaction) {
-      const userId = interaction.user.id;
-      conversationManager.clearHistory(userId);
+      const conversationKey = getConversationKey(interaction);
+      conversationManager.clearHistory(conversationKey);
+      
+      if (isSharedConversation(conversationKey)) {
+        return interaction.reply('The shared conversation history for this channel has been cleared.');
+      }
       return interaction.reply('Your conversation history has been cleared.');
     },
     textCommand: '!clearhistory'
@@ -49,28 +465,39 @@ const commands = {
     },
     async execute(interaction) {
       const userId = interaction.user.id;
-      const history = conversationManager.getHistory(userId);
+      const history = conversationManager.getHistory(getConversationKey(interaction));
       
       if (!history || history.length === 0) {
         return interaction.reply('No conversation history to summarise.');
       }
       
-      // Ensure last message is from user or tool
-      let cleanHistory = [...history];
-      while (cleanHistory.length > 0 && cleanHistory[cleanHistory.length - 1].role === 'assistant') {
-        cleanHistory.pop();
-      }
+      // Alternate user/assistant turns ending with the user, within the context of the model that summarises
+      const provider = aiProviders.getProviderForGuild(interaction.guildId || null);
+      const cleanHistory = buildContext(history, {
+        model: provider.getSummaryModel(),
+        reservedTokens: config.API.PERPLEXITY.MAX_TOKENS.SUMMARY
+      });
       
       if (cleanHistory.length === 0) {
         return interaction.reply('No conversation history to summarise.');
       }
       
+      const admission = await admitAiCommand(interaction);
+      if (!admission.allowed) {
+        return interaction.reply(admission.notice);
+      }
+      
       await interaction.deferReply();
       
       try {
-        const summary = await perplexityService.generateSummary(cleanHistory);
+        // Include what was already summarised when older messages were trimmed
+        const earlier = conversationManager.getSummary(getConversationKey(interaction));
+        const summary = await provider.generateSummary(earlier
+          ? [{ role: 'summary', content: earlier }, ...cleanHistory]
+          : cleanHistory, false, { userId, guildId: interaction.guildId || null });
         conversationManager.updateUserStats(userId, 'summaries');
           return interaction.editReply({ 
+          content: admission.notice || undefined,
           embeds: [{
             color: config.COLORS.PRIMARY,
             title: 'Conversation Summary',
@@ -93,15 +520,396 @@ const commands = {
     async execute(interaction) {
       const userId = interaction.user.id;
       const stats = conversationManager.getUserStats(userId);
+      const usage = await usageTracker.getUserUsage(userId);
         return interaction.reply(
         `**Your Aszai Bot Stats:**\n` +
         `Messages sent: ${stats.messages}\n` +
-        `Summaries requested: ${stats.summaries}`
+        `Summaries requested: ${stats.summaries}\n` +
+        `AI usage today: ${describeUsageTotals(usage.today)}\n` +
+        `AI usage this month: ${describeUsageTotals(usage.month)}`
       );
     },
     textCommand: '!stats'
   },
 
+  dms: {
+    data: {
+      name: 'dms',
+      description: 'Turn chatting with the bot in direct messages on or off',
+      options: [{
+        name: 'setting',
+        description: 'Whether the bot should answer your direct messages',
+        type: 3, // ApplicationCommandOptionType.String
+        required: false,
+        choices: [
+          { name: 'On', value: 'on' },
+          { name: 'Off', value: 'off' }
+        ]
+      }]
+    },
+    async execute(interaction) {
+      const userId = interaction.user.id;
+      let setting;
+      
+      // Handle both text commands and slash commands
+      if (interaction.options) {
+        setting = interaction.options.getString('setting');
+      } else {
+        const match = (interaction.content || '').match(/^!dms\s+(on|off)\b/i);
+        setting = match ? match[1].toLowerCase() : null;
+      }
+      
+      if (setting === 'off') {
+        await dmPreferences.optOut(userId);
+        return interaction.reply('I won\'t reply to your direct messages any more. Use `/dms on` or `!dms on` to turn them back on.');
+      }
+      if (setting === 'on') {
+        await dmPreferences.optIn(userId);
+        return interaction.reply('Direct messages are on. Send me a DM any time to chat!');
+      }
+      
+      const status = (await dmPreferences.isOptedOut(userId)) ? 'off' : 'on';
+      return interaction.reply(`Direct messages are currently **${status}** for you. Use \`/dms on\` or \`/dms off\` to change this.`);
+    },
+    textCommand: '!dms'
+  },
+
+  model: {
+    data: {
+      name: 'model',
+      description: 'Choose which AI model answers you',
+      options: [{
+        name: 'name',
+        description: 'The model to use, or "default" to go back to the server\'s choice',
+        type: 3, // ApplicationCommandOptionType.String
+        required: false,
+        choices: [
+          ...modelRegistry.listModels().map(model => ({ name: model.name, value: model.id })),
+          { name: 'Server default', value: 'default' }
+        ]
+      }]
+    },
+    async execute(interaction) {
+      const userId = interaction.user.id;
+      const guildId = interaction.guildId || null;
+      let name;
+      
+      // Handle both text commands and slash commands
+      if (interaction.options) {
+        name = interaction.options.getString('name');
+      } else {
+        const match = (interaction.content || '').match(/^!model\s+(\S+)/i);
+        name = match ? match[1].toLowerCase() : null;
+      }
+      
+      try {
+        if (name === 'default') {
+          await modelPreferences.clearPreference(userId);
+        } else if (name) {
+          await modelPreferences.setPreference(userId, name, guildId);
+        }
+      } catch (error) {
+        // The model isn't allowed here; say which ones are
+        return interaction.reply({ content: error.message, ephemeral: true });
+      }
+      
+      const current = await modelPreferences.resolveModel(guildId, userId);
+      const allowed = await modelPreferences.getAllowedModels(guildId);
+      return interaction.reply({
+        content: `You're using **${current}**. Available models:\n${describeModels(allowed, current)}`,
+        ephemeral: true
+      });
+    },
+    textCommand: '!model'
+  },
+
+  responsemode: {
+    data: {
+      name: 'responsemode',
+      description: 'Choose where the bot responds to messages in this server',
+      default_member_permissions: MANAGE_GUILD_PERMISSION,
+      dm_permission: false,
+      options: [
+        {
+          name: 'show',
+          description: 'Show the current response mode',
+          type: 1 // ApplicationCommandOptionType.Subcommand
+        },
+        {
+          name: 'set',
+          description: 'Set the response mode',
+          type: 1,
+          options: [{
+            name: 'mode',
+            description: 'When the bot should respond',
+            type: 3, // ApplicationCommandOptionType.String
+            required: true,
+            choices: Object.entries(RESPONSE_MODE_DESCRIPTIONS).map(([value, name]) => ({ name, value }))
+          }]
+        },
+        {
+          name: 'addchannel',
+          description: 'Allow the bot to respond in a channel',
+          type: 1,
+          options: [{
+            name: 'channel',
+            description: 'The channel to allow',
+            type: 7, // ApplicationCommandOptionType.Channel
+            required: true
+          }]
+        },
+        {
+          name: 'removechannel',
+          description: 'Stop the bot responding in a channel',
+          type: 1,
+          options: [{
+            name: 'channel',
+            description: 'The channel to remove',
+            type: 7,
+            required: true
+          }]
+        }
+      ]
+    },
+    async execute(interaction) {
+      if (!interaction.guildId || !interaction.options) {
+        return interaction.reply({ content: 'This command can only be used as a slash command in a server.', ephemeral: true });
+      }
+      if (!canManageGuild(interaction)) {
+        return interaction.reply({ content: 'You need the Manage Server permission to change response modes.', ephemeral: true });
+      }
+      
+      const guildId = interaction.guildId;
+      let settings;
+      switch (interaction.options.getSubcommand()) {
+      case 'set':
+        settings = await responseModeManager.setMode(guildId, interaction.options.getString('mode'));
+        break;
+      case 'addchannel':
+        settings = await responseModeManager.addChannel(guildId, interaction.options.getChannel('channel').id);
+        break;
+      case 'removechannel':
+        settings = await responseModeManager.removeChannel(guildId, interaction.options.getChannel('channel').id);
+        break;
+      default:
+        settings = await responseModeManager.getSettings(guildId);
+      }
+      
+      return interaction.reply({ content: describeResponseSettings(settings), ephemeral: true });
+    }
+  },
+
+  config: {
+    data: {
+      name: 'config',
+      description: 'View or change the bot\'s settings for this server',
+      default_member_permissions: MANAGE_GUILD_PERMISSION,
+      dm_permission: false,
+      options: [
+        {
+          name: 'get',
+          description: 'Show the current settings',
+          type: 1, // ApplicationCommandOptionType.Subcommand
+          options: [{ name: 'key', description: 'The setting to show', type: 3, required: false, choices: SETTING_CHOICES }]
+        },
+        {
+          name: 'set',
+          description: 'Override a setting for this server',
+          type: 1,
+          options: [
+            { name: 'key', description: 'The setting to change', type: 3, required: true, choices: SETTING_CHOICES },
+            { name: 'value', description: 'The new value', type: 3, required: true }
+          ]
+        },
+        {
+          name: 'reset',
+          description: 'Go back to the default value',
+          type: 1,
+          options: [{ name: 'key', description: 'The setting to reset (all settings if omitted)', type: 3, required: false, choices: SETTING_CHOICES }]
+        }
+      ]
+    },
+    async execute(interaction) {
+      if (!interaction.guildId || !interaction.options) {
+        return interaction.reply({ content: 'This command can only be used as a slash command in a server.', ephemeral: true });
+      }
+      if (!canManageGuild(interaction)) {
+        return interaction.reply({ content: 'You need the Manage Server permission to change server settings.', ephemeral: true });
+      }
+      
+      const guildId = interaction.guildId;
+      const key = interaction.options.getString('key') || undefined;
+      await guildSettings.load();
+      
+      try {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'set') {
+          await guildSettings.set(guildId, key, interaction.options.getString('value'));
+        } else if (subcommand === 'reset') {
+          await guildSettings.reset(guildId, key);
+        }
+      } catch (error) {
+        // Invalid values are the user's to fix, so show why rather than a generic error
+        return interaction.reply({ content: error.message, ephemeral: true });
+      }
+      
+      return interaction.reply({ content: describeGuildSettings(guildId, key), ephemeral: true });
+    }
+  },
+
+  persona: {
+    data: {
+      name: 'persona',
+      description: 'Manage the personas the bot takes on in this server',
+      default_member_permissions: MANAGE_GUILD_PERMISSION,
+      dm_permission: false,
+      options: [
+        {
+          name: 'list',
+          description: 'Show this server\'s personas and where they are used',
+          type: 1 // ApplicationCommandOptionType.Subcommand
+        },
+        {
+          name: 'create',
+          description: 'Create a persona, or change an existing one\'s prompt',
+          type: 1,
+          options: [
+            { name: 'name', description: 'Short name, e.g. starsector-lore', type: 3, required: true },
+            { name: 'prompt', description: 'Instructions the bot follows as this persona', type: 3, required: true }
+          ]
+        },
+        {
+          name: 'delete',
+          description: 'Delete a persona',
+          type: 1,
+          options: [{ name: 'name', description: 'The persona to delete', type: 3, required: true }]
+        },
+        {
+          name: 'attach',
+          description: 'Use a persona in a channel, or across the server',
+          type: 1,
+          options: [
+            { name: 'name', description: 'The persona to use', type: 3, required: true },
+            { name: 'channel', description: 'The channel to use it in (whole server if omitted)', type: 7, required: false }
+          ]
+        },
+        {
+          name: 'detach',
+          description: 'Stop using a persona in a channel, or across the server',
+          type: 1,
+          options: [{ name: 'channel', description: 'The channel to detach (whole server if omitted)', type: 7, required: false }]
+        }
+      ]
+    },
+    async execute(interaction) {
+      if (!interaction.guildId || !interaction.options) {
+        return interaction.reply({ content: 'This command can only be used as a slash command in a server.', ephemeral: true });
+      }
+      if (!canManageGuild(interaction)) {
+        return interaction.reply({ content: 'You need the Manage Server permission to manage personas.', ephemeral: true });
+      }
+      
+      try {
+        return interaction.reply({ content: await runPersonaSubcommand(interaction), ephemeral: true });
+      } catch (error) {
+        // Invalid names and prompts are the user's to fix, so show why
+        return interaction.reply({ content: error.message, ephemeral: true });
+      }
+    }
+  },
+
+  status: {
+    data: {
+      name: 'status',
+      description: 'Show whether the AI service is reachable and how often rate limits apply',
+      default_member_permissions: MANAGE_GUILD_PERMISSION,
+      dm_permission: false
+    },
+    async execute(interaction) {
+      if (!canManageGuild(interaction)) {
+        return interaction.reply({ content: 'You need the Manage Server permission to view the bot\'s status.', ephemeral: true });
+      }
+      const content = `${describeServiceStatus(aiProviders.getActiveProviders())}\n\n${describeRateLimits(rateLimiter.getMetrics())}`;
+      return interaction.reply({ content, ephemeral: true });
+    }
+  },
+
+  usage: {
+    data: {
+      name: 'usage',
+      description: 'Show this server\'s token usage and estimated cost',
+      default_member_permissions: MANAGE_GUILD_PERMISSION,
+      dm_permission: false
+    },
+    async execute(interaction) {
+      if (!canManageGuild(interaction)) {
+        return interaction.reply({ content: 'You need the Manage Server permission to view the bot\'s usage.', ephemeral: true });
+      }
+      const report = await usageTracker.getGuildReport(interaction.guildId);
+      return interaction.reply({ content: describeUsageReport(report), ephemeral: true });
+    }
+  },
+
+  cache: {
+    data: {
+      name: 'cache',
+      description: 'Inspect and manage the bot\'s cached answers (bot admins only)',
+      default_member_permissions: MANAGE_GUILD_PERMISSION,
+      dm_permission: false,
+      options: [
+        {
+          name: 'stats',
+          description: 'Show how big the cache is and how often it answers',
+          type: 1 // ApplicationCommandOptionType.Subcommand
+        },
+        {
+          name: 'search',
+          description: 'Find cached answers by key or question',
+          type: 1,
+          options: [{ name: 'text', description: 'A cache key, or words from the question', type: 3, required: true }]
+        },
+        {
+          name: 'invalidate',
+          description: 'Remove cached answers',
+          type: 1,
+          options: [{ name: 'target', description: 'A cache key, or a question where * matches any text', type: 3, required: true }]
+        },
+        {
+          name: 'clear',
+          description: 'Remove every cached answer',
+          type: 1
+        },
+        {
+          name: 'warm',
+          description: 'Cache answers to frequently asked questions for this channel\'s persona',
+          type: 1,
+          options: [{
+            name: 'file',
+            description: 'JSON list of { "question", "answer" } entries',
+            type: 11, // ApplicationCommandOptionType.Attachment
+            required: true
+          }]
+        }
+      ]
+    },
+    async execute(interaction) {
+      if (!interaction.guildId || !interaction.options) {
+        return interaction.reply({ content: 'This command can only be used as a slash command in a server.', ephemeral: true });
+      }
+      if (!canManageCache(interaction)) {
+        return interaction.reply({
+          content: 'Only bot admins can manage the question cache, as every server the bot is in shares it. ' +
+            'Bot admins are listed in `BOT_ADMIN_IDS`.',
+          ephemeral: true
+        });
+      }
+      
+      // Downloading a warm file can take longer than Discord waits for a reply
+      await interaction.deferReply({ ephemeral: true });
+      return interaction.editReply(await runCacheSubcommand(interaction));
+    }
+  },
+
   summarise: {
     data: {
       name: 'summarise',
@@ -130,6 +938,11 @@ const commands = {
         return interaction.reply('Please provide the text you want summarised. Usage: `!summarise <text>` or `!summerise <text>`');
       }
       
+      const admission = await admitAiCommand(interaction);
+      if (!admission.allowed) {
+        return interaction.reply(admission.notice);
+      }
+      
       await interaction.deferReply();
       
       try {        // Create a message array with the text to summarize
@@ -140,9 +953,12 @@ const commands = {
           }
         ];
         
-        const summary = await perplexityService.generateTextSummary(messages);
+        const guildId = interaction.guildId || null;
+        const summary = await aiProviders.getProviderForGuild(guildId)
+          .generateTextSummary(messages, { userId: interaction.user.id, guildId });
         conversationManager.updateUserStats(interaction.user.id, 'summaries');
           return interaction.editReply({ 
+          content: admission.notice || undefined,
           embeds: [{
             color: config.COLORS.PRIMARY,
             title: 'Text Summary',
@@ -182,6 +998,9 @@ async function handleTextCommand(message) {
         // Create a mock interaction object for text commands
         const mockInteraction = {
           user: message.author,
+          member: message.member,
+          guildId: message.guildId,
+          channelId: message.channelId,
           channel: message.channel,
           content: message.content, // Pass the content for text command parsing
           reply: (content) => message.reply(content),
@@ -215,6 +1034,8 @@ async function handleSlashCommand(interaction) {
   }
   
   try {
+    // Commands read guild settings such as the conversation scope, which nothing may have loaded since a restart
+    await guildSettings.load();
     await command.execute(interaction);
   } catch (error) {
     logger.error(`Error executing slash command ${interaction.commandName}:`, error);
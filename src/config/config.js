@@ -3,14 +3,58 @@
  */
 require('dotenv').config();
 
-// Environment validation
-const requiredEnvVars = ['PERPLEXITY_API_KEY', 'DISCORD_BOT_TOKEN'];
+// Environment validation; a Perplexity key is only needed when Perplexity is the default provider
+const requiredEnvVars = (process.env.AI_PROVIDER || 'perplexity') === 'perplexity'
+  ? ['PERPLEXITY_API_KEY', 'DISCORD_BOT_TOKEN']
+  : ['DISCORD_BOT_TOKEN'];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
   throw new Error(`Missing ${missingEnvVars.join(', ')} in environment variables.`);
 }
 
+/**
+ * Parse a comma-separated list
+ * @param {string} value - e.g. "sonar,sonar-pro"
+ * @returns {Array<string>|null} - Trimmed entries, or null when the value is empty
+ */
+function parseList(value) {
+  const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Parse the AI fallback chain
+ * @param {string} value - Comma-separated "provider:model" entries, e.g. "perplexity:sonar,openai-compatible:llama3.1:8b";
+ *   the model may be left out to use the provider's default
+ * @returns {Array<Object>} - { provider, model } entries in the order they are tried
+ */
+function parseFallbacks(value) {
+  return (parseList(value) || []).map(entry => {
+    // Only the first colon separates the provider, as model tags such as llama3.1:8b contain colons
+    const separator = entry.indexOf(':');
+    return separator === -1
+      ? { provider: entry, model: null }
+      : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) || null };
+  });
+}
+
+/**
+ * Parse question cache aliases
+ * @param {string} value - Comma-separated "alias=name" pairs, e.g. "ss=starsector,eve=eve online"
+ * @returns {Object} - Alias => name
+ */
+function parseAliases(value) {
+  const aliases = {};
+  for (const pair of parseList(value) || []) {
+    const [alias, name] = pair.split('=').map(part => part.trim());
+    if (alias && name) {
+      aliases[alias] = name;
+    }
+  }
+  return aliases;
+}
+
 // Export the basic config first - Pi optimizations will be initialized later dynamically
 const config = {
   // API Keys and Tokens
@@ -19,8 +63,92 @@ const config = {
   
   // Bot Configuration
   MAX_HISTORY: 20,
-  RATE_LIMIT_WINDOW: 5000, // 5 seconds
+  RATE_LIMIT_WINDOW: 5000, // 5 seconds for a user to regain one message of their burst
   CONVERSATION_MAX_LENGTH: 50, // Max messages per conversation history
+  // Users who may manage data the bot shares across every server, such as the question cache
+  BOT_ADMIN_IDS: parseList(process.env.BOT_ADMIN_IDS) || [],
+  
+  // Token buckets limiting how fast chat messages reach the AI. Each bucket holds BURST
+  // messages and regains one every REFILL_MS; a BURST of 0 turns the bucket off.
+  // The per-user bucket refills every RATE_LIMIT_WINDOW
+  RATE_LIMITS: {
+    USER_BURST: parseInt(process.env.RATE_LIMIT_USER_BURST || '3', 10),
+    CHANNEL: {
+      BURST: parseInt(process.env.RATE_LIMIT_CHANNEL_BURST || '10', 10),
+      REFILL_MS: parseInt(process.env.RATE_LIMIT_CHANNEL_REFILL_MS || '3000', 10)
+    },
+    GUILD: {
+      BURST: parseInt(process.env.RATE_LIMIT_GUILD_BURST || '30', 10),
+      REFILL_MS: parseInt(process.env.RATE_LIMIT_GUILD_REFILL_MS || '1000', 10)
+    },
+    GLOBAL: {
+      BURST: parseInt(process.env.RATE_LIMIT_GLOBAL_BURST || '60', 10),
+      REFILL_MS: parseInt(process.env.RATE_LIMIT_GLOBAL_REFILL_MS || '500', 10)
+    },
+    // How limited users are told: 'reply' (once per wait), 'react' (⏳ on the message) or 'silent'
+    MODE: process.env.RATE_LIMIT_MODE || 'reply'
+  },
+  
+  // Conversation scopes: 'user', 'user_channel', 'channel' or 'thread'
+  CONVERSATION: {
+    // Default for the conversationScope guild setting
+    DEFAULT_SCOPE: process.env.CONVERSATION_SCOPE || 'user',
+    // Persist histories to data/conversations.json so they survive restarts
+    PERSIST: process.env.PERSIST_CONVERSATIONS !== 'false',
+    SAVE_DEBOUNCE_MS: parseInt(process.env.CONVERSATION_SAVE_DEBOUNCE_MS || '5000', 10),
+    // Stored histories are trimmed to roughly this many tokens, whatever their message count
+    MAX_STORED_TOKENS: parseInt(process.env.CONVERSATION_MAX_STORED_TOKENS || '32000', 10),
+    // Fold trimmed messages into a running summary instead of forgetting them (costs extra requests)
+    ROLLING_SUMMARY: process.env.CONVERSATION_ROLLING_SUMMARY === 'true',
+    // Messages summarised at a time, so trimming doesn't cost a request per message
+    ROLLING_SUMMARY_BATCH: parseInt(process.env.CONVERSATION_ROLLING_SUMMARY_BATCH || '10', 10)
+  },
+  
+  // When the bot answers chat messages: 'all', 'mention' (mentioned or replied to),
+  // 'channels' (allow-listed channels only) or 'dm_only'. Guilds can override with /responsemode
+  RESPONSE_MODE: {
+    DEFAULT: process.env.RESPONSE_MODE || 'all'
+  },
+  
+  // Persistent storage: 'json' (one file per namespace) or 'sqlite' (embedded database)
+  STORAGE: {
+    BACKEND: process.env.STORAGE_BACKEND || 'json'
+  },
+  
+  // Token usage and cost accounting, kept in the 'usage' storage namespace
+  USAGE: {
+    SAVE_DEBOUNCE_MS: parseInt(process.env.USAGE_SAVE_DEBOUNCE_MS || '5000', 10),
+    // Days of daily totals to keep
+    RETENTION_DAYS: parseInt(process.env.USAGE_RETENTION_DAYS || '400', 10)
+  },
+  
+  // Cached answers, shared by everyone who asks the same question of the same persona and model
+  QUESTION_CACHE: {
+    TTL_MS: parseInt(process.env.QUESTION_CACHE_TTL_HOURS || '24', 10) * 60 * 60 * 1000,
+    // Nicknames folded into one name before questions are compared, e.g. game abbreviations
+    ALIASES: parseAliases(process.env.QUESTION_CACHE_ALIASES),
+    // Answers are kept in memory and written to disk in batches at most this long after a change
+    FLUSH_DELAY_MS: parseInt(process.env.QUESTION_CACHE_FLUSH_MS || '30000', 10)
+  },
+  
+  // Token and request allowances for each user in a guild and for each guild as a whole,
+  // per UTC day and month; 0 means unlimited. Guilds can override them with /config
+  QUOTAS: {
+    USER: {
+      DAILY_TOKENS: parseInt(process.env.USER_QUOTA_DAILY_TOKENS || '0', 10),
+      DAILY_REQUESTS: parseInt(process.env.USER_QUOTA_DAILY_REQUESTS || '0', 10),
+      MONTHLY_TOKENS: parseInt(process.env.USER_QUOTA_MONTHLY_TOKENS || '0', 10),
+      MONTHLY_REQUESTS: parseInt(process.env.USER_QUOTA_MONTHLY_REQUESTS || '0', 10)
+    },
+    GUILD: {
+      DAILY_TOKENS: parseInt(process.env.GUILD_QUOTA_DAILY_TOKENS || '0', 10),
+      DAILY_REQUESTS: parseInt(process.env.GUILD_QUOTA_DAILY_REQUESTS || '0', 10),
+      MONTHLY_TOKENS: parseInt(process.env.GUILD_QUOTA_MONTHLY_TOKENS || '0', 10),
+      MONTHLY_REQUESTS: parseInt(process.env.GUILD_QUOTA_MONTHLY_REQUESTS || '0', 10)
+    },
+    // Share of an allowance (0-1) used before a warning is shown
+    WARNING_THRESHOLD: parseFloat(process.env.QUOTA_WARNING_THRESHOLD || '0.8')
+  },
   
   // Raspberry Pi optimizations (default values, will be overridden by pi-detector)
   PI_OPTIMIZATIONS: {
@@ -31,6 +159,9 @@ const config = {
     CLEANUP_INTERVAL_MINUTES: 30,
     DEBOUNCE_MS: parseInt(process.env.PI_DEBOUNCE_MS || '300', 10),
     MAX_CONNECTIONS: parseInt(process.env.PI_MAX_CONNECTIONS || '2', 10),
+    // Requests waiting for a connection, in total and per user, before more are turned away
+    MAX_QUEUE_LENGTH: parseInt(process.env.PI_MAX_QUEUE_LENGTH || '20', 10),
+    MAX_QUEUED_PER_USER: parseInt(process.env.PI_MAX_QUEUED_PER_USER || '3', 10),
     MEMORY_LIMITS: {
       RAM_THRESHOLD_MB: parseInt(process.env.PI_MEMORY_LIMIT || '200', 10),
       RAM_CRITICAL_MB: parseInt(process.env.PI_MEMORY_CRITICAL || '250', 10)
@@ -41,22 +172,106 @@ const config = {
     STREAM_RESPONSES: process.env.PI_STREAM_RESPONSES !== 'false'
   },
   
+  // AI provider used unless a guild picks another: 'perplexity' or 'openai-compatible'
+  AI_PROVIDER: process.env.AI_PROVIDER || 'perplexity',
+  // Tried in order when a guild's provider is rate-limited, failing or timing out
+  AI_FALLBACKS: parseFallbacks(process.env.AI_FALLBACKS),
+  
   // API Configuration
   API: {
     PERPLEXITY: {
-      BASE_URL: 'https://api.perplexity.ai',
+      // Point at scripts/mock-perplexity-server.js (e.g. http://localhost:8787) to run offline
+      BASE_URL: process.env.PERPLEXITY_BASE_URL || 'https://api.perplexity.ai',
       ENDPOINTS: {
         CHAT_COMPLETIONS: '/chat/completions'
       },
-      DEFAULT_MODEL: 'sonar',
+      DEFAULT_MODEL: process.env.PERPLEXITY_MODEL || 'sonar',
+      // Summaries don't need a premium model, so they use their own (cheaper) one
+      SUMMARY_MODEL: process.env.PERPLEXITY_SUMMARY_MODEL || 'sonar',
+      // Models users may pick with /model; defaults to every model in MODELS
+      ALLOWED_MODELS: parseList(process.env.PERPLEXITY_ALLOWED_MODELS),
       DEFAULT_TEMPERATURE: 0.0,
       MAX_TOKENS: {
         CHAT: 1024,
         SUMMARY: 256
+      },
+      // Deadlines, so a hung upstream can't leave users waiting forever
+      TIMEOUTS: {
+        // The whole call, retries included
+        REQUEST_MS: parseInt(process.env.PERPLEXITY_REQUEST_TIMEOUT_MS || '60000', 10),
+        // Waiting for one attempt's response headers
+        HEADERS_MS: parseInt(process.env.PERPLEXITY_HEADERS_TIMEOUT_MS || '30000', 10),
+        // Longest pause between chunks of a response body
+        BODY_MS: parseInt(process.env.PERPLEXITY_BODY_TIMEOUT_MS || '30000', 10)
+      },
+      // Fail fast while the API is down, rather than sending every message to it
+      CIRCUIT_BREAKER: {
+        // Consecutive failed calls (server errors, timeouts, dropped connections) that open the circuit
+        FAILURE_THRESHOLD: parseInt(process.env.PERPLEXITY_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+        // How long to fail fast before letting a probe request through
+        COOLDOWN_MS: parseInt(process.env.PERPLEXITY_CIRCUIT_COOLDOWN_MS || '30000', 10)
+      },
+      // Retries for rate limits, server errors and dropped connections
+      RETRY: {
+        MAX_RETRIES: parseInt(process.env.PERPLEXITY_MAX_RETRIES || '3', 10),
+        BASE_DELAY_MS: parseInt(process.env.PERPLEXITY_RETRY_BASE_DELAY_MS || '500', 10),
+        // Longest wait between attempts; if the API asks for longer, the request fails instead
+        MAX_DELAY_MS: parseInt(process.env.PERPLEXITY_RETRY_MAX_DELAY_MS || '10000', 10)
+      },
+      // Model registry: context window, output limit and USD price per million tokens
+      MODELS: {
+        'sonar': {
+          NAME: 'Sonar',
+          CONTEXT_WINDOW: 128000,
+          MAX_OUTPUT_TOKENS: 8000,
+          INPUT_COST_PER_MILLION: 1,
+          OUTPUT_COST_PER_MILLION: 1
+        },
+        'sonar-pro': {
+          NAME: 'Sonar Pro',
+          CONTEXT_WINDOW: 200000,
+          MAX_OUTPUT_TOKENS: 8000,
+          INPUT_COST_PER_MILLION: 3,
+          OUTPUT_COST_PER_MILLION: 15
+        },
+        'sonar-reasoning': {
+          NAME: 'Sonar Reasoning',
+          CONTEXT_WINDOW: 128000,
+          MAX_OUTPUT_TOKENS: 8000,
+          INPUT_COST_PER_MILLION: 1,
+          OUTPUT_COST_PER_MILLION: 5,
+          REASONING: true
+        },
+        'sonar-reasoning-pro': {
+          NAME: 'Sonar Reasoning Pro',
+          CONTEXT_WINDOW: 128000,
+          MAX_OUTPUT_TOKENS: 8000,
+          INPUT_COST_PER_MILLION: 2,
+          OUTPUT_COST_PER_MILLION: 8,
+          REASONING: true
+        }
       }
+    },
+    // Any server speaking the OpenAI chat-completions API, such as llama.cpp or Ollama.
+    // Timeouts, retries and the circuit breaker follow the PERPLEXITY settings above
+    OPENAI_COMPATIBLE: {
+      BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+      ENDPOINTS: {
+        CHAT_COMPLETIONS: '/chat/completions'
+      },
+      // Local servers usually don't need a key
+      API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+      MODEL: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1'
     }
   },
   
+  // Streamed reply settings (live-edited Discord messages)
+  STREAMING: {
+    // Minimum gap between edits of a streaming reply, to stay inside Discord's edit rate limits
+    EDIT_INTERVAL_MS: parseInt(process.env.STREAM_EDIT_INTERVAL_MS || '1500', 10),
+    PLACEHOLDER_TEXT: '⏳ Thinking...'
+  },
+  
   // Discord Embed Colors
   COLORS: {
     PRIMARY: parseInt('0099ff', 16)
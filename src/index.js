@@ -5,7 +5,7 @@ require('dotenv').config();
  * A Discord bot that specializes in gaming lore, game logic, guides, and advice,
  * powered by the Perplexity API.
  */
-const { Client, GatewayIntentBits, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, REST, Routes } = require('discord.js');
 let config;
 try {
   config = require('./config/config');
@@ -35,6 +35,10 @@ async function bootWithOptimizations() {
 const handleChatMessage = require('./services/chat');
 const commandHandler = require('./commands');
 const ConversationManager = require('./utils/conversation');
+const { lazyLoad } = require('./utils/lazy-loader');
+const usageTracker = require('./services/usage-tracker');
+const questionCache = require('./services/question-cache');
+const dataStorage = require('./services/storage');
 const conversationManager = new ConversationManager();
 conversationManager.initializeIntervals();
 
@@ -48,24 +52,28 @@ if (isProd && enablePiOptimizations) {
   logger.info('Initializing Pi optimizations');
   
   try {
-    // Lazy-load optimization modules only when needed
-    const { lazyLoad } = require('./utils/lazy-loader');
-    
     // Initialize monitors directly with lazy loading
     lazyLoad(() => require('./utils/memory-monitor'))().initialize();
     lazyLoad(() => require('./utils/performance-monitor'))().initialize();
+    lazyLoad(() => require('./utils/cache-pruner'))().initialize();
   } catch (error) {
     logger.warn('Failed to initialize Pi optimizations:', error);
   }
 }
 
+// Providers are only needed here at shutdown; chat loads them for everything else
+const getAiProviders = lazyLoad(() => require('./services/providers'));
+
 // Create Discord client
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
+    GatewayIntentBits.DirectMessages,
   ],
+  // DM channels are not cached before their first message, so they arrive as partials
+  partials: [Partials.Channel],
 });
 
 /**
@@ -126,6 +134,24 @@ client.on('warn', (info) => {
 // Flag to prevent multiple shutdown executions
 let isShuttingDown = false;
 
+/**
+ * Run one shutdown step, logging its error rather than throwing so later steps still run
+ * @param {string} name - What the step shuts down, for the logs
+ * @param {Function} step - Does the work, sync or async
+ * @param {Array<Error>} errors - Errors so far, added to if the step fails
+ * @returns {Promise<void>}
+ */
+async function runShutdownStep(name, step, errors) {
+  try {
+    logger.debug(`Shutting down ${name}...`);
+    await step();
+    logger.debug(`Shut down ${name}`);
+  } catch (error) {
+    logger.error(`Error shutting down ${name}:`, error);
+    errors.push(error);
+  }
+}
+
 // Centralized shutdown function
 const shutdown = async (signal) => {
   // Prevent multiple simultaneous shutdown attempts
@@ -139,30 +165,24 @@ const shutdown = async (signal) => {
   
   // Track any errors that occur during shutdown
   const errors = [];
-  let shutdownStatus = true;
   
-  // Step 1: Shutdown conversation manager
-  try {
-    logger.debug('Shutting down conversation manager...');
-    await conversationManager.destroy();
-    logger.debug('Conversation manager shutdown successful');
-  } catch (convError) {
-    shutdownStatus = false;
-    logger.error('Error shutting down conversation manager:', convError);
-    errors.push(convError);
-  }
+  // Step 1: Cancel AI requests still in flight and stop the providers' timers
+  await runShutdownStep('AI providers', () => {
+    getAiProviders().getActiveProviders().forEach(provider => provider.shutdown());
+  }, errors);
   
-  // Step 2: Shutdown Discord client (always attempt, even if previous steps failed)
-  try {
-    logger.debug('Shutting down Discord client...');
-    // Use await to ensure proper cleanup of connections
-    await client.destroy();
-    logger.debug('Discord client shutdown successful');
-  } catch (clientError) {
-    shutdownStatus = false;
-    logger.error('Error shutting down Discord client:', clientError);
-    errors.push(clientError);
-  }
+  // Step 2: Save conversations and user stats
+  await runShutdownStep('conversation manager', () => conversationManager.destroy(), errors);
+  
+  // Step 3: Save token usage and cached answers still waiting on their batched writes
+  await runShutdownStep('usage tracker', () => usageTracker.flush(), errors);
+  await runShutdownStep('question cache', () => questionCache.flush(), errors);
+  
+  // Step 4: Shutdown Discord client (always attempt, even if previous steps failed)
+  await runShutdownStep('Discord client', () => client.destroy(), errors);
+  
+  // Step 5: Close the storage backend last, once nothing is left to write, so SQLite shuts down cleanly
+  await runShutdownStep('storage', () => dataStorage.close(), errors);
   
   // Log individual errors for easier debugging
   if (errors.length > 0) {
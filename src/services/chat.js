@@ -2,7 +2,7 @@
  * Chat message handler for the bot
  * Updated for v1.3.2 with source link formatting and truncation fixes
  */
-const perplexityService = require('../services/perplexity-secure');
+const aiProviders = require('../services/providers');
 const ConversationManager = require('../utils/conversation');
 const emojiManager = require('../utils/emoji');
 const logger = require('../utils/logger');
@@ -11,6 +11,14 @@ const commandHandler = require('../commands');
 const { debounce } = require('../utils/debouncer');
 const messageFormatter = require('../utils/message-formatter');
 const { chunkMessage } = require('../utils/enhanced-message-chunker');
+const StreamingReply = require('../utils/streaming-reply');
+const { getConversationKey, isDirectMessage, isSharedConversation } = require('../utils/conversation-scope');
+const responseModeManager = require('./response-mode');
+const guildSettings = require('./guild-settings');
+const { selectContext, withSummary } = require('../utils/context-builder');
+const personaManager = require('./personas');
+const modelPreferences = require('./model-preferences');
+const requestGate = require('./request-gate');
 
 // Simple lazy loading function to use in tests
 const lazyLoad = (importFn) => {
@@ -39,34 +47,67 @@ const imageHandler = lazyLoad(() => require('../utils/image-handler'));
 
 const conversationManager = new ConversationManager();
 
+// Maximum length for Discord embeds (reduced to ensure we don't hit limits)
+// Further reduced to prevent truncation issues with source links and URL formatting
+const MAX_EMBED_LENGTH = 1400; // Significantly reduced from Discord's max of 2000 to prevent any truncation issues
+
+// Shown in a streamed reply when a retry or fallback provider starts the answer again
+const RESTART_NOTICE = '🔄 The answer was interrupted, so it\'s starting again...';
+
+// Reaction left on held-back messages in react mode
+const RATE_LIMIT_REACTION = '⏳';
+
+/**
+ * Create an embed for a reply (compact on Pi)
+ * @param {string} description - Reply text
+ * @param {string} footerText - Footer text
+ * @param {Array<Object>} fields - Embed fields, such as sources
+ * @returns {Object} - Embed data
+ */
+function createResponseEmbed(description, footerText, fields = []) {
+  const embed = {
+    color: config.COLORS.PRIMARY,
+    description,
+    footer: { text: footerText },
+  };
+  if (fields.length > 0) {
+    embed.fields = fields;
+  }
+  return messageFormatter.createCompactEmbed(embed);
+}
+
 /**
  * Sends a response message, handling long messages by chunking if needed
  * @param {Object} message - Discord.js message object
  * @param {string} responseText - The formatted response to send
+ * @param {Array<Object>} sources - Sources the response cites, shown under the last chunk
+ * @param {Object|null} fallback - { model, provider } of the fallback that answered, noted in the footer
  * @returns {Promise<void>}
  */
-async function sendResponse(message, responseText) {
-  // Maximum length for Discord embeds (reduced to ensure we don't hit limits)
-  // Further reduced to prevent truncation issues with source links and URL formatting
-  const MAX_EMBED_LENGTH = 1400; // Significantly reduced from Discord's max of 2000 to prevent any truncation issues
-  
+async function sendResponse(message, responseText, sources = [], fallback = null) {
   console.log(`Preparing to send response of length: ${responseText.length}`);
   
+  // DM channels can arrive as partials; fetch them before sending
+  if (message.channel.partial) {
+    await message.channel.fetch();
+  }
+  
+  // In DMs there is no busy channel to thread the answer into, so send it plainly
+  const sendFirst = isDirectMessage(message)
+    ? payload => message.channel.send(payload)
+    : payload => message.reply(payload);
+  
   // Split the message into chunks with our smaller max length
   const messageChunks = chunkMessage(responseText, MAX_EMBED_LENGTH);
   
   console.log(`Response split into ${messageChunks.length} chunks`);
   
+  const sourcesFields = messageFormatter.createSourcesFields(sources);
+  
   // If there's only one chunk, send it as normal
   if (messageChunks.length === 1) {
-    // Create an embed for the reply (use compact embed on Pi)
-    const embed = messageFormatter.createCompactEmbed({
-      color: config.COLORS.PRIMARY,
-      description: responseText,
-      footer: { text: 'Aszai Bot' },
-    });
-    
-    await message.reply({ embeds: [embed] });
+    const footer = messageFormatter.formatFooter('Aszai Bot', fallback);
+    await sendFirst({ embeds: [createResponseEmbed(responseText, footer, sourcesFields)] });
     return;
   }
   
@@ -76,15 +117,16 @@ async function sendResponse(message, responseText) {
   for (const [index, chunk] of messageChunks.entries()) {
     console.log(`Sending chunk ${index + 1}/${messageChunks.length}, length: ${chunk.length}`);
     
-    const embed = messageFormatter.createCompactEmbed({
-      color: config.COLORS.PRIMARY,
-      description: chunk,
-      footer: { text: `Aszai Bot (Part ${index + 1}/${messageChunks.length})` },
-    });
+    // Sources follow the end of the answer rather than repeating on every part
+    const embed = createResponseEmbed(
+      chunk,
+      messageFormatter.formatFooter(`Aszai Bot (Part ${index + 1}/${messageChunks.length})`, fallback),
+      index === messageChunks.length - 1 ? sourcesFields : []
+    );
     
     // Reply to the original message for the first chunk, then send as follow-ups
     if (index === 0) {
-      firstReply = await message.reply({ embeds: [embed] });
+      firstReply = await sendFirst({ embeds: [embed] });
     } else {
       // Small delay between messages for better readability
       await new Promise(resolve => setTimeout(resolve, 800));
@@ -102,42 +144,195 @@ async function processUserMessage(message) {
   if (message.author.bot || !message.content) return null;
   
   const userId = message.author.id;
+  const isCommand = message.content.startsWith('!');
+  
+  await guildSettings.load();
   
-  // Check for rate limiting
-  if (conversationManager.isRateLimited(userId)) {
-    await message.reply('Please wait a few seconds before sending another message.');
+  // Stay quiet unless the guild's response mode allows answering here
+  if (!isCommand && !(await responseModeManager.shouldRespond(message))) {
     return null;
   }
-  conversationManager.updateTimestamp(userId);
   
-  // Check for commands
-  if (message.content.startsWith('!')) {
+  // Check for commands, which aren't held to the chat rate limits
+  if (isCommand) {
     const commandResult = await commandHandler.handleTextCommand(message);
     return null;
   }
   
-  // Add message to history
-  conversationManager.addMessage(userId, 'user', message.content);
+  // Hold the message back if it is sent too quickly or the user or guild has used up an AI allowance
+  const admission = await requestGate.admit(message);
+  if (!admission.limit.allowed) {
+    await notifyRateLimited(message, admission.limit);
+    return null;
+  }
+  if (admission.notice) {
+    await message.reply(admission.notice);
+  }
+  if (!admission.allowed) {
+    return null;
+  }
+  
+  // Add message to the conversation this channel/thread/user maps to
+  const conversationKey = getConversationKey(message);
+  conversationManager.addMessage(conversationKey, 'user', formatUserContent(message, conversationKey), userId, {
+    guildId: message.guildId || null
+  });
   
-  return { userId };
+  return {
+    userId,
+    conversationKey,
+    question: getQuestionText(message),
+    guildId: message.guildId || null,
+    systemMessage: await personaManager.getSystemMessage(message),
+    model: await modelPreferences.resolveModel(message.guildId || null, userId)
+  };
+}
+
+/**
+ * Let the sender of a rate-limited message know it was held back
+ * In reply mode the notice is sent once per wait, so a user who keeps trying can't make the
+ * bot flood the channel with notices
+ * @param {Object} message - Discord.js message object
+ * @param {Object} limit - Refusal from the rate limiter
+ * @returns {Promise<void>}
+ */
+async function notifyRateLimited(message, limit) {
+  const mode = guildSettings.get(message.guildId || null, 'rateLimitMode');
+  if (mode === 'react') {
+    await message.react(RATE_LIMIT_REACTION).catch(error => logger.debug('Could not react to a rate-limited message:', error));
+  } else if (mode === 'reply' && limit.notify) {
+    await message.reply(requestGate.describeRateLimit(limit));
+  }
+}
+
+/**
+ * Get what a user asked, without the @mention used to get the bot's attention
+ * @param {Object} message - Discord.js message object
+ * @returns {string} - The question itself
+ */
+function getQuestionText(message) {
+  const botId = message.client && message.client.user && message.client.user.id;
+  return responseModeManager.stripBotMention(message.content, botId) || message.content;
+}
+
+/**
+ * Prepare a user's message for history, naming the author in shared conversations
+ * so the model can tell participants apart
+ * @param {Object} message - Discord.js message object
+ * @param {string} conversationKey - Conversation the message belongs to
+ * @returns {string} - Content to store
+ */
+function formatUserContent(message, conversationKey) {
+  const content = getQuestionText(message);
+  
+  if (!isSharedConversation(conversationKey)) {
+    return content;
+  }
+  const authorName = (message.member && message.member.displayName) || message.author.username;
+  return `${authorName}: ${content}`;
+}
+
+/**
+ * Describe where a message waiting for a free connection stands in the queue
+ * @param {number} position - Place in the queue, 1 being next
+ * @returns {string} - Notice for the user
+ */
+function describeQueuePosition(position) {
+  return position === 1
+    ? '⏳ The bot is busy right now. Your message is next in line.'
+    : `⏳ The bot is busy right now. Your message is number ${position} in line.`;
+}
+
+/**
+ * Keep a user told of their message's place in the connection queue while it waits
+ * The streaming placeholder shows it when there is one; otherwise a notice is posted, kept up
+ * to date and deleted once the request starts
+ * @param {Object} message - Discord.js message being answered
+ * @param {StreamingReply|null} streamingReply - Live reply, if the response is streamed
+ * @returns {Function} - Called with the place in the queue, or 0 once the request starts
+ */
+function createQueueNotifier(message, streamingReply) {
+  let notice = null;
+  let updates = Promise.resolve();
+  return position => {
+    const text = position > 0 ? describeQueuePosition(position) : null;
+    updates = updates.then(async () => {
+      if (streamingReply) {
+        await streamingReply.showStatus(text);
+      } else if (text && notice) {
+        await notice.edit(text);
+      } else if (text) {
+        notice = await message.reply(text);
+      } else if (notice) {
+        await notice.delete();
+        notice = null;
+      }
+    }).catch(error => logger.debug('Could not show a message\'s place in the queue:', error));
+  };
 }
 
 /**
  * Generates and formats bot response
- * @param {string} userId - User ID to get history for
- * @returns {Promise<string>} The formatted response
+ * @param {Object} processedData - Result of processUserMessage
+ * @param {string} processedData.conversationKey - Conversation to get history for
+ * @param {string} processedData.question - What the user asked, which cached answers are keyed on
+ * @param {string|null} processedData.guildId - Guild whose settings apply (null in DMs)
+ * @param {string} processedData.systemMessage - System prompt for the message's channel
+ * @param {string} processedData.model - Model that should answer
+ * @param {StreamingReply|null} streamingReply - Live reply to update while the response streams in
+ * @param {Function|null} onQueuePosition - Told the request's place in the queue if it has to wait
+ * @returns {Promise<Object>} The formatted response text, the sources it cites and, if a fallback
+ *   answered, its { model, provider }
  */
-async function generateBotResponse(userId) {
-  const history = conversationManager.getHistory(userId);
-  const reply = await perplexityService.generateChatResponse(history);
+async function generateBotResponse(processedData, streamingReply = null, onQueuePosition = null) {
+  const { conversationKey, guildId, model } = processedData;
+  // Older turns that were trimmed away live on as a summary pinned to the system prompt
+  const systemMessage = withSummary(processedData.systemMessage, conversationManager.getSummary(conversationKey));
+  // Send as much recent history as the model's context allows, up to the guild's limit
+  const { messages: history, omitted } = selectContext(conversationManager.getHistory(conversationKey), {
+    model,
+    systemMessage,
+    reservedTokens: config.API.PERPLEXITY.MAX_TOKENS.CHAT,
+    maxMessages: guildSettings.get(guildId, 'maxHistory') * 2
+  });
+  // Whatever didn't fit goes into the summary, so it picks up where the history sent begins
+  conversationManager.summariseOmitted(conversationKey, omitted, guildId);
+  const options = {
+    guildId,
+    userId: processedData.userId,
+    systemMessage,
+    model,
+    includeSources: true,
+    // Cached answers are shared by the question alone, not the author's name or the summary
+    question: processedData.question,
+    cacheScope: processedData.systemMessage
+  };
+  if (streamingReply) {
+    options.onDelta = (delta, fullText) => streamingReply.update(fullText);
+    // A retry or fallback provider starts the answer again from the beginning
+    options.onRestart = () => streamingReply.restart(RESTART_NOTICE);
+  }
+  if (onQueuePosition) {
+    options.onQueuePosition = onQueuePosition;
+  }
+  // The guild's provider answers, unless it is unavailable and a fallback has to step in
+  const result = await aiProviders.generateChatResponse(guildId, history, options);
+  const reply = result.content;
   
   // Add emojis based on reply content (limit number of emojis on Pi)
   const emojiLimit = config.PI_OPTIMIZATIONS.ENABLED ? 
     config.PI_OPTIMIZATIONS.EMBEDDED_REACTION_LIMIT : 10;
-  const enhancedReply = emojiManager.addEmojisToResponse(reply, { maxEmojis: emojiLimit });
+  const enhancedReply = emojiManager.addEmojisToResponse(reply, {
+    maxEmojis: emojiLimit,
+    reactions: guildSettings.get(guildId, 'reactions')
+  });
   
   // Format response for Pi if optimizations enabled
-  return messageFormatter.formatResponse(enhancedReply);
+  return {
+    text: messageFormatter.formatResponse(enhancedReply),
+    sources: result.sources,
+    fallback: result.fallback ? { model: result.model, provider: result.provider } : null
+  };
 }
 
 /**
@@ -153,15 +348,38 @@ async function handleChatMessage(message) {
   // Show typing indicator
   message.channel.sendTyping();
   
+  const streamingReply = StreamingReply.isEnabled()
+    ? new StreamingReply(message, { maxLength: MAX_EMBED_LENGTH })
+    : null;
+  
   try {
+    // Post the placeholder that the streamed response is edited into
+    if (streamingReply) {
+      await streamingReply.start();
+    }
+    
     // Generate and format the response
-    const formattedReply = await generateBotResponse(processedData.userId);
+    const { text: formattedReply, sources, fallback } = await generateBotResponse(
+      processedData,
+      streamingReply,
+      createQueueNotifier(message, streamingReply)
+    );
     
-    // Add bot's reply to the conversation history
-    conversationManager.addMessage(processedData.userId, 'assistant', formattedReply);
+    // Add bot's reply, with the sources it cites, to the conversation history
+    conversationManager.addMessage(
+      processedData.conversationKey,
+      'assistant',
+      formattedReply,
+      processedData.userId,
+      { sources, guildId: processedData.guildId }
+    );
     
     // Send the response (handles chunking if needed)
-    await sendResponse(message, formattedReply);
+    if (streamingReply) {
+      await streamingReply.finish(formattedReply, sources, fallback);
+    } else {
+      await sendResponse(message, formattedReply, sources, fallback);
+    }
     
     // Skip reactions in low CPU mode
     if (!config.PI_OPTIMIZATIONS.LOW_CPU_MODE) {
@@ -169,9 +387,12 @@ async function handleChatMessage(message) {
     }
   } catch (error) {
     const errorMessage = logger.handleError(error, 'chat generation');
-    // Send error message using our sendResponse function but in plain text
-    // Just reply directly for errors as they're typically shorter
-    message.reply(errorMessage);
+    // Replace the streaming placeholder if one was posted, otherwise reply in plain text
+    if (streamingReply && streamingReply.started) {
+      await streamingReply.fail(errorMessage);
+    } else {
+      message.reply(errorMessage);
+    }
   }
 }
 
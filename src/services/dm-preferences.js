@@ -0,0 +1,67 @@
+/**
+ * Per-user direct message preferences
+ * Users can opt out of chatting with the bot in DMs; commands still work so they can opt back in
+ */
+const logger = require('../utils/logger');
+const dataStorage = require('./storage');
+
+const NAMESPACE = 'dm_opt_outs';
+
+class DmPreferences {
+  constructor() {
+    this.optedOut = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load saved opt-outs once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = dataStorage.scan(NAMESPACE)
+        .then(saved => {
+          Object.keys(saved).forEach(userId => this.optedOut.add(userId));
+        })
+        .catch(error => {
+          logger.error('Failed to load DM preferences:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Check whether a user has opted out of DM conversations
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether the user opted out
+   */
+  async isOptedOut(userId) {
+    await this._ensureLoaded();
+    return this.optedOut.has(userId);
+  }
+
+  /**
+   * Stop responding to a user's direct messages
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async optOut(userId) {
+    await this._ensureLoaded();
+    this.optedOut.add(userId);
+    await dataStorage.set(NAMESPACE, userId, { optedOutAt: Date.now() });
+  }
+
+  /**
+   * Resume responding to a user's direct messages
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async optIn(userId) {
+    await this._ensureLoaded();
+    this.optedOut.delete(userId);
+    await dataStorage.delete(NAMESPACE, userId);
+  }
+}
+
+module.exports = new DmPreferences();
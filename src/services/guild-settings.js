@@ -0,0 +1,491 @@
+/**
+ * Per-guild settings
+ * Servers can override a small set of tunables; anything not overridden falls back to the
+ * global value in config.js, so changing the global config still affects every other server
+ */
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const dataStorage = require('./storage');
+const modelRegistry = require('./model-registry');
+
+const NAMESPACE = 'guild_settings';
+
+const MAX_SYSTEM_MESSAGE_LENGTH = 4000;
+
+const RATE_LIMIT_MODES = ['reply', 'react', 'silent'];
+
+/**
+ * Parse a whole number within bounds
+ * @param {string} value - Raw value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} - Parsed number
+ */
+function parseBoundedInteger(value, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Value must be a whole number between ${min} and ${max}.`);
+  }
+  return number;
+}
+
+/**
+ * Parse a "keyword:emoji,keyword:emoji" list into a reactions map
+ * Splits on the first colon only, so custom emoji such as <:name:id> survive
+ * @param {string} value - Raw value
+ * @returns {Object} - Keyword => emoji
+ */
+function parseReactions(value) {
+  const reactions = {};
+  for (const pair of String(value).split(',')) {
+    const separator = pair.indexOf(':');
+    const keyword = pair.slice(0, separator).trim().toLowerCase();
+    const emoji = pair.slice(separator + 1).trim();
+    if (separator === -1 || !keyword || !emoji) {
+      throw new Error('Reactions must be a list like `hello:👋,thanks:🙏`.');
+    }
+    reactions[keyword] = emoji;
+  }
+  return reactions;
+}
+
+/**
+ * Parse a model ID, which must be in the model registry
+ * @param {string} value - Raw value
+ * @returns {string} - Model ID
+ */
+function parseModel(value) {
+  const model = String(value).trim().toLowerCase();
+  if (!modelRegistry.isKnownModel(model)) {
+    const known = modelRegistry.listModels().map(entry => entry.id).join(', ');
+    throw new Error(`Unknown model "${model}". Available models: ${known}.`);
+  }
+  return model;
+}
+
+/**
+ * Parse an AI provider name
+ * @param {string} value - Raw value
+ * @returns {string} - Provider name
+ */
+function parseProvider(value) {
+  // Required here rather than at the top, as the provider registry itself reads guild settings
+  const { PROVIDER_NAMES } = require('./providers');
+  const provider = String(value).trim().toLowerCase();
+  if (!PROVIDER_NAMES.includes(provider)) {
+    throw new Error(`Unknown provider "${provider}". Available providers: ${PROVIDER_NAMES.join(', ')}.`);
+  }
+  return provider;
+}
+
+/**
+ * Parse a conversation scope name
+ * @param {string} value - Raw value
+ * @returns {string} - Scope name
+ */
+function parseConversationScope(value) {
+  // Required here rather than at the top, as conversation scopes themselves read guild settings
+  const { VALID_SCOPES, isValidScope } = require('../utils/conversation-scope');
+  const scope = String(value).trim().toLowerCase();
+  if (!isValidScope(scope)) {
+    throw new Error(`Conversation scope must be one of: ${VALID_SCOPES.join(', ')}.`);
+  }
+  return scope;
+}
+
+/**
+ * Get the response mode manager
+ * Required here rather than at the top, as response modes themselves read guild settings
+ * @returns {Object} - The response-mode module
+ */
+function getResponseModes() {
+  return require('./response-mode');
+}
+
+/**
+ * Parse a response mode name
+ * @param {string} value - Raw value
+ * @returns {string} - Mode name
+ */
+function parseResponseMode(value) {
+  const { VALID_MODES } = getResponseModes();
+  const mode = String(value).trim().toLowerCase();
+  if (!VALID_MODES.includes(mode)) {
+    throw new Error(`Response mode must be one of: ${VALID_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+// "50000 tokens/day" or "200 requests per month"
+const QUOTA_LIMIT_PATTERN = /^(\d+)\s*(token|request)s?\s*(?:\/|per\s+)(day|month)$/i;
+
+const QUOTA_KEYS = {
+  'token/day': 'dailyTokens',
+  'request/day': 'dailyRequests',
+  'token/month': 'monthlyTokens',
+  'request/month': 'monthlyRequests'
+};
+
+/**
+ * Convert a config.QUOTAS entry into a quota setting
+ * @param {Object} limits - { DAILY_TOKENS, DAILY_REQUESTS, MONTHLY_TOKENS, MONTHLY_REQUESTS }
+ * @returns {Object} - { dailyTokens, dailyRequests, monthlyTokens, monthlyRequests }, 0 meaning unlimited
+ */
+function quotaFromConfig(limits) {
+  return {
+    dailyTokens: limits.DAILY_TOKENS || 0,
+    dailyRequests: limits.DAILY_REQUESTS || 0,
+    monthlyTokens: limits.MONTHLY_TOKENS || 0,
+    monthlyRequests: limits.MONTHLY_REQUESTS || 0
+  };
+}
+
+/**
+ * Parse a list of limits such as "50000 tokens/day,1000 requests/month"
+ * Limits left out are unlimited, and "unlimited" on its own clears them all
+ * @param {string} value - Raw value
+ * @returns {Object} - { dailyTokens, dailyRequests, monthlyTokens, monthlyRequests }
+ */
+function parseQuota(value) {
+  const quota = quotaFromConfig({});
+  const text = String(value).trim();
+  if (text.toLowerCase() === 'unlimited') return quota;
+
+  for (const part of text.split(',')) {
+    const match = QUOTA_LIMIT_PATTERN.exec(part.trim());
+    if (!match) {
+      throw new Error('Quotas must be a list like `50000 tokens/day,1000 requests/month`, or `unlimited`.');
+    }
+    quota[QUOTA_KEYS[`${match[2].toLowerCase()}/${match[3].toLowerCase()}`]] = parseInt(match[1], 10);
+  }
+  return quota;
+}
+
+/**
+ * Format a quota setting the way parseQuota reads it
+ * @param {Object} quota - Quota setting
+ * @returns {string} - e.g. "50000 tokens/day,1000 requests/month"
+ */
+function formatQuota(quota) {
+  const limits = Object.entries(QUOTA_KEYS)
+    .filter(([, key]) => quota[key] > 0)
+    .map(([unit, key]) => {
+      const [metric, period] = unit.split('/');
+      return `${quota[key]} ${metric}s/${period}`;
+    });
+  return limits.length > 0 ? limits.join(',') : 'unlimited';
+}
+
+/**
+ * Parse allowances for individual members, e.g. "<@123>=100000 tokens/day; <@456>=unlimited"
+ * @param {string} value - Raw value, or "none"
+ * @returns {Object} - User ID => allowance, as parseQuota reads it
+ */
+function parseUserQuotas(value) {
+  const text = String(value).trim();
+  if (text.toLowerCase() === 'none') return {};
+
+  const quotas = {};
+  for (const entry of text.split(';').filter(part => part.trim())) {
+    const match = /^\s*(?:<@!?(\d+)>|(\d+))\s*=(.+)$/.exec(entry);
+    if (!match) {
+      throw new Error('Member allowances must be a list like `@member=50000 tokens/day; @other=unlimited`, or `none`.');
+    }
+    quotas[match[1] || match[2]] = parseQuota(match[3]);
+  }
+  return quotas;
+}
+
+/**
+ * Format member allowances the way parseUserQuotas reads them
+ * @param {Object} quotas - User ID => allowance
+ * @returns {string} - e.g. "<@123>=100000 tokens/day; <@456>=unlimited"
+ */
+function formatUserQuotas(quotas) {
+  const entries = Object.entries(quotas).map(([userId, quota]) => `<@${userId}>=${formatQuota(quota)}`);
+  return entries.length > 0 ? entries.join('; ') : 'none';
+}
+
+/**
+ * Parse a list of roles, given as mentions or IDs
+ * @param {string} value - Raw value, e.g. "<@&123>, 456", or "none"
+ * @returns {Array<string>} - Role IDs
+ */
+function parseRoles(value) {
+  const text = String(value).trim();
+  if (text.toLowerCase() === 'none') return [];
+
+  return [...new Set(text.split(/[\s,]+/).filter(Boolean).map(part => {
+    const match = /^(?:<@&(\d+)>|(\d+))$/.exec(part);
+    if (!match) {
+      throw new Error('Roles must be a list of role mentions or IDs, or `none`.');
+    }
+    return match[1] || match[2];
+  }))];
+}
+
+/**
+ * Parse a list of channels, given as mentions or IDs
+ * @param {string} value - Raw value, e.g. "<#123>, 456", or "none"
+ * @returns {Array<string>} - Channel IDs
+ */
+function parseChannels(value) {
+  const text = String(value).trim();
+  if (text.toLowerCase() === 'none') return [];
+
+  return [...new Set(text.split(/[\s,]+/).filter(Boolean).map(part => {
+    const match = /^(?:<#(\d+)>|(\d+))$/.exec(part);
+    if (!match) {
+      throw new Error('Channels must be a list of channel mentions or IDs, or `none`.');
+    }
+    return match[1] || match[2];
+  }))];
+}
+
+// Settings a guild may override; each reads its global default from config at call time
+const SETTINGS = {
+  rateLimitWindow: {
+    description: 'Milliseconds a member takes to regain one message of their burst',
+    getDefault: () => config.RATE_LIMIT_WINDOW,
+    parse: value => parseBoundedInteger(value, 0, 10 * 60 * 1000)
+  },
+  rateLimitBurst: {
+    description: 'Messages a member may send in quick succession before being slowed down',
+    getDefault: () => config.RATE_LIMITS.USER_BURST,
+    parse: value => parseBoundedInteger(value, 1, 20)
+  },
+  rateLimitMode: {
+    description: 'How slowed-down members are told: `reply`, `react` or `silent`',
+    getDefault: () => config.RATE_LIMITS.MODE,
+    parse: value => {
+      const mode = String(value).trim().toLowerCase();
+      if (!RATE_LIMIT_MODES.includes(mode)) {
+        throw new Error(`Rate limit mode must be one of: ${RATE_LIMIT_MODES.join(', ')}.`);
+      }
+      return mode;
+    }
+  },
+  maxHistory: {
+    description: 'Number of recent exchanges sent to the AI as context',
+    getDefault: () => config.MAX_HISTORY,
+    parse: value => parseBoundedInteger(value, 1, 100)
+  },
+  conversationScope: {
+    description: 'Who shares a conversation: `user`, `user_channel`, `channel` or `thread`',
+    getDefault: () => config.CONVERSATION.DEFAULT_SCOPE,
+    parse: parseConversationScope
+  },
+  responseMode: {
+    description: 'When the bot answers chat: `all`, `mention`, `channels` or `dm_only`',
+    getDefault: () => getResponseModes().getDefaultMode(),
+    parse: parseResponseMode
+  },
+  responseChannels: {
+    description: 'Channels the bot answers in when responseMode is `channels`, e.g. `#lore`',
+    getDefault: () => [],
+    parse: parseChannels,
+    format: value => (value.length > 0 ? value.map(channelId => `<#${channelId}>`).join(',') : 'none')
+  },
+  systemMessage: {
+    description: 'Instructions the AI follows in this server',
+    getDefault: () => config.SYSTEM_MESSAGES.CHAT,
+    parse: value => {
+      const text = String(value).trim();
+      if (!text || text.length > MAX_SYSTEM_MESSAGE_LENGTH) {
+        throw new Error(`System message must be between 1 and ${MAX_SYSTEM_MESSAGE_LENGTH} characters.`);
+      }
+      return text;
+    }
+  },
+  reactions: {
+    description: 'Keyword to emoji reactions, e.g. `hello:👋,thanks:🙏`',
+    getDefault: () => config.REACTIONS,
+    parse: parseReactions,
+    format: value => Object.entries(value).map(([keyword, emoji]) => `${keyword}:${emoji}`).join(',')
+  },
+  model: {
+    description: 'AI model used for chat replies unless a user picks another with /model',
+    getDefault: () => config.API.PERPLEXITY.DEFAULT_MODEL,
+    parse: parseModel
+  },
+  provider: {
+    description: 'AI backend answering in this server: `perplexity` or `openai-compatible`',
+    getDefault: () => config.AI_PROVIDER,
+    parse: parseProvider
+  },
+  allowedModels: {
+    description: 'Models users may pick with /model, e.g. `sonar,sonar-pro`',
+    getDefault: () => modelRegistry.getDefaultAllowedModels(),
+    parse: value => [...new Set(String(value).split(',').map(parseModel))],
+    format: value => value.join(',')
+  },
+  userQuota: {
+    description: 'AI allowance for each member, e.g. `50000 tokens/day,1000 requests/month`',
+    getDefault: () => quotaFromConfig(config.QUOTAS.USER),
+    parse: parseQuota,
+    format: formatQuota
+  },
+  userQuotaOverrides: {
+    description: 'AI allowances for particular members instead of userQuota, e.g. `@member=unlimited`',
+    getDefault: () => ({}),
+    parse: parseUserQuotas,
+    format: formatUserQuotas
+  },
+  guildQuota: {
+    description: 'AI allowance for the whole server, e.g. `2000000 tokens/month`',
+    getDefault: () => quotaFromConfig(config.QUOTAS.GUILD),
+    parse: parseQuota,
+    format: formatQuota
+  },
+  quotaExemptRoles: {
+    description: 'Roles whose members are not held to the AI allowances, e.g. `@Moderators`',
+    getDefault: () => [],
+    parse: parseRoles,
+    format: value => (value.length > 0 ? value.map(roleId => `<@&${roleId}>`).join(',') : 'none')
+  }
+};
+
+const SETTING_KEYS = Object.keys(SETTINGS);
+
+class GuildSettings {
+  constructor() {
+    this.overrides = new Map();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load saved overrides once; later calls resolve immediately
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = dataStorage.scan(NAMESPACE)
+        .then(saved => {
+          for (const [guildId, values] of Object.entries(saved)) {
+            this.overrides.set(guildId, values);
+          }
+        })
+        .catch(error => {
+          logger.error('Failed to load guild settings:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Check whether a key names a known setting
+   * @param {string} key - Setting key
+   * @returns {boolean} - Whether the setting exists
+   */
+  isValidKey(key) {
+    return Object.prototype.hasOwnProperty.call(SETTINGS, key);
+  }
+
+  /**
+   * Get the overrides a guild has set
+   * @param {string|null} guildId - Guild ID
+   * @returns {Object} - Setting key => value
+   */
+  getOverrides(guildId) {
+    return { ...(guildId && this.overrides.get(guildId)) };
+  }
+
+  /**
+   * Get the effective value of one setting for a guild
+   * Outside guilds (DMs) the global value always applies
+   * @param {string|null} guildId - Guild ID
+   * @param {string} key - Setting key
+   * @returns {*} - The guild's value, or the global default
+   */
+  get(guildId, key) {
+    if (!this.isValidKey(key)) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    const overrides = this.getOverrides(guildId);
+    return overrides[key] !== undefined ? overrides[key] : SETTINGS[key].getDefault();
+  }
+
+  /**
+   * Get every effective setting for a guild
+   * @param {string|null} guildId - Guild ID
+   * @returns {Object} - Setting key => value
+   */
+  getAll(guildId) {
+    const settings = {};
+    for (const key of SETTING_KEYS) {
+      settings[key] = this.get(guildId, key);
+    }
+    return settings;
+  }
+
+  /**
+   * Override a setting for a guild
+   * @param {string} guildId - Guild ID
+   * @param {string} key - Setting key
+   * @param {string} rawValue - Value as typed by the user
+   * @returns {Promise<*>} - The parsed value that was saved
+   */
+  async set(guildId, key, rawValue) {
+    if (!this.isValidKey(key)) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    await this.load();
+
+    const value = SETTINGS[key].parse(rawValue);
+    const overrides = { ...this.getOverrides(guildId), [key]: value };
+    await this._saveOverrides(guildId, overrides);
+    return value;
+  }
+
+  /**
+   * Remove a guild's override for one setting, or all of them
+   * @param {string} guildId - Guild ID
+   * @param {string} [key] - Setting key (omit to reset everything)
+   * @returns {Promise<void>}
+   */
+  async reset(guildId, key) {
+    if (key && !this.isValidKey(key)) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    await this.load();
+
+    const overrides = this.getOverrides(guildId);
+    if (key) {
+      delete overrides[key];
+    }
+
+    if (!key || Object.keys(overrides).length === 0) {
+      this.overrides.delete(guildId);
+      await dataStorage.delete(NAMESPACE, guildId);
+      return;
+    }
+    await this._saveOverrides(guildId, overrides);
+  }
+
+  /**
+   * Format a setting's value for display
+   * @param {string} key - Setting key
+   * @param {*} value - Setting value
+   * @returns {string} - Display text
+   */
+  formatValue(key, value) {
+    const format = SETTINGS[key].format;
+    return format ? format(value) : String(value);
+  }
+
+  /**
+   * Store a guild's overrides in memory and persist them
+   * @param {string} guildId - Guild ID
+   * @param {Object} overrides - Setting key => value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveOverrides(guildId, overrides) {
+    this.overrides.set(guildId, overrides);
+    await dataStorage.set(NAMESPACE, guildId, overrides);
+  }
+}
+
+module.exports = new GuildSettings();
+module.exports.SETTINGS = SETTINGS;
+module.exports.SETTING_KEYS = SETTING_KEYS;
@@ -0,0 +1,103 @@
+/**
+ * Per-user model choices
+ * Users can pick which model answers them with /model. A pick only applies where the
+ * guild allows that model; otherwise the guild's default model is used.
+ */
+const logger = require('../utils/logger');
+const dataStorage = require('./storage');
+const guildSettings = require('./guild-settings');
+
+const NAMESPACE = 'model_preferences';
+
+class ModelPreferences {
+  constructor() {
+    this.preferences = new Map();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load saved model choices once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = dataStorage.scan(NAMESPACE)
+        .then(saved => {
+          for (const [userId, preference] of Object.entries(saved)) {
+            this.preferences.set(userId, preference.model);
+          }
+        })
+        .catch(error => {
+          logger.error('Failed to load model preferences:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Get the models users may pick in a guild
+   * @param {string|null} guildId - Guild ID (null in DMs)
+   * @returns {Promise<Array<string>>} - Model IDs
+   */
+  async getAllowedModels(guildId) {
+    await guildSettings.load();
+    return guildSettings.get(guildId, 'allowedModels');
+  }
+
+  /**
+   * Get the model a user picked
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} - Model ID, or null if they never picked one
+   */
+  async getPreference(userId) {
+    await this._ensureLoaded();
+    return this.preferences.get(userId) || null;
+  }
+
+  /**
+   * Pick a model for a user
+   * @param {string} userId - User ID
+   * @param {string} model - Model ID
+   * @param {string|null} guildId - Guild the choice was made in (null in DMs)
+   * @returns {Promise<void>}
+   */
+  async setPreference(userId, model, guildId) {
+    const allowed = await this.getAllowedModels(guildId);
+    if (!allowed.includes(model)) {
+      throw new Error(`The model "${model}" isn't available here. Choose one of: ${allowed.join(', ')}.`);
+    }
+
+    await this._ensureLoaded();
+    this.preferences.set(userId, model);
+    await dataStorage.set(NAMESPACE, userId, { model });
+  }
+
+  /**
+   * Forget a user's pick so the guild default applies again
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async clearPreference(userId) {
+    await this._ensureLoaded();
+    this.preferences.delete(userId);
+    await dataStorage.delete(NAMESPACE, userId);
+  }
+
+  /**
+   * Decide which model answers a user
+   * The guild's default always applies when the user's pick isn't allowed there
+   * @param {string|null} guildId - Guild ID (null in DMs)
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - Model ID
+   */
+  async resolveModel(guildId, userId) {
+    const preference = await this.getPreference(userId);
+    if (preference && (await this.getAllowedModels(guildId)).includes(preference)) {
+      return preference;
+    }
+    return guildSettings.get(guildId, 'model');
+  }
+}
+
+module.exports = new ModelPreferences();
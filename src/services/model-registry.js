@@ -0,0 +1,90 @@
+/**
+ * Model registry
+ * Describes the Perplexity models the bot can use - their token limits and prices - and
+ * which of them users are allowed to pick
+ */
+const config = require('../config/config');
+
+class ModelRegistry {
+  /**
+   * Get the configured model table
+   * @returns {Object} - Model ID => metadata
+   * @private
+   */
+  _getModels() {
+    return config.API.PERPLEXITY.MODELS || {};
+  }
+
+  /**
+   * Check whether a model is in the registry
+   * @param {string} modelId - Model ID
+   * @returns {boolean} - Whether the model is known
+   */
+  isKnownModel(modelId) {
+    return Object.prototype.hasOwnProperty.call(this._getModels(), modelId);
+  }
+
+  /**
+   * Get a model's metadata
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} - { id, name, contextWindow, maxOutputTokens, inputCostPerMillion, outputCostPerMillion, reasoning }
+   */
+  getModel(modelId) {
+    if (!this.isKnownModel(modelId)) return null;
+
+    const model = this._getModels()[modelId];
+    return {
+      id: modelId,
+      name: model.NAME || modelId,
+      contextWindow: model.CONTEXT_WINDOW,
+      maxOutputTokens: model.MAX_OUTPUT_TOKENS,
+      inputCostPerMillion: model.INPUT_COST_PER_MILLION || 0,
+      outputCostPerMillion: model.OUTPUT_COST_PER_MILLION || 0,
+      reasoning: Boolean(model.REASONING)
+    };
+  }
+
+  /**
+   * List every model in the registry
+   * @returns {Array<Object>} - Model metadata
+   */
+  listModels() {
+    return Object.keys(this._getModels()).map(modelId => this.getModel(modelId));
+  }
+
+  /**
+   * Get the models users may pick when a guild has not narrowed the list
+   * @returns {Array<string>} - Model IDs
+   */
+  getDefaultAllowedModels() {
+    const allowed = config.API.PERPLEXITY.ALLOWED_MODELS;
+    return allowed ? allowed.filter(modelId => this.isKnownModel(modelId)) : Object.keys(this._getModels());
+  }
+
+  /**
+   * Keep a requested output length inside a model's limit
+   * @param {string} modelId - Model ID
+   * @param {number} requestedTokens - Tokens wanted
+   * @returns {number} - Tokens to request
+   */
+  clampMaxTokens(modelId, requestedTokens) {
+    const model = this.getModel(modelId);
+    return model && model.maxOutputTokens ? Math.min(requestedTokens, model.maxOutputTokens) : requestedTokens;
+  }
+
+  /**
+   * Estimate what a request cost
+   * @param {string} modelId - Model ID
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @returns {number} - Cost in USD (0 for unknown models)
+   */
+  estimateCost(modelId, usage) {
+    const model = this.getModel(modelId);
+    if (!model) return 0;
+    const promptCost = (usage.promptTokens || 0) * model.inputCostPerMillion;
+    const completionCost = (usage.completionTokens || 0) * model.outputCostPerMillion;
+    return (promptCost + completionCost) / 1000000;
+  }
+}
+
+module.exports = new ModelRegistry();
@@ -9,10 +9,16 @@
  */
 const { request } = require('undici');
 const config = require('../config/config');
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
+const questionCache = require('./question-cache');
+const guildSettings = require('./guild-settings');
+const modelRegistry = require('./model-registry');
+const usageTracker = require('./usage-tracker');
+const { parseSSEStream } = require('../utils/sse-parser');
+const CircuitBreaker = require('../utils/circuit-breaker');
+const { normaliseQuestion } = require('../utils/question-normaliser');
+const StreamingReply = require('../utils/streaming-reply');
 
 // Simplified lazy loader for tests
 const lazyLoadModule = (importPath) => {
@@ -38,44 +44,72 @@ const lazyLoadModule = (importPath) => {
   };
 };
 
+// Error codes for connections that dropped or timed out, which are worth another attempt
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+const TIMEOUT_ERROR_CODES = new Set([
+  'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+// Headers the API uses to say when to try again, most specific first
+const RATE_LIMIT_RESET_HEADERS = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens', 'x-ratelimit-reset'];
+
 // Lazy load optimization utilities
 const connectionThrottler = lazyLoadModule('../utils/connection-throttler');
 const getCachePruner = lazyLoadModule('../utils/cache-pruner');
 
+// Every provider shares the question cache, so one daily cleanup covers them all
+let cacheCleanupInterval = null;
+
 /**
  * Client for the Perplexity API
+ * Perplexity speaks the OpenAI chat-completions format, so other providers that do too
+ * reuse this client with their own connection settings (see services/providers)
  */
 class PerplexityService {
-  constructor() {
-    this.apiKey = config.PERPLEXITY_API_KEY;
-    this.baseUrl = config.API.PERPLEXITY.BASE_URL;
-    
-    // File permission constants
-    this.FILE_PERMISSIONS = {
-      // 0o644 = Owner can read/write, group/others can read only
-      FILE: 0o644,
-      // 0o755 = Owner can read/write/execute, group/others can read/execute
-      DIRECTORY: 0o755
-    };
+  /**
+   * @param {Object} options - Connection settings (default to Perplexity's)
+   * @param {string} options.name - Provider name, as used in the guild `provider` setting
+   * @param {string} options.displayName - Name shown in logs and /status
+   * @param {string} options.apiKey - API key sent as a bearer token
+   * @param {string} options.baseUrl - Base URL of the API
+   * @param {string} options.chatPath - Path of the chat-completions endpoint (defaults to Perplexity's)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'perplexity';
+    this.displayName = options.displayName || 'Perplexity API';
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : config.PERPLEXITY_API_KEY;
+    this.baseUrl = options.baseUrl || config.API.PERPLEXITY.BASE_URL;
+    this.chatPath = options.chatPath || null;
     
     // Track active intervals for proper cleanup
     this.activeIntervals = new Set();
+    // Abort controllers of requests in flight, so shutdown can cancel them
+    this.activeRequests = new Set();
+    
+    // Only outages count against the API; rate limits and bad requests mean it answered
+    const breakerConfig = config.API.PERPLEXITY.CIRCUIT_BREAKER || {};
+    this.circuitBreaker = new CircuitBreaker({
+      name: this.displayName,
+      failureThreshold: breakerConfig.FAILURE_THRESHOLD,
+      cooldownMs: breakerConfig.COOLDOWN_MS,
+      isFailure: error => !error.beforeDispatch && ['server', 'timeout', 'network'].includes(this._classifyError(error))
+    });
     
     // Set up cache cleanup interval (if not in test environment)
-    this.cacheCleanupInterval = null;
     this._setupCacheCleanup();
   }
   
   /**
-   * Set up cache cleanup routine
+   * Set up cache cleanup routine, unless another provider already has
    * @private
    */
   _setupCacheCleanup() {
-    if (process.env.NODE_ENV !== 'test') {
+    if (process.env.NODE_ENV !== 'test' && !cacheCleanupInterval) {
       // Clean cache every day
       const DAY_MS = 24 * 60 * 60 * 1000;
-      this.cacheCleanupInterval = setInterval(() => this._cleanupCache(), DAY_MS);
-      this.activeIntervals.add(this.cacheCleanupInterval);
+      cacheCleanupInterval = setInterval(() => this._cleanupCache(), DAY_MS);
+      // The cleanup alone shouldn't keep the process running
+      cacheCleanupInterval.unref();
+      this.activeIntervals.add(cacheCleanupInterval);
     }
   }
   
@@ -87,7 +121,18 @@ class PerplexityService {
     for (const interval of this.activeIntervals) {
       clearInterval(interval);
     }
+    if (this.activeIntervals.has(cacheCleanupInterval)) {
+      cacheCleanupInterval = null;
+    }
     this.activeIntervals.clear();
+    
+    // Cancel requests still in flight
+    for (const controller of this.activeRequests) {
+      const error = new Error(`${this.displayName} request cancelled: the service is shutting down`);
+      error.name = 'AbortError';
+      controller.abort(error);
+    }
+    this.activeRequests.clear();
   }
 
   /**
@@ -205,18 +250,17 @@ class PerplexityService {
    * @private
    */
   _buildRequestPayload(messages, options) {
+    const model = options.model || config.API.PERPLEXITY.DEFAULT_MODEL;
     const payload = {
-      model: options.model || config.API.PERPLEXITY.DEFAULT_MODEL,
+      model,
       messages: messages,
-      max_tokens: options.maxTokens || config.API.PERPLEXITY.MAX_TOKENS.CHAT,
+      // Never ask a model for more output than it can produce
+      max_tokens: modelRegistry.clampMaxTokens(model, options.maxTokens || config.API.PERPLEXITY.MAX_TOKENS.CHAT),
       temperature: options.temperature || config.API.PERPLEXITY.DEFAULT_TEMPERATURE
     };
     
-    // Get PI optimization settings
-    const piOptSettings = this._getPiOptimizationSettings();
-    
-    // Enable streaming for supported environments if not in low CPU mode
-    if (options.stream && piOptSettings.enabled && !piOptSettings.lowCpuMode) {
+    // Stream only where chat replies are streamed too, so the two never disagree
+    if (options.stream && StreamingReply.isEnabled()) {
       payload.stream = true;
     }
     
@@ -252,10 +296,13 @@ class PerplexityService {
   /**
    * Handle API response
    * @param {Object} response - The API response
+   * @param {Object} options - Response handling options
+   * @param {boolean} options.stream - Whether the body is an SSE stream
+   * @param {Function} options.onDelta - Called with (delta, fullText) as streamed content arrives
    * @returns {Promise<Object>} - The parsed response
    * @private
    */
-  async _handleApiResponse(response) {
+  async _handleApiResponse(response, options = {}) {
     if (!response) {
       throw new Error('Invalid response: response is null or undefined');
     }
@@ -267,7 +314,11 @@ class PerplexityService {
     
     // For non-2xx status codes, handle as error
     if (statusCode < 200 || statusCode >= 300) {
-      return this._handleErrorResponse(statusCode, body);
+      return this._handleErrorResponse(statusCode, body, headers);
+    }
+    
+    if (options.stream) {
+      return this._readStreamedResponse(body, options.onDelta);
     }
     
     // Make sure body exists and has json method
@@ -283,14 +334,72 @@ class PerplexityService {
     }
   }
   
+  /**
+   * Read a streamed chat completion and assemble it into a regular completion object
+   * @param {AsyncIterable} body - SSE response body
+   * @param {Function} onDelta - Optional callback receiving (delta, fullText) for each content delta
+   * @returns {Promise<Object>} - Completion object shaped like a non-streamed response
+   * @private
+   */
+  async _readStreamedResponse(body, onDelta) {
+    if (!body || typeof body[Symbol.asyncIterator] !== 'function') {
+      throw new Error('Invalid response: streamed body is not iterable');
+    }
+    
+    const completion = { choices: [] };
+    let content = '';
+    let finishReason = null;
+    
+    for await (const chunk of parseSSEStream(body)) {
+      // Metadata such as citations and usage can arrive on any chunk; keep the latest
+      for (const key of ['id', 'model', 'citations', 'search_results', 'usage']) {
+        if (chunk[key] !== undefined) completion[key] = chunk[key];
+      }
+      
+      const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+      if (!choice) continue;
+      
+      const delta = choice.delta && typeof choice.delta.content === 'string' ? choice.delta.content : '';
+      finishReason = choice.finish_reason || finishReason;
+      
+      if (delta) {
+        content += delta;
+        this._notifyDelta(onDelta, delta, content);
+      }
+    }
+    
+    completion.choices.push({
+      message: { role: 'assistant', content },
+      finish_reason: finishReason
+    });
+    return completion;
+  }
+  
+  /**
+   * Invoke a streaming delta callback without letting it break the stream
+   * @param {Function} onDelta - Callback to invoke
+   * @param {string} delta - Newly received text
+   * @param {string} fullText - All text received so far
+   * @private
+   */
+  _notifyDelta(onDelta, delta, fullText) {
+    if (typeof onDelta !== 'function') return;
+    try {
+      onDelta(delta, fullText);
+    } catch (error) {
+      logger.warn('Error in streaming delta callback:', error);
+    }
+  }
+  
   /**
    * Handle error response
    * @param {number} statusCode - HTTP status code
    * @param {Object} body - Response body
+   * @param {Object|Headers} headers - Response headers, kept on the error for the retry policy
    * @returns {Promise<never>} - Always throws an error
    * @private
    */
-  async _handleErrorResponse(statusCode, body) {
+  async _handleErrorResponse(statusCode, body, headers = {}) {
     let responseText = 'Could not read response body';
     if (body && typeof body.text === 'function') {
       try {
@@ -302,7 +411,10 @@ class PerplexityService {
     
     // Create a descriptive error message with status code and response content
     const errorMessage = `API request failed with status ${statusCode}: ${responseText.substring(0, 200)}${responseText.length > 200 ? '...' : ''}`;
-    throw new Error(errorMessage);
+    const error = new Error(errorMessage);
+    error.statusCode = statusCode;
+    error.headers = headers;
+    throw error;
   }
   
   /**
@@ -342,54 +454,360 @@ class PerplexityService {
     }
   }
 
+  /**
+   * Extract the token counts the API reports for a response
+   * @param {Object} response - API response object
+   * @returns {Object|null} - { promptTokens, completionTokens }, or null if the response has no usage
+   * @private
+   */
+  _extractUsage(response) {
+    const usage = response && response.usage;
+    if (!usage || typeof usage !== 'object') return null;
+    return {
+      promptTokens: Number(usage.prompt_tokens) || 0,
+      completionTokens: Number(usage.completion_tokens) || 0
+    };
+  }
+  
+  /**
+   * Add a response's token usage to the accounts, without waiting for it to be saved
+   * @param {string} model - Model that answered
+   * @param {Object} response - API response object
+   * @param {Object} context - { userId, guildId } the request was made for
+   * @private
+   */
+  _recordUsage(model, response, context = {}) {
+    const usage = this._extractUsage(response);
+    if (!usage) return;
+    usageTracker.record({ userId: context.userId, guildId: context.guildId, model, usage });
+  }
+  
+  /**
+   * Extract the sources an answer cites
+   * Perplexity returns rich `search_results` ({ title, url }) and, on older models, bare
+   * `citations` URLs; either way their order matches the [n] markers in the answer
+   * @param {Object} response - API response object
+   * @returns {Array<Object>} - Sources as { title, url }
+   * @private
+   */
+  _extractSources(response) {
+    if (!response) return [];
+
+    if (Array.isArray(response.search_results) && response.search_results.length > 0) {
+      return response.search_results
+        .filter(result => result && typeof result.url === 'string')
+        .map(result => ({ title: result.title || this._getHostname(result.url), url: result.url }));
+    }
+    if (Array.isArray(response.citations)) {
+      return response.citations
+        .filter(url => typeof url === 'string')
+        .map(url => ({ title: this._getHostname(url), url }));
+    }
+    return [];
+  }
+  
+  /**
+   * Get a URL's hostname to use as a source title
+   * @param {string} url - Source URL
+   * @returns {string} - Hostname, or the URL itself if it can't be parsed
+   * @private
+   */
+  _getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return url;
+    }
+  }
+  
   /**
    * Send a chat request to the API
    * @param {Array} messages - Messages to send
    * @param {Object} options - Request options
+   * @param {boolean} options.stream - Request a streamed (SSE) response where supported
+   * @param {Function} options.onDelta - Called with (delta, fullText) while a streamed response arrives
+   * @param {Function} options.onRestart - Called before each retry, whose text replaces what was streamed so far
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @param {number} options.timeout - Deadline for the whole call in ms, instead of the configured one
+   * @param {Object} options.usageContext - { userId, guildId } the request's token usage is recorded against,
+   *   and whose turn it waits for if the connection throttler queues it
+   * @param {string} options.priority - Queue priority while throttled (see connection-throttler PRIORITIES)
+   * @param {Function} options.onQueuePosition - Called with the request's place in the throttler's queue
    * @returns {Promise<Object>} API response
    */
   async sendChatRequest(messages, options = {}) {
-    const endpoint = this.baseUrl + config.API.PERPLEXITY.ENDPOINTS.CHAT_COMPLETIONS;
+    const endpoint = this.baseUrl + (this.chatPath || config.API.PERPLEXITY.ENDPOINTS.CHAT_COMPLETIONS);
     const requestPayload = this._buildRequestPayload(messages, options);
+    const timeouts = config.API.PERPLEXITY.TIMEOUTS || {};
+    const deadline = this._createDeadline(options.timeout || timeouts.REQUEST_MS, options.signal);
+    
+    // Whether any attempt has reached the API, rather than only waiting in the throttler's queue
+    let dispatched = false;
     
     // Define API request function
     const makeApiRequest = async () => {
+      dispatched = true;
       return await request(endpoint, {
         method: 'POST',
         headers: this._getHeaders(),
-        body: JSON.stringify(requestPayload)
+        body: JSON.stringify(requestPayload),
+        headersTimeout: timeouts.HEADERS_MS,
+        bodyTimeout: timeouts.BODY_MS,
+        signal: deadline.signal
       });
     };
     
-    try {
-      // Get PI optimization settings
-      const piOptSettings = this._getPiOptimizationSettings();
-      
-      let response;
-      if (piOptSettings.enabled) {
-        response = await this._executeWithThrottling(makeApiRequest);
-      } else {
-        response = await makeApiRequest();
-      }
+    // Get PI optimization settings
+    const piOptSettings = this._getPiOptimizationSettings();
+    
+    const attemptRequest = async (attempt) => {
+      // Whatever a failed attempt streamed is about to be replaced by this one's text
+      if (attempt > 0 && typeof options.onRestart === 'function') options.onRestart();
+      const response = piOptSettings.enabled
+        ? await this._executeWithThrottling(makeApiRequest, deadline.signal, options)
+        : await makeApiRequest();
       
-      return await this._handleApiResponse(response);
+      return await this._handleApiResponse(response, {
+        stream: Boolean(requestPayload.stream),
+        onDelta: options.onDelta
+      });
+    };
+    
+    try {
+      // Retries happen outside the throttler, so a request waiting to retry doesn't hold a slot
+      const response = await this.circuitBreaker.execute(async () => {
+        try {
+          return await this._withRetry(attemptRequest, deadline.signal);
+        } catch (error) {
+          if (!deadline.timedOut) throw error;
+          // However the abort surfaced, report a missed deadline as a timeout. One that ran out
+          // before the API was ever called is down to local load, so the breaker ignores it
+          deadline.signal.reason.beforeDispatch = !dispatched;
+          throw deadline.signal.reason;
+        }
+      });
+      this._recordUsage(requestPayload.model, response, options.usageContext);
+      return response;
     } catch (error) {
-      logger.error('API request failed:', error);
+      // Calls refused while the circuit is open are expected, so skip the stack trace
+      if (!CircuitBreaker.isOpenError(error)) {
+        logger.error('API request failed:', error);
+      }
       throw error;
+    } finally {
+      deadline.clear();
+    }
+  }
+  
+  /**
+   * Get the state of the circuit breaker in front of the API
+   * @returns {Object} - { state, failures, lastFailure, retryAt }
+   */
+  getCircuitStatus() {
+    return this.circuitBreaker.getStatus();
+  }
+  
+  /**
+   * Check whether an error means the API couldn't answer right now, rather than that the
+   * request itself was wrong, so another provider may be tried instead
+   * @param {Error} error - Error from generateChatResponse
+   * @returns {boolean} - True for rate limits, server errors, timeouts, dropped connections and an open circuit
+   */
+  isUnavailableError(error) {
+    return CircuitBreaker.isOpenError(error) || this._classifyError(error) !== null;
+  }
+  
+  /**
+   * Create the abort signal for one call, which fires on its deadline or when the caller cancels
+   * @param {number} timeoutMs - Deadline in ms (none when 0 or missing)
+   * @param {AbortSignal} [callerSignal] - Caller's own cancellation signal
+   * @returns {Object} - { signal, timedOut, clear() }
+   * @private
+   */
+  _createDeadline(timeoutMs, callerSignal) {
+    const controller = new AbortController();
+    const deadline = { signal: controller.signal, timedOut: false };
+    
+    const timer = timeoutMs > 0 ? setTimeout(() => {
+      deadline.timedOut = true;
+      const error = new Error(`${this.displayName} request timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+    }, timeoutMs) : null;
+    
+    const onCallerAbort = () => controller.abort(callerSignal.reason);
+    if (callerSignal) {
+      if (callerSignal.aborted) onCallerAbort();
+      else callerSignal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+    
+    this.activeRequests.add(controller);
+    deadline.clear = () => {
+      clearTimeout(timer);
+      if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+      this.activeRequests.delete(controller);
+    };
+    return deadline;
+  }
+  
+  /**
+   * Run a request, retrying rate limits, server errors and dropped connections
+   * Waits as long as the API asks via Retry-After or x-ratelimit-* headers, otherwise
+   * backs off exponentially with jitter
+   * @param {Function} operation - Async function making one attempt, given the attempt's number from 0
+   * @param {AbortSignal} [signal] - Stops retrying once the call is cancelled or out of time
+   * @returns {Promise<*>} - Result of the first successful attempt
+   * @private
+   */
+  async _withRetry(operation, signal) {
+    const { MAX_RETRIES: maxRetries = 0 } = config.API.PERPLEXITY.RETRY || {};
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        const reason = this._classifyError(error);
+        const delay = reason && attempt < maxRetries ? this._getRetryDelay(error, attempt) : null;
+        if (delay === null) throw error;
+        
+        logger.warn(`${this.displayName} ${reason} error, retrying in ${delay}ms ` +
+          `(attempt ${attempt + 2} of ${maxRetries + 1})`);
+        await this._sleep(delay, signal);
+      }
     }
   }
   
+  /**
+   * Work out whether a failed request is worth retrying
+   * @param {Error} error - Error from a request attempt
+   * @returns {string|null} - 'rate limit', 'server', 'timeout' or 'network', or null if it shouldn't be retried
+   * @private
+   */
+  _classifyError(error) {
+    if (!error) return null;
+    if (error.statusCode === 429) return 'rate limit';
+    if (error.statusCode >= 500) return 'server';
+    if (TIMEOUT_ERROR_CODES.has(error.code) || error.name === 'TimeoutError') return 'timeout';
+    if (NETWORK_ERROR_CODES.has(error.code)) return 'network';
+    return null;
+  }
+  
+  /**
+   * Get how long to wait before the next attempt
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of the failed attempt, starting at 0
+   * @returns {number|null} - Delay in ms, or null if the API wants a longer wait than we allow
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const { BASE_DELAY_MS: baseDelay = 500, MAX_DELAY_MS: maxDelay = 10000 } = config.API.PERPLEXITY.RETRY || {};
+    
+    const requestedDelay = this._getRequestedRetryDelay(error.headers);
+    if (requestedDelay !== null) {
+      return requestedDelay <= maxDelay ? requestedDelay : null;
+    }
+    
+    // Half fixed, half random, so retries from many users don't arrive together
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+  
+  /**
+   * Read how long the API asked us to wait from the response headers
+   * @param {Object|Headers} headers - Response headers
+   * @returns {number|null} - Delay in ms, or null if the headers don't say
+   * @private
+   */
+  _getRequestedRetryDelay(headers) {
+    if (!headers) return null;
+    
+    const retryAfter = this._safeGetHeader(headers, 'retry-after');
+    if (retryAfter) {
+      // Either a number of seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) return Math.max(0, Math.round(delay));
+    }
+    
+    for (const name of RATE_LIMIT_RESET_HEADERS) {
+      const delay = this._parseResetHeader(this._safeGetHeader(headers, name));
+      if (delay !== null) return delay;
+    }
+    return null;
+  }
+  
+  /**
+   * Parse an x-ratelimit-reset value: seconds, a Unix timestamp or a duration such as "1m30s"
+   * @param {string} value - Header value
+   * @returns {number|null} - Delay in ms, or null if the value can't be read
+   * @private
+   */
+  _parseResetHeader(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const seconds = Number(text);
+      // Large values are a time to reset at rather than a number of seconds to wait
+      const delay = seconds > 1e9 ? seconds * 1000 - Date.now() : seconds * 1000;
+      return Math.max(0, Math.round(delay));
+    }
+    
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)];
+    if (parts.length === 0) return null;
+    return Math.round(parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0));
+  }
+  
+  /**
+   * Wait before retrying
+   * @param {number} ms - Delay in ms
+   * @param {AbortSignal} [signal] - Cuts the wait short, rejecting with the abort reason
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
   /**
    * Execute request with throttling if available
    * @param {Function} requestFn - Request function to execute
+   * @param {AbortSignal} [signal] - Abandons the request, even while it waits in the throttler's queue
+   * @param {Object} [options] - sendChatRequest options, for the request's queue priority and key
    * @returns {Promise<Object>} - API response
    * @private
    */
-  async _executeWithThrottling(requestFn) {
+  async _executeWithThrottling(requestFn, signal, options = {}) {
     try {
       const throttler = connectionThrottler();
-      return await throttler.executeRequest(requestFn, 'Perplexity API');
+      const { userId, guildId } = options.usageContext || {};
+      return await throttler.executeRequest(requestFn, this.displayName, {
+        signal,
+        priority: options.priority,
+        queueKey: userId || guildId || null,
+        onQueuePosition: options.onQueuePosition
+      });
     } catch (throttlerError) {
+      // A cancelled or timed-out request must not be sent again directly, nor one turned
+      // away because too many are waiting, as that would defeat the queue
+      if ((signal && signal.aborted) || throttlerError.code === 'QUEUE_FULL') throw throttlerError;
       logger.warn('Error using connection throttler, falling back to direct request:', throttlerError);
       return await requestFn();
     }
@@ -399,12 +817,26 @@ class PerplexityService {
    * Generate chat response for user query
    * @param {Array} history - Chat history
    * @param {boolean|Object} options - Whether to override default cache behavior or options object
-   * @returns {Promise<String>} - The response content
+   * @param {Function} options.onDelta - Stream the response, calling back with (delta, fullText) as it arrives
+   * @param {Function} options.onRestart - Called when a retry starts the streamed response over
+   * @param {string} options.guildId - Guild whose settings (system message, model) apply
+   * @param {string} options.userId - User the reply is for, whose token usage it counts towards
+   * @param {string} options.systemMessage - System prompt to use instead of the guild's setting
+   * @param {string} options.model - Model to use instead of the guild's default
+   * @param {boolean} options.includeSources - Resolve to { content, sources, model } instead of just the content
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @param {string} options.priority - Queue priority if the request is throttled (defaults to chat)
+   * @param {Function} options.onQueuePosition - Called with the request's place in the queue while it waits
+   * @param {string} options.question - Question to key the cached answer on, instead of the latest user message
+   * @param {string} options.cacheScope - Persona prompt cached answers are shared under, instead of the system message
+   * @returns {Promise<String|Object>} - The response content, or { content, sources, model }
    */
   async generateChatResponse(history, options = true) {
     try {
       // Parse options object or boolean
       const opts = typeof options === 'object' ? options : { caching: options };
+      const messages = this._buildChatMessages(history, opts);
+      const requestOptions = this._buildChatRequestOptions(opts);
       
       // Get cache configuration
       const cacheConfig = this._getCacheConfiguration();
@@ -413,47 +845,105 @@ class PerplexityService {
       const shouldUseCache = this._shouldUseCache(opts, cacheConfig);
       
       // Try to get from cache first if enabled
-      if (shouldUseCache) {
-        const cachedContent = await this._tryGetFromCache(history);
-        if (cachedContent) return cachedContent;
+      const cacheTarget = shouldUseCache ? this._getCacheTarget(history, opts, requestOptions.model) : null;
+      if (cacheTarget) {
+        const cached = await this._tryGetFromCache(cacheTarget);
+        if (cached) return opts.includeSources ? { ...cached, model: requestOptions.model } : cached.content;
       }
       
-      // Try to generate new response with retry for rate limits
-      let response;
-      let retries = opts.retryOnRateLimit ? 1 : 0;
-      let retryDelay = 1000; // Start with 1 second delay
+      // sendChatRequest retries transient failures itself
+      const response = await this.sendChatRequest(messages, requestOptions);
       
-      try {
-        response = await this.sendChatRequest(history);
-      } catch (apiError) {
-        // Check if it's a rate limit error (429) and we should retry
-        if (apiError.message && apiError.message.includes('429') && retries > 0) {
-          logger.info(`Rate limited, retrying after ${retryDelay}ms...`);
-          
-          // Wait before retrying
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          
-          // Retry the request
-          response = await this.sendChatRequest(history);
-        } else {
-          throw apiError; // Not a rate limit error or out of retries
-        }
-      }
-      
-      const content = this._extractResponseContent(response);
+      const result = {
+        content: this._extractResponseContent(response),
+        sources: this._extractSources(response)
+      };
       
       // Save to cache if enabled
-      if (shouldUseCache) {
-        await this._trySaveToCache(history, content, cacheConfig.maxEntries);
+      if (cacheTarget) {
+        await this._trySaveToCache(cacheTarget, result);
       }
       
-      return content;
+      return opts.includeSources ? { ...result, model: requestOptions.model } : result.content;
     } catch (error) {
-      logger.error('Failed to generate chat response:', error);
+      if (!CircuitBreaker.isOpenError(error)) {
+        logger.error('Failed to generate chat response:', error);
+      }
       throw error;
     }
   }
   
+  /**
+   * Build sendChatRequest options from generateChatResponse options
+   * @param {Object} opts - generateChatResponse options
+   * @returns {Object} - Request options
+   * @private
+   */
+  _buildChatRequestOptions(opts) {
+    const requestOptions = {
+      model: this._getChatModel(opts),
+      usageContext: { userId: opts.userId || null, guildId: opts.guildId || null },
+      priority: opts.priority || 'chat'
+    };
+    if (opts.signal) {
+      requestOptions.signal = opts.signal;
+    }
+    if (typeof opts.onQueuePosition === 'function') {
+      requestOptions.onQueuePosition = opts.onQueuePosition;
+    }
+    if (typeof opts.onDelta === 'function') {
+      requestOptions.stream = true;
+      requestOptions.onDelta = opts.onDelta;
+      requestOptions.onRestart = opts.onRestart;
+    }
+    return requestOptions;
+  }
+  
+  /**
+   * Pick the model for a chat request: the caller's choice, else the guild's default
+   * @param {Object} opts - Parsed generateChatResponse options
+   * @returns {string} - Model ID
+   * @private
+   */
+  _getChatModel(opts) {
+    return opts.model || guildSettings.get(opts.guildId, 'model');
+  }
+  
+  /**
+   * Pick the model for summaries
+   * @returns {string} - Model ID
+   * @private
+   */
+  _getSummaryModel() {
+    return config.API.PERPLEXITY.SUMMARY_MODEL || config.API.PERPLEXITY.DEFAULT_MODEL;
+  }
+  
+  /**
+   * Get the model this provider summarises with, so callers can size a summary's context for it
+   * @returns {string} - Model ID
+   */
+  getSummaryModel() {
+    return this._getSummaryModel();
+  }
+  
+  /**
+   * Prepend the system message to the chat history, so every request carries its instructions
+   * @param {Array} history - Chat history
+   * @param {Object} opts - Parsed generateChatResponse options
+   * @returns {Array} - Messages to send
+   * @private
+   */
+  _buildChatMessages(history, opts) {
+    const systemMessage = opts.systemMessage || guildSettings.get(opts.guildId, 'systemMessage');
+    // History entries can carry extras such as sources; the API only takes role and content
+    const messages = history.map(({ role, content }) => ({ role, content }));
+    // Histories that already carry their own instructions are sent as they are
+    if (!systemMessage || (messages.length > 0 && messages[0].role === 'system')) {
+      return messages;
+    }
+    return [{ role: 'system', content: systemMessage }, ...messages];
+  }
+  
   /**
    * Get cache configuration from config
    * @returns {Object} Cache configuration object
@@ -488,99 +978,158 @@ class PerplexityService {
   }
   
   /**
-   * Try to get response from cache
-   * @param {Array} history - Conversation history
-   * @returns {Promise<string|null>} Cached content or null if not found
+   * Work out what a chat answer is cached under: the latest question, normalised, for the
+   * persona (or system prompt) and model answering it
+   * @param {Array} history - Chat history
+   * @param {Object} opts - Parsed generateChatResponse options
+   * @param {string} model - Model that answers
+   * @returns {Object|null} - { key, question, model, scope }, or null if there is no text question to key on
+   * @private
+   */
+  _getCacheTarget(history, opts, model) {
+    const latest = [...history].reverse().find(message => message.role === 'user');
+    const text = opts.question || (latest && latest.content);
+    // Questions with images have array content and aren't cached
+    const question = typeof text === 'string' ? normaliseQuestion(text, this._getCacheAliases()) : '';
+    if (!question) return null;
+    
+    const prompt = opts.cacheScope || opts.systemMessage || guildSettings.get(opts.guildId, 'systemMessage') || '';
+    const scope = crypto.createHash('md5').update(prompt).digest('hex').slice(0, 12);
+    return { key: this._generateCacheKey(question, model, scope), question, model: model || null, scope };
+  }
+  
+  /**
+   * Try to get response from cache, counting the hit
+   * @param {Object} target - From _getCacheTarget
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} Cached { content, sources } or null if not found or expired
    * @private
    */
-  async _tryGetFromCache(history) {
+  async _tryGetFromCache(target, now = Date.now()) {
+    let cached = null;
     try {
-      const cacheKey = this._generateCacheKey(history);
-      const cache = await this._loadCache();
+      const entry = await questionCache.get(target.key);
       
-      // Check if we have a cache entry for this key
-      if (cache && cache[cacheKey]) {
-        logger.debug('Cache hit for query');
-        const entry = cache[cacheKey];
-        
-        // Handle object entries
-        if (typeof entry === 'object' && entry !== null) {
-          // Test format in cache
-          if (entry.answer) {
-            return entry.answer;
-          }
-          // Standard format
-          if (entry.content) {
-            return entry.content;
-          }
-          // Handle cache format with hashed keys
-          const hashedKey = Object.keys(entry)[0];
-          if (hashedKey && entry[hashedKey] && entry[hashedKey].answer) {
-            return entry[hashedKey].answer;
-          }
-        }
-        
-        // Handle string entries as fallback
-        if (typeof entry === 'string') {
-          return entry;
+      // Check if we have a fresh cache entry for this key
+      if (entry && !this._isCacheEntryExpired(entry, now)) {
+        const content = this._getCachedContent(entry);
+        if (content) {
+          logger.debug('Cache hit for query');
+          await this._touchCacheEntry(target.key, entry, now);
+          cached = { content, sources: Array.isArray(entry.sources) ? entry.sources : [] };
         }
       }
     } catch (cacheError) {
       logger.warn('Error reading from cache:', cacheError);
     }
     
-    return null;
+    questionCache.countLookup(Boolean(cached));
+    return cached;
   }
   
   /**
-   * Try to save response to cache
-   * @param {Array} history - Conversation history
-   * @param {string} content - Response content to cache
-   * @param {number} maxEntries - Maximum number of cache entries to keep
+   * Check whether a cached answer is older than the cache's time to live
+   * @param {string|Object} entry - Cache entry
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - Whether it should no longer be used
+   * @private
+   */
+  _isCacheEntryExpired(entry, now) {
+    const ttl = (config.QUESTION_CACHE && config.QUESTION_CACHE.TTL_MS) || 0;
+    const createdAt = entry && typeof entry === 'object' ? entry.createdAt || entry.timestamp : 0;
+    return ttl > 0 && Boolean(createdAt) && now - createdAt > ttl;
+  }
+  
+  /**
+   * Count a hit on a cache entry and note when it was last used, which also makes it the
+   * last answer the cache drops when it fills up
+   * @param {string} key - Cache key
+   * @param {string|Object} entry - Cache entry
+   * @param {number} now - Current time in ms
    * @returns {Promise<void>}
    * @private
    */
-  async _trySaveToCache(history, content, maxEntries) {
+  async _touchCacheEntry(key, entry, now) {
+    const base = typeof entry === 'object' ? entry : { content: entry, timestamp: now };
     try {
-      const cacheKey = this._generateCacheKey(history);
-      const cache = await this._loadCache() || {};
-      cache[cacheKey] = content;
-      
-      // Prune cache if it exceeds max entries
-      this._pruneCache(cache, maxEntries);
-      
-      await this._saveCache(cache);
-    } catch (cacheError) {
-      logger.warn('Error saving to cache:', cacheError);
+      await questionCache.set(key, {
+        ...base,
+        hits: (base.hits || 0) + 1,
+        lastAccessed: now
+      });
+    } catch (error) {
+      logger.warn('Error updating cache entry:', error);
     }
   }
   
   /**
-   * Prune cache to keep it under the maximum size
-   * @param {Object} cache - Cache object
-   * @param {number} maxEntries - Maximum number of entries to keep
+   * Get the answer text from a cache entry, whichever format it was saved in
+   * @param {string|Object} entry - Cache entry
+   * @returns {string|null} - Answer text
    * @private
    */
-  _pruneCache(cache, maxEntries) {
-    const keys = Object.keys(cache);
-    if (keys.length > maxEntries) {
-      // Remove oldest 20% of entries
-      const removeCount = Math.ceil(maxEntries * 0.2);
-      const keysToRemove = keys.slice(0, removeCount);
-      keysToRemove.forEach(key => delete cache[key]);
+  _getCachedContent(entry) {
+    // Handle string entries as fallback
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (typeof entry !== 'object' || entry === null) {
+      return null;
+    }
+    // Test format in cache
+    if (entry.answer) {
+      return entry.answer;
+    }
+    // Standard format
+    if (entry.content) {
+      return entry.content;
+    }
+    // Handle cache format with hashed keys
+    const hashedKey = Object.keys(entry)[0];
+    if (hashedKey && entry[hashedKey] && entry[hashedKey].answer) {
+      return entry[hashedKey].answer;
     }
+    return null;
   }
-
+  
+  /**
+   * Try to save response to cache
+   * The cache drops its least recently used answers itself once it is full
+   * @param {Object} target - From _getCacheTarget
+   * @param {Object} result - { content, sources } to cache
+   * @param {number} now - Current time in ms
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _trySaveToCache(target, result, now = Date.now()) {
+    try {
+      await questionCache.set(target.key, {
+        question: target.question,
+        model: target.model,
+        scope: target.scope,
+        content: result.content,
+        sources: result.sources,
+        createdAt: now,
+        lastAccessed: now,
+        hits: 0
+      });
+    } catch (cacheError) {
+      logger.warn('Error saving to cache:', cacheError);
+    }
+  }
+  
   /**
    * Generate summary of conversation or text
    * @param {Array} history - Conversation history or text to summarize
    * @param {boolean} isText - Whether this is text or conversation history
+   * @param {Object} context - { userId, guildId } the summary's token usage is recorded against, and
+   *   optionally the queue priority, which defaults to that of a command
    * @returns {Promise<string>} - The summary content
    */
-  async generateSummary(history, isText = false) {
+  async generateSummary(history, isText = false, context = {}) {
     try {
       if (isText) {
-        return await this.generateTextSummary(history);
+        return await this.generateTextSummary(history, context);
       }
       
       // Format the conversation in a summarizable way
@@ -589,9 +1138,11 @@ class PerplexityService {
         return `${role}: ${msg.content}`;
       }).join('\n\n');
       
-      return await this.generateTextSummary(conversationText);
+      return await this.generateTextSummary(conversationText, context);
     } catch (error) {
-      logger.error('Failed to generate summary:', error);
+      if (!CircuitBreaker.isOpenError(error)) {
+        logger.error('Failed to generate summary:', error);
+      }
       throw error;
     }
   }
@@ -599,173 +1150,213 @@ class PerplexityService {
   /**
    * Generate summary of a text
    * @param {string} text - Text to summarize
+   * @param {Object} context - { userId, guildId, priority } as for generateSummary
    * @returns {Promise<string>} - The summary
    */
-  async generateTextSummary(text) {
+  async generateTextSummary(text, context = {}) {
     // Create a system message instructing to summarize
     const messages = [
       { role: 'system', content: 'Please provide a concise summary of the following text.' },
       { role: 'user', content: text }
     ];
     
-    const options = { maxTokens: config.API.PERPLEXITY.MAX_TOKENS.SUMMARY };
+    const options = {
+      model: this._getSummaryModel(),
+      maxTokens: config.API.PERPLEXITY.MAX_TOKENS.SUMMARY,
+      usageContext: { userId: context.userId || null, guildId: context.guildId || null },
+      priority: context.priority || 'command'
+    };
     const response = await this.sendChatRequest(messages, options);
     return this._extractResponseContent(response);
   }
 
   /**
-   * Load the cache from disk
-   * @returns {Promise<Object>} The loaded cache object
+   * Generate a cache key for a question
+   * @param {string} question - Normalised question
+   * @param {string} [model] - Model the answer comes from, so each model's answers are kept apart
+   * @param {string} [scope] - Hash of the persona prompt the answer was written for
+   * @returns {string} - A unique hash for this question, model and persona
    */
-  async _loadCache() {
+  _generateCacheKey(question, model = null, scope = null) {
+    return crypto.createHash('md5').update(JSON.stringify({ question, model, scope })).digest('hex');
+  }
+
+  /**
+   * Clean up old cache entries
+   * @returns {Promise<void>}
+   */
+  async _cleanupCache() {
     try {
-      const cacheDir = path.join(process.cwd(), 'data');
-      const cachePath = path.join(cacheDir, 'question_cache.json');
-      
-      // Ensure cache directory exists with secure permissions
-      try {
-        await fs.mkdir(cacheDir, { 
-          recursive: true,
-          // Use secure directory permissions (read/write/execute for owner, read/execute for others)
-          mode: this.FILE_PERMISSIONS.DIRECTORY 
-        });
-      } catch (mkdirError) {
-        if (mkdirError.code !== 'EEXIST') {
-          throw mkdirError;
-        }
+      // Try to get cache pruner
+      const pruner = getCachePruner();
+      if (pruner && typeof pruner.pruneCache === 'function') {
+        await pruner.pruneCache();
+        return;
       }
       
-      // Read and parse cache file
-      try {
-        const cacheData = await fs.readFile(cachePath, 'utf8');
-        return JSON.parse(cacheData);
-      } catch (readError) {
-        if (readError.code === 'ENOENT') {
-          // Cache file doesn't exist yet
-          return {};
-        }
-        throw readError;
-      }
+      // Fallback to basic cache pruning
+      const now = Date.now();
+      await questionCache.removeWhere(entry => this._isCacheEntryExpired(entry, now));
     } catch (error) {
-      logger.error('Failed to load cache:', error);
-      return {};
+      logger.warn('Error cleaning up cache:', error);
     }
   }
-  
+
   /**
-   * Format a cache entry with metadata
-   * @param {string|Object} entry - The cache entry
-   * @param {number} timestamp - The timestamp
-   * @returns {Object} Formatted cache entry
-   * @private
+   * Describe the question cache, which every provider shares
+   * @returns {Promise<Object>} - { entries, maxEntries, sizeBytes, hits, misses, hitRate, storedHits }, where
+   *   hitRate is the share of lookups since the bot started that were answered (null before any) and
+   *   storedHits is the number of times the cached answers have been used in all
    */
-  _formatCacheEntry(entry, timestamp) {
-    // If entry is already an object with content, just ensure it has a timestamp
-    if (typeof entry === 'object' && entry !== null && entry.content) {
-      return {
-        ...entry,
-        timestamp: entry.timestamp || timestamp
-      };
-    }
+  async getCacheStats() {
+    const stats = await questionCache.getStats();
+    const entries = await questionCache.list();
+    const lookups = stats.hits + stats.misses;
+    return {
+      ...stats,
+      hitRate: lookups > 0 ? stats.hits / lookups : null,
+      storedHits: entries.reduce((total, [, entry]) => total + ((entry && entry.hits) || 0), 0)
+    };
+  }
+
+  /**
+   * Find cached answers by key or by words in their question
+   * @param {string} text - A cache key, or text the normalised question should contain
+   * @param {number} limit - Most matches to return
+   * @returns {Promise<Object>} - { total, matches }, where matches are { key, question, model, hits, createdAt,
+   *   lastAccessed }, most recently used first
+   */
+  async searchCache(text, limit = 10) {
+    const key = String(text || '').trim();
+    const question = normaliseQuestion(text, this._getCacheAliases());
+    const found = (await questionCache.list()).reverse().filter(([entryKey, entry]) =>
+      entryKey === key || Boolean(question && entry && typeof entry.question === 'string' && entry.question.includes(question)));
     
-    // Otherwise, create a new object with content and timestamp
     return {
-      content: entry,
-      timestamp
+      total: found.length,
+      matches: found.slice(0, limit).map(([entryKey, entry]) => ({
+        key: entryKey,
+        question: entry.question || null,
+        model: entry.model || null,
+        hits: entry.hits || 0,
+        createdAt: entry.createdAt || entry.timestamp || null,
+        lastAccessed: entry.lastAccessed || null
+      }))
     };
   }
 
   /**
-   * Save the cache to disk
-   * @param {Object} cache - The cache object to save
-   * @returns {Promise<void>}
+   * Remove a cached answer by key, or every answer whose question matches a pattern
+   * A pattern is compared with normalised questions as a whole, with `*` matching any number of whole words,
+   * so "best ship" removes that question for every persona and model and "best *" every question starting
+   * with the word "best" (but not "bestiary")
+   * @param {string} keyOrPattern - Cache key or question pattern
+   * @returns {Promise<number>} - Number of answers removed
+   * @throws {Error} - If the pattern has no words besides wildcards
    */
-  async _saveCache(cache) {
-    try {
-      const cacheDir = path.join(process.cwd(), 'data');
-      const cachePath = path.join(cacheDir, 'question_cache.json');
-      
-      // Ensure cache directory exists with secure permissions
-      try {
-        await fs.mkdir(cacheDir, { 
-          recursive: true,
-          // Use secure directory permissions (read/write/execute for owner, read/execute for others)
-          mode: this.FILE_PERMISSIONS.DIRECTORY
-        });
-      } catch (mkdirError) {
-        if (mkdirError.code !== 'EEXIST') {
-          throw mkdirError;
-        }
-      }
-      
-      // Format entries with timestamps if needed
-      const timestamp = Date.now();
-      const formattedCache = {};
-      
-      for (const [key, value] of Object.entries(cache)) {
-        formattedCache[key] = this._formatCacheEntry(value, timestamp);
-      }
-      
-      // Write cache file with secure permissions
-      await fs.writeFile(
-        cachePath, 
-        JSON.stringify(formattedCache, null, 2), 
-        { mode: this.FILE_PERMISSIONS.FILE } // Set secure file permissions (read/write for owner, read for others)
-      );
-      
-      // Apply secure file permissions
-      await fs.chmod(cachePath, this.FILE_PERMISSIONS.FILE);
-    } catch (error) {
-      logger.error('Failed to save cache:', error);
+  async invalidateCache(keyOrPattern) {
+    const value = String(keyOrPattern || '').trim();
+    if (!value) return 0;
+    if (await questionCache.delete(value)) return 1;
+    
+    const pattern = this._getQuestionPattern(value);
+    return questionCache.removeWhere(entry => Boolean(entry && typeof entry.question === 'string' && pattern.test(entry.question)));
+  }
+
+  /**
+   * Turn a question pattern into a regular expression over normalised questions
+   * @param {string} value - Pattern, with `*` standing for any number of whole words
+   * @returns {RegExp} - Expression matching whole normalised questions
+   * @throws {Error} - If the pattern has no words besides wildcards
+   * @private
+   */
+  _getQuestionPattern(value) {
+    // Words and wildcards in order, with runs of wildcards merged
+    const tokens = [];
+    value.split('*').forEach((piece, index) => {
+      if (index > 0 && tokens[tokens.length - 1] !== '*') tokens.push('*');
+      tokens.push(...normaliseQuestion(piece, this._getCacheAliases()).split(' ').filter(Boolean));
+    });
+    if (tokens.every(token => token === '*')) {
+      throw new Error('A pattern needs at least one word besides `*`. Use `/cache clear` to remove every cached answer.');
     }
+    
+    // Normalised questions are only letters, numbers and single spaces, so words need no escaping
+    // and a wildcard takes its neighbouring space with it, so it can also match no words at all
+    const source = tokens.map((token, index) => {
+      if (token !== '*') return index > 0 && tokens[index - 1] !== '*' ? ` ${token}` : token;
+      if (index === tokens.length - 1) return '(?: .+)?';
+      return index === 0 ? '(?:.+ )?' : ' (?:.+ )?';
+    }).join('');
+    return new RegExp(`^${source}$`);
   }
 
   /**
-   * Generate a cache key for the given history
-   * @param {Array} history - The conversation history
-   * @returns {string} - A unique hash for this conversation
+   * Remove every cached answer
+   * @returns {Promise<number>} - Number of answers removed
    */
-  _generateCacheKey(history) {
-    const historyString = JSON.stringify(history);
-    return crypto.createHash('md5').update(historyString).digest('hex');
+  async clearCache() {
+    return questionCache.clear();
   }
 
   /**
-   * Clean up old cache entries
-   * @returns {Promise<void>}
+   * Cache answers ahead of time, e.g. for frequently asked questions
+   * Each answer is stored as if the question had been asked in the given guild, so it is served for that
+   * guild's (or channel's) persona and model, and expires like any other cached answer
+   * @param {Array<Object>} items - { question, answer, sources, model } entries; sources and model are optional
+   * @param {Object} context - Where the answers apply
+   * @param {string|null} context.guildId - Guild whose default model and system message apply
+   * @param {string} context.systemMessage - Persona prompt to cache the answers under, instead of the guild's
+   * @returns {Promise<Object>} - { added, skipped, unavailableModels }, where skipped counts entries without a
+   *   text question and answer, and unavailableModels lists the model of each entry skipped for naming a model
+   *   that isn't in the registry or allowed in the guild
    */
-  async _cleanupCache() {
-    try {
-      // Try to get cache pruner
-      const pruner = getCachePruner();
-      if (pruner && typeof pruner.pruneCache === 'function') {
-        await pruner.pruneCache();
-        return;
+  async warmCache(items, context = {}) {
+    const result = { added: 0, skipped: 0, unavailableModels: [] };
+    const guildId = context.guildId || null;
+    const now = Date.now();
+    for (const item of items) {
+      // An answer cached under a model nobody here can use would never be served, as /model would refuse it
+      if (item && item.model != null && !this._isModelAllowed(item.model, guildId)) {
+        result.unavailableModels.push(String(item.model));
+        continue;
       }
-      
-      // Fallback to basic cache pruning
-      const cache = await this._loadCache();
-      if (!cache) return;
-      
-      const now = Date.now();
-      const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
-      let modified = false;
-      
-      for (const [key, entry] of Object.entries(cache)) {
-        const timestamp = entry && typeof entry === 'object' ? entry.timestamp : 0;
-        if (timestamp && now - timestamp > ONE_WEEK_MS) {
-          delete cache[key];
-          modified = true;
-        }
+      const answer = item && typeof item.answer === 'string' ? item.answer.trim() : '';
+      const opts = { guildId, cacheScope: context.systemMessage, model: item && item.model };
+      const target = answer && typeof item.question === 'string'
+        ? this._getCacheTarget([{ role: 'user', content: item.question }], opts, this._getChatModel(opts))
+        : null;
+      if (!target) {
+        result.skipped++;
+        continue;
       }
-      
-      if (modified) {
-        await this._saveCache(cache);
-      }
-    } catch (error) {
-      logger.warn('Error cleaning up cache:', error);
+      const sources = Array.isArray(item.sources) ? item.sources.filter(source => source && typeof source.url === 'string') : [];
+      await this._trySaveToCache(target, { content: answer, sources }, now);
+      result.added++;
     }
+    return result;
+  }
+
+  /**
+   * Check whether a model is in the registry and may be picked in a guild
+   * @param {*} model - Model ID
+   * @param {string|null} guildId - Guild ID (null in DMs)
+   * @returns {boolean} - Whether the model is available there
+   * @private
+   */
+  _isModelAllowed(model, guildId) {
+    return modelRegistry.isKnownModel(model) && guildSettings.get(guildId, 'allowedModels').includes(model);
+  }
+
+  /**
+   * Get the aliases folded together before questions are compared
+   * @returns {Object} - Alias => name
+   * @private
+   */
+  _getCacheAliases() {
+    return (config.QUESTION_CACHE && config.QUESTION_CACHE.ALIASES) || {};
   }
 }
 
 module.exports = new PerplexityService();
+module.exports.PerplexityService = PerplexityService;
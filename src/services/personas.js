@@ -0,0 +1,211 @@
+/**
+ * Named personas
+ * Server admins can save system prompts under a name and attach them to the whole server
+ * or to single channels. A channel's persona wins over the server's, which wins over the
+ * server's systemMessage setting.
+ */
+const logger = require('../utils/logger');
+const dataStorage = require('./storage');
+const guildSettings = require('./guild-settings');
+
+const NAMESPACE = 'personas';
+
+const MAX_PERSONAS = 25;
+const MAX_PROMPT_LENGTH = 4000;
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+class PersonaManager {
+  constructor() {
+    this.guildPersonas = new Map();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load saved personas once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = dataStorage.scan(NAMESPACE)
+        .then(saved => {
+          for (const [guildId, data] of Object.entries(saved)) {
+            this.guildPersonas.set(guildId, data);
+          }
+        })
+        .catch(error => {
+          logger.error('Failed to load personas:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Get a copy of a guild's personas and where they are attached
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} - { personas, guildPersona, channels }
+   * @private
+   */
+  async _getGuildData(guildId) {
+    await this._ensureLoaded();
+    const saved = this.guildPersonas.get(guildId) || {};
+    return {
+      personas: { ...saved.personas },
+      guildPersona: saved.guildPersona || null,
+      channels: { ...saved.channels }
+    };
+  }
+
+  /**
+   * Store a guild's personas in memory and persist them
+   * @param {string} guildId - Guild ID
+   * @param {Object} data - { personas, guildPersona, channels }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveGuildData(guildId, data) {
+    this.guildPersonas.set(guildId, data);
+    await dataStorage.set(NAMESPACE, guildId, data);
+  }
+
+  /**
+   * Normalise and validate a persona name
+   * @param {string} name - Persona name
+   * @returns {string} - Lower-case name
+   * @private
+   */
+  _normaliseName(name) {
+    const normalised = String(name || '').trim().toLowerCase();
+    if (!NAME_PATTERN.test(normalised)) {
+      throw new Error('Persona names must be 1-32 letters, numbers, dashes or underscores.');
+    }
+    return normalised;
+  }
+
+  /**
+   * List a guild's personas and where they are attached
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} - { personas, guildPersona, channels }
+   */
+  async listPersonas(guildId) {
+    return this._getGuildData(guildId);
+  }
+
+  /**
+   * Create a persona, or replace the prompt of an existing one
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Persona name
+   * @param {string} prompt - System prompt the AI should follow
+   * @returns {Promise<boolean>} - Whether a new persona was created
+   */
+  async savePersona(guildId, name, prompt) {
+    const personaName = this._normaliseName(name);
+    const text = String(prompt || '').trim();
+    if (!text || text.length > MAX_PROMPT_LENGTH) {
+      throw new Error(`Persona prompts must be between 1 and ${MAX_PROMPT_LENGTH} characters.`);
+    }
+
+    const data = await this._getGuildData(guildId);
+    const isNew = !data.personas[personaName];
+    if (isNew && Object.keys(data.personas).length >= MAX_PERSONAS) {
+      throw new Error(`A server can have at most ${MAX_PERSONAS} personas.`);
+    }
+    data.personas[personaName] = text;
+    await this._saveGuildData(guildId, data);
+    return isNew;
+  }
+
+  /**
+   * Delete a persona, detaching it wherever it is used
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Persona name
+   * @returns {Promise<boolean>} - Whether the persona existed
+   */
+  async deletePersona(guildId, name) {
+    const personaName = this._normaliseName(name);
+    const data = await this._getGuildData(guildId);
+    if (!data.personas[personaName]) return false;
+
+    delete data.personas[personaName];
+    if (data.guildPersona === personaName) {
+      data.guildPersona = null;
+    }
+    for (const [channelId, attached] of Object.entries(data.channels)) {
+      if (attached === personaName) delete data.channels[channelId];
+    }
+    await this._saveGuildData(guildId, data);
+    return true;
+  }
+
+  /**
+   * Use a persona for the whole server or for one channel
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Persona name
+   * @param {string|null} [channelId] - Channel ID (omit for the whole server)
+   * @returns {Promise<void>}
+   */
+  async attach(guildId, name, channelId = null) {
+    const personaName = this._normaliseName(name);
+    const data = await this._getGuildData(guildId);
+    if (!data.personas[personaName]) {
+      throw new Error(`There is no persona called "${personaName}".`);
+    }
+
+    if (channelId) {
+      data.channels[channelId] = personaName;
+    } else {
+      data.guildPersona = personaName;
+    }
+    await this._saveGuildData(guildId, data);
+  }
+
+  /**
+   * Stop using a persona for the whole server or for one channel
+   * @param {string} guildId - Guild ID
+   * @param {string|null} [channelId] - Channel ID (omit for the whole server)
+   * @returns {Promise<void>}
+   */
+  async detach(guildId, channelId = null) {
+    const data = await this._getGuildData(guildId);
+    if (channelId) {
+      delete data.channels[channelId];
+    } else {
+      data.guildPersona = null;
+    }
+    await this._saveGuildData(guildId, data);
+  }
+
+  /**
+   * Find the persona that applies to a message's channel
+   * Threads use their parent channel's persona
+   * @param {Object} source - Discord.js message or interaction
+   * @returns {Promise<Object|null>} - { name, prompt } or null when none applies
+   */
+  async getActivePersona(source) {
+    if (!source.guildId) return null;
+
+    const data = await this._getGuildData(source.guildId);
+    const parentId = source.channel && source.channel.parentId;
+    const name = data.channels[source.channelId] ||
+      (parentId && data.channels[parentId]) ||
+      data.guildPersona;
+
+    return name && data.personas[name] ? { name, prompt: data.personas[name] } : null;
+  }
+
+  /**
+   * Get the system prompt for a message: its persona's, or the server's own setting
+   * @param {Object} source - Discord.js message or interaction
+   * @returns {Promise<string>} - System prompt
+   */
+  async getSystemMessage(source) {
+    const persona = await this.getActivePersona(source);
+    if (persona) return persona.prompt;
+
+    await guildSettings.load();
+    return guildSettings.get(source.guildId || null, 'systemMessage');
+  }
+}
+
+module.exports = new PersonaManager();
+module.exports.MAX_PERSONAS = MAX_PERSONAS;
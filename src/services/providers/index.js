@@ -0,0 +1,130 @@
+/**
+ * AI provider registry
+ *
+ * Every provider implements the same interface:
+ *   name, displayName                      -> identifiers for settings and /status
+ *   generateChatResponse(history, options) -> Promise<string|{ content, sources }>
+ *                                             (options.onDelta streams the reply as it arrives;
+ *                                             options.onRestart is called when a retry starts it over)
+ *   generateSummary(history, isText, ctx)  -> Promise<string>
+ *   generateTextSummary(text, ctx)         -> Promise<string>
+ *                                             (ctx is the { userId, guildId } token usage is counted against)
+ *   getSummaryModel()                      -> model ID the summaries above are generated with
+ *   getCircuitStatus()                     -> { state, failures, lastFailure, retryAt }
+ *   isUnavailableError(error)              -> whether another provider should be tried instead
+ *   shutdown()                             -> void
+ *
+ * Perplexity is the long-standing singleton client; other providers are created on first use,
+ * so an unused backend never opens connections.
+ */
+const config = require('../../config/config');
+const guildSettings = require('../guild-settings');
+const logger = require('../../utils/logger');
+const perplexityService = require('../perplexity-secure');
+
+const PROVIDERS = {
+  perplexity: () => perplexityService,
+  'openai-compatible': () => {
+    const OpenAICompatibleProvider = require('./openai-compatible-provider');
+    return new OpenAICompatibleProvider();
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+class ProviderRegistry {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} [name] - Provider name (defaults to config.AI_PROVIDER)
+   * @returns {Object} - Provider
+   */
+  getProvider(name = config.AI_PROVIDER) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`Unknown AI provider "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    if (!this.instances.has(name)) {
+      this.instances.set(name, factory());
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * Get the provider a guild has chosen
+   * @param {string|null} guildId - Guild ID (null in DMs, which use the default provider)
+   * @returns {Object} - Provider
+   */
+  getProviderForGuild(guildId) {
+    return this.getProvider(guildSettings.get(guildId, 'provider'));
+  }
+
+  /**
+   * Generate a chat reply with the guild's provider, moving along config.AI_FALLBACKS while
+   * providers are unavailable (rate-limited, failing, timing out or with an open circuit)
+   * @param {string|null} guildId - Guild whose provider answers first
+   * @param {Array} history - Chat history
+   * @param {Object} options - generateChatResponse options; sources are always included
+   * @returns {Promise<Object>} - { content, sources, model, provider, fallback }, where provider is the
+   *   answering provider's display name and fallback is true if the guild's own provider didn't answer
+   * @throws {Error} - The error from the last provider tried
+   */
+  async generateChatResponse(guildId, history, options = {}) {
+    const chain = this._getFallbackChain(guildId, options.model);
+    
+    for (const [index, entry] of chain.entries()) {
+      const provider = this.getProvider(entry.provider);
+      try {
+        const result = await provider.generateChatResponse(history, {
+          ...options,
+          model: entry.model,
+          includeSources: true
+        });
+        return { ...result, provider: provider.displayName, fallback: index > 0 };
+      } catch (error) {
+        const next = chain[index + 1];
+        // A cancelled request, or one the provider rejected, would fail the same way anywhere
+        const cancelled = Boolean(options.signal && options.signal.aborted);
+        if (!next || cancelled || !provider.isUnavailableError(error)) throw error;
+        logger.warn(`${provider.displayName} could not answer (${error.message}); ` +
+          `falling back to ${next.provider}${next.model ? ` (${next.model})` : ''}`);
+        // The fallback's answer starts from scratch, replacing anything streamed so far
+        if (typeof options.onRestart === 'function') options.onRestart();
+      }
+    }
+  }
+  
+  /**
+   * Build the ordered list of providers to try for a guild
+   * @param {string|null} guildId - Guild ID
+   * @param {string} model - Model the guild's provider should use
+   * @returns {Array<Object>} - { provider, model } entries, the guild's own provider first
+   * @private
+   */
+  _getFallbackChain(guildId, model) {
+    const primary = { provider: this.getProviderForGuild(guildId).name, model: model || null };
+    const fallbacks = (config.AI_FALLBACKS || []).filter(entry => {
+      if (!PROVIDERS[entry.provider]) {
+        logger.warn(`Skipping unknown AI provider "${entry.provider}" in AI_FALLBACKS`);
+        return false;
+      }
+      // Trying the same provider and model again straight away would fail the same way
+      return entry.provider !== primary.provider || entry.model !== primary.model;
+    });
+    return [primary, ...fallbacks];
+  }
+  
+  /**
+   * Get the providers created so far
+   * @returns {Array<Object>} - Providers in use
+   */
+  getActiveProviders() {
+    return [...this.instances.values()];
+  }
+}
+
+module.exports = new ProviderRegistry();
+module.exports.PROVIDER_NAMES = PROVIDER_NAMES;
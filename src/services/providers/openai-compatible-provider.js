@@ -0,0 +1,64 @@
+/**
+ * OpenAI-compatible chat-completions provider
+ * Talks to any server that implements the OpenAI chat-completions API, such as a local
+ * llama.cpp or Ollama server, so the bot can run without a Perplexity key. Requests,
+ * streaming, retries and caching are shared with the Perplexity client; only the
+ * connection settings and the model differ.
+ */
+const config = require('../../config/config');
+const modelRegistry = require('../model-registry');
+const { PerplexityService } = require('../perplexity-secure');
+
+class OpenAICompatibleProvider extends PerplexityService {
+  /**
+   * @param {Object} options - Connection settings (default to config.API.OPENAI_COMPATIBLE)
+   * @param {string} options.baseUrl - Base URL of the server, e.g. http://localhost:11434/v1
+   * @param {string} options.apiKey - API key, if the server needs one
+   * @param {string} options.model - Model the server should use
+   */
+  constructor(options = {}) {
+    const settings = config.API.OPENAI_COMPATIBLE;
+    super({
+      name: 'openai-compatible',
+      displayName: 'OpenAI-compatible API',
+      apiKey: options.apiKey !== undefined ? options.apiKey : settings.API_KEY,
+      baseUrl: options.baseUrl || settings.BASE_URL,
+      chatPath: settings.ENDPOINTS.CHAT_COMPLETIONS
+    });
+    this.model = options.model || settings.MODEL;
+  }
+
+  /**
+   * Create headers for API requests, leaving out the key when there isn't one
+   * @returns {Object} Headers object
+   */
+  _getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Use the requested model if it is one of this server's, such as a fallback chain entry;
+   * /model picks and the guild's model setting name Perplexity models, so those are ignored
+   * @param {Object} opts - Parsed generateChatResponse options
+   * @returns {string} - Model ID
+   * @private
+   */
+  _getChatModel(opts) {
+    return opts.model && !modelRegistry.isKnownModel(opts.model) ? opts.model : this.model;
+  }
+
+  /**
+   * Summaries use the same model as chat
+   * @returns {string} - Model ID
+   * @private
+   */
+  _getSummaryModel() {
+    return this.model;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,272 @@
+/**
+ * In-memory question cache
+ * Cached answers are read from storage once and then served from memory, least recently used
+ * first out when the cache is full. Changes are written back in batches rather than on every
+ * message, each batch as one atomic replace of the namespace, so a crash loses at most the
+ * last few unsaved answers and never leaves a half-written file behind.
+ */
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const dataStorage = require('./storage');
+
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_FLUSH_DELAY_MS = 30000;
+
+/**
+ * When an entry was last used, for ordering entries loaded from storage
+ * @param {string|Object} entry - Cache entry
+ * @returns {number} - Time in ms (0 if unknown)
+ */
+function lastUsed(entry) {
+  return (entry && typeof entry === 'object' && (entry.lastAccessed || entry.timestamp)) || 0;
+}
+
+class QuestionCache {
+  constructor() {
+    // Key => entry, least recently used first
+    this.entries = new Map();
+    this.loadPromise = null;
+    this.dirty = false;
+    this.flushTimer = null;
+    // Pending write, so writes never overlap
+    this.writePromise = Promise.resolve();
+    // Lookups since the bot started
+    this.lookups = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Most answers to keep
+   * @returns {number} - Maximum number of entries
+   */
+  get maxEntries() {
+    const configured = config.PI_OPTIMIZATIONS && config.PI_OPTIMIZATIONS.CACHE_MAX_ENTRIES;
+    return typeof configured === 'number' && configured > 0 ? configured : DEFAULT_MAX_ENTRIES;
+  }
+
+  /**
+   * Get an entry without counting it as used
+   * @param {string} key - Cache key
+   * @returns {Promise<string|Object|undefined>} - The entry, or undefined
+   */
+  async get(key) {
+    await this._ensureLoaded();
+    return this.entries.get(key);
+  }
+
+  /**
+   * Store an entry as the most recently used, dropping the least recently used if the cache is full
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store (replaced rather than changed in place afterwards)
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this._ensureLoaded();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this._evictOverflow();
+    this._markDirty();
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - Whether it was cached
+   */
+  async delete(key) {
+    await this._ensureLoaded();
+    const deleted = this.entries.delete(key);
+    if (deleted) this._markDirty();
+    return deleted;
+  }
+
+  /**
+   * Remove every entry a test matches
+   * @param {Function} predicate - Called with (entry, key)
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async removeWhere(predicate) {
+    await this._ensureLoaded();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry, key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) this._markDirty();
+    return removed;
+  }
+
+  /**
+   * Remove the least recently used entries
+   * @param {number} count - Number of entries to remove
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async removeLeastRecentlyUsed(count) {
+    await this._ensureLoaded();
+    const keys = Array.from(this.entries.keys()).slice(0, Math.max(0, count));
+    keys.forEach(key => this.entries.delete(key));
+    if (keys.length > 0) this._markDirty();
+    return keys.length;
+  }
+
+  /**
+   * List every entry, least recently used first
+   * @returns {Promise<Array>} - [key, entry] pairs
+   */
+  async list() {
+    await this._ensureLoaded();
+    return Array.from(this.entries);
+  }
+
+  /**
+   * Count the cached entries
+   * @returns {Promise<number>} - Number of entries
+   */
+  async size() {
+    await this._ensureLoaded();
+    return this.entries.size;
+  }
+
+  /**
+   * Count a lookup towards the hit rate
+   * @param {boolean} hit - Whether a usable answer was found
+   */
+  countLookup(hit) {
+    if (hit) {
+      this.lookups.hits++;
+    } else {
+      this.lookups.misses++;
+    }
+  }
+
+  /**
+   * Describe the cache's size and how often it has answered
+   * @returns {Promise<Object>} - { entries, maxEntries, sizeBytes, hits, misses }, where sizeBytes is the
+   *   size of the entries as JSON and hits and misses count lookups since the bot started
+   */
+  async getStats() {
+    await this._ensureLoaded();
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      sizeBytes: Buffer.byteLength(JSON.stringify(Object.fromEntries(this.entries))),
+      ...this.lookups
+    };
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async clear() {
+    await this._ensureLoaded();
+    const removed = this.entries.size;
+    this.entries.clear();
+    this._markDirty();
+    return removed;
+  }
+
+  /**
+   * Write unsaved changes now rather than waiting for the next batch, e.g. before shutdown
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.dirty && this._isPersistenceEnabled()) {
+      this.dirty = false;
+      // Snapshot now, so changes made while the write is in progress go in the next batch
+      const snapshot = Object.fromEntries(this.entries);
+      this.writePromise = this.writePromise.then(() =>
+        dataStorage.replace(dataStorage.NAMESPACES.QUESTION_CACHE, snapshot)
+      ).catch(error => {
+        logger.error('Failed to save question cache:', error);
+        this._markDirty();
+      });
+    }
+    return this.writePromise;
+  }
+
+  /**
+   * Forget every entry and pending write without touching storage, so the next use loads afresh
+   */
+  reset() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.entries.clear();
+    this.loadPromise = null;
+    this.dirty = false;
+    this.lookups = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Load saved entries once, ordered by when they were last used
+   * An unreadable cache is logged and started afresh rather than stopping the bot
+   * @returns {Promise<void>}
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = !this._isPersistenceEnabled()
+        ? Promise.resolve()
+        : dataStorage.scan(dataStorage.NAMESPACES.QUESTION_CACHE)
+          .then(saved => {
+            const ordered = Object.entries(saved).sort(([, a], [, b]) => lastUsed(a) - lastUsed(b));
+            for (const [key, entry] of ordered) {
+              this.entries.set(key, entry);
+            }
+            if (this._evictOverflow() > 0) this._markDirty();
+          })
+          .catch(error => {
+            logger.error('Failed to load question cache:', error);
+          });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits
+   * @returns {number} - Number of entries dropped
+   * @private
+   */
+  _evictOverflow() {
+    const overflow = this.entries.size - this.maxEntries;
+    if (overflow <= 0) return 0;
+    Array.from(this.entries.keys()).slice(0, overflow).forEach(key => this.entries.delete(key));
+    return overflow;
+  }
+
+  /**
+   * Note unsaved changes and make sure a write is coming
+   * Unlike a debounce, the timer isn't pushed back by later changes, so a busy bot still saves
+   * @private
+   */
+  _markDirty() {
+    this.dirty = true;
+    if (this.flushTimer || !this._isPersistenceEnabled()) return;
+
+    const delay = (config.QUESTION_CACHE && config.QUESTION_CACHE.FLUSH_DELAY_MS) || DEFAULT_FLUSH_DELAY_MS;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+    // A pending write shouldn't keep the process alive; shutdown flushes explicitly
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Check whether the cache is saved to storage (never during tests)
+   * @returns {boolean} - Whether persistence is enabled
+   * @private
+   */
+  _isPersistenceEnabled() {
+    return process.env.NODE_ENV !== 'test';
+  }
+}
+
+module.exports = new QuestionCache();
@@ -0,0 +1,187 @@
+/**
+ * Token and request quotas
+ * Before a chat message or AI command goes to the AI, the sender's usage in the guild and the
+ * guild's own usage for the UTC day and month are checked against the guild's allowances (the
+ * userQuota, userQuotaOverrides, guildQuota and quotaExemptRoles settings). Usage is only known
+ * once a request completes, so the request that crosses a limit is still answered and the next
+ * one is refused.
+ */
+const config = require('../config/config');
+const guildSettings = require('./guild-settings');
+const usageTracker = require('./usage-tracker');
+
+// Allowance setting fields, with the period and measure each one limits
+const LIMITS = [
+  { key: 'dailyTokens', period: 'today', metric: 'tokens' },
+  { key: 'dailyRequests', period: 'today', metric: 'requests' },
+  { key: 'monthlyTokens', period: 'month', metric: 'tokens' },
+  { key: 'monthlyRequests', period: 'month', metric: 'requests' }
+];
+
+const PERIOD_NAMES = { today: 'daily', month: 'monthly' };
+
+const DEFAULT_WARNING_THRESHOLD = 0.8;
+
+/**
+ * Measure usage totals in a limit's unit
+ * @param {Object} totals - { requests, promptTokens, completionTokens }
+ * @param {string} metric - 'tokens' or 'requests'
+ * @returns {number} - Amount used
+ */
+function measure(totals, metric) {
+  return metric === 'tokens' ? totals.promptTokens + totals.completionTokens : totals.requests;
+}
+
+/**
+ * Get the UTC day or month a time falls in
+ * @param {string} period - 'today' or 'month'
+ * @param {number} now - Time in ms
+ * @returns {string} - e.g. "2025-08-15" or "2025-08"
+ */
+function periodOf(period, now) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  return period === 'today' ? day : day.slice(0, 7);
+}
+
+/**
+ * Get when the current UTC day or month ends
+ * @param {string} period - 'today' or 'month'
+ * @param {number} now - Time in ms
+ * @returns {number} - Time in ms
+ */
+function getResetTime(period, now) {
+  const date = new Date(now);
+  return period === 'today'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+class QuotaManager {
+  constructor() {
+    // "scope|id|limit" => the day or month its holder was last warned in, so each warning shows once
+    this.warnings = new Map();
+  }
+
+  /**
+   * Check whether a chat message or command may go to the AI
+   * @param {Object} message - Discord.js message or interaction
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} - { allowed, notice }, where notice explains a refusal, warns that an
+   *   allowance is nearly used up, or is null
+   */
+  async check(message, now = Date.now()) {
+    const guildId = message.guildId || null;
+    await guildSettings.load();
+    if (this.isExempt(message.member, guildId)) {
+      return { allowed: true, notice: null };
+    }
+
+    let warning = null;
+    for (const holder of this._getHolders((message.author || message.user).id, guildId)) {
+      const usage = await this._getHighestUsage(holder, guildId, now);
+      if (!usage) continue;
+      if (usage.used >= usage.max) {
+        return { allowed: false, notice: this._describe(holder, usage, guildId, now) };
+      }
+      if (!warning && this._shouldWarn(holder, usage, now)) {
+        warning = this._describe(holder, usage, guildId, now);
+      }
+    }
+    return { allowed: true, notice: warning };
+  }
+
+  /**
+   * Check whether a member has one of the guild's exempt roles
+   * @param {Object|null} member - Discord.js guild member (null in DMs)
+   * @param {string|null} guildId - Guild ID
+   * @returns {boolean} - Whether the member's usage is unlimited
+   */
+  isExempt(member, guildId) {
+    if (!guildId || !member || !member.roles || !member.roles.cache) return false;
+    const exemptRoles = guildSettings.get(guildId, 'quotaExemptRoles');
+    return exemptRoles.some(roleId => member.roles.cache.has(roleId));
+  }
+
+  /**
+   * List whose allowances a message counts against: the sender's, then the guild's
+   * Direct messages only have per-user allowances
+   * @param {string} userId - Sender's user ID
+   * @param {string|null} guildId - Guild ID
+   * @returns {Array<Object>} - { scope, id, userId, quota }
+   * @private
+   */
+  _getHolders(userId, guildId) {
+    const overrides = guildSettings.get(guildId, 'userQuotaOverrides');
+    const userQuota = overrides[userId] || guildSettings.get(guildId, 'userQuota');
+    const holders = [{ scope: 'user', id: userId, userId, quota: userQuota }];
+    if (guildId) {
+      holders.push({ scope: 'guild', id: guildId, userId: null, quota: guildSettings.get(guildId, 'guildQuota') });
+    }
+    return holders;
+  }
+
+  /**
+   * Find the allowance a holder has used the largest share of
+   * @param {Object} holder - From _getHolders
+   * @param {string|null} guildId - Guild ID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} - { limit, used, max }, or null if the holder has no limits
+   * @private
+   */
+  async _getHighestUsage(holder, guildId, now) {
+    const limits = LIMITS.filter(limit => holder.quota[limit.key] > 0);
+    if (limits.length === 0) return null;
+
+    const totals = await usageTracker.getUsage(guildId, holder.userId, now);
+    return limits
+      .map(limit => ({ limit, used: measure(totals[limit.period], limit.metric), max: holder.quota[limit.key] }))
+      .reduce((highest, usage) => (usage.used / usage.max > highest.used / highest.max ? usage : highest));
+  }
+
+  /**
+   * Check whether a nearly used allowance should be pointed out, once per day or month
+   * @param {Object} holder - From _getHolders
+   * @param {Object} usage - From _getHighestUsage
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - Whether to warn now
+   * @private
+   */
+  _shouldWarn(holder, usage, now) {
+    const threshold = config.QUOTAS.WARNING_THRESHOLD || DEFAULT_WARNING_THRESHOLD;
+    if (threshold >= 1 || usage.used < usage.max * threshold) return false;
+
+    const key = `${holder.scope}|${holder.id}|${usage.limit.key}`;
+    const period = periodOf(usage.limit.period, now);
+    if (this.warnings.get(key) === period) return false;
+    this.warnings.set(key, period);
+    return true;
+  }
+
+  /**
+   * Describe how much of an allowance has been used
+   * @param {Object} holder - From _getHolders
+   * @param {Object} usage - From _getHighestUsage
+   * @param {string|null} guildId - Guild ID
+   * @param {number} now - Current time in ms
+   * @returns {string} - A refusal once the allowance is used up, otherwise a warning
+   * @private
+   */
+  _describe(holder, usage, guildId, now) {
+    const { limit, used, max } = usage;
+    const where = holder.scope === 'user' && guildId ? ' in this server' : '';
+    const allowance = `${PERIOD_NAMES[limit.period]} AI allowance${where} (${max.toLocaleString('en-GB')} ${limit.metric})`;
+
+    if (used >= max) {
+      const resetsAt = `<t:${Math.floor(getResetTime(limit.period, now) / 1000)}:R>`;
+      return holder.scope === 'user'
+        ? `You've used your ${allowance}. It resets ${resetsAt}.`
+        : `This server has used its ${allowance}. It resets ${resetsAt}.`;
+    }
+    const percent = Math.floor((used / max) * 100);
+    return holder.scope === 'user'
+      ? `Heads up: you've used ${percent}% of your ${allowance}.`
+      : `Heads up: this server has used ${percent}% of its ${allowance}.`;
+  }
+}
+
+module.exports = new QuotaManager();
@@ -0,0 +1,200 @@
+/**
+ * Token-bucket rate limiter for chat messages
+ * Every chat message takes one token from its sender's bucket, its channel's, its guild's and
+ * a global one. Buckets hold a burst of tokens and regain them one at a time, so a few quick
+ * messages are fine but a steady flood is held back. A message goes through only if every
+ * bucket has a token, and only then are tokens taken, so a refused message costs nothing.
+ */
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Buckets a message counts against, narrowest first
+const SCOPES = ['user', 'channel', 'guild', 'global'];
+
+// Full buckets are forgotten this often, as they are no different from new ones
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Take a token for a message from every bucket it counts against
+   * @param {Object} target - Where the message came from
+   * @param {string} target.userId - Sender's user ID
+   * @param {string|null} target.channelId - Channel ID
+   * @param {string|null} target.guildId - Guild ID (null in DMs)
+   * @param {Object} userLimits - The sender's bucket, e.g. from the guild's settings
+   * @param {number} userLimits.burst - Messages the user may send in a burst
+   * @param {number} userLimits.refillMs - How long the user takes to regain one message
+   * @param {number} now - Current time in ms
+   * @returns {Object} - { allowed, scope, retryAfterMs, notify }, where scope names the bucket that
+   *   held the message back and notify is true the first time it does so since it last let one through
+   */
+  take(target, userLimits = {}, now = Date.now()) {
+    this._pruneIfDue(now);
+    const buckets = SCOPES
+      .map(scope => this._getBucket(scope, target, userLimits, now))
+      .filter(Boolean);
+    buckets.forEach(({ scope }) => this.metrics[scope].checked++);
+
+    const empty = buckets.find(({ bucket }) => bucket.tokens < 1);
+    if (empty) {
+      const { scope, key, bucket, limits } = empty;
+      this.metrics[scope].limited++;
+      this.metrics[scope].lastLimitedAt = now;
+      logger.debug(`Rate limited ${scope} bucket ${key}`);
+      const notify = !bucket.notified;
+      bucket.notified = true;
+      return { allowed: false, scope, retryAfterMs: Math.ceil((1 - bucket.tokens) * limits.refillMs), notify };
+    }
+
+    buckets.forEach(({ bucket }) => {
+      bucket.tokens -= 1;
+      bucket.notified = false;
+    });
+    return { allowed: true, scope: null, retryAfterMs: 0, notify: false };
+  }
+
+  /**
+   * Give back the tokens a message took, e.g. when something after the rate limit refused it
+   * @param {Object} target - Where the message came from, as passed to take
+   * @param {Object} userLimits - The sender's bucket, as passed to take
+   * @param {number} now - Current time in ms
+   */
+  giveBack(target, userLimits = {}, now = Date.now()) {
+    SCOPES
+      .map(scope => this._getBucket(scope, target, userLimits, now))
+      .filter(Boolean)
+      .forEach(({ bucket }) => {
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + 1);
+      });
+  }
+
+  /**
+   * Get how often each kind of bucket has been checked and has held messages back
+   * @returns {Object} - Scope => { checked, limited, lastLimitedAt, buckets }
+   */
+  getMetrics() {
+    const metrics = {};
+    for (const scope of SCOPES) {
+      metrics[scope] = { ...this.metrics[scope], buckets: this.buckets[scope].size };
+    }
+    return metrics;
+  }
+
+  /**
+   * Empty every bucket and clear the metrics
+   */
+  reset() {
+    this.buckets = {};
+    this.metrics = {};
+    for (const scope of SCOPES) {
+      this.buckets[scope] = new Map();
+      this.metrics[scope] = { checked: 0, limited: 0, lastLimitedAt: null };
+    }
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Get one of a message's buckets, topped up for the time since it was last used
+   * @param {string} scope - Bucket scope
+   * @param {Object} target - { userId, channelId, guildId }
+   * @param {Object} userLimits - { burst, refillMs } for the user bucket
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} - { scope, key, bucket, limits }, or null if the scope doesn't apply
+   * @private
+   */
+  _getBucket(scope, target, userLimits, now) {
+    const key = this._getKey(scope, target);
+    const limits = this._getLimits(scope, userLimits);
+    if (!key || !(limits.burst > 0)) return null;
+
+    const buckets = this.buckets[scope];
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limits.burst, updatedAt: now, notified: false };
+      buckets.set(key, bucket);
+    }
+    // Limits are kept on the bucket so pruning can tell when it is full again
+    bucket.burst = limits.burst;
+    bucket.refillMs = limits.refillMs;
+    bucket.tokens = this._getTokens(bucket, now);
+    bucket.updatedAt = now;
+    return { scope, key, bucket, limits };
+  }
+
+  /**
+   * Count the tokens a bucket holds now, including those regained since it was last used
+   * @param {Object} bucket - { tokens, updatedAt, burst, refillMs }
+   * @param {number} now - Current time in ms
+   * @returns {number} - Tokens, up to the bucket's burst
+   * @private
+   */
+  _getTokens(bucket, now) {
+    const regained = bucket.refillMs > 0 ? (now - bucket.updatedAt) / bucket.refillMs : Infinity;
+    return Math.min(bucket.burst, bucket.tokens + regained);
+  }
+
+  /**
+   * Get the key of a message's bucket in a scope
+   * @param {string} scope - Bucket scope
+   * @param {Object} target - { userId, channelId, guildId }
+   * @returns {string|null} - Bucket key, or null if the message has no bucket in the scope
+   * @private
+   */
+  _getKey(scope, target) {
+    switch (scope) {
+    case 'user':
+      return target.userId || null;
+    case 'channel':
+      return target.channelId || null;
+    case 'guild':
+      return target.guildId || null;
+    default:
+      return 'all';
+    }
+  }
+
+  /**
+   * Get a scope's bucket size and refill time
+   * @param {string} scope - Bucket scope
+   * @param {Object} userLimits - { burst, refillMs } for the user bucket
+   * @returns {Object} - { burst, refillMs }
+   * @private
+   */
+  _getLimits(scope, userLimits) {
+    const limits = config.RATE_LIMITS || {};
+    if (scope === 'user') {
+      return {
+        burst: userLimits.burst !== undefined ? userLimits.burst : limits.USER_BURST,
+        refillMs: userLimits.refillMs !== undefined ? userLimits.refillMs : config.RATE_LIMIT_WINDOW
+      };
+    }
+    const scopeLimits = limits[scope.toUpperCase()] || {};
+    return { burst: scopeLimits.BURST, refillMs: scopeLimits.REFILL_MS };
+  }
+
+  /**
+   * Forget buckets that have refilled completely, at most once per interval
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _pruneIfDue(now) {
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = now;
+
+    for (const buckets of Object.values(this.buckets)) {
+      for (const [key, bucket] of buckets) {
+        if (this._getTokens(bucket, now) >= bucket.burst) {
+          buckets.delete(key);
+        }
+      }
+    }
+  }
+}
+
+module.exports = new RateLimiter();
+module.exports.RateLimiter = RateLimiter;
+module.exports.SCOPES = SCOPES;
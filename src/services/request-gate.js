@@ -0,0 +1,66 @@
+/**
+ * Gate in front of every AI request a member makes
+ * Chat messages, /summary and /summarise each take a rate limit token and are checked against
+ * the AI allowances, so switching between them gets around neither. A request the allowances
+ * refuse gets its rate limit tokens back, so it costs the member nothing.
+ */
+const guildSettings = require('./guild-settings');
+const quotaManager = require('./quotas');
+const rateLimiter = require('./rate-limiter');
+
+// Why a request was held back, by the rate limit bucket that ran out
+const RATE_LIMIT_NOTICES = {
+  user: 'You\'re sending messages too quickly.',
+  channel: 'This channel is sending messages too quickly.',
+  guild: 'This server is sending messages too quickly.',
+  global: 'The bot is busy right now.'
+};
+
+/**
+ * Get the rate limiter's arguments for a request
+ * @param {Object} source - Discord.js message or interaction
+ * @returns {Array} - [target, userLimits], where userLimits come from the guild's settings
+ */
+function getRateLimitBuckets(source) {
+  const guildId = source.guildId || null;
+  return [
+    { userId: (source.author || source.user).id, channelId: source.channelId || null, guildId },
+    { burst: guildSettings.get(guildId, 'rateLimitBurst'), refillMs: guildSettings.get(guildId, 'rateLimitWindow') }
+  ];
+}
+
+/**
+ * Decide whether a request may go to the AI, taking a rate limit token if so
+ * @param {Object} source - Discord.js message or interaction
+ * @returns {Promise<Object>} - { allowed, limit, notice }, where limit is the rate limiter's answer and
+ *   notice explains an allowance refusal, warns that an allowance is nearly used up, or is null
+ */
+async function admit(source) {
+  await guildSettings.load();
+  const buckets = getRateLimitBuckets(source);
+  const limit = rateLimiter.take(...buckets);
+  if (!limit.allowed) {
+    return { allowed: false, limit, notice: null };
+  }
+
+  const quota = await quotaManager.check(source);
+  if (!quota.allowed) {
+    rateLimiter.giveBack(...buckets);
+  }
+  return { allowed: quota.allowed, limit, notice: quota.notice };
+}
+
+/**
+ * Explain why the rate limiter held a request back
+ * @param {Object} limit - Refusal from rateLimiter.take
+ * @returns {string} - Notice saying how long to wait
+ */
+function describeRateLimit(limit) {
+  const seconds = Math.max(1, Math.ceil(limit.retryAfterMs / 1000));
+  return `${RATE_LIMIT_NOTICES[limit.scope]} Please wait ${seconds} second${seconds === 1 ? '' : 's'} before sending another message.`;
+}
+
+module.exports = {
+  admit,
+  describeRateLimit
+};
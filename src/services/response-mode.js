@@ -0,0 +1,158 @@
+/**
+ * Per-guild response modes
+ * Decides whether the bot answers a chat message: everywhere, only when mentioned
+ * or replied to, only in allow-listed channels, or only in direct messages.
+ * Modes are kept with the rest of a guild's settings, so /config can change them as well as /responsemode.
+ */
+const config = require('../config/config');
+const guildSettings = require('./guild-settings');
+const dmPreferences = require('./dm-preferences');
+const { isDirectMessage } = require('../utils/conversation-scope');
+
+const MODES = {
+  ALL: 'all',
+  MENTION: 'mention',
+  CHANNELS: 'channels',
+  DM_ONLY: 'dm_only'
+};
+
+const VALID_MODES = Object.values(MODES);
+
+class ResponseModeManager {
+  /**
+   * The mode used by guilds that have not chosen one
+   * @returns {string} - Mode name
+   */
+  getDefaultMode() {
+    const mode = config.RESPONSE_MODE && config.RESPONSE_MODE.DEFAULT;
+    return VALID_MODES.includes(mode) ? mode : MODES.ALL;
+  }
+
+  /**
+   * Get a guild's response settings
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} - { mode, channels }
+   */
+  async getSettings(guildId) {
+    await guildSettings.load();
+    return {
+      mode: guildSettings.get(guildId, 'responseMode'),
+      channels: [...guildSettings.get(guildId, 'responseChannels')]
+    };
+  }
+
+  /**
+   * Set a guild's response mode
+   * @param {string} guildId - Guild ID
+   * @param {string} mode - Mode name
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async setMode(guildId, mode) {
+    if (!VALID_MODES.includes(mode)) {
+      throw new Error(`Unknown response mode "${mode}"`);
+    }
+    await guildSettings.set(guildId, 'responseMode', mode);
+    return this.getSettings(guildId);
+  }
+
+  /**
+   * Allow the bot to respond in a channel when the guild uses channel mode
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async addChannel(guildId, channelId) {
+    const { channels } = await this.getSettings(guildId);
+    return this._saveChannels(guildId, [...channels, channelId]);
+  }
+
+  /**
+   * Remove a channel from a guild's allow-list
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async removeChannel(guildId, channelId) {
+    const { channels } = await this.getSettings(guildId);
+    return this._saveChannels(guildId, channels.filter(id => id !== channelId));
+  }
+
+  /**
+   * Save a guild's channel allow-list
+   * @param {string} guildId - Guild ID
+   * @param {Array<string>} channels - Channel IDs (duplicates are dropped)
+   * @returns {Promise<Object>} - Updated settings
+   * @private
+   */
+  async _saveChannels(guildId, channels) {
+    await guildSettings.set(guildId, 'responseChannels', channels.length > 0 ? channels.join(',') : 'none');
+    return this.getSettings(guildId);
+  }
+
+  /**
+   * Check whether a message is directed at the bot by a mention or a reply
+   * @param {Object} message - Discord.js message object
+   * @returns {boolean} - Whether the bot was addressed
+   */
+  isAddressedToBot(message) {
+    const botUser = message.client && message.client.user;
+    if (!botUser || !message.mentions) return false;
+
+    const repliedUser = message.mentions.repliedUser;
+    if (message.reference && repliedUser && repliedUser.id === botUser.id) {
+      return true;
+    }
+    return Boolean(message.mentions.users && message.mentions.users.has(botUser.id));
+  }
+
+  /**
+   * Check whether a channel (or the thread's parent channel) is allow-listed
+   * @param {Object} message - Discord.js message object
+   * @param {Array<string>} channels - Allowed channel IDs
+   * @returns {boolean} - Whether the channel is allowed
+   * @private
+   */
+  _isAllowedChannel(message, channels) {
+    const parentId = message.channel && message.channel.parentId;
+    return channels.includes(message.channelId) || Boolean(parentId && channels.includes(parentId));
+  }
+
+  /**
+   * Decide whether the bot should answer a chat message
+   * @param {Object} message - Discord.js message object
+   * @returns {Promise<boolean>} - Whether to respond
+   */
+  async shouldRespond(message) {
+    // Response modes only apply inside guilds; in DMs the user's own preference decides
+    if (isDirectMessage(message)) {
+      return !(await dmPreferences.isOptedOut(message.author.id));
+    }
+
+    const { mode, channels } = await this.getSettings(message.guildId);
+    switch (mode) {
+    case MODES.MENTION:
+      return this.isAddressedToBot(message);
+    case MODES.CHANNELS:
+      return this._isAllowedChannel(message, channels);
+    case MODES.DM_ONLY:
+      return false;
+    default:
+      return true;
+    }
+  }
+
+  /**
+   * Remove mentions of the bot from message content
+   * @param {string} content - Message content
+   * @param {string} botId - Bot user ID
+   * @returns {string} - Content without bot mentions
+   */
+  stripBotMention(content, botId) {
+    if (!botId) return content;
+    return content.replace(new RegExp(`<@!?${botId}>`, 'g'), '').trim();
+  }
+}
+
+module.exports = new ResponseModeManager();
+module.exports.MODES = MODES;
+module.exports.VALID_MODES = VALID_MODES;
@@ -0,0 +1,40 @@
+/**
+ * Storage backend factory
+ *
+ * Every backend implements the same namespaced key/value interface:
+ *   get(namespace, key)            -> Promise<value|undefined>
+ *   set(namespace, key, value)     -> Promise<void>
+ *   setMany(namespace, entries)    -> Promise<void>
+ *   delete(namespace, key)         -> Promise<void>
+ *   scan(namespace)                -> Promise<Object> of key => value
+ *   replace(namespace, entries)    -> Promise<void>
+ *   close()                        -> Promise<void>
+ */
+const path = require('path');
+const JsonFileBackend = require('./json-file-backend');
+const SqliteBackend = require('./sqlite-backend');
+
+const BACKENDS = {
+  json: (dataDir) => new JsonFileBackend({ dataDir }),
+  sqlite: (dataDir) => new SqliteBackend({ filePath: path.join(dataDir, 'aszai.db') })
+};
+
+/**
+ * Create a storage backend
+ * @param {string} type - Backend type ('json' or 'sqlite')
+ * @param {string} dataDir - Data directory
+ * @returns {Object} - Storage backend
+ */
+function createStorageBackend(type, dataDir) {
+  const factory = BACKENDS[type];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${type}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return factory(dataDir);
+}
+
+module.exports = {
+  createStorageBackend,
+  JsonFileBackend,
+  SqliteBackend
+};
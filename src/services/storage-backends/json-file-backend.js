@@ -0,0 +1,166 @@
+/**
+ * JSON file storage backend
+ * Keeps each namespace in its own `<namespace>.json` file in the data directory,
+ * re-read on access and rewritten in full on every change
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+// File permission constants
+const FILE_PERMISSIONS = {
+  // 0o644 = Owner can read/write, group/others can read only
+  FILE: 0o644,
+  // 0o755 = Owner can read/write/execute, group/others can read/execute
+  DIRECTORY: 0o755
+};
+
+class JsonFileBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.dataDir - Directory holding the namespace files
+   */
+  constructor(options = {}) {
+    this.type = 'json';
+    this.dataDir = options.dataDir;
+    // Per-namespace promise chains so read-modify-write cycles never interleave
+    this.writeChains = new Map();
+  }
+
+  /**
+   * Path of the file backing a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {string} - File path
+   */
+  getFilePath(namespace) {
+    return path.join(this.dataDir, `${namespace}.json`);
+  }
+
+  /**
+   * Read all entries in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {Promise<Object>} - Key => value (empty when the namespace has no file yet)
+   */
+  async scan(namespace) {
+    try {
+      const data = await fs.readFile(this.getFilePath(namespace), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a single entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} - The stored value, or undefined
+   */
+  async get(namespace, key) {
+    const entries = await this.scan(namespace);
+    return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined;
+  }
+
+  /**
+   * Store a single entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value) {
+    return this.setMany(namespace, { [key]: value });
+  }
+
+  /**
+   * Store several entries with a single write
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   */
+  async setMany(namespace, entries) {
+    return this._update(namespace, current => ({ ...current, ...entries }));
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    return this._update(namespace, current => {
+      delete current[key];
+      return current;
+    });
+  }
+
+  /**
+   * Replace the whole contents of a namespace
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   */
+  async replace(namespace, entries) {
+    return this._enqueue(namespace, () => this._writeNamespace(namespace, entries));
+  }
+
+  /**
+   * Nothing to release for file storage
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Apply a read-modify-write to a namespace
+   * @param {string} namespace - Namespace name
+   * @param {Function} updateFn - Receives the current entries and returns the new entries
+   * @returns {Promise<void>}
+   * @private
+   */
+  _update(namespace, updateFn) {
+    return this._enqueue(namespace, async () => {
+      const current = await this.scan(namespace);
+      await this._writeNamespace(namespace, updateFn(current));
+    });
+  }
+
+  /**
+   * Run an operation after any pending operations on the same namespace
+   * @param {string} namespace - Namespace name
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} - Result of the operation
+   * @private
+   */
+  _enqueue(namespace, operation) {
+    const previous = this.writeChains.get(namespace) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.writeChains.set(namespace, next);
+    return next;
+  }
+
+  /**
+   * Write a namespace file atomically with secure permissions
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeNamespace(namespace, entries) {
+    await fs.mkdir(this.dataDir, { recursive: true, mode: FILE_PERMISSIONS.DIRECTORY });
+
+    const filePath = this.getFilePath(namespace);
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+
+    // Write to a temporary file and rename it into place, so a crash mid-write
+    // never leaves a truncated file behind
+    await fs.writeFile(tempFile, JSON.stringify(entries, null, 2), { mode: FILE_PERMISSIONS.FILE });
+    await fs.chmod(tempFile, FILE_PERMISSIONS.FILE);
+    await fs.rename(tempFile, filePath);
+  }
+}
+
+module.exports = JsonFileBackend;
+module.exports.FILE_PERMISSIONS = FILE_PERMISSIONS;
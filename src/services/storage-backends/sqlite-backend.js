@@ -0,0 +1,152 @@
+/**
+ * SQLite storage backend
+ * Stores every namespace in one embedded database table, so single entries can be
+ * read and written without rewriting whole files
+ */
+const path = require('path');
+const fs = require('fs');
+
+class SqliteBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.filePath - Database file path
+   */
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.filePath = options.filePath;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Open the database on first use
+   * better-sqlite3 is an optional dependency, so it is only loaded when this backend is selected
+   * @returns {Object} - Prepared statements
+   * @private
+   */
+  _getStatements() {
+    if (this.statements) return this.statements;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`SQLite storage requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    // Write-ahead logging keeps reads fast and writes crash-safe
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS kv (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )`);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM kv WHERE namespace = ? AND key = ?'),
+      scan: this.db.prepare('SELECT key, value FROM kv WHERE namespace = ?'),
+      set: this.db.prepare(`INSERT INTO kv (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+      delete: this.db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?'),
+      clear: this.db.prepare('DELETE FROM kv WHERE namespace = ?')
+    };
+    return this.statements;
+  }
+
+  /**
+   * Read all entries in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {Promise<Object>} - Key => value
+   */
+  async scan(namespace) {
+    const rows = this._getStatements().scan.all(namespace);
+    const entries = {};
+    for (const row of rows) {
+      entries[row.key] = JSON.parse(row.value);
+    }
+    return entries;
+  }
+
+  /**
+   * Read a single entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} - The stored value, or undefined
+   */
+  async get(namespace, key) {
+    const row = this._getStatements().get.get(namespace, key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  /**
+   * Store a single entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value) {
+    this._getStatements().set.run(namespace, key, JSON.stringify(value), Date.now());
+  }
+
+  /**
+   * Store several entries in one transaction
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   */
+  async setMany(namespace, entries) {
+    const statements = this._getStatements();
+    const now = Date.now();
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(entries)) {
+        statements.set.run(namespace, key, JSON.stringify(value), now);
+      }
+    })();
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    this._getStatements().delete.run(namespace, key);
+  }
+
+  /**
+   * Replace the whole contents of a namespace in one transaction
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   */
+  async replace(namespace, entries) {
+    const statements = this._getStatements();
+    const now = Date.now();
+    this.db.transaction(() => {
+      statements.clear.run(namespace);
+      for (const [key, value] of Object.entries(entries)) {
+        statements.set.run(namespace, key, JSON.stringify(value), now);
+      }
+    })();
+  }
+
+  /**
+   * Close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+}
+
+module.exports = SqliteBackend;
@@ -1,23 +1,34 @@
 /**
  * Data access layer for persistent storage
+ * All persisted data lives in named namespaces on a pluggable backend
+ * (JSON files by default, or an embedded SQLite database)
  */
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const config = require('../config/config');
+const { createStorageBackend } = require('./storage-backends');
+
+// Namespaces used by the bot
+const NAMESPACES = {
+  USER_STATS: 'user_stats',
+  CONVERSATIONS: 'conversations',
+  QUESTION_CACHE: 'question_cache'
+};
 
 class DataStorage {
   constructor() {
     this.dataDir = path.join(__dirname, '../../data');
-    this.statsFile = path.join(this.dataDir, 'user_stats.json');
+    this.backend = null;
     this.initialized = false;
   }
-  
+
   /**
    * Initialize the data storage
    */
   async init() {
     if (this.initialized) return;
-    
+
     try {
       // Create data directory if it doesn't exist
       await fs.mkdir(this.dataDir, { recursive: true });
@@ -27,52 +38,165 @@ class DataStorage {
       throw error;
     }
   }
-  
+
+  /**
+   * Get the configured storage backend, creating it on first use
+   * @returns {Object} - Storage backend
+   */
+  getBackend() {
+    if (!this.backend) {
+      const backendType = (config.STORAGE && config.STORAGE.BACKEND) || 'json';
+      this.backend = createStorageBackend(backendType, this.dataDir);
+      logger.debug(`Using ${backendType} storage backend`);
+    }
+    return this.backend;
+  }
+
+  /**
+   * Read a single entry from a namespace
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} - The stored value, or undefined
+   */
+  async get(namespace, key) {
+    await this.init();
+    return this.getBackend().get(namespace, key);
+  }
+
+  /**
+   * Store a single entry in a namespace
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value) {
+    await this.init();
+    return this.getBackend().set(namespace, key, value);
+  }
+
+  /**
+   * Store several entries in a namespace at once
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   */
+  async setMany(namespace, entries) {
+    await this.init();
+    return this.getBackend().setMany(namespace, entries);
+  }
+
+  /**
+   * Remove an entry from a namespace
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    await this.init();
+    return this.getBackend().delete(namespace, key);
+  }
+
+  /**
+   * Read every entry in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {Promise<Object>} - Key => value
+   */
+  async scan(namespace) {
+    await this.init();
+    return this.getBackend().scan(namespace);
+  }
+
+  /**
+   * Replace the whole contents of a namespace
+   * @param {string} namespace - Namespace name
+   * @param {Object} entries - Key => value
+   * @returns {Promise<void>}
+   */
+  async replace(namespace, entries) {
+    await this.init();
+    return this.getBackend().replace(namespace, entries);
+  }
+
+  /**
+   * Release the storage backend
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.backend) {
+      await this.backend.close();
+      this.backend = null;
+    }
+  }
+
   /**
-   * Save user stats to disk
+   * Save user stats
    * @param {Map} stats - User stats map
    */
   async saveUserStats(stats) {
-    await this.init();
-    
     try {
       // Convert Map to object for serialization
       const statsObj = {};
       for (const [userId, data] of stats.entries()) {
         statsObj[userId] = data;
       }
-      
-      await fs.writeFile(this.statsFile, JSON.stringify(statsObj, null, 2));
+
+      await this.replace(NAMESPACES.USER_STATS, statsObj);
       logger.debug('User stats saved successfully');
     } catch (error) {
       logger.error('Failed to save user stats:', error);
       // We don't throw here to avoid crashing the application
     }
   }
-  
+
   /**
-   * Load user stats from disk
+   * Load user stats
    * @returns {Object} - User stats object
    */
   async loadUserStats() {
-    await this.init();
-    
     try {
-      const data = await fs.readFile(this.statsFile, 'utf8');
-      const stats = JSON.parse(data);
-      logger.debug('User stats loaded successfully');
-      return stats;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist yet, return empty object
+      const stats = await this.scan(NAMESPACES.USER_STATS);
+      if (Object.keys(stats).length === 0) {
         logger.debug('No user stats file found, starting with empty stats');
         return {};
       }
-      
+      logger.debug('User stats loaded successfully');
+      return stats;
+    } catch (error) {
       logger.error('Failed to load user stats:', error);
       return {};
     }
   }
+
+  /**
+   * Save conversation histories
+   * @param {Object} conversations - Conversation key => { messages, lastActivity }
+   */
+  async saveConversations(conversations) {
+    try {
+      await this.replace(NAMESPACES.CONVERSATIONS, conversations);
+      logger.debug('Conversations saved successfully');
+    } catch (error) {
+      logger.error('Failed to save conversations:', error);
+      // We don't throw here to avoid crashing the application
+    }
+  }
+
+  /**
+   * Load conversation histories
+   * @returns {Object} - Conversation key => { messages, lastActivity }
+   */
+  async loadConversations() {
+    try {
+      const conversations = await this.scan(NAMESPACES.CONVERSATIONS);
+      logger.debug('Conversations loaded successfully');
+      return conversations;
+    } catch (error) {
+      logger.error('Failed to load conversations:', error);
+      return {};
+    }
+  }
 }
 
 module.exports = new DataStorage();
+module.exports.NAMESPACES = NAMESPACES;
@@ -0,0 +1,327 @@
+/**
+ * Token usage and cost accounting
+ * Each API request's token counts and estimated cost are added to per-day totals for the
+ * guild it was made for, broken down by user and model. Days run on UTC.
+ */
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const dataStorage = require('./storage');
+const modelRegistry = require('./model-registry');
+const { debounce } = require('../utils/debouncer');
+
+const NAMESPACE = 'usage';
+
+// Stands in for a guild ID on requests made from direct messages
+const DIRECT_MESSAGES = 'dm';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SAVE_DEBOUNCE_MS = 5000;
+const DEFAULT_RETENTION_DAYS = 400;
+
+/**
+ * Create empty usage totals
+ * @returns {Object} - { requests, promptTokens, completionTokens, cost }
+ */
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+/**
+ * Add one set of usage totals to another
+ * @param {Object} target - Totals to add to (modified)
+ * @param {Object} source - Totals to add
+ * @returns {Object} - The target
+ */
+function addTotals(target, source) {
+  target.requests += source.requests;
+  target.promptTokens += source.promptTokens;
+  target.completionTokens += source.completionTokens;
+  target.cost += source.cost;
+  return target;
+}
+
+/**
+ * Get the UTC day a timestamp falls on
+ * @param {number} timestamp - Time in ms
+ * @returns {string} - e.g. "2025-08-01"
+ */
+function dayOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+class UsageTracker {
+  constructor() {
+    // "day|guild" => { day, guildId, total, users: { userId: totals }, models: { modelId: totals } }
+    this.entries = new Map();
+    this.dirtyKeys = new Set();
+    this.loadPromise = null;
+    this.debouncedSave = null;
+  }
+
+  /**
+   * Record the usage of one API request
+   * Never throws, so accounting can't break the request it describes
+   * @param {Object} details - Request details
+   * @param {string|null} details.userId - User the request was made for, if any
+   * @param {string|null} details.guildId - Guild the request was made for (null in DMs)
+   * @param {string} details.model - Model that answered
+   * @param {Object} details.usage - { promptTokens, completionTokens }
+   * @param {number} details.timestamp - When the request was made (defaults to now)
+   * @returns {Promise<void>}
+   */
+  async record({ userId = null, guildId = null, model, usage, timestamp = Date.now() }) {
+    try {
+      await this._ensureLoaded();
+
+      const totals = {
+        requests: 1,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        cost: modelRegistry.estimateCost(model, usage)
+      };
+      const entry = this._getEntry(dayOf(timestamp), guildId || DIRECT_MESSAGES);
+      addTotals(entry.total, totals);
+      addTotals(entry.models[model] || (entry.models[model] = emptyTotals()), totals);
+      if (userId) {
+        addTotals(entry.users[userId] || (entry.users[userId] = emptyTotals()), totals);
+      }
+
+      this._scheduleSave();
+    } catch (error) {
+      logger.warn('Failed to record token usage:', error);
+    }
+  }
+
+  /**
+   * Get a user's usage across every guild
+   * @param {string} userId - User ID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} - { today, month, allTime } totals
+   */
+  async getUserUsage(userId, now = Date.now()) {
+    await this._ensureLoaded();
+    const today = dayOf(now);
+    const month = today.slice(0, 7);
+    const usage = { today: emptyTotals(), month: emptyTotals(), allTime: emptyTotals() };
+
+    for (const entry of this.entries.values()) {
+      const totals = entry.users[userId];
+      if (!totals) continue;
+      addTotals(usage.allTime, totals);
+      if (entry.day.startsWith(month)) addTotals(usage.month, totals);
+      if (entry.day === today) addTotals(usage.today, totals);
+    }
+    return usage;
+  }
+
+  /**
+   * Get usage in one guild for today and this month, for the whole guild or one member
+   * @param {string|null} guildId - Guild ID (null for direct messages)
+   * @param {string|null} userId - User ID, or null for the whole guild
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} - { today, month } totals
+   */
+  async getUsage(guildId, userId = null, now = Date.now()) {
+    await this._ensureLoaded();
+    const guildKey = guildId || DIRECT_MESSAGES;
+    const today = dayOf(now);
+    const usage = { today: emptyTotals(), month: emptyTotals() };
+
+    // Look each day of the month up directly, as this runs before every chat request
+    const date = new Date(now);
+    for (let day = 1; day <= date.getUTCDate(); day++) {
+      const key = `${dayOf(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), day))}|${guildKey}`;
+      const entry = this.entries.get(key);
+      const totals = entry && (userId ? entry.users[userId] : entry.total);
+      if (!totals) continue;
+      addTotals(usage.month, totals);
+      if (entry.day === today) addTotals(usage.today, totals);
+    }
+    return usage;
+  }
+
+  /**
+   * Get a guild's usage broken down by day, month, model and user
+   * @param {string|null} guildId - Guild ID (null for direct messages)
+   * @param {Object} options - Report options
+   * @param {number} options.days - Number of recent days to list
+   * @param {number} options.months - Number of recent months to list
+   * @param {number} options.now - Current time in ms
+   * @returns {Promise<Object>} - { daily, monthly: [{ period, totals }], models: [{ model, totals }],
+   *   users: [{ userId, totals }] }, with models and users covering the current month, costliest first
+   */
+  async getGuildReport(guildId, { days = 7, months = 3, now = Date.now() } = {}) {
+    await this._ensureLoaded();
+    const guildKey = guildId || DIRECT_MESSAGES;
+    const daily = Array.from({ length: days }, (_, i) => ({ period: dayOf(now - i * DAY_MS), totals: emptyTotals() }));
+    const monthly = this._recentMonths(now, months).map(period => ({ period, totals: emptyTotals() }));
+    const currentMonth = monthly[0].period;
+    const models = {};
+    const users = {};
+
+    for (const entry of this.entries.values()) {
+      if (entry.guildId !== guildKey) continue;
+      const day = daily.find(row => row.period === entry.day);
+      if (day) addTotals(day.totals, entry.total);
+      const month = monthly.find(row => row.period === entry.day.slice(0, 7));
+      if (month) addTotals(month.totals, entry.total);
+      if (entry.day.startsWith(currentMonth)) {
+        this._mergeBreakdown(models, entry.models);
+        this._mergeBreakdown(users, entry.users);
+      }
+    }
+
+    const byCost = (a, b) => b.totals.cost - a.totals.cost || b.totals.requests - a.totals.requests;
+    return {
+      daily,
+      monthly,
+      models: Object.entries(models).map(([model, totals]) => ({ model, totals })).sort(byCost),
+      users: Object.entries(users).map(([userId, totals]) => ({ userId, totals })).sort(byCost)
+    };
+  }
+
+  /**
+   * Save recorded usage, dropping days older than the retention period
+   * Entries that fail to save stay unsaved, so the next save tries them again
+   * @returns {Promise<boolean>} - Whether everything was saved
+   */
+  async save() {
+    let writing = [];
+    try {
+      const cutoff = dayOf(Date.now() - this._getRetentionDays() * DAY_MS);
+      for (const [key, entry] of this.entries) {
+        if (entry.day < cutoff) {
+          this.entries.delete(key);
+          this.dirtyKeys.delete(key);
+          await dataStorage.delete(NAMESPACE, key);
+        }
+      }
+
+      // Changes recorded while the write is in progress mark their keys again
+      writing = [...this.dirtyKeys];
+      this.dirtyKeys.clear();
+      if (writing.length > 0) {
+        await dataStorage.setMany(NAMESPACE, Object.fromEntries(writing.map(key => [key, this.entries.get(key)])));
+      }
+      return true;
+    } catch (error) {
+      logger.error('Failed to save token usage:', error);
+      writing.filter(key => this.entries.has(key)).forEach(key => this.dirtyKeys.add(key));
+      return false;
+    }
+  }
+
+  /**
+   * Save now rather than waiting for a pending debounced save, e.g. before shutdown
+   * @returns {Promise<void>}
+   * @throws {Error} - If the usage could not be saved
+   */
+  async flush() {
+    if (this.debouncedSave) {
+      this.debouncedSave.cancel();
+    }
+    if (this._isPersistenceEnabled() && !(await this.save())) {
+      throw new Error('Token usage could not be saved');
+    }
+  }
+
+  /**
+   * Load saved usage once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = !this._isPersistenceEnabled()
+        ? Promise.resolve()
+        : dataStorage.scan(NAMESPACE)
+          .then(saved => {
+            for (const [key, entry] of Object.entries(saved)) {
+              this.entries.set(key, entry);
+            }
+          })
+          .catch(error => {
+            logger.error('Failed to load token usage:', error);
+          });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Get the totals for a day and guild, creating them if needed
+   * @param {string} day - UTC day
+   * @param {string} guildKey - Guild ID, or DIRECT_MESSAGES
+   * @returns {Object} - Entry
+   * @private
+   */
+  _getEntry(day, guildKey) {
+    const key = `${day}|${guildKey}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, { day, guildId: guildKey, total: emptyTotals(), users: {}, models: {} });
+    }
+    this.dirtyKeys.add(key);
+    return this.entries.get(key);
+  }
+
+  /**
+   * Add an entry's per-model or per-user totals into a running breakdown
+   * @param {Object} breakdown - Key => totals (modified)
+   * @param {Object} totalsByKey - Key => totals to add
+   * @private
+   */
+  _mergeBreakdown(breakdown, totalsByKey) {
+    for (const [key, totals] of Object.entries(totalsByKey)) {
+      addTotals(breakdown[key] || (breakdown[key] = emptyTotals()), totals);
+    }
+  }
+
+  /**
+   * List recent months, newest first
+   * @param {number} now - Current time in ms
+   * @param {number} count - Number of months
+   * @returns {Array<string>} - e.g. ["2025-08", "2025-07"]
+   * @private
+   */
+  _recentMonths(now, count) {
+    const date = new Date(now);
+    return Array.from({ length: count }, (_, i) => {
+      const month = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - i, 1));
+      return month.toISOString().slice(0, 7);
+    });
+  }
+
+  /**
+   * Schedule a debounced save so a burst of requests causes a single write
+   * @private
+   */
+  _scheduleSave() {
+    if (!this._isPersistenceEnabled()) return;
+
+    if (!this.debouncedSave) {
+      const wait = (config.USAGE && config.USAGE.SAVE_DEBOUNCE_MS) || DEFAULT_SAVE_DEBOUNCE_MS;
+      this.debouncedSave = debounce(() => this.save(), wait);
+    }
+    this.debouncedSave();
+  }
+
+  /**
+   * Get how many days of usage to keep
+   * @returns {number} - Days
+   * @private
+   */
+  _getRetentionDays() {
+    return (config.USAGE && config.USAGE.RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Check whether usage is saved to storage (never during tests)
+   * @returns {boolean} - Whether persistence is enabled
+   * @private
+   */
+  _isPersistenceEnabled() {
+    return process.env.NODE_ENV !== 'test';
+  }
+}
+
+module.exports = new UsageTracker();
+module.exports.DIRECT_MESSAGES = DIRECT_MESSAGES;
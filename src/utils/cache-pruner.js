@@ -2,16 +2,15 @@
  * Cache pruning utility to manage cache size on Pi
  * Automatically removes least used entries to save memory
  */
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('./logger');
 const config = require('../config/config');
+const dataStorage = require('../services/storage');
+const questionCache = require('../services/question-cache');
 
 class CachePruner {
   constructor() {
-    this.cacheFiles = {
-      questions: path.join(__dirname, '../../data/question_cache.json'),
-      stats: path.join(__dirname, '../../data/user_stats.json')
+    this.namespaces = {
+      stats: dataStorage.NAMESPACES.USER_STATS
     };
     
     // Initialize with default settings
@@ -19,31 +18,38 @@ class CachePruner {
     this.pruneIntervalMinutes = config.PI_OPTIMIZATIONS.CLEANUP_INTERVAL_MINUTES || 30;
     this.prunePercentage = 0.2; // Remove 20% of entries when pruning
     this.lastPruneTime = Date.now();
-    
-    // Start pruning timer if enabled
-    if (config.PI_OPTIMIZATIONS.ENABLED) {
-      this._initializePruningSchedule();
-    }
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Start pruning on a timer, if Pi optimisations are enabled
+   * Kept out of the constructor so loading the pruner, e.g. to read its status, doesn't start it
+   */
+  initialize() {
+    if (this.pruneTimer || !config.PI_OPTIMIZATIONS.ENABLED) return;
+    this.pruneTimer = this._initializePruningSchedule();
   }
 
   /**
    * Initialize the pruning schedule
+   * @returns {Object} - Interval handle
    * @private
    */
   _initializePruningSchedule() {
     const intervalMs = this.pruneIntervalMinutes * 60 * 1000;
     
     // Use a simple interval rather than a full scheduler to save resources
-    setInterval(() => {
+    const timer = setInterval(() => {
       this.pruneCache()
         .catch(err => logger.error('[CachePruner] Error during scheduled pruning:', err));
     }, intervalMs);
     
     logger.info(`[CachePruner] Initialized with ${this.pruneIntervalMinutes} minute interval`);
+    return timer;
   }
   
   /**
-   * Prune the cache files to maintain reasonable size
+   * Prune the cached data to maintain reasonable size
    * @returns {Promise<void>}
    */
   async pruneCache() {
@@ -65,110 +71,83 @@ class CachePruner {
   }
   
   /**
-   * Prune the question cache file
+   * Prune the question cache
+   * Works on the same in-memory cache the Perplexity service answers from, which writes the
+   * result back to storage with its next batch
    * @private
    * @returns {Promise<void>}
    */
   async _pruneQuestionCache() {
-    try {
-      // Read the cache file
-      const data = await fs.readFile(this.cacheFiles.questions, 'utf-8');
-      const cache = JSON.parse(data);
-      
-      const entryCount = Object.keys(cache).length;
-      
-      // Only prune if we're over the limit
-      if (entryCount <= this.maxCacheEntries) {
+    const expiredCount = await this._removeExpiredQuestions();
+    const entryCount = await questionCache.size();
+    
+    if (entryCount === 0 && expiredCount === 0) {
+      logger.info('[CachePruner] Question cache is empty, nothing to prune');
+      return;
+    }
+    
+    if (expiredCount > 0) {
+      logger.info(`[CachePruner] Removed ${expiredCount} expired entries from question cache`);
+    }
+    
+    // Only prune if we're over the limit
+    if (entryCount <= this.maxCacheEntries) {
+      if (expiredCount === 0) {
         logger.debug(`[CachePruner] Question cache size (${entryCount}) within limits, no pruning needed`);
-        return;
-      }
-      
-      // Calculate how many to remove
-      const removeCount = Math.ceil(entryCount * this.prunePercentage);
-      
-      // Find oldest entries without sorting the entire array
-      // Use a min-heap approach to find the N oldest entries in O(n log k) time
-      const oldestEntries = [];
-      const findOldestEntries = (key, value) => {
-        const timestamp = value.lastAccessed || 0;
-        
-        // If we haven't collected enough entries yet, just add it
-        if (oldestEntries.length < removeCount) {
-          oldestEntries.push({ key, timestamp });
-          // Re-heapify if necessary (keep newest at top for easy removal)
-          if (oldestEntries.length > 1) {
-            oldestEntries.sort((a, b) => b.timestamp - a.timestamp);
-          }
-          return;
-        }
-        
-        // If this entry is older than the newest in our collection, replace it
-        if (timestamp < oldestEntries[0].timestamp) {
-          oldestEntries[0] = { key, timestamp };
-          // Restore heap property
-          oldestEntries.sort((a, b) => b.timestamp - a.timestamp);
-        }
-      };
-      
-      // Find oldest entries
-      Object.entries(cache).forEach(([key, value]) => findOldestEntries(key, value));
-      
-      // Remove identified oldest entries
-      oldestEntries.forEach(({ key }) => {
-        delete cache[key];
-      });
-      
-      // Write back pruned cache
-      await fs.writeFile(this.cacheFiles.questions, JSON.stringify(cache, null, 2));
-      
-      logger.info(`[CachePruner] Pruned ${removeCount} entries from question cache`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.info('[CachePruner] Question cache file not found, nothing to prune');
-      } else {
-        throw error;
       }
+      return;
     }
+    
+    // The cache keeps its entries in order of use, so the oldest go first
+    const removeCount = await questionCache.removeLeastRecentlyUsed(Math.ceil(entryCount * this.prunePercentage));
+    
+    logger.info(`[CachePruner] Pruned ${removeCount} entries from question cache`);
   }
   
   /**
-   * Prune the user stats file
+   * Remove answers that are past the question cache's time to live
+   * @returns {Promise<number>} - Number of entries removed
+   * @private
+   */
+  async _removeExpiredQuestions() {
+    const ttl = (config.QUESTION_CACHE && config.QUESTION_CACHE.TTL_MS) || 0;
+    if (ttl <= 0) return 0;
+    
+    const now = Date.now();
+    return questionCache.removeWhere(value => {
+      const createdAt = value && (value.createdAt || value.timestamp);
+      return Boolean(createdAt) && now - createdAt > ttl;
+    });
+  }
+  
+  /**
+   * Prune the user stats
    * @private
    * @returns {Promise<void>}
    */
   async _pruneUserStats() {
-    try {
-      // Read the stats file
-      const data = await fs.readFile(this.cacheFiles.stats, 'utf-8');
-      const stats = JSON.parse(data);
-      
-      // Get inactive users (no activity in last 30 days)
-      const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-      let pruneCount = 0;
-      
-      Object.entries(stats).forEach(([userId, userData]) => {
-        const lastActivity = userData.lastActivity || 0;
-        
-        // Remove inactive users with fewer than 5 interactions
-        if (lastActivity < thirtyDaysAgo && userData.totalQueries < 5) {
-          delete stats[userId];
-          pruneCount++;
-        }
-      });
+    const stats = await dataStorage.scan(this.namespaces.stats);
+    
+    // Get inactive users (no activity in last 30 days)
+    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    let pruneCount = 0;
+    
+    Object.entries(stats).forEach(([userId, userData]) => {
+      const lastActivity = userData.lastActivity || 0;
       
-      if (pruneCount > 0) {
-        // Write back pruned stats
-        await fs.writeFile(this.cacheFiles.stats, JSON.stringify(stats, null, 2));
-        logger.info(`[CachePruner] Pruned ${pruneCount} inactive users from stats`);
-      } else {
-        logger.debug('[CachePruner] No inactive users to prune from stats');
-      }
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.info('[CachePruner] User stats file not found, nothing to prune');
-      } else {
-        throw error;
+      // Remove inactive users with fewer than 5 interactions
+      if (lastActivity < thirtyDaysAgo && userData.totalQueries < 5) {
+        delete stats[userId];
+        pruneCount++;
       }
+    });
+    
+    if (pruneCount > 0) {
+      // Write back pruned stats
+      await dataStorage.replace(this.namespaces.stats, stats);
+      logger.info(`[CachePruner] Pruned ${pruneCount} inactive users from stats`);
+    } else {
+      logger.debug('[CachePruner] No inactive users to prune from stats');
     }
   }
   
@@ -0,0 +1,156 @@
+/**
+ * Circuit breaker for calls to an upstream service
+ * After repeated failures the circuit opens and calls fail fast, rather than every message
+ * waiting on a service that is down. Once a cooldown has passed the next call is let
+ * through as a probe: if it succeeds the circuit closes again, if it fails it reopens.
+ */
+const logger = require('./logger');
+
+const STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+// Code on the errors thrown while the circuit is open
+const CIRCUIT_OPEN_CODE = 'CIRCUIT_OPEN';
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name of the service, for logs and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open before a probe is let through
+   * @param {Function} options.isFailure - Whether an error counts against the service (defaults to every error)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'Service';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.isFailure = options.isFailure || (() => true);
+    this.reset();
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} operation - Async function making the call
+   * @returns {Promise<*>} - Result of the call
+   * @throws {Error} - The call's own error, or a CircuitOpenError while the circuit is open
+   */
+  async execute(operation) {
+    this._admit();
+    const isProbe = this.state === STATES.HALF_OPEN;
+    try {
+      const result = await operation();
+      this._recordSuccess();
+      return result;
+    } catch (error) {
+      this._recordError(error, isProbe);
+      throw error;
+    } finally {
+      if (isProbe) this.probeInFlight = false;
+    }
+  }
+
+  /**
+   * Get the breaker's current state for status displays
+   * @returns {Object} - { state, failures, lastFailure: { message, at } | null, retryAt }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastFailure: this.lastFailure,
+      // When an open circuit next lets a probe through
+      retryAt: this.state === STATES.OPEN ? this.openedAt + this.cooldownMs : null
+    };
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.lastFailure = null;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Let a call through, or throw if the circuit is open
+   * Only one probe runs at a time; other calls keep failing fast until it finishes
+   * @private
+   */
+  _admit() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = STATES.HALF_OPEN;
+      logger.info(`${this.name} circuit half-open, probing whether it has recovered`);
+    }
+    if (this.state === STATES.OPEN || (this.state === STATES.HALF_OPEN && this.probeInFlight)) {
+      throw this._createOpenError();
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      this.probeInFlight = true;
+    }
+  }
+
+  /**
+   * Close the circuit after a successful call
+   * @private
+   */
+  _recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`${this.name} circuit closed, the service has recovered`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Count a failed call, opening the circuit once there have been too many
+   * @param {Error} error - The call's error
+   * @param {boolean} isProbe - Whether the call was a half-open probe
+   * @private
+   */
+  _recordError(error, isProbe) {
+    // Errors such as bad requests or cancelled calls say nothing about the service's health;
+    // a probe that ends this way just leaves the next call to probe again
+    if (!this.isFailure(error)) return;
+
+    this.failures++;
+    this.lastFailure = { message: error.message, at: Date.now() };
+    if (isProbe || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      logger.warn(`${this.name} circuit opened after ${this.failures} consecutive failure(s); ` +
+        `failing fast for ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Create the error thrown while the circuit is open
+   * @returns {Error} - CircuitOpenError
+   * @private
+   */
+  _createOpenError() {
+    const error = new Error(`${this.name} is unavailable after repeated failures`);
+    error.name = 'CircuitOpenError';
+    error.code = CIRCUIT_OPEN_CODE;
+    error.retryAt = this.openedAt + this.cooldownMs;
+    return error;
+  }
+
+  /**
+   * Check whether an error was thrown because a circuit is open
+   * @param {Error} error - The error
+   * @returns {boolean} - Whether the call was refused by an open circuit
+   */
+  static isOpenError(error) {
+    return Boolean(error && error.code === CIRCUIT_OPEN_CODE);
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
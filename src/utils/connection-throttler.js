@@ -1,90 +1,350 @@
 /**
  * Connection throttler to manage network requests on Pi
  * Helps prevent network overload on resource-constrained devices
+ *
+ * Requests over the connection limit wait in a bounded queue. Higher priorities (commands
+ * before chat before background work) always go first; within a priority, users take turns,
+ * so one user sending many requests can't hold everyone else up.
  */
 const logger = require('./logger');
 const config = require('../config/config');
 
+// Request priorities, highest first
+const PRIORITIES = {
+  COMMAND: 'command',
+  CHAT: 'chat',
+  BACKGROUND: 'background'
+};
+const PRIORITY_ORDER = [PRIORITIES.COMMAND, PRIORITIES.CHAT, PRIORITIES.BACKGROUND];
+
+// Queue key for requests made on no one's behalf
+const SHARED_QUEUE_KEY = 'shared';
+
+const QUEUE_FULL_CODE = 'QUEUE_FULL';
+
 class ConnectionThrottler {
   constructor() {
     // Initialize connection tracking
     this.activeConnections = 0;
-    this.connectionQueue = [];
-    
+    // Priority => Map of queue key => waiting entries; a key moves to the back after each turn
+    this.queues = new Map(PRIORITY_ORDER.map(priority => [priority, new Map()]));
+    this.queueLength = 0;
+
     // Define default values as constants for better maintainability
     const DEFAULT_PI_CONNECTIONS = 2;
     const DEFAULT_NORMAL_CONNECTIONS = 10;
-    
+    const DEFAULT_MAX_QUEUE_LENGTH = 20;
+    const DEFAULT_MAX_QUEUED_PER_KEY = 3;
+
     // Set max connections based on config or defaults
-    this.maxConnections = config.PI_OPTIMIZATIONS?.ENABLED ? 
-      (config.PI_OPTIMIZATIONS?.MAX_CONNECTIONS || DEFAULT_PI_CONNECTIONS) : 
+    this.maxConnections = config.PI_OPTIMIZATIONS?.ENABLED ?
+      (config.PI_OPTIMIZATIONS?.MAX_CONNECTIONS || DEFAULT_PI_CONNECTIONS) :
       DEFAULT_NORMAL_CONNECTIONS;
+    this.maxQueueLength = config.PI_OPTIMIZATIONS?.MAX_QUEUE_LENGTH || DEFAULT_MAX_QUEUE_LENGTH;
+    this.maxQueuedPerKey = config.PI_OPTIMIZATIONS?.MAX_QUEUED_PER_USER || DEFAULT_MAX_QUEUED_PER_KEY;
   }
 
   /**
    * Execute a network request through the throttler
    * @param {Function} requestFn - Async function that makes the network request
    * @param {String} requestType - Type of request for logging
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Abandons the request if it is aborted while still queued
+   * @param {string} options.priority - One of PRIORITIES (defaults to chat)
+   * @param {string} options.queueKey - Whose turn the request waits for, e.g. a user or guild ID
+   * @param {Function} options.onQueuePosition - Called with the request's place in the queue (1 is next)
+   *   when it has to wait and whenever that place changes, then with 0 as it starts
    * @returns {Promise} - Result of the request function
+   * @throws {Error} - QueueFullError if the request would have to wait and the queue has no room
    */
-  async executeRequest(requestFn, requestType = 'API') {
+  async executeRequest(requestFn, requestType = 'API', options = {}) {
+    const { signal } = options;
     return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       const executeNow = this.activeConnections < this.maxConnections;
-      
+      let stopWatchingAbort = null;
+
       // Create a task to execute
       const task = async () => {
+        if (stopWatchingAbort) stopWatchingAbort();
         try {
           this.activeConnections++;
           logger.debug(`[ConnectionThrottler] Starting ${requestType} request (${this.activeConnections}/${this.maxConnections} active)`);
-          
+
           const result = await requestFn();
-          
+
           this.activeConnections--;
           logger.debug(`[ConnectionThrottler] Completed ${requestType} request (${this.activeConnections}/${this.maxConnections} active)`);
-          
+
           // Process next in queue if any
           this._processQueue();
-          
+
           resolve(result);
         } catch (error) {
           this.activeConnections--;
           logger.error(`[ConnectionThrottler] Error in ${requestType} request:`, error);
-          
+
           // Process next in queue even if this one failed
           this._processQueue();
-          
+
           reject(error);
         }
       };
-      
+
       if (executeNow) {
         task();
-      } else {
-        logger.debug(`[ConnectionThrottler] Queueing ${requestType} request (queue length: ${this.connectionQueue.length + 1})`);
-        this.connectionQueue.push(task);
+        return;
+      }
+
+      const entry = this._createEntry(task, options);
+      // Settles the request if the queue is cleared before its turn comes
+      entry.cancel = error => {
+        if (stopWatchingAbort) stopWatchingAbort();
+        reject(error);
+      };
+      const refusal = this._getRefusal(entry);
+      if (refusal) {
+        logger.warn(`[ConnectionThrottler] Refused ${requestType} request: ${refusal}`);
+        reject(this._createQueueFullError(refusal));
+        return;
+      }
+
+      logger.debug(`[ConnectionThrottler] Queueing ${requestType} request (queue length: ${this.queueLength + 1})`);
+      this._enqueue(entry);
+      if (signal) {
+        stopWatchingAbort = this._dequeueOnAbort(entry, signal, requestType, reject);
       }
     });
   }
-  
+
+  /**
+   * Get a queued request's place in the queue
+   * Requests are served by priority, then one per queue key in turn
+   * @param {Object} entry - Queued entry
+   * @returns {number} - Place in the queue, 1 being next (0 if it isn't queued)
+   */
+  getQueuePosition(entry) {
+    let position = 0;
+    for (const priority of PRIORITY_ORDER) {
+      const keys = Array.from(this.queues.get(priority).values());
+      if (priority !== entry.priority) {
+        position += keys.reduce((total, entries) => total + entries.length, 0);
+        continue;
+      }
+      const entries = this.queues.get(priority).get(entry.key) || [];
+      const round = entries.indexOf(entry);
+      if (round === -1) return 0;
+      // Every key gets a turn per round, in the order the keys wait in
+      const keyIndex = keys.indexOf(entries);
+      return position + keys.reduce((total, other, index) =>
+        total + Math.min(other.length, index < keyIndex ? round + 1 : round), 0) + 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Describe how many requests are waiting at each priority
+   * @returns {Object} - { active, max, queued, maxQueued, byPriority: { priority: count } }
+   */
+  getQueueStatus() {
+    const byPriority = {};
+    for (const [priority, keys] of this.queues) {
+      byPriority[priority] = Array.from(keys.values()).reduce((total, entries) => total + entries.length, 0);
+    }
+    return {
+      active: this.activeConnections,
+      max: this.maxConnections,
+      queued: this.queueLength,
+      maxQueued: this.maxQueueLength,
+      byPriority
+    };
+  }
+
+  /**
+   * Create the queue entry for a request that has to wait
+   * @param {Function} task - Starts the request
+   * @param {Object} options - executeRequest options
+   * @returns {Object} - { task, priority, key, onQueuePosition, position }
+   * @private
+   */
+  _createEntry(task, options) {
+    return {
+      task,
+      priority: PRIORITY_ORDER.includes(options.priority) ? options.priority : PRIORITIES.CHAT,
+      key: options.queueKey || SHARED_QUEUE_KEY,
+      onQueuePosition: typeof options.onQueuePosition === 'function' ? options.onQueuePosition : null,
+      position: 0
+    };
+  }
+
+  /**
+   * Check whether there is room to queue a request
+   * @param {Object} entry - Entry to queue
+   * @returns {string|null} - Why it can't be queued, or null if it can
+   * @private
+   */
+  _getRefusal(entry) {
+    if (this.queueLength >= this.maxQueueLength) {
+      return `queue is full (${this.maxQueueLength} waiting)`;
+    }
+    if (entry.key === SHARED_QUEUE_KEY) return null;
+    // Without a per-key cap, one user could fill the whole queue and shut everyone else out
+    const waitingForKey = PRIORITY_ORDER.reduce((total, priority) =>
+      total + (this.queues.get(priority).get(entry.key) || []).length, 0);
+    return waitingForKey >= this.maxQueuedPerKey
+      ? `${entry.key} already has ${waitingForKey} requests waiting`
+      : null;
+  }
+
+  /**
+   * Create the error a request is refused with when the queue has no room
+   * @param {string} reason - Why it was refused
+   * @returns {Error} - QueueFullError
+   * @private
+   */
+  _createQueueFullError(reason) {
+    const error = new Error(`Too many requests are waiting: ${reason}`);
+    error.name = 'QueueFullError';
+    error.code = QUEUE_FULL_CODE;
+    return error;
+  }
+
+  /**
+   * Add an entry to the back of its key's line
+   * @param {Object} entry - Entry to queue
+   * @private
+   */
+  _enqueue(entry) {
+    const keys = this.queues.get(entry.priority);
+    if (!keys.has(entry.key)) {
+      keys.set(entry.key, []);
+    }
+    keys.get(entry.key).push(entry);
+    this.queueLength++;
+    this._notifyPositions();
+  }
+
+  /**
+   * Take an entry out of the queue
+   * @param {Object} entry - Queued entry
+   * @returns {boolean} - Whether it was queued
+   * @private
+   */
+  _remove(entry) {
+    const keys = this.queues.get(entry.priority);
+    const entries = keys.get(entry.key);
+    const index = entries ? entries.indexOf(entry) : -1;
+    if (index === -1) return false;
+
+    entries.splice(index, 1);
+    if (entries.length === 0) {
+      keys.delete(entry.key);
+    }
+    this.queueLength--;
+    return true;
+  }
+
+  /**
+   * Let waiting requests know their place in the queue when it has changed
+   * @private
+   */
+  _notifyPositions() {
+    for (const keys of this.queues.values()) {
+      for (const entries of keys.values()) {
+        for (const entry of entries) {
+          const position = this.getQueuePosition(entry);
+          if (position !== entry.position) {
+            entry.position = position;
+            this._report(entry, position);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Pass a request's place in the queue to its callback, which mustn't break the queue
+   * @param {Object} entry - Queue entry
+   * @param {number} position - Place in the queue, or 0 as it starts
+   * @private
+   */
+  _report(entry, position) {
+    if (!entry.onQueuePosition) return;
+    try {
+      entry.onQueuePosition(position);
+    } catch (error) {
+      logger.warn('[ConnectionThrottler] Queue position callback failed:', error);
+    }
+  }
+
+  /**
+   * Give up a queued task's place if its request is cancelled or times out while waiting
+   * @param {Object} entry - Queued entry
+   * @param {AbortSignal} signal - Signal for the request
+   * @param {String} requestType - Type of request for logging
+   * @param {Function} reject - Rejects the request's promise
+   * @returns {Function} - Stops watching the signal, once the task starts
+   * @private
+   */
+  _dequeueOnAbort(entry, signal, requestType, reject) {
+    const onAbort = () => {
+      if (!this._remove(entry)) return;
+      logger.debug(`[ConnectionThrottler] Dropped aborted ${requestType} request from the queue`);
+      this._notifyPositions();
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
   /**
    * Process the next request in the queue if any
+   * Takes the first key in line at the highest waiting priority, then sends that key to the back
    * @private
    */
   _processQueue() {
-    if (this.connectionQueue.length > 0 && this.activeConnections < this.maxConnections) {
-      const nextTask = this.connectionQueue.shift();
-      nextTask();
+    if (this.queueLength === 0 || this.activeConnections >= this.maxConnections) return;
+
+    const keys = PRIORITY_ORDER.map(priority => this.queues.get(priority)).find(waiting => waiting.size > 0);
+    const [key, entries] = keys.entries().next().value;
+    const next = entries[0];
+    this._remove(next);
+    if (keys.has(key)) {
+      keys.delete(key);
+      keys.set(key, entries);
     }
+
+    this._report(next, 0);
+    this._notifyPositions();
+    next.task();
   }
-  
+
   /**
    * Clear the queue in case of shutdown or emergency
+   * Every request still waiting is rejected with a QueueFullError, so callers treat it like one
+   * turned away for lack of room rather than waiting forever or going around the throttler
    */
   clearQueue() {
-    const queueLength = this.connectionQueue.length;
-    this.connectionQueue = [];
+    const queueLength = this.queueLength;
+    const cleared = [];
+    for (const keys of this.queues.values()) {
+      for (const entries of keys.values()) {
+        cleared.push(...entries);
+      }
+      keys.clear();
+    }
+    this.queueLength = 0;
+    for (const entry of cleared) {
+      entry.cancel(this._createQueueFullError('the queue was cleared before the request started'));
+    }
     logger.info(`[ConnectionThrottler] Cleared ${queueLength} pending requests`);
   }
 }
 
 module.exports = new ConnectionThrottler();
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.QUEUE_FULL_CODE = QUEUE_FULL_CODE;
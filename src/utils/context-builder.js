@@ -0,0 +1,175 @@
+/**
+ * Builds the conversation context sent to the AI
+ * Estimates the tokens each message uses and keeps the newest messages that fit the
+ * model's context window, leaving room for the reply. Perplexity also requires turns to
+ * alternate between user and assistant and to end with the user, so the result is
+ * normalised to that shape.
+ */
+const config = require('../config/config');
+const modelRegistry = require('../services/model-registry');
+
+// Rough characters per token for English text; deliberately a little pessimistic
+const CHARS_PER_TOKEN = 4;
+// Tokens each message costs on top of its content (role markers and separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate how many tokens a piece of text uses
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate how many tokens a chat message uses
+ * @param {Object} message - { role, content }
+ * @returns {number} - Estimated tokens
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Work out how many tokens of history a request to a model can carry
+ * @param {string} [model] - Model ID (defaults to the configured default model)
+ * @param {number} reservedTokens - Tokens kept free for the reply and system message
+ * @returns {number} - Token budget for history (Infinity when the model's window is unknown)
+ */
+function getHistoryBudget(model, reservedTokens) {
+  const entry = modelRegistry.getModel(model || config.API.PERPLEXITY.DEFAULT_MODEL);
+  if (!entry || !entry.contextWindow) return Infinity;
+  return Math.max(0, entry.contextWindow - reservedTokens);
+}
+
+/**
+ * Group messages into alternating user/assistant turns that end with the user
+ * Each turn remembers the index of the first message it was built from
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {Array} - { role, content, start } turns
+ * @private
+ */
+function collectTurns(messages) {
+  const turns = [];
+  messages.forEach(({ role, content }, index) => {
+    if (role !== 'user' && role !== 'assistant') return;
+    // A conversation can't open with the assistant
+    if (turns.length === 0 && role !== 'user') return;
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.content = `${previous.content}\n\n${content}`;
+    } else {
+      turns.push({ role, content, start: index });
+    }
+  });
+
+  while (turns.length > 0 && turns[turns.length - 1].role !== 'user') {
+    turns.pop();
+  }
+  return turns;
+}
+
+/**
+ * Shape messages into alternating user/assistant turns that end with the user
+ * Consecutive messages from the same role (such as several people talking in a shared
+ * channel) are merged into one turn rather than dropped
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {Array} - Normalised { role, content } messages
+ */
+function normaliseTurns(messages) {
+  return collectTurns(messages).map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Cut a message's content down to a token budget
+ * @param {Object} message - { role, content }
+ * @param {number} budget - Tokens available
+ * @returns {Object} - Message that fits the budget
+ */
+function truncateMessage(message, budget) {
+  const maxChars = Math.max(0, (budget - MESSAGE_OVERHEAD_TOKENS) * CHARS_PER_TOKEN);
+  if (message.content.length <= maxChars) return message;
+  // Keep the end of the message, where the actual question usually is
+  return { role: message.role, content: `...${message.content.slice(-(maxChars - 3))}` };
+}
+
+/**
+ * Pin a conversation's running summary to its system prompt
+ * The summary covers messages already trimmed from the history, so it rides along with
+ * the system prompt rather than competing with recent turns for the history budget
+ * @param {string} systemMessage - System prompt for the conversation
+ * @param {string|null} summary - Running summary of earlier messages
+ * @returns {string} - System prompt including the summary
+ */
+function withSummary(systemMessage, summary) {
+  if (!summary) return systemMessage;
+  const prefix = systemMessage ? `${systemMessage}\n\n` : '';
+  return `${prefix}Summary of the earlier conversation:\n${summary}`;
+}
+
+/**
+ * Choose the history to send with a request, and say how much of it was left out
+ * @param {Array} history - Conversation history, oldest first
+ * @param {Object} options - Build options
+ * @param {string} options.model - Model the request goes to
+ * @param {number} options.reservedTokens - Tokens to leave for the reply
+ * @param {string} options.systemMessage - System prompt sent alongside the history
+ * @param {number} options.maxMessages - Most messages to include, whatever their size
+ * @returns {Object} - { messages, omitted }: the { role, content } messages that fit the model's
+ *   context, and how many of the oldest history messages none of them include
+ */
+function selectContext(history, options = {}) {
+  const reserved = (options.reservedTokens || config.API.PERPLEXITY.MAX_TOKENS.CHAT) +
+    (options.systemMessage ? estimateTokens(options.systemMessage) + MESSAGE_OVERHEAD_TOKENS : 0);
+  const budget = getHistoryBudget(options.model, reserved);
+  const maxMessages = options.maxMessages || Infinity;
+
+  const turns = collectTurns(history || []);
+  const selected = [];
+  let used = 0;
+
+  // Walk back from the newest turn, keeping as many as fit
+  for (let index = turns.length - 1; index >= 0 && selected.length < maxMessages; index--) {
+    const tokens = estimateMessageTokens(turns[index]);
+    if (used + tokens > budget) {
+      // Always send the latest message, even if it alone is too long
+      if (selected.length === 0) {
+        selected.unshift({ ...truncateMessage(turns[index], budget), start: turns[index].start });
+      }
+      break;
+    }
+    selected.unshift(turns[index]);
+    used += tokens;
+  }
+
+  // Trimming from the front can leave an assistant turn first
+  while (selected.length > 0 && selected[0].role !== 'user') {
+    selected.shift();
+  }
+  return {
+    messages: selected.map(({ role, content }) => ({ role, content })),
+    omitted: selected.length > 0 ? selected[0].start : 0
+  };
+}
+
+/**
+ * Build the history to send with a request
+ * @param {Array} history - Conversation history, oldest first
+ * @param {Object} options - Build options (see selectContext)
+ * @returns {Array} - { role, content } messages that fit the model's context
+ */
+function buildContext(history, options = {}) {
+  return selectContext(history, options).messages;
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessageTokens,
+  getHistoryBudget,
+  normaliseTurns,
+  selectContext,
+  buildContext,
+  withSummary,
+};
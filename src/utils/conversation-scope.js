@@ -0,0 +1,123 @@
+/**
+ * Utility for resolving which conversation a message belongs to
+ * Scopes decide whether history is kept per user, per user in each channel,
+ * shared by a whole channel, or shared by everyone in a thread
+ */
+const guildSettings = require('../services/guild-settings');
+
+const SCOPES = {
+  USER: 'user',
+  USER_CHANNEL: 'user_channel',
+  CHANNEL: 'channel',
+  THREAD: 'thread',
+};
+
+const VALID_SCOPES = Object.values(SCOPES);
+
+/**
+ * Check whether a value is a known scope
+ * @param {string} scope - Scope name
+ * @returns {boolean} - Whether the scope is valid
+ */
+function isValidScope(scope) {
+  return VALID_SCOPES.includes(scope);
+}
+
+/**
+ * Extract the IDs relevant to scoping from a message or interaction
+ * @param {Object} source - Discord.js message or interaction (or a text-command stand-in)
+ * @returns {Object} - { userId, guildId, channelId, isThread }
+ */
+function getContextIds(source) {
+  const user = source.author || source.user || {};
+  const channel = source.channel || null;
+  const guildId = source.guildId || (source.guild && source.guild.id) || null;
+  const channelId = source.channelId || (channel && channel.id) || null;
+  const isThread = Boolean(channel && typeof channel.isThread === 'function' && channel.isThread());
+
+  return { userId: user.id, guildId, channelId, isThread };
+}
+
+/**
+ * Check whether a message or interaction comes from a direct message
+ * Anything outside a guild is a DM, since bots cannot join group DMs
+ * @param {Object} source - Discord.js message or interaction
+ * @returns {boolean} - Whether the source is a DM
+ */
+function isDirectMessage(source) {
+  return !getContextIds(source).guildId;
+}
+
+/**
+ * Resolve the scope configured for a guild
+ * @param {string|null} guildId - Guild ID (null outside guilds)
+ * @returns {string} - The guild's conversationScope setting, or user scope if it isn't a known scope
+ */
+function resolveScope(guildId) {
+  const scope = guildSettings.get(guildId, 'conversationScope');
+  return isValidScope(scope) ? scope : SCOPES.USER;
+}
+
+/**
+ * Build the conversation key for a message or interaction
+ * User scope keys by the bare user ID so existing per-user histories keep working
+ * @param {Object} source - Discord.js message or interaction
+ * @param {string} scope - Scope to apply (defaults to the guild's configured scope)
+ * @returns {string} - Conversation key
+ */
+function getConversationKey(source, scope) {
+  const { userId, guildId, channelId, isThread } = getContextIds(source);
+  const effectiveScope = scope || resolveScope(guildId);
+
+  // DMs get their own conversation, kept apart from the user's guild conversations
+  if (!guildId) {
+    return `dm:${userId}`;
+  }
+
+  // Scopes only make sense inside a guild channel
+  if (!channelId) {
+    return userId;
+  }
+
+  switch (effectiveScope) {
+  case SCOPES.USER_CHANNEL:
+    return `channel:${channelId}:user:${userId}`;
+  case SCOPES.CHANNEL:
+    return `channel:${channelId}`;
+  case SCOPES.THREAD:
+    // Threads share one context; outside a thread fall back to per-user-per-channel
+    return isThread ? `thread:${channelId}` : `channel:${channelId}:user:${userId}`;
+  default:
+    return userId;
+  }
+}
+
+/**
+ * Check whether a conversation key belongs to a direct message conversation
+ * @param {string} conversationKey - Conversation key
+ * @returns {boolean} - Whether the conversation is a DM
+ */
+function isDirectMessageConversation(conversationKey) {
+  return typeof conversationKey === 'string' && conversationKey.startsWith('dm:');
+}
+
+/**
+ * Check whether a conversation key is shared by several users
+ * @param {string} conversationKey - Conversation key
+ * @returns {boolean} - Whether the conversation is shared
+ */
+function isSharedConversation(conversationKey) {
+  return /^(channel:[^:]+|thread:[^:]+)$/.test(conversationKey);
+}
+
+module.exports = {
+  SCOPES,
+  VALID_SCOPES,
+  isValidScope,
+  getContextIds,
+  isDirectMessage,
+  resolveScope,
+  getConversationKey,
+  isDirectMessageConversation,
+  isSharedConversation,
+};
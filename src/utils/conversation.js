@@ -4,19 +4,51 @@
 const config = require('../config/config');
 const dataStorage = require('../services/storage');
 const logger = require('./logger');
+const { debounce } = require('./debouncer');
+const { estimateMessageTokens } = require('./context-builder');
+const aiProviders = require('../services/providers');
+
+// Conversations inactive for longer than this are discarded, in memory and on disk
+const CONVERSATION_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SAVE_DEBOUNCE_MS = 5000;
+const DEFAULT_SUMMARY_BATCH = 10;
+
+// State shared by every ConversationManager instance, so the chat handler,
+// the command handler and the entry point all see the same conversations
+const sharedState = {
+  // Using Maps instead of plain objects for better performance
+  conversations: new Map(),
+  conversationActivity: new Map(),
+  userStats: new Map(),
+  // Running summaries of messages trimmed from each conversation
+  summaries: new Map(),
+  // Pending summary updates per conversation, and a counter bumped when a conversation
+  // is cleared so updates started before the clear are discarded
+  summaryUpdates: new Map(),
+  summaryEpochs: new Map(),
+  statsLoaded: false,
+  // Debounced conversation save, created on first use
+  debouncedSave: null
+};
 
 class ConversationManager {
   constructor() {
-    // Using Maps instead of plain objects for better performance
-    this.conversations = new Map();
-    this.lastMessageTimestamps = new Map();
-    this.userStats = new Map();
+    // Conversations are keyed by conversation key (see utils/conversation-scope),
+    // which is the user's ID in the default per-user scope
+    this.conversations = sharedState.conversations;
+    this.conversationActivity = sharedState.conversationActivity;
+    this.userStats = sharedState.userStats;
+    this.summaries = sharedState.summaries;
     // Track active intervals for proper cleanup
     this.activeIntervals = new Set();
     // Do NOT access config.PI_OPTIMIZATIONS here!
-    // Only load user stats in constructor
-    if (process.env.NODE_ENV !== 'test') {
+    // Only load persisted data in constructor, and only once per process
+    if (process.env.NODE_ENV !== 'test' && !sharedState.statsLoaded) {
+      sharedState.statsLoaded = true;
       this.loadUserStats();
+      if (this._isPersistenceEnabled()) {
+        this.loadConversations();
+      }
     }
   }
 
@@ -67,72 +99,266 @@ class ConversationManager {
   }
   
   /**
-   * Get conversation history for a user
-   * @param {string} userId - The user's ID
+   * Check whether conversation histories are persisted to disk
+   * @returns {boolean} - Whether persistence is enabled
+   * @private
+   */
+  _isPersistenceEnabled() {
+    const conversationConfig = config.CONVERSATION || {};
+    return process.env.NODE_ENV !== 'test' && conversationConfig.PERSIST !== false;
+  }
+  
+  /**
+   * Load persisted conversations from disk, discarding any that have expired
+   */
+  async loadConversations() {
+    try {
+      const stored = await dataStorage.loadConversations();
+      const cutoff = Date.now() - CONVERSATION_EXPIRY_MS;
+      let expiredCount = 0;
+      
+      for (const [conversationKey, entry] of Object.entries(stored)) {
+        if (!entry || !Array.isArray(entry.messages) || !(entry.lastActivity >= cutoff)) {
+          expiredCount++;
+          continue;
+        }
+        // Messages received since startup take precedence over the persisted copy
+        if (!this.conversations.has(conversationKey)) {
+          this.conversations.set(conversationKey, entry.messages);
+          this.conversationActivity.set(conversationKey, entry.lastActivity);
+          if (entry.summary) {
+            this.summaries.set(conversationKey, entry.summary);
+          }
+        }
+      }
+      
+      logger.info(`Loaded ${this.conversations.size} conversations (${expiredCount} expired)`);
+      
+      // Rewrite the file so expired conversations are dropped from disk too
+      if (expiredCount > 0) {
+        this._scheduleConversationSave();
+      }
+    } catch (error) {
+      logger.error('Failed to load conversations:', error);
+    }
+  }
+  
+  /**
+   * Save all non-empty conversations to disk
+   */
+  async saveConversations() {
+    const snapshot = {};
+    for (const [conversationKey, messages] of this.conversations.entries()) {
+      if (messages.length === 0) continue;
+      snapshot[conversationKey] = {
+        messages,
+        lastActivity: this.conversationActivity.get(conversationKey) || Date.now()
+      };
+      if (this.summaries.has(conversationKey)) {
+        snapshot[conversationKey].summary = this.summaries.get(conversationKey);
+      }
+    }
+    
+    try {
+      await dataStorage.saveConversations(snapshot);
+    } catch (error) {
+      logger.error('Failed to save conversations:', error);
+    }
+  }
+  
+  /**
+   * Schedule a debounced save so bursts of messages cause a single write
+   * @private
+   */
+  _scheduleConversationSave() {
+    if (!this._isPersistenceEnabled()) return;
+    
+    if (!sharedState.debouncedSave) {
+      const wait = (config.CONVERSATION && config.CONVERSATION.SAVE_DEBOUNCE_MS) || DEFAULT_SAVE_DEBOUNCE_MS;
+      sharedState.debouncedSave = debounce(() => this.saveConversations(), wait);
+    }
+    sharedState.debouncedSave();
+  }
+  
+  /**
+   * Get conversation history
+   * @param {string} conversationKey - The conversation key (the user's ID in user scope)
    * @returns {Array} - The conversation history
    */
-  getHistory(userId) {
-    return this.conversations.get(userId) || [];
+  getHistory(conversationKey) {
+    return this.conversations.get(conversationKey) || [];
   }
   
   /**
    * Add a message to the conversation history
-   * @param {string} userId - The user's ID
+   * @param {string} conversationKey - The conversation key (the user's ID in user scope)
    * @param {string} role - The role (user or assistant)
    * @param {string} content - The message content
+   * @param {string} userId - The author's ID for stats, if it differs from the conversation key
+   * @param {Object} extras - Extra details to keep with the message
+   * @param {Array<Object>} extras.sources - Sources an assistant message cites
+   * @param {string|null} extras.guildId - Guild the conversation is in, whose AI provider
+   *   summarises trimmed messages (not stored with the message)
    */
-  addMessage(userId, role, content) {
-    if (!this.conversations.has(userId)) {
-      this.conversations.set(userId, []);
+  addMessage(conversationKey, role, content, userId = conversationKey, extras = {}) {
+    if (!this.conversations.has(conversationKey)) {
+      this.conversations.set(conversationKey, []);
     }
     
-    const history = this.conversations.get(userId);
-    history.push({ role, content });
+    const history = this.conversations.get(conversationKey);
+    const entry = { role, content };
+    if (Array.isArray(extras.sources) && extras.sources.length > 0) {
+      entry.sources = extras.sources;
+    }
+    history.push(entry);
+    this.conversationActivity.set(conversationKey, Date.now());
     
-    // Trim history if it exceeds the max length
+    const trimmed = this._trimHistory(history);
+    if (trimmed.length > 0 && this._isRollingSummaryEnabled()) {
+      this._summariseTrimmed(conversationKey, trimmed, extras.guildId || null);
+    }
+    
+    // Update the author's stats
+    if (role === 'user') {
+      this.updateUserStats(userId, 'messages');
+    }
+    
+    this._scheduleConversationSave();
+  }
+  
+  /**
+   * Drop the oldest messages once a history is too long or too large
+   * Requests only send what fits the model (see context-builder); this just bounds memory
+   * @param {Array} history - Conversation history, trimmed in place
+   * @returns {Array} - The messages that were dropped, oldest first
+   * @private
+   */
+  _trimHistory(history) {
     // Use a smaller history size on Pi to save memory
     const maxLength = config.PI_OPTIMIZATIONS && config.PI_OPTIMIZATIONS.ENABLED 
       ? config.MAX_HISTORY * 2 // Use MAX_HISTORY*2 for Pi optimization
       : config.CONVERSATION_MAX_LENGTH; // Use regular max length otherwise
-      
-    if (history.length > maxLength) {
-      history.shift(); // Remove the oldest message to save memory
+    const maxTokens = (config.CONVERSATION && config.CONVERSATION.MAX_STORED_TOKENS) || Infinity;
+    
+    let totalTokens = history.reduce((total, message) => total + estimateMessageTokens(message), 0);
+    let dropCount = 0;
+    // Keep at least the newest message, however large it is
+    while (history.length - dropCount > 1 &&
+      (history.length - dropCount > maxLength || totalTokens > maxTokens)) {
+      totalTokens -= estimateMessageTokens(history[dropCount]);
+      dropCount++;
     }
     
-    // Update user stats
-    this.updateUserStats(userId, role === 'user' ? 'messages' : null);
+    if (dropCount > 0 && this._isRollingSummaryEnabled()) {
+      dropCount = this._getSummaryBatch(dropCount, history.length);
+    }
+    return history.splice(0, dropCount);
   }
   
   /**
-   * Clear conversation history for a user
-   * @param {string} userId - The user's ID
+   * Work out how many messages to fold into the summary at once
+   * Each summary update costs a request, so once trimming starts, drop a batch at a time
+   * @param {number} dropCount - Messages that have to go
+   * @param {number} length - Messages in the history
+   * @returns {number} - Messages to drop, always leaving the newest one
+   * @private
    */
-  clearHistory(userId) {
-    this.conversations.set(userId, []);
+  _getSummaryBatch(dropCount, length) {
+    const batch = config.CONVERSATION.ROLLING_SUMMARY_BATCH || DEFAULT_SUMMARY_BATCH;
+    return Math.min(Math.max(dropCount, batch), length - 1);
   }
   
   /**
-   * Check if a user is rate limited
-   * @param {string} userId - The user's ID
-   * @returns {boolean} - Whether the user is rate limited
+   * Fold the oldest messages a request had to leave out into the running summary
+   * Requests only send the newest messages that fit the guild's maxHistory and the model's
+   * context window, so without this the messages in between would be neither sent nor summarised
+   * @param {string} conversationKey - The conversation key
+   * @param {number} omitted - How many of the oldest stored messages the request left out
+   * @param {string|null} guildId - Guild whose AI provider writes the summary
    */
-  isRateLimited(userId) {
-    if (!this.lastMessageTimestamps.has(userId)) {
-      return false;
-    }
+  summariseOmitted(conversationKey, omitted, guildId = null) {
+    const history = this.conversations.get(conversationKey);
+    if (!history || omitted <= 0 || !this._isRollingSummaryEnabled()) return;
     
-    const lastTimestamp = this.lastMessageTimestamps.get(userId);
-    const now = Date.now();
+    const trimmed = history.splice(0, this._getSummaryBatch(omitted, history.length));
+    this._summariseTrimmed(conversationKey, trimmed, guildId);
+    this._scheduleConversationSave();
+  }
+  
+  /**
+   * Check whether trimmed messages are folded into a running summary
+   * @returns {boolean} - Whether rolling summaries are enabled
+   * @private
+   */
+  _isRollingSummaryEnabled() {
+    return Boolean(config.CONVERSATION && config.CONVERSATION.ROLLING_SUMMARY);
+  }
+  
+  /**
+   * Fold trimmed messages into the conversation's running summary in the background
+   * Updates for one conversation run one after another so none are lost
+   * @param {string} conversationKey - The conversation key
+   * @param {Array} trimmed - Messages dropped from the history, oldest first
+   * @param {string|null} guildId - Guild whose AI provider writes the summary
+   * @returns {Promise<void>} - Resolves once the summary is updated
+   * @private
+   */
+  _summariseTrimmed(conversationKey, trimmed, guildId) {
+    const epoch = sharedState.summaryEpochs.get(conversationKey) || 0;
+    const previous = sharedState.summaryUpdates.get(conversationKey) || Promise.resolve();
     
-    return now - lastTimestamp < config.RATE_LIMIT_WINDOW;
+    const update = previous.then(async () => {
+      const earlier = this.summaries.get(conversationKey);
+      const messages = earlier ? [{ role: 'summary', content: earlier }, ...trimmed] : trimmed;
+      try {
+        // Token usage counts towards the guild; trimmed messages can come from several users.
+        // Nobody is waiting on it, so it gives way to commands and chat when the bot is busy
+        const summary = await aiProviders.getProviderForGuild(guildId)
+          .generateSummary(messages, false, { guildId, priority: 'background' });
+        // The conversation was cleared while the summary was being written
+        if ((sharedState.summaryEpochs.get(conversationKey) || 0) !== epoch) return;
+        this.summaries.set(conversationKey, summary);
+        this._scheduleConversationSave();
+      } catch (error) {
+        logger.warn('Failed to summarise trimmed conversation history:', error);
+      }
+    });
+    
+    sharedState.summaryUpdates.set(conversationKey, update);
+    return update.then(() => {
+      if (sharedState.summaryUpdates.get(conversationKey) === update) {
+        sharedState.summaryUpdates.delete(conversationKey);
+      }
+    });
   }
   
   /**
-   * Update the last message timestamp for a user
-   * @param {string} userId - The user's ID
+   * Drop a conversation's summary, including any update still being written
+   * @param {string} conversationKey - The conversation key
+   * @private
+   */
+  _forgetSummary(conversationKey) {
+    this.summaries.delete(conversationKey);
+    sharedState.summaryEpochs.set(conversationKey, (sharedState.summaryEpochs.get(conversationKey) || 0) + 1);
+  }
+  
+  /**
+   * Get the running summary of a conversation's trimmed messages
+   * @param {string} conversationKey - The conversation key
+   * @returns {string|null} - The summary, or null if nothing has been trimmed yet
    */
-  updateTimestamp(userId) {
-    this.lastMessageTimestamps.set(userId, Date.now());
+  getSummary(conversationKey) {
+    return this.summaries.get(conversationKey) || null;
+  }
+  
+  /**
+   * Clear conversation history
+   * @param {string} conversationKey - The conversation key (the user's ID in user scope)
+   */
+  clearHistory(conversationKey) {
+    this.conversations.set(conversationKey, []);
+    this._forgetSummary(conversationKey);
+    this._scheduleConversationSave();
   }
   
   /**
@@ -170,18 +396,25 @@ class ConversationManager {
    */
   cleanupOldConversations() {
     const now = Date.now();
-    const oneDayAgo = now - (24 * 60 * 60 * 1000);
+    const oneDayAgo = now - CONVERSATION_EXPIRY_MS;
+    let removedConversations = 0;
     
-    for (const [userId, timestamp] of this.lastMessageTimestamps.entries()) {
+    for (const [conversationKey, timestamp] of this.conversationActivity.entries()) {
       if (timestamp < oneDayAgo) {
-        // Clean up data for inactive users
-        this.conversations.delete(userId);
-        this.lastMessageTimestamps.delete(userId);
-        // We keep user stats permanently
+        // Clean up inactive conversations
+        this.conversations.delete(conversationKey);
+        this.conversationActivity.delete(conversationKey);
+        this._forgetSummary(conversationKey);
+        removedConversations++;
       }
     }
     
-    logger.info(`Cleaned up conversation history for inactive users. Active users: ${this.conversations.size}`);
+    // Apply the same expiry to the persisted copy
+    if (removedConversations > 0) {
+      this._scheduleConversationSave();
+    }
+    
+    logger.info(`Cleaned up inactive conversation history. Active conversations: ${this.conversations.size}`);
   }
   
   /**
@@ -211,6 +444,15 @@ class ConversationManager {
     } catch (error) {
       logger.error('Failed to save user stats during shutdown:', error);
     }
+    
+    // Flush conversations now rather than waiting for a pending debounced save
+    if (this._isPersistenceEnabled()) {
+      if (sharedState.debouncedSave) {
+        sharedState.debouncedSave.cancel();
+      }
+      await this.saveConversations();
+      logger.info('Conversations saved before shutdown');
+    }
   }
 }
 
@@ -8,12 +8,12 @@
  * 
  * @param {Function} func - The function to debounce
  * @param {number} wait - The number of milliseconds to delay
- * @returns {Function} - The debounced function
+ * @returns {Function} - The debounced function, with a `cancel()` method to drop a pending call
  */
 function debounce(func, wait) {
   let timeout;
   
-  return function executedFunction(...args) {
+  const executedFunction = function(...args) {
     const later = () => {
       clearTimeout(timeout);
       func(...args);
@@ -22,6 +22,13 @@ function debounce(func, wait) {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
+  
+  executedFunction.cancel = () => {
+    clearTimeout(timeout);
+    timeout = null;
+  };
+  
+  return executedFunction;
 }
 
 module.exports = {
@@ -2,6 +2,7 @@
  * Utility for handling emoji reactions
  */
 const config = require('../config/config');
+const guildSettings = require('../services/guild-settings');
 
 // Legacy emoji mappings - ensuring compatibility with older tests
 const legacyEmojiMap = {
@@ -23,12 +24,15 @@ class EmojiManager {
   /**
    * Process the message content and add emojis to the response based on keywords
    * @param {string} content - The message content to analyze
+   * @param {Object} options - Options
+   * @param {Object} options.reactions - Keyword => emoji map (defaults to the global reactions)
    * @returns {string} - The original message with emojis added
    */
-  addEmojisToResponse(content) {
+  addEmojisToResponse(content, options = {}) {
     let modifiedContent = content;
+    const reactions = options.reactions || this.reactions;
     
-    for (const [keyword, emoji] of Object.entries(this.reactions)) {
+    for (const [keyword, emoji] of Object.entries(reactions)) {
       if (content.toLowerCase().includes(keyword)) {
         modifiedContent += ` ${emoji}`;
       }
@@ -63,12 +67,13 @@ class EmojiManager {
   /**
    * Get emojis to react with based on message content
    * @param {string} content - The message content to analyze
+   * @param {Object} reactions - Keyword => emoji map (defaults to the global reactions)
    * @returns {Array<string>} - Array of emoji characters to react with
    */
-  getReactionsForMessage(content) {
+  getReactionsForMessage(content, reactions = this.reactions) {
     const reactEmojis = [];
     
-    for (const [keyword, emoji] of Object.entries(this.reactions)) {
+    for (const [keyword, emoji] of Object.entries(reactions)) {
       if (content.toLowerCase().includes(keyword)) {
         reactEmojis.push(emoji);
       }
@@ -83,7 +88,9 @@ class EmojiManager {
    * @returns {Promise<void>}
    */
   async addReactionsToMessage(message) {
-    const emojis = this.getReactionsForMessage(message.content);
+    // Servers can configure their own reactions
+    const reactions = message.guildId ? guildSettings.get(message.guildId, 'reactions') : this.reactions;
+    const emojis = this.getReactionsForMessage(message.content, reactions);
     
     for (const emoji of emojis) {
       try {
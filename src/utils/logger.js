@@ -219,6 +219,18 @@ class Logger {
   handleError(error, context = '') {
     let userMessage = 'There was an error processing your request. Please try again later.';
     
+    // The AI service is known to be down; a one-line warning is enough
+    if (error.code === 'CIRCUIT_OPEN') {
+      this.warn(`Skipped ${context}: ${error.message}`);
+      return 'The AI is unavailable right now. Please try again in a few minutes.';
+    }
+    
+    // Too many requests are already waiting for a connection; nothing is wrong as such
+    if (error.code === 'QUEUE_FULL') {
+      this.warn(`Skipped ${context}: ${error.message}`);
+      return 'The bot is busy with other requests right now. Please try again in a moment.';
+    }
+    
     // Log the error
     this.error(`Error in ${context}:`, error);
     
@@ -227,12 +239,24 @@ class Logger {
       userMessage = 'The service is currently busy. Please try again in a few moments.';
     } else if (error.message.includes('401') || error.message.includes('403')) {
       userMessage = 'Authentication error. Please contact an administrator.';
-    } else if (error.message.includes('504') || error.message.includes('timeout')) {
+    } else if (this._isTimeoutError(error)) {
       userMessage = 'The request timed out. Please try again with a shorter message.';
     }
     
     return userMessage;
   }
+  
+  /**
+   * Check whether an error came from a request that took too long
+   * @param {Error} error - The error
+   * @returns {boolean} - Whether it was a timeout
+   * @private
+   */
+  _isTimeoutError(error) {
+    return error.name === 'TimeoutError' ||
+      /TIMEOUT/.test(error.code || '') ||
+      /504|timeout|timed out/i.test(error.message);
+  }
 }
 
 module.exports = new Logger();
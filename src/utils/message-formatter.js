@@ -3,6 +3,12 @@
  * Helps reduce the size and complexity of Discord messages to save resources
  */
 const config = require('../config/config');
+const modelRegistry = require('../services/model-registry');
+
+// Discord allows at most 1024 characters in an embed field
+const MAX_FIELD_LENGTH = 1024;
+const MAX_SOURCES = 10;
+const MAX_SOURCE_TITLE_LENGTH = 80;
 
 class MessageFormatter {
   constructor() {
@@ -122,6 +128,63 @@ class MessageFormatter {
     return processed.join('\n\n');
   }
   
+  /**
+   * Build numbered "Sources" embed fields for an answer's citations
+   * Sources are numbered to match the answer's [n] markers and spill into
+   * further fields rather than being cut off mid-link
+   * @param {Array<Object>} sources - Sources as { title, url }
+   * @returns {Array<Object>} - Embed fields (empty when there are no sources)
+   */
+  createSourcesFields(sources) {
+    if (!Array.isArray(sources) || sources.length === 0) return [];
+    
+    const fields = [];
+    let value = '';
+    sources.slice(0, MAX_SOURCES).forEach((source, index) => {
+      const line = this._formatSourceLine(source, index + 1);
+      if (value && value.length + line.length + 1 > MAX_FIELD_LENGTH) {
+        fields.push(value);
+        value = '';
+      }
+      value += `${value ? '\n' : ''}${line}`;
+    });
+    fields.push(value);
+    
+    return fields.map((fieldValue, index) => ({
+      name: index === 0 ? 'Sources' : 'Sources (continued)',
+      value: fieldValue
+    }));
+  }
+  
+  /**
+   * Build a reply's footer, noting which model answered when a fallback stood in
+   * @param {String} footerText - Usual footer, e.g. "Aszai Bot (Part 1/2)"
+   * @param {Object|null} fallback - { model, provider } of the fallback that answered, or null
+   * @returns {String} - Footer text
+   */
+  formatFooter(footerText, fallback) {
+    if (!fallback) return footerText;
+    const model = modelRegistry.getModel(fallback.model);
+    return `${footerText} • Answered by ${model ? model.name : fallback.model} (${fallback.provider} fallback)`;
+  }
+  
+  /**
+   * Format one numbered source as a markdown link
+   * @param {Object} source - { title, url }
+   * @param {number} number - Citation number
+   * @returns {String} - Source line
+   * @private
+   */
+  _formatSourceLine(source, number) {
+    let title = String(source.title || source.url).replace(/[[\]]/g, '');
+    if (title.length > MAX_SOURCE_TITLE_LENGTH) {
+      title = `${title.substring(0, MAX_SOURCE_TITLE_LENGTH - 3)}...`;
+    }
+    // Parentheses in the URL would end the markdown link early
+    const url = source.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+    return `**[${number}]** [${title}](${url})`.substring(0, MAX_FIELD_LENGTH);
+  }
+  
   /**
    * Create a compact embed for Discord messages
    * @param {Object} embedData - Original embed data
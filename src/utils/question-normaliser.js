@@ -0,0 +1,67 @@
+/**
+ * Question normalisation for the question cache
+ * Folds the ways people write the same question (case, accents, punctuation, spacing and
+ * nicknames for the same game) into one form, so they share a cached answer.
+ */
+
+/**
+ * Fold case, accents, punctuation and whitespace
+ * @param {string} text - Text to fold
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+function foldText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // Drop apostrophes rather than splitting on them, so "what's" and "whats" match
+    .replace(/['\u2019]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace aliases with the names they stand for, matching whole words only
+ * @param {string} text - Folded text
+ * @param {Object} aliases - Alias => name, e.g. { ss: 'starsector' }
+ * @returns {string} - Text using the canonical names
+ */
+function applyAliases(text, aliases) {
+  const names = new Map();
+  for (const [alias, name] of Object.entries(aliases || {})) {
+    const folded = foldText(alias);
+    if (folded) names.set(folded, foldText(name));
+  }
+  if (names.size === 0) return text;
+
+  // One pass over the text, trying longer aliases first so "eve online" wins over "eve"
+  const alternatives = Array.from(names.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  const pattern = new RegExp(`(?<=^| )(?:${alternatives.join('|')})(?= |$)`, 'g');
+  return text.replace(pattern, alias => names.get(alias));
+}
+
+/**
+ * Normalise a question for use as a cache key
+ * @param {string} question - Question as the user wrote it
+ * @param {Object} aliases - Alias => name table for game names and other nicknames
+ * @returns {string} - Normalised question (empty if it has no words)
+ */
+function normaliseQuestion(question, aliases = {}) {
+  return applyAliases(foldText(question), aliases);
+}
+
+module.exports = {
+  normaliseQuestion,
+  foldText
+};
@@ -0,0 +1,78 @@
+/**
+ * Server-sent events parser for streamed chat completion responses
+ * Turns a raw response body into the JSON payloads of its `data:` events
+ */
+
+const DONE_SENTINEL = '[DONE]';
+
+/**
+ * Split buffered SSE text into complete events
+ * @param {string} buffer - Text received so far
+ * @returns {Object} - { events: string[], remainder: string } where events are the joined data lines
+ */
+function splitEvents(buffer) {
+  const normalised = buffer.replace(/\r\n?/g, '\n');
+  const blocks = normalised.split('\n\n');
+  // The last block is incomplete until the blank line that terminates it arrives
+  const remainder = blocks.pop();
+
+  const events = blocks
+    .map(block => block
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n'))
+    .filter(data => data.length > 0);
+
+  return { events, remainder };
+}
+
+/**
+ * Parse the data of a single event as JSON
+ * @param {string} data - Event data
+ * @returns {Object|null} - Parsed payload or null if it is not valid JSON
+ */
+function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Iterate the JSON payloads of an SSE response body
+ * Stops at the `[DONE]` sentinel or when the body ends
+ * @param {AsyncIterable<Buffer|string>} body - Response body stream
+ * @returns {AsyncGenerator<Object>} - Parsed event payloads
+ */
+async function* parseSSEStream(body) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const { events, remainder } = splitEvents(buffer);
+    buffer = remainder;
+
+    for (const data of events) {
+      if (data === DONE_SENTINEL) return;
+      const payload = parseEventData(data);
+      if (payload) yield payload;
+    }
+  }
+
+  // Flush a final event that was not followed by a blank line
+  const { events } = splitEvents(buffer + decoder.decode() + '\n\n');
+  for (const data of events) {
+    if (data === DONE_SENTINEL) return;
+    const payload = parseEventData(data);
+    if (payload) yield payload;
+  }
+}
+
+module.exports = {
+  parseSSEStream,
+  splitEvents,
+  parseEventData,
+};
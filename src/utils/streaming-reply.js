@@ -0,0 +1,248 @@
+/**
+ * Live-edited Discord reply for streamed AI responses
+ * Posts a placeholder embed, edits it as text arrives (throttled to Discord's edit
+ * rate limits) and rolls over into follow-up messages when the text outgrows one embed
+ */
+const config = require('../config/config');
+const logger = require('./logger');
+const messageFormatter = require('./message-formatter');
+const { chunkMessage } = require('./enhanced-message-chunker');
+
+const DEFAULT_MAX_LENGTH = 1400;
+
+class StreamingReply {
+  /**
+   * @param {Object} message - Discord.js message being replied to
+   * @param {Object} options - Reply options
+   * @param {number} options.maxLength - Maximum characters per embed
+   * @param {number} options.editIntervalMs - Minimum time between edits
+   */
+  constructor(message, options = {}) {
+    this.message = message;
+    this.maxLength = options.maxLength || DEFAULT_MAX_LENGTH;
+    this.editIntervalMs = options.editIntervalMs !== undefined
+      ? options.editIntervalMs
+      : config.STREAMING.EDIT_INTERVAL_MS;
+
+    // Discord messages making up the reply, and the chunk text each currently shows
+    this.sentMessages = [];
+    this.renderedChunks = [];
+
+    this.text = '';
+    this.sourcesFields = [];
+    this.fallback = null;
+    this.lastRenderTime = 0;
+    this.pendingTimer = null;
+    this.renderChain = Promise.resolve();
+    this.started = false;
+    this.finished = false;
+  }
+
+  /**
+   * Check whether replies are streamed at all
+   * Streaming needs the Pi optimisations on and low CPU mode off. STREAM_RESPONSES defaults to on,
+   * so only an explicit false turns it off
+   * @returns {boolean} - Whether responses should be streamed
+   */
+  static isEnabled() {
+    const piOpts = config.PI_OPTIMIZATIONS;
+    return Boolean(piOpts && piOpts.ENABLED && piOpts.STREAM_RESPONSES !== false && !piOpts.LOW_CPU_MODE);
+  }
+
+  /**
+   * Post the placeholder reply
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const embed = this._createEmbed(config.STREAMING.PLACEHOLDER_TEXT, 'Aszai Bot');
+    const placeholder = await this.message.reply({ embeds: [embed] });
+    this.sentMessages.push(placeholder);
+    this.renderedChunks.push(null);
+    this.started = true;
+  }
+
+  /**
+   * Show a status in the placeholder, such as the reply's place in a queue, until text arrives
+   * @param {string|null} statusText - Status to show, or null for the usual placeholder text
+   * @returns {Promise<void>}
+   */
+  showStatus(statusText) {
+    if (!this.started || this.finished || this.text) return Promise.resolve();
+    const embed = this._createEmbed(statusText || config.STREAMING.PLACEHOLDER_TEXT, 'Aszai Bot');
+    this.renderChain = this.renderChain
+      .then(async () => {
+        // Streamed text may have arrived while the edit waited its turn
+        if (!this.text) await this.sentMessages[0].edit({ embeds: [embed] });
+      })
+      .catch(error => logger.warn('Failed to update streaming reply:', error));
+    return this.renderChain;
+  }
+
+  /**
+   * Throw away the text streamed so far, as the response is starting over, and say so
+   * @param {string} statusText - Notice shown until the new attempt's text arrives
+   * @returns {Promise<void>}
+   */
+  restart(statusText) {
+    if (!this.started || this.finished || !this.text) return Promise.resolve();
+    this._clearPendingTimer();
+    this.text = '';
+    const embed = this._createEmbed(statusText, 'Aszai Bot');
+    this.renderChain = this.renderChain
+      .then(async () => {
+        const surplus = this.sentMessages.splice(1);
+        this.renderedChunks = [null];
+        await Promise.all(surplus.map(sent => sent.delete()));
+        // The new attempt's text may have arrived while the edit waited its turn
+        if (!this.text) await this.sentMessages[0].edit({ embeds: [embed] });
+      })
+      .catch(error => logger.warn('Failed to restart streaming reply:', error));
+    return this.renderChain;
+  }
+
+  /**
+   * Record the latest streamed text and schedule a throttled edit
+   * @param {string} fullText - All text received so far
+   */
+  update(fullText) {
+    if (this.finished || !fullText) return;
+    this.text = fullText;
+
+    if (this.pendingTimer) return;
+
+    const wait = Math.max(0, this.lastRenderTime + this.editIntervalMs - Date.now());
+    this.pendingTimer = setTimeout(() => {
+      this.pendingTimer = null;
+      this._queueRender(false);
+    }, wait);
+  }
+
+  /**
+   * Render the final text, labelling each part when the reply spans several messages
+   * @param {string} finalText - The complete, formatted response
+   * @param {Array<Object>} sources - Sources the response cites, shown under the last part
+   * @param {Object|null} fallback - { model, provider } of the fallback that answered, noted in the footer
+   * @returns {Promise<void>}
+   */
+  async finish(finalText, sources = [], fallback = null) {
+    this._clearPendingTimer();
+    this.finished = true;
+    this.text = finalText;
+    this.sourcesFields = messageFormatter.createSourcesFields(sources);
+    this.fallback = fallback;
+    await this._queueRender(true);
+  }
+
+  /**
+   * Replace the reply with an error message
+   * @param {string} errorText - User-facing error message
+   * @returns {Promise<void>}
+   */
+  async fail(errorText) {
+    this._clearPendingTimer();
+    this.finished = true;
+    await this.renderChain;
+
+    const [first, ...rest] = this.sentMessages;
+    try {
+      await first.edit({ content: errorText, embeds: [] });
+      await Promise.all(rest.map(sent => sent.delete()));
+    } catch (error) {
+      logger.warn('Failed to show error on streaming reply:', error);
+      await this.message.reply(errorText);
+    }
+  }
+
+  /**
+   * Cancel a scheduled edit
+   * @private
+   */
+  _clearPendingTimer() {
+    if (this.pendingTimer) {
+      clearTimeout(this.pendingTimer);
+      this.pendingTimer = null;
+    }
+  }
+
+  /**
+   * Serialise renders so edits never overlap or arrive out of order
+   * @param {boolean} isFinal - Whether this is the final render
+   * @returns {Promise<void>}
+   * @private
+   */
+  _queueRender(isFinal) {
+    this.renderChain = this.renderChain
+      .then(() => this._render(isFinal))
+      .catch(error => logger.warn('Failed to update streaming reply:', error));
+    return this.renderChain;
+  }
+
+  /**
+   * Bring the Discord messages in line with the current text
+   * @param {boolean} isFinal - Whether this is the final render
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _render(isFinal) {
+    this.lastRenderTime = Date.now();
+    const chunks = chunkMessage(this.text, this.maxLength);
+
+    for (const [index, chunk] of chunks.entries()) {
+      const footer = this._footerText(index, chunks.length, isFinal);
+      const fields = index === chunks.length - 1 ? this.sourcesFields : [];
+      const key = `${footer}\n${chunk}\n${JSON.stringify(fields)}`;
+      if (this.renderedChunks[index] === key) continue;
+
+      const embed = this._createEmbed(chunk, footer, fields);
+      if (index < this.sentMessages.length) {
+        await this.sentMessages[index].edit({ embeds: [embed] });
+      } else {
+        this.sentMessages.push(await this.message.channel.send({ embeds: [embed] }));
+      }
+      this.renderedChunks[index] = key;
+    }
+
+    // Re-chunking the final text can need fewer messages than the live text did
+    if (isFinal) {
+      const surplus = this.sentMessages.splice(chunks.length);
+      this.renderedChunks.splice(chunks.length);
+      await Promise.all(surplus.map(sent => sent.delete()));
+    }
+  }
+
+  /**
+   * Footer text for a chunk
+   * @param {number} index - Chunk index
+   * @param {number} total - Number of chunks
+   * @param {boolean} isFinal - Whether this is the final render
+   * @returns {string} - Footer text
+   * @private
+   */
+  _footerText(index, total, isFinal) {
+    if (!isFinal) return 'Aszai Bot (typing...)';
+    const footer = total > 1 ? `Aszai Bot (Part ${index + 1}/${total})` : 'Aszai Bot';
+    return messageFormatter.formatFooter(footer, this.fallback);
+  }
+
+  /**
+   * Create a response embed
+   * @param {string} description - Embed text
+   * @param {string} footerText - Footer text
+   * @param {Array<Object>} fields - Embed fields, such as sources
+   * @returns {Object} - Embed data
+   * @private
+   */
+  _createEmbed(description, footerText, fields = []) {
+    const embed = {
+      color: config.COLORS.PRIMARY,
+      description,
+      footer: { text: footerText },
+    };
+    if (fields.length > 0) {
+      embed.fields = fields;
+    }
+    return messageFormatter.createCompactEmbed(embed);
+  }
+}
+
+module.exports = StreamingReply;